@@ -13,8 +13,9 @@ export function createAgentCard(agent, { onClick } = {}) {
   card.dataset.status = agent.status;
   card.dataset.attentionState = attn;
 
-  const projectDisplay = agent.cwd
-    ? decodeProjectPath(agent.cwd)
+  const projectPath = agent.cwd || agent.projectPath;
+  const projectDisplay = projectPath
+    ? decodeProjectPath(projectPath)
     : 'unknown project';
 
   const displayName = agent.windowTitle || agent.projectGroup || 'Discovering\u2026';
@@ -29,7 +30,7 @@ export function createAgentCard(agent, { onClick } = {}) {
     <div class="agent-card-body">
       <div class="agent-meta agent-meta-full">
         <span class="label">Project</span>
-        <span class="value agent-project" title="${escapeAttr(agent.cwd || '')}">${escapeHtml(projectDisplay)}</span>
+        <span class="value agent-project" title="${escapeAttr(projectPath || '')}">${escapeHtml(projectDisplay)}</span>
       </div>
       <div class="agent-meta">
         <span class="label">Duration</span>
@@ -111,11 +112,12 @@ export function updateAgentCard(container, agent) {
 
   // Update project if correlated
   const projectEl = card.querySelector('.agent-project');
-  if (projectEl && agent.cwd) {
-    const newVal = decodeProjectPath(agent.cwd);
+  const projectPath = agent.cwd || agent.projectPath;
+  if (projectEl && projectPath) {
+    const newVal = decodeProjectPath(projectPath);
     if (projectEl.textContent !== newVal) {
       projectEl.textContent = newVal;
-      projectEl.title = agent.cwd;
+      projectEl.title = projectPath;
     }
   }
 
@@ -194,6 +196,8 @@ function formatStatusLabel(status) {
 
 function decodeProjectPath(encodedPath) {
   if (!encodedPath) return 'unknown';
+  // Working directories from the process scan are already real paths
+  if (/[\\/]/.test(encodedPath)) return encodedPath;
   // Claude stores project paths with URL-encoded separators
   // e.g. "Z--Development-MyProject" → "Z:/Development/MyProject"
   try {
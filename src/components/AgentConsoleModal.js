@@ -62,7 +62,8 @@ export function openAgentConsoleModal(agent) {
   const metaGrid = document.createElement('div');
   metaGrid.className = 'modal-meta-grid';
 
-  const projectDisplay = agent.cwd ? decodeProjectPath(agent.cwd) : '--';
+  const projectPath = agent.cwd || agent.projectPath;
+  const projectDisplay = projectPath ? decodeProjectPath(projectPath) : '--';
 
   metaGrid.innerHTML = `
     <div class="modal-meta-item">
@@ -71,7 +72,7 @@ export function openAgentConsoleModal(agent) {
     </div>
     <div class="modal-meta-item">
       <span class="label">Project</span>
-      <span class="value" title="${escapeAttr(agent.cwd || '')}">${escapeHtml(projectDisplay)}</span>
+      <span class="value" title="${escapeAttr(projectPath || '')}">${escapeHtml(projectDisplay)}</span>
     </div>
     <div class="modal-meta-item">
       <span class="label">Session</span>
@@ -537,6 +538,7 @@ function appendTokenUsage(entry, line) {
 
 function decodeProjectPath(encodedPath) {
   if (!encodedPath) return '--';
+  if (/[\\/]/.test(encodedPath)) return encodedPath;
   try {
     return encodedPath
       .replace(/^([A-Za-z])--/, '$1:/')
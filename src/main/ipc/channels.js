@@ -29,15 +29,50 @@ module.exports = {
   AGENT_LAUNCH: 'agent:launch',
   AGENT_TERMINATE: 'agent:terminate',
   AGENT_SEND_INPUT: 'agent:send-input',
+  AGENT_ANSWER: 'agent:answer',
+  AGENT_PERMISSION: 'agent:permission',
   AGENT_LIST: 'agent:list',
   AGENT_GET_BUFFER: 'agent:get-buffer',
   AGENT_RESIZE: 'agent:resize',
+  AGENT_RESUME: 'agent:resume',
+  AGENT_HISTORY: 'agent:history',
+  AGENT_HISTORY_GET: 'agent:history-get',
+  AGENT_HISTORY_RELAUNCH: 'agent:history-relaunch',
+  AGENT_HISTORY_DELETE: 'agent:history-delete',
+  AGENT_HISTORY_CLEAR: 'agent:history-clear',
   // Push events (main -> renderer)
   AGENT_UPDATED: 'agent:updated',
   AGENT_OUTPUT: 'agent:output',
   AGENT_NOTIFICATION: 'agent:notification',
   AGENT_EXITED: 'agent:exited',
 
+  // Attention rules
+  ATTENTION_RULES_GET: 'attention-rules:get',
+  ATTENTION_RULES_SET: 'attention-rules:set',
+  ATTENTION_RULES_RESET: 'attention-rules:reset',
+  ATTENTION_RULES_TEST: 'attention-rules:test',
+
+  // Usage accounting
+  USAGE_REPORT: 'usage:report',
+  USAGE_PRICES_GET: 'usage:prices-get',
+  USAGE_PRICES_SET: 'usage:prices-set',
+  USAGE_PRICES_RESET: 'usage:prices-reset',
+  USAGE_UPDATED: 'usage:updated',
+
+  // Budgets (project budgets go through PROJECT_UPDATE)
+  BUDGET_GET_GLOBAL: 'budget:get-global',
+  BUDGET_SET_GLOBAL: 'budget:set-global',
+
+  // Session transcripts
+  TRANSCRIPT_PAGE: 'transcript:page',
+
+  // Session catalog (all sessions on disk)
+  SESSIONS_LIST: 'sessions:list',
+
+  // Transcript search
+  SEARCH_QUERY: 'search:query',
+  SEARCH_STATUS: 'search:status',
+
   // Terminal (raw, non-agent)
   TERMINAL_CREATE: 'terminal:create',
   TERMINAL_WRITE: 'terminal:write',
@@ -53,9 +88,22 @@ module.exports = {
   TASK_DELETE: 'task:delete',
   TASK_ASSIGN: 'task:assign',
 
+  // Mobile server & access tokens
+  MOBILE_SETTINGS_GET: 'mobile:settings-get',
+  MOBILE_SETTINGS_SET: 'mobile:settings-set',
+  MOBILE_TOKEN_LIST: 'mobile:token-list',
+  MOBILE_TOKEN_CREATE: 'mobile:token-create',
+  MOBILE_TOKEN_REVOKE: 'mobile:token-revoke',
+  MOBILE_TOKEN_DELETE: 'mobile:token-delete',
+  MOBILE_TOKEN_PAIRING: 'mobile:token-pairing',
+  MOBILE_AUTH_FAILURES: 'mobile:auth-failures',
+  MOBILE_AUTH_UNLOCK: 'mobile:auth-unlock',
+
   // App
   APP_SCREENSHOT: 'app:screenshot',
   APP_GET_DEBUG_LOG: 'app:get-debug-log',
+  APP_LIST_INPUT_AUDIT: 'app:list-input-audit',
+  APP_EXPORT_INPUT_AUDIT: 'app:export-input-audit',
   APP_GET_ENV: 'app:get-env',
   APP_SAVE_STATE: 'app:save-state',
   APP_RESTORE_STATE: 'app:restore-state',
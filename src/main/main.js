@@ -11,6 +11,25 @@ const worktreeManager = require('../services/worktreeManager');
 const ptyService = require('../services/ptyService');
 const agentManager = require('../services/agentManager');
 const taskManager = require('../services/taskManager');
+const agentHistory = require('../services/agentHistory');
+const attentionRules = require('../services/attentionRules');
+const usageTracker = require('../services/usageTracker');
+const budgetPolicy = require('../services/budgetPolicy');
+const sessionCatalog = require('../services/sessionCatalog');
+const searchIndex = require('../services/searchIndex');
+const permissionAudit = require('../services/permissionAudit');
+const inputAudit = require('../services/inputAudit');
+const permissionPolicy = require('../services/permissionPolicy');
+const mobileSettings = require('../services/mobileSettings');
+const ProcessMonitor = require('../services/processMonitor');
+const AgentBridge = require('../services/agentBridge');
+const PromptInjector = require('../services/promptInjector');
+const TokenStore = require('../services/tokenStore');
+const CertificateStore = require('../services/certificateStore');
+const PushService = require('../services/pushService');
+const MobileServer = require('../services/mobileServer');
+const { ExternalAgentProvider, ManagedAgentProvider, CompositeAgentProvider } = require('../services/agentProvider');
+const { resolveSessionFile, readTranscriptPage } = require('../services/sessionWatcher');
 
 // --- Global Error Handlers ---
 process.on('uncaughtException', (err) => {
@@ -27,6 +46,23 @@ if (require('electron-squirrel-startup')) {
 let mainWindow = null;
 const projectRegistry = new ProjectRegistry();
 
+// Mobile access: managed PTY agents and external Claude processes served to phones over HTTP + WS
+const processMonitor = new ProcessMonitor();
+const promptInjector = new PromptInjector({ ptyService });
+promptInjector.attach(processMonitor);
+agentManager.setExternalSessionLookup((pid) => processMonitor.getClaimedSessionFiles(pid));
+const mobileAgents = new CompositeAgentProvider([
+  new ManagedAgentProvider(agentManager, (id) => projectRegistry.getById(id)),
+  new ExternalAgentProvider(processMonitor, new AgentBridge(processMonitor), promptInjector),
+]);
+const tokenStore = new TokenStore();
+const certificateStore = new CertificateStore();
+const pushService = new PushService(tokenStore);
+const mobileServer = new MobileServer(mobileAgents, processMonitor, tokenStore, agentHistory, pushService);
+mobileServer.attachAgentManager(agentManager, (id) => projectRegistry.getById(id));
+mobileServer.attachTerminals(ptyService);
+mobileServer.attachProjects(projectRegistry, worktreeManager);
+
 // Debug log ring buffer
 const debugLog = [];
 const MAX_DEBUG_LOG = 500;
@@ -128,14 +164,66 @@ ipcMain.handle(CH.GIT_BRANCH_DIFF, async (_e, repoPath, branch, baseBranch) => {
 // --- Agents ---
 ipcMain.handle(CH.AGENT_LAUNCH, (_e, opts) => agentManager.launch(opts));
 ipcMain.handle(CH.AGENT_TERMINATE, (_e, agentId) => agentManager.terminate(agentId));
-ipcMain.handle(CH.AGENT_SEND_INPUT, (_e, agentId, text) => agentManager.sendInput(agentId, text));
+ipcMain.handle(CH.AGENT_SEND_INPUT, (_e, agentId, text) =>
+  agentManager.sendInput(agentId, text, { source: 'desktop', typed: true }));
+ipcMain.handle(CH.AGENT_ANSWER, (_e, agentId, answer) => agentManager.answer(agentId, answer));
+ipcMain.handle(CH.AGENT_PERMISSION, (_e, agentId, decision) =>
+  agentManager.decidePermission(agentId, decision, { source: 'desktop' }));
 ipcMain.handle(CH.AGENT_LIST, () => agentManager.getAll());
+ipcMain.handle(CH.AGENT_RESUME, (_e, agentId) => agentHistory.resume(agentId));
 ipcMain.handle(CH.AGENT_GET_BUFFER, (_e, terminalId) => ptyService.getBuffer(terminalId));
 ipcMain.handle(CH.AGENT_RESIZE, (_e, terminalId, cols, rows) => {
   ptyService.resize(terminalId, cols, rows);
   return { ok: true };
 });
 
+// --- Agent History ---
+ipcMain.handle(CH.AGENT_HISTORY, () => agentHistory.getAll());
+ipcMain.handle(CH.AGENT_HISTORY_GET, (_e, entryId) => agentHistory.getById(entryId));
+ipcMain.handle(CH.AGENT_HISTORY_RELAUNCH, (_e, entryId) => agentHistory.relaunch(entryId));
+ipcMain.handle(CH.AGENT_HISTORY_DELETE, (_e, entryId) => agentHistory.delete(entryId));
+ipcMain.handle(CH.AGENT_HISTORY_CLEAR, () => agentHistory.clear());
+
+// --- Attention Rules ---
+ipcMain.handle(CH.ATTENTION_RULES_GET, () => attentionRules.getAll());
+ipcMain.handle(CH.ATTENTION_RULES_SET, (_e, agentType, rules) => attentionRules.setRules(agentType, rules));
+ipcMain.handle(CH.ATTENTION_RULES_RESET, (_e, agentType) => attentionRules.resetRules(agentType));
+ipcMain.handle(CH.ATTENTION_RULES_TEST, (_e, rules, lines) => attentionRules.test(rules, lines));
+
+// --- Usage ---
+ipcMain.handle(CH.USAGE_REPORT, () => usageTracker.getReport());
+ipcMain.handle(CH.USAGE_PRICES_GET, () => usageTracker.getPrices());
+ipcMain.handle(CH.USAGE_PRICES_SET, (_e, prices) => usageTracker.setPrices(prices));
+ipcMain.handle(CH.USAGE_PRICES_RESET, () => usageTracker.resetPrices());
+
+// --- Budgets ---
+ipcMain.handle(CH.BUDGET_GET_GLOBAL, () => budgetPolicy.getGlobal());
+ipcMain.handle(CH.BUDGET_SET_GLOBAL, (_e, budget) => budgetPolicy.setGlobal(budget));
+
+// --- Transcripts ---
+ipcMain.handle(CH.TRANSCRIPT_PAGE, async (_e, sessionFile, opts) => {
+  const filePath = resolveSessionFile(sessionFile);
+  if (!filePath) return { ok: false, error: 'Not a Claude session file' };
+  try {
+    return { ok: true, ...(await readTranscriptPage(filePath, opts)) };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+// --- Sessions ---
+ipcMain.handle(CH.SESSIONS_LIST, () => sessionCatalog.list());
+
+// --- Search ---
+ipcMain.handle(CH.SEARCH_QUERY, async (_e, query, opts) => {
+  try {
+    return await searchIndex.search(query, opts);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+ipcMain.handle(CH.SEARCH_STATUS, () => searchIndex.getStatus());
+
 // --- Terminals (raw, non-agent) ---
 ipcMain.handle(CH.TERMINAL_CREATE, (_e, opts) => ptyService.create(opts));
 ipcMain.handle(CH.TERMINAL_WRITE, (_e, id, data) => ptyService.write(id, data));
@@ -163,6 +251,64 @@ ipcMain.handle(CH.APP_GET_ENV, () => ({
 
 ipcMain.handle(CH.APP_GET_DEBUG_LOG, () => [...debugLog]);
 
+// --- Mobile server settings ---
+ipcMain.handle(CH.MOBILE_SETTINGS_GET, () => ({ ...mobileSettings.get(), running: mobileServer.isRunning() }));
+
+// Restarts the server so a changed bind address takes effect
+ipcMain.handle(CH.MOBILE_SETTINGS_SET, async (_e, changes) => {
+  const result = mobileSettings.update(changes);
+  if (!result.ok) return result;
+  stopMobileServer();
+  if (result.settings.enabled) await startMobileServer();
+  return { ok: true, settings: { ...result.settings, running: mobileServer.isRunning() } };
+});
+
+// --- Mobile access tokens ---
+ipcMain.handle(CH.MOBILE_TOKEN_LIST, () => tokenStore.list());
+ipcMain.handle(CH.MOBILE_TOKEN_CREATE, (_e, opts) => tokenStore.create(opts));
+ipcMain.handle(CH.MOBILE_TOKEN_REVOKE, (_e, id) => tokenStore.revoke(id));
+ipcMain.handle(CH.MOBILE_TOKEN_DELETE, (_e, id) => tokenStore.remove(id));
+
+ipcMain.handle(CH.MOBILE_AUTH_FAILURES, () => mobileServer.getAuthFailures());
+ipcMain.handle(CH.MOBILE_AUTH_UNLOCK, (_e, key) => mobileServer.unlock(key));
+
+// One-time pairing: 6-digit code plus a QR link carrying a nonce
+ipcMain.handle(CH.MOBILE_TOKEN_PAIRING, async (_e, id) => {
+  const pairing = tokenStore.createPairing(id);
+  if (!pairing.ok) return pairing;
+  const url = mobileServer.getPairingUrl(pairing.nonce);
+  try {
+    const qrDataUrl = await require('qrcode').toDataURL(url, { margin: 1, width: 240 });
+    return {
+      ok: true,
+      code: pairing.code,
+      expiresAt: pairing.expiresAt,
+      url,
+      qrDataUrl,
+      tlsFingerprint: mobileServer.getTlsFingerprint(),
+      serverRunning: mobileServer.isRunning(),
+      lanAccess: mobileSettings.get().lanAccess,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+ipcMain.handle(CH.APP_LIST_INPUT_AUDIT, () => inputAudit.list());
+
+ipcMain.handle(CH.APP_EXPORT_INPUT_AUDIT, async () => {
+  inputAudit.flush();
+  const day = new Date().toISOString().slice(0, 10);
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Input Audit Log',
+    defaultPath: path.join(app.getPath('documents'), `input-audit-${day}.jsonl`),
+    filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }],
+  });
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+  const exported = await inputAudit.exportTo(result.filePath);
+  return exported.ok ? { ok: true, filePath: result.filePath } : exported;
+});
+
 ipcMain.handle(CH.APP_SCREENSHOT, async () => {
   try {
     const image = await mainWindow.webContents.capturePage();
@@ -186,12 +332,52 @@ agentManager.on('agent-created', (data) => sendToRenderer(CH.AGENT_UPDATED, data
 agentManager.on('agent-updated', (data) => sendToRenderer(CH.AGENT_UPDATED, data));
 agentManager.on('agent-notification', (data) => sendToRenderer(CH.AGENT_NOTIFICATION, data));
 agentManager.on('agent-exited', (data) => sendToRenderer(CH.AGENT_EXITED, data));
+usageTracker.on('usage-updated', (data) => sendToRenderer(CH.USAGE_UPDATED, data));
 
 // --- App Lifecycle ---
+/**
+ * Start the mobile server, over HTTPS unless disabled. Generating a
+ * certificate on first run takes a moment, so this runs in the background.
+ * Binds to loopback unless LAN access is enabled in the mobile settings.
+ */
+async function startMobileServer() {
+  processMonitor.start();
+  let tls = null;
+  if (config.MOBILE_SERVER_TLS) {
+    try {
+      await certificateStore.init();
+      tls = certificateStore.getCredentials();
+    } catch (err) {
+      logger.error('TLS certificate unavailable, serving mobile over HTTP', { message: err.message });
+    }
+  }
+  const host = mobileSettings.get().lanAccess ? config.MOBILE_SERVER_LAN_HOST : config.MOBILE_SERVER_HOST;
+  mobileServer.start(config.MOBILE_SERVER_PORT, host, tls);
+}
+
+function stopMobileServer() {
+  mobileServer.stop();
+  processMonitor.stop();
+}
+
 app.whenReady().then(() => {
   createWindow();
   projectRegistry.init();
   taskManager.init();
+  agentHistory.init();
+  attentionRules.init();
+  usageTracker.init();
+  budgetPolicy.init();
+  budgetPolicy.setProjectLookup((id) => projectRegistry.getById(id));
+  permissionPolicy.setProjectLookup((id) => projectRegistry.getById(id));
+  sessionCatalog.init();
+  searchIndex.init();
+  permissionAudit.init();
+  inputAudit.init();
+  tokenStore.init();
+  pushService.init();
+  mobileSettings.init();
+  if (mobileSettings.get().enabled) startMobileServer();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -199,10 +385,21 @@ app.whenReady().then(() => {
 });
 
 app.on('window-all-closed', () => {
+  agentHistory.flush();
+  usageTracker.flush();
+  searchIndex.flush();
+  inputAudit.flush();
+  tokenStore.flush();
+  stopMobileServer();
   ptyService.killAll();
   if (process.platform !== 'darwin') app.quit();
 });
 
 app.on('before-quit', () => {
+  try { agentHistory.flush(); } catch { /* ignore */ }
+  try { usageTracker.flush(); } catch { /* ignore */ }
+  try { searchIndex.flush(); } catch { /* ignore */ }
+  try { inputAudit.flush(); } catch { /* ignore */ }
+  try { tokenStore.flush(); } catch { /* ignore */ }
   try { ptyService.killAll(); } catch { /* ignore */ }
 });
@@ -38,11 +38,47 @@ contextBridge.exposeInMainWorld('api', {
   launchAgent: (opts) => ipcRenderer.invoke('agent:launch', opts),
   terminateAgent: (agentId) => ipcRenderer.invoke('agent:terminate', agentId),
   sendAgentInput: (agentId, text) => ipcRenderer.invoke('agent:send-input', agentId, text),
+  answerAgent: (agentId, answer) => ipcRenderer.invoke('agent:answer', agentId, answer),
+  decideAgentPermission: (agentId, decision) => ipcRenderer.invoke('agent:permission', agentId, decision),
   listAgents: () => ipcRenderer.invoke('agent:list'),
+  resumeAgent: (agentId) => ipcRenderer.invoke('agent:resume', agentId),
   getAgentBuffer: (terminalId) => ipcRenderer.invoke('agent:get-buffer', terminalId),
   resizeAgent: (terminalId, cols, rows) =>
     ipcRenderer.invoke('agent:resize', terminalId, cols, rows),
 
+  // --- Agent History ---
+  listAgentHistory: () => ipcRenderer.invoke('agent:history'),
+  getAgentHistoryEntry: (entryId) => ipcRenderer.invoke('agent:history-get', entryId),
+  relaunchAgent: (entryId) => ipcRenderer.invoke('agent:history-relaunch', entryId),
+  deleteAgentHistoryEntry: (entryId) => ipcRenderer.invoke('agent:history-delete', entryId),
+  clearAgentHistory: () => ipcRenderer.invoke('agent:history-clear'),
+
+  // --- Attention Rules ---
+  getAttentionRules: () => ipcRenderer.invoke('attention-rules:get'),
+  setAttentionRules: (agentType, rules) => ipcRenderer.invoke('attention-rules:set', agentType, rules),
+  resetAttentionRules: (agentType) => ipcRenderer.invoke('attention-rules:reset', agentType),
+  testAttentionRules: (rules, lines) => ipcRenderer.invoke('attention-rules:test', rules, lines),
+
+  // --- Usage ---
+  getUsageReport: () => ipcRenderer.invoke('usage:report'),
+  getUsagePrices: () => ipcRenderer.invoke('usage:prices-get'),
+  setUsagePrices: (prices) => ipcRenderer.invoke('usage:prices-set', prices),
+  resetUsagePrices: () => ipcRenderer.invoke('usage:prices-reset'),
+
+  // --- Budgets ---
+  getGlobalBudget: () => ipcRenderer.invoke('budget:get-global'),
+  setGlobalBudget: (budget) => ipcRenderer.invoke('budget:set-global', budget),
+
+  // --- Transcripts ---
+  getTranscriptPage: (sessionFile, opts) => ipcRenderer.invoke('transcript:page', sessionFile, opts),
+
+  // --- Sessions ---
+  listSessions: () => ipcRenderer.invoke('sessions:list'),
+
+  // --- Search ---
+  searchTranscripts: (query, opts) => ipcRenderer.invoke('search:query', query, opts),
+  getSearchStatus: () => ipcRenderer.invoke('search:status'),
+
   // --- Terminals ---
   createTerminal: (opts) => ipcRenderer.invoke('terminal:create', opts),
   writeTerminal: (id, data) => ipcRenderer.invoke('terminal:write', id, data),
@@ -56,9 +92,22 @@ contextBridge.exposeInMainWorld('api', {
   deleteTask: (taskId) => ipcRenderer.invoke('task:delete', taskId),
   assignTask: (taskId, agentId) => ipcRenderer.invoke('task:assign', taskId, agentId),
 
+  // --- Mobile server & access tokens ---
+  getMobileSettings: () => ipcRenderer.invoke('mobile:settings-get'),
+  setMobileSettings: (changes) => ipcRenderer.invoke('mobile:settings-set', changes),
+  listMobileTokens: () => ipcRenderer.invoke('mobile:token-list'),
+  createMobileToken: (opts) => ipcRenderer.invoke('mobile:token-create', opts),
+  revokeMobileToken: (id) => ipcRenderer.invoke('mobile:token-revoke', id),
+  deleteMobileToken: (id) => ipcRenderer.invoke('mobile:token-delete', id),
+  getMobileTokenPairing: (id) => ipcRenderer.invoke('mobile:token-pairing', id),
+  getMobileAuthFailures: () => ipcRenderer.invoke('mobile:auth-failures'),
+  unlockMobileClient: (key) => ipcRenderer.invoke('mobile:auth-unlock', key),
+
   // --- App ---
   getEnv: () => ipcRenderer.invoke('app:get-env'),
   getDebugLog: () => ipcRenderer.invoke('app:get-debug-log'),
+  listInputAudit: () => ipcRenderer.invoke('app:list-input-audit'),
+  exportInputAudit: () => ipcRenderer.invoke('app:export-input-audit'),
   screenshot: () => ipcRenderer.invoke('app:screenshot'),
 
   // --- Events (push from main) ---
@@ -67,4 +116,5 @@ contextBridge.exposeInMainWorld('api', {
   onAgentUpdated: (cb) => onEvent('agent:updated', cb),
   onAgentNotification: (cb) => onEvent('agent:notification', cb),
   onAgentExited: (cb) => onEvent('agent:exited', cb),
+  onUsageUpdated: (cb) => onEvent('usage:updated', cb),
 });
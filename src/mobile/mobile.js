@@ -6,29 +6,57 @@
   const WS_RECONNECT_BASE_MS = 1000;
   const WS_RECONNECT_MAX_MS = 30000;
   const DURATION_UPDATE_MS = 1000;
+  const SCOPES = ['read', 'prompt', 'control', 'admin']; // each includes the ones before it
+  const ALERT_STATES = [
+    { value: 'waiting_input', label: 'Waiting for input' },
+    { value: 'waiting_permission', label: 'Needing permission' },
+    { value: 'idle', label: 'Finished a turn' },
+    { value: 'stalled', label: 'Stalled' },
+    { value: 'error', label: 'Failed' },
+    { value: 'ended', label: 'Ended' },
+  ];
 
   // --- State ---
-  let token = localStorage.getItem('cc_token') || '';
+  let authenticated = false;
+  let tokenScope = 'read';
   let agents = [];
   let ws = null;
   let wsRetries = 0;
   let wsConnected = false;
+  let lastEventId = null; // resume point: the server replays events after it on reconnect
+  let wsResuming = false;
+  let agentVersions = new Map(); // snapshot version -> agents by PID, for patches against an older base
   let currentPid = null; // detail view
   let detailLogs = [];
+  let detailCursor = null;    // byte offset of the oldest loaded transcript line
+  let detailHasBefore = false;
+  let loadingOlder = false;
+  const LOG_PAGE_SIZE = 100;
   let durationTimers = new Map();
   let detailPollTimer = null;
+  let answerQuestion = null;  // question the detail selection belongs to
+  let answerSelection = new Set();
+  let alertPrefs = loadAlertPrefs();
+  let swRegistration = null;
+  let pushSubscription = null;
+  let detailTab = 'log';
+  let detailTerminalId = null; // PTY of the open agent (managed agents only)
+  let term = null;              // terminal emulator, see terminal.js
+  let termOpen = false;         // streaming detailTerminalId over the current socket
 
   // --- DOM refs ---
   const authScreen = document.getElementById('auth-screen');
   const listScreen = document.getElementById('list-screen');
   const detailScreen = document.getElementById('detail-screen');
-  const tokenInput = document.getElementById('token-input');
+  const codeInput = document.getElementById('code-input');
   const authBtn = document.getElementById('auth-btn');
   const authError = document.getElementById('auth-error');
   const agentList = document.getElementById('agent-list');
   const listEmpty = document.getElementById('list-empty');
   const agentCountEl = document.getElementById('agent-count');
   const wsDotEl = document.getElementById('ws-dot');
+  const signoutBtn = document.getElementById('signout-btn');
+  const certWarning = document.getElementById('cert-warning');
   const backBtn = document.getElementById('back-btn');
   const detailDot = document.getElementById('detail-dot');
   const detailPid = document.getElementById('detail-pid');
@@ -40,23 +68,58 @@
   const promptInput = document.getElementById('prompt-input');
   const sendBtn = document.getElementById('send-btn');
   const sendStatus = document.getElementById('send-status');
+  const detailAnswer = document.getElementById('detail-answer');
+  const alertsBtn = document.getElementById('alerts-btn');
+  const alertsPanel = document.getElementById('alerts-panel');
+  const alertsStates = document.getElementById('alerts-states');
+  const alertsProjects = document.getElementById('alerts-projects');
+  const pushBtn = document.getElementById('push-btn');
+  const pushStatus = document.getElementById('push-status');
+  const detailTabs = document.getElementById('detail-tabs');
+  const detailLogsEl = document.getElementById('detail-logs');
+  const detailTerminal = document.getElementById('detail-terminal');
+  const detailInput = document.getElementById('detail-input');
+  const termViewer = document.getElementById('term-viewer');
+  const termStatus = document.getElementById('term-status');
+  const termControls = document.getElementById('term-controls');
+  const termInput = document.getElementById('term-input');
+  const launchBtn = document.getElementById('launch-btn');
+  const launchPanel = document.getElementById('launch-panel');
+  const launchProject = document.getElementById('launch-project');
+  const launchWorktree = document.getElementById('launch-worktree');
+  const launchType = document.getElementById('launch-type');
+  const launchPrompt = document.getElementById('launch-prompt');
+  const launchAutoPrime = document.getElementById('launch-autoprime');
+  const launchSkipPermissions = document.getElementById('launch-skip-permissions');
+  const launchSubmit = document.getElementById('launch-submit');
+  const launchStatus = document.getElementById('launch-status');
+  const stopBtn = document.getElementById('stop-btn');
+
+  // Keyboard bar -> bytes sent to the PTY
+  const TERM_KEYS = {
+    esc: '\x1b',
+    tab: '\t',
+    'ctrl-c': '\x03',
+    up: '\x1b[A',
+    down: '\x1b[B',
+    right: '\x1b[C',
+    left: '\x1b[D',
+    enter: '\r',
+  };
 
   // --- Helpers ---
   function apiUrl(path) {
     return window.location.origin + '/api' + path;
   }
 
-  function apiHeaders() {
-    return { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' };
-  }
-
+  // Authenticated by the httpOnly session cookie set at pairing
   async function apiFetch(path, opts = {}) {
     const res = await fetch(apiUrl(path), {
-      headers: apiHeaders(),
+      headers: { 'Content-Type': 'application/json' },
       ...opts,
     });
     if (res.status === 401) {
-      showScreen('auth');
+      signedOut('Session expired — pair again');
       throw new Error('Unauthorized');
     }
     return res;
@@ -75,12 +138,41 @@
     return sec + 's';
   }
 
+  function formatUsage(usage) {
+    if (!usage || !usage.total) return '--';
+    const tokens = usage.total >= 1e6
+      ? (usage.total / 1e6).toFixed(1) + 'M'
+      : usage.total >= 1e3 ? Math.round(usage.total / 1e3) + 'k' : String(usage.total);
+    return tokens + ' tok \u00b7 $' + usage.cost.toFixed(2);
+  }
+
+  // Launched from the desktop app (PTY) or found as an external process
+  function formatSource(agent) {
+    if (agent.source === 'managed') return 'App \u00b7 ' + (agent.agentType || 'agent');
+    return agent.source === 'external' ? 'External' : '--';
+  }
+
+  // Whether the paired token's scope allows an action
+  function can(scope) {
+    return SCOPES.indexOf(tokenScope) >= SCOPES.indexOf(scope);
+  }
+
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
     return div.innerHTML;
   }
 
+  // escapeHtml leaves quotes alone, so values inside attributes need this
+  function escapeAttr(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   // --- Screen management ---
   function showScreen(name) {
     authScreen.classList.toggle('active', name === 'auth');
@@ -88,71 +180,128 @@
     detailScreen.classList.toggle('active', name === 'detail');
 
     if (name !== 'detail') {
+      if (currentPid !== null) wsSend({ type: 'unsubscribe', id: 'detail' });
+      closeTerminal();
       currentPid = null;
+      detailTerminalId = null;
+      detailTab = 'log';
       detailLogs = [];
       if (detailPollTimer) { clearInterval(detailPollTimer); detailPollTimer = null; }
     }
   }
 
   // --- Auth ---
-  function checkUrlToken() {
-    const params = new URLSearchParams(window.location.search);
-    const urlToken = params.get('token');
-    if (urlToken) {
-      token = urlToken;
-      localStorage.setItem('cc_token', token);
-      // Clean URL
-      window.history.replaceState({}, '', window.location.pathname);
-    }
+  // QR links carry a one-time nonce in the fragment, which never reaches server
+  // logs, plus the fingerprint of the server's self-signed certificate over HTTPS
+  function takePairingLink() {
+    const match = window.location.hash.match(/^#pair=([0-9a-f]+)(?:&fp=([0-9A-Fa-f]{64}))?$/);
+    if (!match) return null;
+    window.history.replaceState({}, '', window.location.pathname);
+    if (match[2]) localStorage.setItem('cc_cert_fp', match[2].toUpperCase());
+    return match[1];
   }
 
-  async function authenticate(t) {
-    token = t;
+  // The pinned fingerprint should match what the server reports. This catches
+  // a regenerated certificate or a different machine; an interceptor is caught
+  // by the browser's certificate warning, which shows the same fingerprint.
+  function checkCertificate(serverFingerprint) {
+    const pinned = localStorage.getItem('cc_cert_fp');
+    const current = (serverFingerprint || '').replace(/:/g, '');
+    certWarning.hidden = !pinned || !current || pinned === current;
+  }
+
+  async function pair(body) {
     try {
-      const res = await fetch(apiUrl('/version'), {
-        headers: { 'Authorization': 'Bearer ' + token },
+      const res = await fetch(window.location.origin + '/pair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
       });
-      if (res.ok) {
-        localStorage.setItem('cc_token', token);
-        authError.textContent = '';
-        showScreen('list');
-        connectWs();
-        fetchAgents();
-        return true;
+      const result = await res.json();
+      if (!result.ok) {
+        authError.textContent = result.error || 'Pairing failed';
+        return false;
       }
-      authError.textContent = 'Invalid token';
+      return checkSession();
+    } catch {
+      authError.textContent = 'Connection failed';
       return false;
-    } catch (err) {
+    }
+  }
+
+  async function checkSession() {
+    try {
+      const res = await fetch(apiUrl('/session'));
+      if (!res.ok) {
+        showScreen('auth');
+        return false;
+      }
+      const session = await res.json();
+      tokenScope = session.token.scope;
+      launchBtn.hidden = !can('control');
+      checkCertificate(session.tlsFingerprint);
+      authenticated = true;
+      authError.textContent = '';
+      codeInput.value = '';
+      showScreen('list');
+      connectWs();
+      fetchAgents();
+      setupAlerts();
+      return true;
+    } catch {
       authError.textContent = 'Connection failed';
+      showScreen('auth');
       return false;
     }
   }
 
+  function signedOut(message) {
+    authenticated = false;
+    lastEventId = null;
+    if (ws) { try { ws.close(); } catch { } }
+    authError.textContent = message || '';
+    showScreen('auth');
+  }
+
   authBtn.addEventListener('click', () => {
-    const t = tokenInput.value.trim();
-    if (!t) { authError.textContent = 'Token is required'; return; }
-    authenticate(t);
+    const code = codeInput.value.trim();
+    if (!/^\d{6}$/.test(code)) { authError.textContent = 'Enter the 6-digit code'; return; }
+    pair({ code });
   });
 
-  tokenInput.addEventListener('keydown', (e) => {
+  codeInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') authBtn.click();
   });
 
+  signoutBtn.addEventListener('click', async () => {
+    // A signed-out phone should not keep receiving alerts
+    if (pushSubscription) await disablePush();
+    try { await fetch(apiUrl('/session'), { method: 'DELETE' }); } catch { }
+    signedOut();
+  });
+
   // --- WebSocket ---
   function wsUrl() {
     const proto = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    return proto + '//' + window.location.host + '/?token=' + encodeURIComponent(token);
+    // Log lines are subscribed per open agent (see openDetail)
+    let query = '?events=agents:updated,agent:attention,monitor:degraded';
+    if (lastEventId !== null) query += '&since=' + lastEventId;
+    return proto + '//' + window.location.host + '/' + query;
   }
 
   function connectWs() {
     if (ws) { try { ws.close(); } catch { } }
 
+    wsResuming = lastEventId !== null;
+    agentVersions = new Map();
     ws = new WebSocket(wsUrl());
 
     ws.onopen = () => {
       wsConnected = true;
       wsRetries = 0;
       wsDotEl.className = 'ws-dot connected';
+      // Terminal streams are per socket: reopen for a fresh snapshot
+      if (detailTab === 'terminal') openTerminal();
     };
 
     ws.onmessage = (event) => {
@@ -162,9 +311,15 @@
       } catch { }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       wsConnected = false;
+      termOpen = false;
       wsDotEl.className = 'ws-dot disconnected';
+      if (event.code === 4001) {
+        signedOut('Access was revoked');
+        return;
+      }
+      if (!authenticated) return;
       scheduleReconnect();
     };
 
@@ -177,19 +332,49 @@
     const delay = Math.min(WS_RECONNECT_BASE_MS * Math.pow(2, wsRetries), WS_RECONNECT_MAX_MS);
     wsRetries++;
     setTimeout(() => {
-      if (!wsConnected && token) connectWs();
+      if (!wsConnected && authenticated) connectWs();
     }, delay);
   }
 
   function handleWsMessage(msg) {
+    if (typeof msg.id === 'number') lastEventId = msg.id;
+
     switch (msg.type) {
+      case 'sync':
+        // The replay (or snapshot) covers the list. Log lines are subscribed
+        // per connection, so an open transcript is reloaded and resubscribed.
+        if (wsResuming && currentPid !== null) openDetail(currentPid);
+        break;
+
       case 'agents:updated':
         agents = msg.data.agents || [];
+        if (msg.data.version) {
+          agentVersions = new Map([[msg.data.version, byPid(agents)]]);
+          wsSend({ type: 'ack', version: msg.data.version });
+        }
         renderAgentList();
         // If viewing a detail, update the header
         if (currentPid !== null) updateDetailHeader();
         break;
 
+      case 'agents:patch': {
+        const base = agentVersions.get(msg.data.base);
+        if (!base) {
+          wsSend({ type: 'resync' });
+          break;
+        }
+        const next = applyPatch(base, msg.data.ops);
+        for (const version of agentVersions.keys()) {
+          if (version < msg.data.base) agentVersions.delete(version);
+        }
+        agentVersions.set(msg.data.version, next);
+        wsSend({ type: 'ack', version: msg.data.version });
+        agents = Object.values(next);
+        renderAgentList();
+        if (currentPid !== null) updateDetailHeader();
+        break;
+      }
+
       case 'agent:log-line':
         if (msg.data.pid === currentPid) {
           detailLogs.push(msg.data.line);
@@ -199,12 +384,326 @@
         updateCardLogCount(msg.data.pid);
         break;
 
+      case 'agent:attention':
+        showLocalAlert(msg.data);
+        break;
+
       case 'monitor:degraded':
         // Could show a warning
         break;
+
+      case 'terminal:snapshot':
+        if (msg.data.terminalId !== detailTerminalId || !term) break;
+        term.reset(msg.data.cols, msg.data.rows);
+        term.write(msg.data.data);
+        renderTerminalStatus(msg.data.status, msg.data.exitCode);
+        break;
+
+      case 'terminal:output':
+        if (msg.data.terminalId === detailTerminalId && term) term.write(msg.data.data);
+        break;
+
+      case 'terminal:exit':
+        if (msg.data.terminalId === detailTerminalId) renderTerminalStatus('exited', msg.data.exitCode);
+        break;
+
+      case 'terminal:error':
+        if (msg.data.terminalId === detailTerminalId) termStatus.textContent = msg.data.error;
+        break;
+    }
+  }
+
+  // --- Alerts ---
+  // Push needs a service worker, which browsers only allow on a trusted
+  // origin: the tunnel, or this server once its certificate is installed on
+  // the phone. Without push, an open page still alerts from WS events.
+  function loadAlertPrefs() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('cc_alert_prefs'));
+      if (saved && Array.isArray(saved.states) && Array.isArray(saved.projects)) return saved;
+    } catch { }
+    return { states: ['waiting_input', 'waiting_permission'], projects: [] };
+  }
+
+  function saveAlertPrefs() {
+    localStorage.setItem('cc_alert_prefs', JSON.stringify(alertPrefs));
+    if (pushSubscription) sendSubscription(pushSubscription);
+  }
+
+  function alertWanted(alert) {
+    return alertPrefs.states.includes(alert.state)
+      && (alertPrefs.projects.length === 0 || alertPrefs.projects.includes(alert.project));
+  }
+
+  async function setupAlerts() {
+    if (swRegistration || !('serviceWorker' in navigator)) {
+      renderAlertsPanel();
+      return;
+    }
+    try {
+      swRegistration = await navigator.serviceWorker.register('sw.js');
+      if ('PushManager' in window) {
+        pushSubscription = await swRegistration.pushManager.getSubscription();
+      }
+      // Preferences saved on the server win over this browser's copy
+      if (pushSubscription) {
+        const res = await apiFetch('/push?endpoint=' + encodeURIComponent(pushSubscription.endpoint));
+        const info = await res.json();
+        if (info.prefs) {
+          alertPrefs = info.prefs;
+          localStorage.setItem('cc_alert_prefs', JSON.stringify(alertPrefs));
+        } else {
+          await sendSubscription(pushSubscription); // forgotten by the server, e.g. its token was revoked
+        }
+      }
+    } catch {
+      swRegistration = null;
+    }
+    renderAlertsPanel();
+  }
+
+  function renderAlertsPanel() {
+    alertsStates.innerHTML = ALERT_STATES.map(s => `
+      <label><input type="checkbox" data-state="${escapeAttr(s.value)}" ${alertPrefs.states.includes(s.value) ? 'checked' : ''}> ${escapeHtml(s.label)}</label>
+    `).join('');
+
+    const projects = new Set(alertPrefs.projects);
+    for (const agent of agents) {
+      if (agent.projectGroup) projects.add(agent.projectGroup);
+    }
+    alertsProjects.innerHTML = projects.size === 0
+      ? '<span class="alerts-note">No projects yet</span>'
+      : Array.from(projects).sort().map(p => `
+        <label><input type="checkbox" data-project="${escapeAttr(p)}" ${alertPrefs.projects.includes(p) ? 'checked' : ''}> ${escapeHtml(p)}</label>
+      `).join('');
+
+    if (!swRegistration || !('PushManager' in window)) {
+      pushBtn.hidden = true;
+      pushStatus.textContent = window.isSecureContext
+        ? 'Push is unavailable until this server\'s certificate is trusted. Alerts show while this page is open.'
+        : 'Push needs HTTPS. Alerts show while this page is open.';
+    } else if (!pushSubscription && !can('prompt')) {
+      pushBtn.hidden = true;
+      pushStatus.textContent = 'Push needs a prompt token. Alerts show while this page is open.';
+    } else {
+      pushBtn.hidden = false;
+      pushBtn.textContent = pushSubscription ? 'Disable push' : 'Enable push';
+      pushStatus.textContent = pushSubscription ? 'Push is on for this device' : '';
+    }
+  }
+
+  alertsBtn.addEventListener('click', () => {
+    alertsPanel.hidden = !alertsPanel.hidden;
+    if (!alertsPanel.hidden) renderAlertsPanel();
+  });
+
+  alertsPanel.addEventListener('change', (e) => {
+    const input = e.target;
+    const list = input.dataset.state ? alertPrefs.states : input.dataset.project ? alertPrefs.projects : null;
+    if (!list) return;
+    const value = input.dataset.state || input.dataset.project;
+    const idx = list.indexOf(value);
+    if (input.checked && idx === -1) list.push(value);
+    if (!input.checked && idx !== -1) list.splice(idx, 1);
+    saveAlertPrefs();
+  });
+
+  pushBtn.addEventListener('click', async () => {
+    pushBtn.disabled = true;
+    if (pushSubscription) {
+      await disablePush();
+    } else {
+      await enablePush();
+    }
+    pushBtn.disabled = false;
+    renderAlertsPanel();
+  });
+
+  async function enablePush() {
+    try {
+      if (await Notification.requestPermission() !== 'granted') {
+        pushStatus.textContent = 'Notifications are blocked for this site';
+        return;
+      }
+      const res = await apiFetch('/push');
+      const { publicKey } = await res.json();
+      const subscription = await swRegistration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: base64UrlToBytes(publicKey),
+      });
+      if (await sendSubscription(subscription)) pushSubscription = subscription;
+    } catch (err) {
+      pushStatus.textContent = 'Could not enable push: ' + err.message;
+    }
+  }
+
+  async function disablePush() {
+    const subscription = pushSubscription;
+    pushSubscription = null;
+    try {
+      await apiFetch('/push/unsubscribe', {
+        method: 'POST',
+        body: JSON.stringify({ endpoint: subscription.endpoint }),
+      });
+    } catch { }
+    try { await subscription.unsubscribe(); } catch { }
+  }
+
+  async function sendSubscription(subscription) {
+    try {
+      const res = await apiFetch('/push/subscribe', {
+        method: 'POST',
+        body: JSON.stringify({ subscription: subscription.toJSON(), prefs: alertPrefs }),
+      });
+      const result = await res.json();
+      if (!result.ok) pushStatus.textContent = result.error || 'Subscribing failed';
+      return result.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  // Fallback while the page is open in the background; push covers the rest
+  function showLocalAlert(alert) {
+    if (pushSubscription || !document.hidden || !alertWanted(alert)) return;
+    if (Date.now() - alert.time > 60000) return; // replayed after a reconnect
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const options = { body: alert.body, tag: alert.tag, data: { url: alert.url, pid: alert.pid } };
+    if (swRegistration) {
+      swRegistration.showNotification(alert.title, options);
+    } else {
+      const notification = new Notification(alert.title, options);
+      notification.onclick = () => {
+        window.focus();
+        if (alert.pid) openDetail(alert.pid);
+        notification.close();
+      };
+    }
+  }
+
+  function base64UrlToBytes(str) {
+    const base64 = (str + '='.repeat((4 - str.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data?.type === 'open-agent' && authenticated) openDetail(e.data.pid);
+    });
+  }
+
+  // --- New agent ---
+  // Launches into a registered project's worktree, like the desktop launcher
+  async function loadLaunchProjects() {
+    launchStatus.textContent = 'Loading projects...';
+    try {
+      const res = await apiFetch('/projects');
+      const projects = res.ok ? await res.json() : [];
+      launchProject.innerHTML = projects.length === 0
+        ? '<option value="">No projects</option>'
+        : projects.map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+      launchStatus.textContent = projects.length === 0 ? 'Add a project on the desktop first' : '';
+      await loadLaunchWorktrees();
+    } catch {
+      launchStatus.textContent = 'Failed to load projects';
     }
   }
 
+  async function loadLaunchWorktrees() {
+    const projectId = launchProject.value;
+    launchWorktree.innerHTML = '';
+    launchSubmit.disabled = true;
+    if (!projectId) return;
+    try {
+      const res = await apiFetch('/projects/' + encodeURIComponent(projectId) + '/worktrees');
+      const worktrees = res.ok ? await res.json() : [];
+      if (projectId !== launchProject.value) return;
+      launchWorktree.innerHTML = worktrees.map(wt =>
+        `<option value="${escapeAttr(wt.id)}"${wt.isMain ? ' selected' : ''}>${escapeHtml(wt.isMain ? 'main' : wt.branch || wt.path)}</option>`
+      ).join('');
+      launchSubmit.disabled = worktrees.length === 0;
+      if (worktrees.length === 0) launchStatus.textContent = 'No worktrees found';
+    } catch {
+      launchStatus.textContent = 'Failed to load worktrees';
+    }
+  }
+
+  async function launchAgent() {
+    launchSubmit.disabled = true;
+    launchStatus.textContent = 'Launching...';
+    try {
+      const res = await apiFetch('/agents', {
+        method: 'POST',
+        body: JSON.stringify({
+          projectId: launchProject.value,
+          worktreeId: launchWorktree.value,
+          agentType: launchType.value,
+          prompt: launchPrompt.value.trim(),
+          autoPrime: launchAutoPrime.checked,
+          skipPermissions: launchSkipPermissions.checked,
+        }),
+      });
+      const result = await res.json();
+      if (!result.ok) {
+        launchStatus.textContent = result.error || 'Launch failed';
+        return;
+      }
+      launchPrompt.value = '';
+      launchStatus.textContent = '';
+      launchPanel.hidden = true;
+      if (result.pid) openDetail(result.pid);
+    } catch {
+      launchStatus.textContent = 'Connection error';
+    } finally {
+      launchSubmit.disabled = false;
+    }
+  }
+
+  launchBtn.addEventListener('click', () => {
+    launchPanel.hidden = !launchPanel.hidden;
+    if (!launchPanel.hidden) {
+      alertsPanel.hidden = true;
+      loadLaunchProjects();
+    }
+  });
+
+  launchProject.addEventListener('change', loadLaunchWorktrees);
+  launchSubmit.addEventListener('click', launchAgent);
+
+  function wsSend(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  function byPid(list) {
+    const doc = {};
+    for (const agent of list) doc[agent.pid] = agent;
+    return doc;
+  }
+
+  // JSON Patch ops from the server: add / remove / replace on agents by PID
+  // and on their top-level fields. Returns a new document; the base is kept.
+  function applyPatch(doc, ops) {
+    const next = Object.assign({}, doc);
+    const copied = new Set();
+    for (const op of ops) {
+      const [pid, field] = op.path.slice(1).split('/').map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+      if (field === undefined) {
+        if (op.op === 'remove') delete next[pid];
+        else next[pid] = op.value;
+        copied.add(pid);
+        continue;
+      }
+      if (!next[pid]) continue;
+      if (!copied.has(pid)) {
+        next[pid] = Object.assign({}, next[pid]);
+        copied.add(pid);
+      }
+      if (op.op === 'remove') delete next[pid][field];
+      else next[pid][field] = op.value;
+    }
+    return next;
+  }
+
   // --- Agent List ---
   async function fetchAgents() {
     try {
@@ -298,28 +797,38 @@
           <span class="label">Duration</span>
           <span class="value m-duration">${formatDuration(agent.startTime)}</span>
         </div>
+        <div class="m-card-meta">
+          <span class="label">Usage</span>
+          <span class="value">${formatUsage(agent.usage)}</span>
+        </div>
+        <div class="m-card-meta">
+          <span class="label">Source</span>
+          <span class="value">${escapeHtml(formatSource(agent))}</span>
+        </div>
       </div>`;
 
-    if (agent.promptInfo) {
+    if (agent.promptInfo && agent.injection?.available !== false && can('prompt')) {
       if (agent.promptInfo.type === 'ask_user') {
         html += '<div class="m-card-prompt">';
         html += '<div class="m-prompt-header">INPUT NEEDED</div>';
         html += escapeHtml(agent.promptInfo.question || 'Waiting for input');
-        if (agent.promptInfo.options?.length > 0) {
+        // Multi-select questions are answered from the detail screen
+        if (agent.promptInfo.options?.length > 0 && !agent.promptInfo.multiSelect) {
           html += '<div class="m-quick-actions">';
           agent.promptInfo.options.forEach((opt, i) => {
-            html += `<button class="m-quick-action-btn" data-pid="${agent.pid}" data-action="${i + 1}" title="${escapeHtml(opt)}">${i + 1}</button>`;
+            html += `<button class="m-quick-action-btn" data-pid="${agent.pid}" data-answer="${i}" title="${escapeAttr(opt)}">${i + 1}</button>`;
           });
           html += '</div>';
         }
         html += '</div>';
-      } else if (agent.promptInfo.type === 'tool_permission') {
+      } else if (agent.promptInfo.type === 'tool_permission' && can('control')) {
         html += '<div class="m-card-prompt">';
         html += '<div class="m-prompt-header">APPROVAL REQUIRED</div>';
         html += 'Approve: ' + escapeHtml((agent.promptInfo.tools || []).join(', '));
         html += '<div class="m-quick-actions">';
-        html += `<button class="m-quick-action-btn m-quick-action-approve" data-pid="${agent.pid}" data-action="1">Yes</button>`;
-        html += `<button class="m-quick-action-btn m-quick-action-deny" data-pid="${agent.pid}" data-action="2">No</button>`;
+        html += `<button class="m-quick-action-btn m-quick-action-approve" data-pid="${agent.pid}" data-decision="approve">Yes</button>`;
+        html += `<button class="m-quick-action-btn" data-pid="${agent.pid}" data-decision="approve_session">Always</button>`;
+        html += `<button class="m-quick-action-btn m-quick-action-deny" data-pid="${agent.pid}" data-decision="deny">No</button>`;
         html += '</div>';
         html += '</div>';
       } else if (agent.promptInfo.type === 'end_of_turn') {
@@ -356,11 +865,17 @@
     btn.disabled = true;
     btn.textContent = '...';
     try {
-      const res = await apiFetch('/agents/' + pid + '/prompt', {
-        method: 'POST',
-        body: JSON.stringify({ text: action }),
-      });
-      const result = await res.json();
+      let result;
+      if (btn.dataset.answer !== undefined) {
+        result = await postAnswer(pid, { option: parseInt(btn.dataset.answer, 10) });
+      } else if (btn.dataset.decision) {
+        result = await postPermission(pid, btn.dataset.decision);
+      } else {
+        result = await (await apiFetch('/agents/' + pid + '/prompt', {
+          method: 'POST',
+          body: JSON.stringify({ text: action }),
+        })).json();
+      }
       btn.textContent = result.ok ? 'OK' : 'Err';
     } catch {
       btn.textContent = 'Err';
@@ -392,18 +907,31 @@
 
   // --- Agent Detail ---
   async function openDetail(pid) {
+    if (pid !== currentPid) {
+      closeTerminal();
+      detailTerminalId = null;
+      detailTab = 'log';
+    }
     currentPid = pid;
     detailLogs = [];
     showScreen('detail');
+    wsSend({ type: 'subscribe', id: 'detail', events: ['agent:log-line'], agents: [pid] });
 
+    stopBtn.hidden = true;
     const agent = agents.find(a => a.pid === pid);
     if (agent) renderDetailHeader(agent);
 
-    // Fetch logs
+    // Fetch the last page of the transcript; older pages load on scroll
+    detailCursor = null;
+    detailHasBefore = false;
+    let logsAvailable = true;
     try {
-      const res = await apiFetch('/agents/' + pid + '/logs');
+      const res = await apiFetch('/agents/' + pid + '/logs?limit=' + LOG_PAGE_SIZE);
       const data = await res.json();
+      logsAvailable = data.available !== false;
       detailLogs = data.logs || [];
+      detailCursor = data.start ?? null;
+      detailHasBefore = Boolean(data.hasBefore);
       renderLogs();
     } catch {
       logViewer.innerHTML = '<p class="no-logs-msg">Failed to load logs</p>';
@@ -414,6 +942,8 @@
       const res = await apiFetch('/agents/' + pid);
       const meta = await res.json();
       renderDetailMeta(meta);
+      // Agents without a session file (shells, Codex) are followed in the terminal
+      setDetailTerminal(meta.terminalId || null, !logsAvailable);
     } catch { }
 
     // Update prompt input state
@@ -441,6 +971,8 @@
     detailPid.textContent = agent.projectGroup || ('PID ' + agent.pid);
     detailStatus.textContent = agent.status;
     detailStatus.className = 'detail-status-badge ' + agent.status;
+    // Only agents launched from ClaudeCount can be stopped from here
+    stopBtn.hidden = !agent.agentId || agent.status === 'terminated' || !can('control');
   }
 
   function updateDetailHeader() {
@@ -464,6 +996,10 @@
         <span class="label">Project</span>
         <span class="value">${escapeHtml(meta.projectGroup || '--')}</span>
       </div>
+      <div class="detail-meta-item">
+        <span class="label">Usage</span>
+        <span class="value">${formatUsage(meta.usage)}</span>
+      </div>
       <div class="detail-meta-item">
         <span class="label">Logs</span>
         <span class="value">${meta.logLineCount || 0}</span>
@@ -475,6 +1011,10 @@
       <div class="detail-meta-item">
         <span class="label">Launcher</span>
         <span class="value">${escapeHtml(meta.launcher || '--')}</span>
+      </div>
+      <div class="detail-meta-item">
+        <span class="label">Source</span>
+        <span class="value">${escapeHtml(formatSource(meta))}</span>
       </div>`;
   }
 
@@ -495,6 +1035,34 @@
     scrollLogsIfNeeded();
   }
 
+  async function loadOlderLogs() {
+    if (loadingOlder || !detailHasBefore || currentPid === null) return;
+    loadingOlder = true;
+    const pid = currentPid;
+    try {
+      const res = await apiFetch('/agents/' + pid + '/logs?before=' + detailCursor + '&limit=' + LOG_PAGE_SIZE);
+      const data = await res.json();
+      if (pid !== currentPid) return;
+      const older = data.logs || [];
+      detailCursor = data.start ?? detailCursor;
+      detailHasBefore = Boolean(data.hasBefore);
+      if (older.length === 0) return;
+
+      // Prepend without moving what the user is looking at
+      const prevHeight = logViewer.scrollHeight;
+      const frag = document.createDocumentFragment();
+      for (const line of older) frag.appendChild(createLogEl(line));
+      logViewer.insertBefore(frag, logViewer.firstChild);
+      logViewer.scrollTop += logViewer.scrollHeight - prevHeight;
+      detailLogs = older.concat(detailLogs);
+      logCountEl.textContent = detailLogs.length + ' messages';
+    } catch {
+      // Keep the cursor; the next scroll retries
+    } finally {
+      loadingOlder = false;
+    }
+  }
+
   function appendLogEntry(line) {
     if (logViewer.querySelector('.no-logs-msg')) logViewer.innerHTML = '';
     logViewer.appendChild(createLogEl(line));
@@ -559,19 +1127,224 @@
     }
   }
 
+  // --- Terminal ---
+  function setDetailTerminal(terminalId, preferTerminal) {
+    if (terminalId !== detailTerminalId) {
+      closeTerminal();
+      detailTerminalId = terminalId;
+    }
+    detailTabs.hidden = !terminalId;
+    selectDetailTab(terminalId && (preferTerminal || detailTab === 'terminal') ? 'terminal' : 'log');
+  }
+
+  function selectDetailTab(tab) {
+    detailTab = tab;
+    for (const btn of detailTabs.querySelectorAll('.detail-tab')) {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
+    }
+    detailLogsEl.hidden = tab !== 'log';
+    detailTerminal.hidden = tab !== 'terminal';
+    // The keyboard bar replaces the prompt box
+    detailInput.hidden = tab === 'terminal';
+    termControls.hidden = !can('control');
+    if (tab === 'terminal') openTerminal();
+    else closeTerminal();
+  }
+
+  // Streams only while the Terminal tab is showing
+  function openTerminal() {
+    if (!detailTerminalId || termOpen || !wsConnected) return;
+    if (!term) term = window.createTerminal(termViewer);
+    termOpen = true;
+    termStatus.textContent = 'Connecting...';
+    wsSend({ type: 'terminal:open', terminalId: detailTerminalId });
+  }
+
+  function closeTerminal() {
+    if (!termOpen) return;
+    termOpen = false;
+    wsSend({ type: 'terminal:close', terminalId: detailTerminalId });
+  }
+
+  function renderTerminalStatus(status, exitCode) {
+    if (status === 'exited') {
+      termStatus.textContent = 'Exited' + (exitCode !== null && exitCode !== undefined ? ' (code ' + exitCode + ')' : '');
+    } else {
+      termStatus.textContent = 'Live \u00b7 ' + term.cols + '\u00d7' + term.rows;
+    }
+  }
+
+  function sendTerminalInput(data) {
+    if (!termOpen || !data) return;
+    wsSend({ type: 'terminal:input', terminalId: detailTerminalId, data });
+  }
+
+  detailTabs.addEventListener('click', (e) => {
+    const btn = e.target.closest('.detail-tab');
+    if (btn) selectDetailTab(btn.dataset.tab);
+  });
+
+  termControls.querySelector('.term-keys').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-key]');
+    if (btn) sendTerminalInput(TERM_KEYS[btn.dataset.key]);
+  });
+
+  // Typed text goes as one chunk on Enter; Backspace on an empty field is sent as is
+  termInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      sendTerminalInput(termInput.value + '\r');
+      termInput.value = '';
+    } else if (e.key === 'Backspace' && termInput.value === '') {
+      e.preventDefault();
+      sendTerminalInput('\x7f');
+    }
+  });
+
   // --- Prompt Input ---
   function updatePromptState() {
     const agent = agents.find(a => a.pid === currentPid);
     const terminated = !agent || agent.status === 'terminated';
-    promptInput.disabled = terminated;
-    sendBtn.disabled = terminated;
+    // injection is null until the desktop has probed the agent
+    const unreachable = !terminated && agent.injection && !agent.injection.available;
+    const readOnly = !can('prompt');
+    promptInput.disabled = terminated || unreachable || readOnly;
+    sendBtn.disabled = terminated || unreachable || readOnly;
     if (terminated) {
       promptInput.placeholder = 'Agent terminated';
+    } else if (readOnly) {
+      promptInput.placeholder = 'Read-only access';
+    } else if (unreachable) {
+      promptInput.placeholder = 'Cannot send input: ' + (agent.injection.reason || 'unsupported terminal');
     } else {
       promptInput.placeholder = 'Send prompt to agent...';
     }
+    renderDetailAnswer(terminated || unreachable || readOnly ? null : agent);
   }
 
+  // --- Question answers and permission decisions ---
+  function renderDetailAnswer(agent) {
+    const info = agent?.promptInfo;
+    if (info?.type === 'tool_permission' && can('control')) {
+      renderDetailPermission(info);
+      return;
+    }
+    if (info?.type !== 'ask_user' || !(info.options?.length > 0)) {
+      detailAnswer.hidden = true;
+      detailAnswer.innerHTML = '';
+      detailAnswer.dataset.html = '';
+      answerQuestion = null;
+      return;
+    }
+    if (answerQuestion !== info.question) {
+      answerQuestion = info.question;
+      answerSelection = new Set();
+    }
+
+    let html = `<div class="m-prompt-header">${info.multiSelect ? 'CHOOSE ANY' : 'CHOOSE ONE'}</div>`;
+    html += `<div class="detail-answer-question">${escapeHtml(info.question)}</div>`;
+    html += '<div class="detail-answer-options">';
+    info.options.forEach((opt, i) => {
+      const selected = answerSelection.has(i) ? ' selected' : '';
+      html += `<button class="detail-answer-option${selected}" data-index="${i}">${i + 1}. ${escapeHtml(opt)}</button>`;
+    });
+    html += '</div>';
+    if (info.multiSelect) {
+      html += `<button class="detail-answer-submit" ${answerSelection.size === 0 ? 'disabled' : ''}>Submit</button>`;
+    }
+    detailAnswer.innerHTML = html;
+    detailAnswer.dataset.html = '';
+    detailAnswer.hidden = false;
+    detailAnswer.dataset.multi = info.multiSelect ? '1' : '';
+  }
+
+  function renderDetailPermission(info) {
+    answerQuestion = null;
+    let html = '<div class="m-prompt-header">APPROVAL REQUIRED</div>';
+    for (const request of info.requests || []) {
+      const target = request.command || request.filePath || '';
+      html += '<div class="detail-permission-request">';
+      html += `<div class="detail-answer-question">${escapeHtml(request.name)}${target ? ': <code>' + escapeHtml(target) + '</code>' : ''}</div>`;
+      if (request.diff) html += `<pre class="detail-permission-diff">${escapeHtml(request.diff)}</pre>`;
+      html += '</div>';
+    }
+    html += '<div class="m-quick-actions">';
+    html += '<button class="m-quick-action-btn m-quick-action-approve" data-decision="approve">Approve</button>';
+    html += '<button class="m-quick-action-btn" data-decision="approve_session">Always</button>';
+    html += '<button class="m-quick-action-btn m-quick-action-deny" data-decision="deny">Deny</button>';
+    html += '</div>';
+    // Re-rendering on every poll would collapse a scrolled diff
+    if (detailAnswer.dataset.html === html && !detailAnswer.hidden) return;
+    detailAnswer.innerHTML = html;
+    detailAnswer.dataset.html = html;
+    detailAnswer.dataset.multi = '';
+    detailAnswer.hidden = false;
+  }
+
+  detailAnswer.addEventListener('click', async (e) => {
+    if (currentPid === null) return;
+    const option = e.target.closest('.detail-answer-option');
+    const submit = e.target.closest('.detail-answer-submit');
+    const decision = e.target.closest('[data-decision]');
+    let answer = null;
+
+    if (decision) {
+      detailAnswer.querySelectorAll('button').forEach(b => { b.disabled = true; });
+      setSendStatus('sending', 'Sending...');
+      try {
+        const result = await postPermission(currentPid, decision.dataset.decision);
+        setSendStatus(result.ok ? 'sent' : 'error', result.ok ? 'Sent' : (result.error || 'Send failed'));
+      } catch {
+        setSendStatus('error', 'Connection error');
+      }
+      detailAnswer.querySelectorAll('button').forEach(b => { b.disabled = false; });
+      setTimeout(() => setSendStatus('', ''), 3000);
+      return;
+    }
+
+    if (option && detailAnswer.dataset.multi) {
+      const index = parseInt(option.dataset.index, 10);
+      if (answerSelection.has(index)) answerSelection.delete(index);
+      else answerSelection.add(index);
+      updatePromptState();
+      return;
+    }
+    if (option) answer = { option: parseInt(option.dataset.index, 10) };
+    else if (submit) answer = { options: Array.from(answerSelection) };
+    if (!answer) return;
+
+    detailAnswer.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    setSendStatus('sending', 'Answering...');
+    try {
+      const result = await postAnswer(currentPid, answer);
+      setSendStatus(result.ok ? 'sent' : 'error', result.ok ? 'Answered' : (result.error || 'Answer failed'));
+    } catch {
+      setSendStatus('error', 'Connection error');
+    }
+    detailAnswer.querySelectorAll('button').forEach(b => { b.disabled = false; });
+    setTimeout(() => setSendStatus('', ''), 3000);
+  });
+
+  async function postPermission(pid, decision) {
+    const res = await apiFetch('/agents/' + pid + '/permission', {
+      method: 'POST',
+      body: JSON.stringify({ decision }),
+    });
+    return res.json();
+  }
+
+  async function postAnswer(pid, answer) {
+    const res = await apiFetch('/agents/' + pid + '/answer', {
+      method: 'POST',
+      body: JSON.stringify(answer),
+    });
+    return res.json();
+  }
+
+  logViewer.addEventListener('scroll', () => {
+    if (logViewer.scrollTop < 80) loadOlderLogs();
+  });
+
   sendBtn.addEventListener('click', sendPrompt);
 
   promptInput.addEventListener('keydown', (e) => {
@@ -614,17 +1387,42 @@
     sendStatus.textContent = text;
   }
 
+  stopBtn.addEventListener('click', async () => {
+    const agent = agents.find(a => a.pid === currentPid);
+    if (!agent?.agentId || !confirm('Stop this agent?')) return;
+    stopBtn.disabled = true;
+    try {
+      const res = await apiFetch('/agents/' + encodeURIComponent(agent.agentId), { method: 'DELETE' });
+      const result = await res.json();
+      setSendStatus(result.ok ? 'sent' : 'error', result.ok ? 'Agent stopped' : (result.error || 'Stop failed'));
+    } catch {
+      setSendStatus('error', 'Connection error');
+    }
+    stopBtn.disabled = false;
+    setTimeout(() => setSendStatus('', ''), 3000);
+  });
+
   // --- Back button ---
   backBtn.addEventListener('click', () => {
     showScreen('list');
   });
 
   // --- Init ---
-  checkUrlToken();
+  // Notification links open an agent: #agent=<pid>
+  function takeAgentLink() {
+    const match = window.location.hash.match(/^#agent=(\d+)$/);
+    if (!match) return null;
+    window.history.replaceState({}, '', window.location.pathname);
+    return parseInt(match[1], 10);
+  }
 
-  if (token) {
-    authenticate(token);
+  const nonce = takePairingLink();
+  const linkedPid = takeAgentLink();
+  if (nonce) {
+    pair({ nonce });
   } else {
-    showScreen('auth');
+    checkSession().then((ok) => {
+      if (ok && linkedPid !== null) openDetail(linkedPid);
+    });
   }
 })();
@@ -0,0 +1,37 @@
+/* ClaudeCount Mobile — service worker: Web Push alerts for agents that need attention */
+'use strict';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', (event) => {
+  let alert;
+  try {
+    alert = event.data.json();
+  } catch {
+    return;
+  }
+  event.waitUntil(self.registration.showNotification(alert.title, {
+    body: alert.body,
+    tag: alert.tag,      // one notification per agent; a newer state replaces it
+    renotify: true,
+    timestamp: alert.time,
+    data: { url: alert.url || '/', pid: alert.pid },
+  }));
+});
+
+// Focus an open client and show the agent, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { url, pid } = event.notification.data || {};
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows[0];
+    if (client) {
+      await client.focus();
+      if (pid) client.postMessage({ type: 'open-agent', pid });
+      return;
+    }
+    await self.clients.openWindow(url || '/');
+  })());
+});
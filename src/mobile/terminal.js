@@ -0,0 +1,448 @@
+/* ClaudeCount Mobile — lightweight terminal emulator for streamed PTY output */
+(function () {
+  'use strict';
+
+  // A cell grid with scrollback, SGR colors and the cursor, erase and scroll
+  // sequences full-screen CLIs rely on. No input handling: keys are sent to
+  // the PTY by the page. Wide characters take one cell.
+
+  const DEFAULT_SCROLLBACK = 1000;
+  const DEFAULT_FG = '#cccccc';
+  const DEFAULT_BG = '#1e1e1e';
+  const BASE_COLORS = [
+    '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+    '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff',
+  ];
+  const DEFAULT_STYLE = Object.freeze({
+    fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, inverse: false,
+  });
+
+  function color256(n) {
+    if (n < 16) return BASE_COLORS[n];
+    if (n < 232) {
+      const level = (v) => (v === 0 ? 0 : 55 + v * 40);
+      n -= 16;
+      return `rgb(${level(Math.floor(n / 36))},${level(Math.floor(n / 6) % 6)},${level(n % 6)})`;
+    }
+    const gray = 8 + (n - 232) * 10;
+    return `rgb(${gray},${gray},${gray})`;
+  }
+
+  // SGR parameters -> new style (styles are shared and never mutated)
+  function applySgr(style, params) {
+    const next = { ...style };
+    if (params.length === 0) params = [0];
+    for (let i = 0; i < params.length; i++) {
+      const p = params[i] || 0;
+      if (p === 0) Object.assign(next, DEFAULT_STYLE);
+      else if (p === 1) next.bold = true;
+      else if (p === 2) next.dim = true;
+      else if (p === 3) next.italic = true;
+      else if (p === 4) next.underline = true;
+      else if (p === 7) next.inverse = true;
+      else if (p === 22) { next.bold = false; next.dim = false; }
+      else if (p === 23) next.italic = false;
+      else if (p === 24) next.underline = false;
+      else if (p === 27) next.inverse = false;
+      else if (p >= 30 && p <= 37) next.fg = BASE_COLORS[p - 30];
+      else if (p === 39) next.fg = null;
+      else if (p >= 40 && p <= 47) next.bg = BASE_COLORS[p - 40];
+      else if (p === 49) next.bg = null;
+      else if (p >= 90 && p <= 97) next.fg = BASE_COLORS[p - 90 + 8];
+      else if (p >= 100 && p <= 107) next.bg = BASE_COLORS[p - 100 + 8];
+      else if (p === 38 || p === 48) {
+        // 38;5;n (256 colors) or 38;2;r;g;b (truecolor)
+        let color = null;
+        if (params[i + 1] === 5) {
+          color = color256((params[i + 2] || 0) & 255);
+          i += 2;
+        } else if (params[i + 1] === 2) {
+          color = `rgb(${params[i + 2] || 0},${params[i + 3] || 0},${params[i + 4] || 0})`;
+          i += 4;
+        }
+        if (p === 38) next.fg = color;
+        else next.bg = color;
+      }
+    }
+    return Object.freeze(next);
+  }
+
+  const styleCss = new WeakMap();
+  function cssFor(style) {
+    let css = styleCss.get(style);
+    if (css !== undefined) return css;
+    const fg = style.inverse ? (style.bg || DEFAULT_BG) : style.fg;
+    const bg = style.inverse ? (style.fg || DEFAULT_FG) : style.bg;
+    css = '';
+    if (fg) css += `color:${fg};`;
+    if (bg) css += `background:${bg};`;
+    if (style.bold) css += 'font-weight:bold;';
+    if (style.dim) css += 'opacity:0.6;';
+    if (style.italic) css += 'font-style:italic;';
+    if (style.underline) css += 'text-decoration:underline;';
+    styleCss.set(style, css);
+    return css;
+  }
+
+  function escapeText(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function newLine() {
+    return { cells: [], dirty: true, el: null };
+  }
+
+  /**
+   * @param {HTMLElement} container - Scrolling element the lines render into
+   * @param {{ scrollback?: number }} [opts]
+   */
+  function createTerminal(container, opts = {}) {
+    const scrollback = opts.scrollback || DEFAULT_SCROLLBACK;
+    let cols = 80;
+    let rows = 24;
+    let main = null;       // { lines } — scrollback followed by the screen
+    let alt = null;        // alternate screen (no scrollback), while active
+    let x = 0;
+    let y = 0;
+    let wrapPending = false;
+    let style = DEFAULT_STYLE;
+    let saved = null;
+    let top = 0;           // scroll region (DECSTBM), screen rows
+    let bottom = 0;
+    let autowrap = true;
+    let cursorVisible = true;
+    let state = 'text';    // parser: text | esc | csi | str | charset
+    let seq = '';
+    let renderQueued = false;
+    let lastCursor = null; // { line, x } drawn last frame
+
+    function buffer() { return alt || main; }
+    function base() { return buffer().lines.length - rows; }
+    function line(r) { return buffer().lines[base() + r]; }
+    function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+    // Erased cells keep the current background color
+    function blank() {
+      return style.bg ? { ch: ' ', style: Object.freeze({ ...DEFAULT_STYLE, bg: style.bg }) } : undefined;
+    }
+
+    function reset(newCols, newRows) {
+      cols = Math.max(1, newCols || cols);
+      rows = Math.max(1, newRows || rows);
+      main = { lines: Array.from({ length: rows }, newLine) };
+      alt = null;
+      x = 0;
+      y = 0;
+      wrapPending = false;
+      style = DEFAULT_STYLE;
+      saved = null;
+      top = 0;
+      bottom = rows - 1;
+      autowrap = true;
+      cursorVisible = true;
+      state = 'text';
+      seq = '';
+      container.style.setProperty('--term-cols', String(cols));
+      scheduleRender();
+    }
+
+    function eraseCells(l, from, to) {
+      const fill = blank();
+      if (!fill && to >= l.cells.length) {
+        if (l.cells.length > from) l.cells.length = from;
+      } else {
+        for (let i = from; i < to; i++) l.cells[i] = fill;
+      }
+      l.dirty = true;
+    }
+
+    // Scroll the region up by n: the top line leaves (into scrollback when the
+    // region is the whole main screen), a blank line enters at the bottom
+    function scrollUp(n) {
+      const lines = buffer().lines;
+      for (let i = 0; i < n; i++) {
+        if (!alt && top === 0 && bottom === rows - 1) {
+          lines.push(newLine());
+          if (lines.length > rows + scrollback) lines.shift();
+        } else {
+          const b = base();
+          lines.splice(b + top, 1);
+          lines.splice(b + bottom, 0, newLine());
+        }
+      }
+    }
+
+    function scrollDown(n) {
+      const lines = buffer().lines;
+      const b = base();
+      for (let i = 0; i < n; i++) {
+        lines.splice(b + bottom, 1);
+        lines.splice(b + top, 0, newLine());
+      }
+    }
+
+    function lineFeed() {
+      wrapPending = false;
+      if (y === bottom) scrollUp(1);
+      else if (y < rows - 1) y++;
+    }
+
+    function reverseIndex() {
+      wrapPending = false;
+      if (y === top) scrollDown(1);
+      else if (y > 0) y--;
+    }
+
+    function putChar(ch) {
+      if (wrapPending) {
+        x = 0;
+        lineFeed();
+      }
+      const l = line(y);
+      l.cells[x] = { ch, style };
+      l.dirty = true;
+      if (x === cols - 1) wrapPending = autowrap;
+      else x++;
+    }
+
+    function setAltScreen(on, saveCursor) {
+      if (on === Boolean(alt)) return;
+      if (on) {
+        if (saveCursor) saved = { x, y, style };
+        alt = { lines: Array.from({ length: rows }, newLine) };
+      } else {
+        alt = null;
+        if (saveCursor && saved) ({ x, y, style } = saved);
+      }
+      top = 0;
+      bottom = rows - 1;
+      wrapPending = false;
+    }
+
+    function csi(body, final) {
+      const prefix = /^[?>=<]/.test(body) ? body[0] : '';
+      const params = (prefix ? body.slice(1) : body).split(/[;:]/).map((p) => (p === '' ? 0 : parseInt(p, 10) || 0));
+      const n = Math.max(1, params[0] || 0);
+      if (final !== 'm') wrapPending = false;
+
+      if (prefix === '?') {
+        if (final !== 'h' && final !== 'l') return;
+        const on = final === 'h';
+        for (const mode of params) {
+          if (mode === 25) cursorVisible = on;
+          else if (mode === 7) autowrap = on;
+          else if (mode === 1049) setAltScreen(on, true);
+          else if (mode === 47 || mode === 1047) setAltScreen(on, false);
+        }
+        return;
+      }
+      if (prefix) return;
+
+      switch (final) {
+        case 'A': y = clamp(y - n, 0, rows - 1); break;
+        case 'B': case 'e': y = clamp(y + n, 0, rows - 1); break;
+        case 'C': case 'a': x = clamp(x + n, 0, cols - 1); break;
+        case 'D': x = clamp(x - n, 0, cols - 1); break;
+        case 'E': y = clamp(y + n, 0, rows - 1); x = 0; break;
+        case 'F': y = clamp(y - n, 0, rows - 1); x = 0; break;
+        case 'G': case '`': x = clamp(n - 1, 0, cols - 1); break;
+        case 'd': y = clamp(n - 1, 0, rows - 1); break;
+        case 'H': case 'f':
+          y = clamp((params[0] || 1) - 1, 0, rows - 1);
+          x = clamp((params[1] || 1) - 1, 0, cols - 1);
+          break;
+        case 'J': {
+          const mode = params[0] || 0;
+          if (mode === 0) {
+            eraseCells(line(y), x, cols);
+            for (let r = y + 1; r < rows; r++) eraseCells(line(r), 0, cols);
+          } else if (mode === 1) {
+            eraseCells(line(y), 0, x + 1);
+            for (let r = 0; r < y; r++) eraseCells(line(r), 0, cols);
+          } else if (mode === 2) {
+            for (let r = 0; r < rows; r++) eraseCells(line(r), 0, cols);
+          } else if (mode === 3 && !alt) {
+            main.lines.splice(0, main.lines.length - rows);
+          }
+          break;
+        }
+        case 'K': {
+          const mode = params[0] || 0;
+          if (mode === 0) eraseCells(line(y), x, cols);
+          else if (mode === 1) eraseCells(line(y), 0, x + 1);
+          else if (mode === 2) eraseCells(line(y), 0, cols);
+          break;
+        }
+        case '@': {
+          const l = line(y);
+          l.cells.splice(x, 0, ...new Array(Math.min(n, cols - x)).fill(blank()));
+          if (l.cells.length > cols) l.cells.length = cols;
+          l.dirty = true;
+          break;
+        }
+        case 'P': {
+          const l = line(y);
+          l.cells.splice(x, n);
+          l.dirty = true;
+          break;
+        }
+        case 'X': eraseCells(line(y), x, Math.min(cols, x + n)); break;
+        case 'L':
+        case 'M': {
+          if (y < top || y > bottom) break;
+          const lines = buffer().lines;
+          const b = base();
+          for (let i = 0; i < Math.min(n, bottom - y + 1); i++) {
+            if (final === 'L') {
+              lines.splice(b + bottom, 1);
+              lines.splice(b + y, 0, newLine());
+            } else {
+              lines.splice(b + y, 1);
+              lines.splice(b + bottom, 0, newLine());
+            }
+          }
+          x = 0;
+          break;
+        }
+        case 'S': scrollUp(n); break;
+        case 'T': scrollDown(n); break;
+        case 'r': {
+          const t = (params[0] || 1) - 1;
+          const b = (params[1] || rows) - 1;
+          if (t < b && b < rows) {
+            top = t;
+            bottom = b;
+            x = 0;
+            y = 0;
+          }
+          break;
+        }
+        case 's': saved = { x, y, style }; break;
+        case 'u': if (saved) ({ x, y, style } = saved); break;
+        case 'm': style = applySgr(style, params); break;
+        // Device queries (DSR, DA) cannot be answered from here; the desktop terminal does
+      }
+    }
+
+    function write(data) {
+      if (!main) reset();
+      for (const ch of data) {
+        const code = ch.codePointAt(0);
+        switch (state) {
+          case 'text':
+            if (code >= 0x20 && code !== 0x7f) putChar(ch);
+            else if (code === 0x1b) { state = 'esc'; seq = ''; }
+            else if (code === 0x0a || code === 0x0b || code === 0x0c) lineFeed();
+            else if (code === 0x0d) { x = 0; wrapPending = false; }
+            else if (code === 0x08) { x = Math.max(0, x - 1); wrapPending = false; }
+            else if (code === 0x09) x = Math.min(cols - 1, (Math.floor(x / 8) + 1) * 8);
+            break;
+          case 'esc':
+            state = 'text';
+            if (ch === '[') { state = 'csi'; seq = ''; }
+            else if (ch === ']' || ch === 'P' || ch === '_' || ch === '^' || ch === 'X') state = 'str';
+            else if (ch === '(' || ch === ')' || ch === '*' || ch === '+' || ch === '#' || ch === '%') state = 'charset';
+            else if (ch === '7') saved = { x, y, style };
+            else if (ch === '8') { if (saved) ({ x, y, style } = saved); }
+            else if (ch === 'D') lineFeed();
+            else if (ch === 'E') { x = 0; lineFeed(); }
+            else if (ch === 'M') reverseIndex();
+            else if (ch === 'c') reset();
+            break;
+          case 'csi':
+            if (code >= 0x40 && code <= 0x7e) {
+              state = 'text';
+              csi(seq, ch);
+            } else if (seq.length < 64) {
+              seq += ch;
+            }
+            break;
+          case 'str':
+            // OSC / DCS / APC payloads (titles, hyperlinks) end at BEL or ST
+            if (code === 0x07) state = 'text';
+            else if (code === 0x1b) state = 'esc';
+            break;
+          case 'charset':
+            state = 'text';
+            break;
+        }
+      }
+      scheduleRender();
+    }
+
+    function scheduleRender() {
+      if (renderQueued) return;
+      renderQueued = true;
+      requestAnimationFrame(render);
+    }
+
+    function renderLine(l, cursorX) {
+      let html = '';
+      let run = '';
+      let runStyle = DEFAULT_STYLE;
+      const flush = () => {
+        if (!run) return;
+        const css = cssFor(runStyle);
+        html += css ? `<span style="${css}">${escapeText(run)}</span>` : escapeText(run);
+        run = '';
+      };
+      const length = Math.max(l.cells.length, cursorX + 1);
+      for (let i = 0; i < length; i++) {
+        const cell = l.cells[i];
+        const ch = cell ? cell.ch : ' ';
+        const cellStyle = cell ? cell.style : DEFAULT_STYLE;
+        if (i === cursorX) {
+          flush();
+          html += `<span class="term-cursor">${escapeText(ch)}</span>`;
+          continue;
+        }
+        if (cellStyle !== runStyle) {
+          flush();
+          runStyle = cellStyle;
+        }
+        run += ch;
+      }
+      flush();
+      return html || ' ';
+    }
+
+    function render() {
+      renderQueued = false;
+      if (!main) return;
+      const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 8;
+
+      const cursorLine = cursorVisible ? line(y) : null;
+      if (lastCursor && (lastCursor.line !== cursorLine || lastCursor.x !== x)) lastCursor.line.dirty = true;
+      if (cursorLine) cursorLine.dirty = true;
+      lastCursor = cursorLine ? { line: cursorLine, x } : null;
+
+      // Put line elements in buffer order; elements of dropped lines end up last
+      const lines = buffer().lines;
+      const children = container.children;
+      for (let i = 0; i < lines.length; i++) {
+        const l = lines[i];
+        if (!l.el) {
+          l.el = document.createElement('div');
+          l.el.className = 'term-line';
+        }
+        if (l.dirty) {
+          l.el.innerHTML = renderLine(l, l === cursorLine ? x : -1);
+          l.dirty = false;
+        }
+        if (children[i] !== l.el) container.insertBefore(l.el, children[i] || null);
+      }
+      while (children.length > lines.length) container.removeChild(container.lastChild);
+
+      if (atBottom) container.scrollTop = container.scrollHeight;
+    }
+
+    return {
+      reset,
+      write,
+      get cols() { return cols; },
+      get rows() { return rows; },
+    };
+  }
+
+  window.createTerminal = createTerminal;
+})();
@@ -91,6 +91,20 @@ function showAgentLauncherModal(preselectedWorktreeId, preselectedPath, projectN
         Skip permissions (--dangerously-skip-permissions)
       </label>
     </div>
+    <details class="form-group launcher-budget">
+      <summary>Budget (optional)</summary>
+      <div class="launcher-budget-fields">
+        <label>Max cost ($)<input type="number" id="al-budget-cost" class="form-input" min="0" step="0.5" /></label>
+        <label>Max tokens<input type="number" id="al-budget-tokens" class="form-input" min="0" step="10000" /></label>
+        <label>Max minutes<input type="number" id="al-budget-minutes" class="form-input" min="0" step="5" /></label>
+        <label>When exceeded
+          <select id="al-budget-action" class="form-input">
+            <option value="interrupt">Interrupt</option>
+            <option value="terminate">Terminate</option>
+          </select>
+        </label>
+      </div>
+    </details>
     <div class="form-actions">
       <button id="al-launch" class="btn btn-primary">Launch Agent</button>
     </div>
@@ -123,6 +137,12 @@ function showAgentLauncherModal(preselectedWorktreeId, preselectedPath, projectN
     const prompt = form.querySelector('#al-prompt').value.trim();
     const autoPrime = form.querySelector('#al-autoprime').checked;
     const skipPermissions = form.querySelector('#al-skip-permissions').checked;
+    const budget = {
+      maxCost: form.querySelector('#al-budget-cost').value,
+      maxTokens: form.querySelector('#al-budget-tokens').value,
+      maxRuntimeMinutes: form.querySelector('#al-budget-minutes').value,
+      action: form.querySelector('#al-budget-action').value,
+    };
 
     if (!worktreeId || !worktreePath) {
       showToast('Select a worktree', 'error');
@@ -137,6 +157,7 @@ function showAgentLauncherModal(preselectedWorktreeId, preselectedPath, projectN
       prompt,
       autoPrime,
       skipPermissions,
+      budget,
     });
 
     if (result.ok) {
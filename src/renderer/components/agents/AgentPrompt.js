@@ -0,0 +1,157 @@
+import * as actions from '../../state/actions';
+import { showToast } from '../common/Toast';
+
+// agentId -> { question, selected: Set } for multi-select questions being answered
+const _selections = new Map();
+
+// Agent types whose permission prompts have known keystrokes
+const PERMISSION_AGENT_TYPES = ['claude', 'codex'];
+const PERMISSION_ACTIONS = [
+  { decision: 'approve', label: 'Approve', className: 'btn-primary' },
+  { decision: 'approve_session', label: 'Always this session', className: '' },
+  { decision: 'deny', label: 'Deny', className: 'btn-danger' },
+];
+
+/**
+ * Inline controls for whatever the agent is waiting on, or '' if nothing
+ * can be answered from here: option buttons for an AskUserQuestion, or
+ * approve/deny for a tool permission prompt.
+ */
+export function renderAgentPrompt(agent) {
+  if (agent.status === 'waiting_permission') {
+    _selections.delete(agent.id);
+    return PERMISSION_AGENT_TYPES.includes(agent.type) ? renderPermission(agent) : '';
+  }
+  const info = agent.promptInfo;
+  if (info?.type !== 'ask_user' || !(info.options?.length > 0)) {
+    _selections.delete(agent.id);
+    return '';
+  }
+
+  let selection = _selections.get(agent.id);
+  if (info.multiSelect && selection?.question !== info.question) {
+    selection = { question: info.question, selected: new Set() };
+    _selections.set(agent.id, selection);
+  }
+
+  return `
+    <div class="agent-prompt" data-agent="${agent.id}">
+      <span class="agent-prompt-text" title="${escHtml(info.question)}">${escHtml(info.question)}</span>
+      <span class="agent-prompt-options">
+        ${info.options.map((label, i) => `
+          <button class="btn btn-sm agent-prompt-option ${selection?.selected.has(i) ? 'selected' : ''}"
+                  data-index="${i}" title="${escHtml(label)}">${i + 1}. ${escHtml(label)}</button>
+        `).join('')}
+        ${info.multiSelect
+          ? `<button class="btn btn-sm btn-primary agent-prompt-submit" ${selection.selected.size === 0 ? 'disabled' : ''}>Submit</button>`
+          : ''}
+      </span>
+    </div>
+  `;
+}
+
+/**
+ * Approve/deny buttons plus what the tool call wants to do. Agents detected
+ * by output patterns only (no session file) have no request details.
+ */
+function renderPermission(agent) {
+  const requests = agent.promptInfo?.requests || [];
+  return `
+    <div class="agent-prompt agent-permission" data-agent="${agent.id}">
+      <span class="agent-prompt-text">${escHtml(requests.length > 0
+        ? `Allow ${requests.map(r => r.name).join(', ')}?`
+        : agent.attentionReason || 'Permission requested')}</span>
+      <span class="agent-prompt-options">
+        ${PERMISSION_ACTIONS.map(a => `
+          <button class="btn btn-sm ${a.className} agent-permission-btn" data-decision="${a.decision}">${a.label}</button>
+        `).join('')}
+      </span>
+      ${requests.map(renderRequest).join('')}
+    </div>
+  `;
+}
+
+function renderRequest(request) {
+  const target = request.command || request.filePath || '';
+  return `
+    <div class="agent-permission-request">
+      <span class="agent-permission-tool">${escHtml(request.name)}</span>
+      ${target ? `<code class="agent-permission-target" title="${escHtml(target)}">${escHtml(target)}</code>` : ''}
+      ${request.description ? `<span class="hint">${escHtml(request.description)}</span>` : ''}
+      ${request.diff ? `
+        <details class="agent-permission-diff">
+          <summary>Changes</summary>
+          <pre>${request.diff.split('\n').map(line => `<span class="${diffClass(line)}">${escHtml(line)}</span>`).join('\n')}</pre>
+        </details>
+      ` : ''}
+    </div>
+  `;
+}
+
+function diffClass(line) {
+  if (line.startsWith('+ ')) return 'diff-add';
+  if (line.startsWith('- ')) return 'diff-del';
+  return '';
+}
+
+/**
+ * Wire the buttons rendered by renderAgentPrompt under root.
+ * @param {HTMLElement} root
+ * @param {Function} rerender - Called after a multi-select toggle
+ */
+export function bindAgentPrompt(root, rerender) {
+  root.querySelectorAll('.agent-permission-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const el = btn.closest('.agent-prompt');
+      el.querySelectorAll('button').forEach(b => { b.disabled = true; });
+      const result = await actions.decideAgentPermission(el.dataset.agent, btn.dataset.decision);
+      if (!result.ok) {
+        showToast(result.error || 'Failed to send decision', 'error');
+        el.querySelectorAll('button').forEach(b => { b.disabled = false; });
+      }
+    });
+  });
+
+  root.querySelectorAll('.agent-prompt').forEach(el => {
+    const agentId = el.dataset.agent;
+
+    el.addEventListener('click', (e) => e.stopPropagation());
+    if (el.classList.contains('agent-permission')) return;
+
+    el.querySelectorAll('.agent-prompt-option').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = parseInt(btn.dataset.index);
+        const selection = _selections.get(agentId);
+        if (!selection) {
+          answer(el, agentId, { option: index });
+          return;
+        }
+        if (selection.selected.has(index)) selection.selected.delete(index);
+        else selection.selected.add(index);
+        rerender();
+      });
+    });
+
+    el.querySelector('.agent-prompt-submit')?.addEventListener('click', () => {
+      const selection = _selections.get(agentId);
+      if (selection) answer(el, agentId, { options: Array.from(selection.selected) });
+    });
+  });
+}
+
+async function answer(el, agentId, choice) {
+  el.querySelectorAll('button').forEach(b => { b.disabled = true; });
+  const result = await actions.answerAgent(agentId, choice);
+  if (result.ok) {
+    _selections.delete(agentId);
+  } else {
+    showToast(result.error || 'Failed to answer question', 'error');
+    el.querySelectorAll('button').forEach(b => { b.disabled = false; });
+  }
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
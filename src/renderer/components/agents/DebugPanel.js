@@ -1,9 +1,10 @@
 import { showModal } from '../common/Modal';
+import { showToast } from '../common/Toast';
 
 const api = window.api;
 
 /**
- * Debug log panel — shows recent log entries and environment info.
+ * Debug log panel — shows recent log entries, the input audit log and environment info.
  */
 export function initDebugPanel() {
   const btn = document.getElementById('btn-debug');
@@ -13,9 +14,10 @@ export function initDebugPanel() {
 }
 
 async function showDebugModal() {
-  const [logs, env] = await Promise.all([
+  const [logs, env, inputs] = await Promise.all([
     api.getDebugLog(),
     api.getEnv(),
+    api.listInputAudit(),
   ]);
 
   const content = document.createElement('div');
@@ -44,11 +46,44 @@ async function showDebugModal() {
         `).join('')}
       </div>
     </div>
+    <div class="debug-audit">
+      <div class="debug-audit-header">
+        <h4>Input Audit (${inputs.length})</h4>
+        <button class="btn btn-sm" data-action="export-input-audit">Export</button>
+      </div>
+      <div class="debug-log-list">
+        ${inputs.map(entry => `
+          <div class="debug-log-entry${entry.ok ? '' : ' log-error'}">
+            <span class="log-time">${new Date(entry.timestamp).toLocaleString()}</span>
+            <span class="audit-source">${escHtml(entry.reason ? `${entry.source}/${entry.reason}` : entry.source)}</span>
+            <span class="audit-target">${escHtml(entry.agentId || (entry.pid ? `PID ${entry.pid}` : ''))}</span>
+            <span class="log-msg">${escHtml(visibleText(entry.text))}</span>
+            ${entry.clientId ? `<span class="log-data">${escHtml(entry.clientId)}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    </div>
   `;
 
+  content.querySelector('[data-action="export-input-audit"]').addEventListener('click', async () => {
+    const result = await api.exportInputAudit();
+    if (result.ok) showToast(`Exported to ${result.filePath}`, 'success');
+    else if (!result.canceled) showToast(result.error || 'Export failed', 'error');
+  });
+
   showModal({ title: 'Debug Log', content, width: '700px' });
 }
 
+/**
+ * Control characters shown as ⏎, ^C, ⎋ etc. so keystroke input stays readable.
+ */
+function visibleText(text) {
+  return String(text || '')
+    .replace(/\r\n?|\n/g, '⏎')
+    .replace(/\x1b/g, '⎋')
+    .replace(/[\x00-\x1f]/g, ch => '^' + String.fromCharCode(ch.charCodeAt(0) + 64));
+}
+
 function escHtml(str) {
   const div = document.createElement('div');
   div.textContent = str || '';
@@ -1,12 +1,20 @@
 import store from '../../state/store';
 import * as actions from '../../state/actions';
+import { showToast } from './Toast';
 
 /**
- * Command palette — Ctrl+P to open.
+ * Command palette — Ctrl+P to open. A query starting with '?' searches
+ * session transcripts instead of commands.
  */
+const SEARCH_PREFIX = '?';
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_PREVIEW_LIMIT = 8;
+
 let _commands = [];
 let _filteredCommands = [];
 let _selectedIndex = 0;
+let _searchTimer = null;
+let _searchQuery = null;
 
 export function initCommandPalette() {
   const overlay = document.getElementById('command-palette');
@@ -19,6 +27,10 @@ export function initCommandPalette() {
     { label: 'Switch to List View', category: 'View', action: () => actions.setView('list') },
     { label: 'Switch to Grid View', category: 'View', action: () => actions.setView('grid') },
     { label: 'Switch to Terminal View', category: 'View', action: () => actions.setView('terminal') },
+    { label: 'Switch to History View', category: 'View', action: () => actions.setView('history') },
+    { label: 'Switch to Sessions View', category: 'View', action: () => actions.setView('sessions') },
+    { label: 'Switch to Usage View', category: 'View', action: () => actions.setView('usage') },
+    { label: 'Edit Attention Rules', category: 'Settings', action: () => actions.setView('settings') },
     { label: 'Toggle Sidebar', category: 'UI', action: () => actions.toggleSidebar() },
     { label: 'Take Screenshot', category: 'App', action: () => actions.takeScreenshot() },
     { label: 'Add Project', category: 'Project', action: () => document.getElementById('btn-add-project').click() },
@@ -34,6 +46,10 @@ export function initCommandPalette() {
         }));
       }
     }},
+    { label: 'Resume Last Agent Session', category: 'Agent', action: async () => {
+      const result = await actions.resumeLastSession();
+      if (!result.ok) showToast(result.error || 'Failed to resume agent', 'error');
+    }},
     { label: 'Create Worktree', category: 'Git', action: () => {
       window.dispatchEvent(new CustomEvent('show-create-worktree'));
     }},
@@ -53,21 +69,58 @@ export function initCommandPalette() {
   }
 
   function filter(query) {
+    clearTimeout(_searchTimer);
+    _searchQuery = null;
+    if (query.startsWith(SEARCH_PREFIX)) {
+      searchTranscripts(query.slice(SEARCH_PREFIX.length).trim());
+      return;
+    }
+
     const q = query.toLowerCase();
     _filteredCommands = q
       ? _commands.filter(c => c.label.toLowerCase().includes(q) || c.category.toLowerCase().includes(q))
       : [..._commands];
+    if (q.trim()) _filteredCommands.push(searchAllCommand(query.trim()));
     _selectedIndex = Math.min(_selectedIndex, Math.max(0, _filteredCommands.length - 1));
     renderResults();
   }
 
+  function searchAllCommand(text) {
+    return { label: `Search transcripts for “${text}”`, category: 'Search', action: () => actions.runSearch(text) };
+  }
+
+  /**
+   * Preview the top transcript matches; the first item opens the full results.
+   */
+  function searchTranscripts(text) {
+    _filteredCommands = text ? [searchAllCommand(text)] : [];
+    _selectedIndex = 0;
+    renderResults();
+    if (!text) return;
+
+    _searchQuery = text;
+    _searchTimer = setTimeout(async () => {
+      const result = await actions.searchTranscripts(text, { limit: SEARCH_PREVIEW_LIMIT });
+      if (_searchQuery !== text || !result.ok) return;
+      const hits = result.sessions.flatMap(session => session.hits.map(hit => ({
+        label: hit.snippet,
+        category: hit.kind,
+        action: () => actions.openTranscript(session.sessionFile, session.sessionId.slice(0, 8), hit.offset),
+      })));
+      _filteredCommands = [searchAllCommand(text), ...hits];
+      renderResults();
+    }, SEARCH_DEBOUNCE_MS);
+  }
+
   function renderResults() {
     results.innerHTML = _filteredCommands.map((cmd, i) => `
       <div class="palette-item ${i === _selectedIndex ? 'selected' : ''}" data-index="${i}">
-        <span class="palette-category">${cmd.category}</span>
-        <span class="palette-label">${cmd.label}</span>
+        <span class="palette-category">${escHtml(cmd.category)}</span>
+        <span class="palette-label">${escHtml(cmd.label)}</span>
       </div>
-    `).join('') || '<div class="palette-empty">No matching commands</div>';
+    `).join('') || `<div class="palette-empty">${input.value.startsWith(SEARCH_PREFIX)
+      ? 'Type to search transcripts'
+      : 'No matching commands'}</div>`;
 
     results.querySelectorAll('.palette-item').forEach(el => {
       el.addEventListener('click', () => {
@@ -138,3 +191,9 @@ export function initCommandPalette() {
 export function registerCommand(label, category, action) {
   _commands.push({ label, category, action });
 }
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
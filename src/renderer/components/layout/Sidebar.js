@@ -50,7 +50,7 @@ export function createSidebar() {
     for (const a of agents) {
       if (a.worktreeId) {
         agentCounts[a.worktreeId] = (agentCounts[a.worktreeId] || 0) + 1;
-        if (a.status === 'waiting_input' || a.status === 'waiting_permission') {
+        if (actions.needsAttention(a.status)) {
           attentionWts.add(a.worktreeId);
         }
       }
@@ -62,7 +62,7 @@ export function createSidebar() {
     for (const a of agents) {
       if (a.projectId) {
         projectAgentCounts[a.projectId] = (projectAgentCounts[a.projectId] || 0) + 1;
-        if (a.status === 'waiting_input' || a.status === 'waiting_permission') {
+        if (actions.needsAttention(a.status)) {
           projectAttention.add(a.projectId);
         }
       }
@@ -314,7 +314,7 @@ export function createSidebar() {
 
   // --- Agent count ---
   function updateAgentCount(agents) {
-    const waiting = agents.filter(a => a.status === 'waiting_input' || a.status === 'waiting_permission').length;
+    const waiting = agents.filter(a => actions.needsAttention(a.status)).length;
     let text = `${agents.length} agent${agents.length !== 1 ? 's' : ''}`;
     if (waiting > 0) text += ` (${waiting} waiting)`;
     agentBadge.textContent = text;
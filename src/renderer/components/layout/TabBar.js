@@ -6,6 +6,10 @@ const VIEWS = [
   { id: 'list', label: 'List', icon: listIcon() },
   { id: 'grid', label: 'Grid', icon: gridIcon() },
   { id: 'terminal', label: 'Terminal', icon: terminalIcon() },
+  { id: 'history', label: 'History', icon: historyIcon() },
+  { id: 'sessions', label: 'Sessions', icon: sessionsIcon() },
+  { id: 'usage', label: 'Usage', icon: usageIcon() },
+  { id: 'settings', label: 'Settings', icon: settingsIcon() },
 ];
 
 /**
@@ -70,3 +74,31 @@ function terminalIcon() {
     <polyline points="4 17 10 11 4 5"/><line x1="12" y1="19" x2="20" y2="19"/>
   </svg>`;
 }
+
+function historyIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <circle cx="12" cy="12" r="9"/><polyline points="12 7 12 12 15 14"/>
+  </svg>`;
+}
+
+function sessionsIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M4 4h16v4H4z"/><path d="M4 10h16v4H4z"/><path d="M4 16h16v4H4z"/>
+  </svg>`;
+}
+
+function usageIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="6" y1="20" x2="6" y2="14"/><line x1="12" y1="20" x2="12" y2="4"/>
+    <line x1="18" y1="20" x2="18" y2="10"/><line x1="3" y1="20" x2="21" y2="20"/>
+  </svg>`;
+}
+
+function settingsIcon() {
+  return `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="4" y1="21" x2="4" y2="14"/><line x1="4" y1="10" x2="4" y2="3"/>
+    <line x1="12" y1="21" x2="12" y2="12"/><line x1="12" y1="8" x2="12" y2="3"/>
+    <line x1="20" y1="21" x2="20" y2="16"/><line x1="20" y1="12" x2="20" y2="3"/>
+    <line x1="1" y1="14" x2="7" y2="14"/><line x1="9" y1="8" x2="15" y2="8"/><line x1="17" y1="16" x2="23" y2="16"/>
+  </svg>`;
+}
@@ -122,7 +122,7 @@ function renderTaskCard(task, agents) {
 
 function renderWorktreeCard(wt, agents) {
   const wtAgents = agents.filter(a => a.worktreeId === wt.id);
-  const hasAttention = wtAgents.some(a => a.status === 'waiting_input' || a.status === 'waiting_permission');
+  const hasAttention = wtAgents.some(a => actions.needsAttention(a.status));
   const isActive = wtAgents.length > 0;
 
   let diffBadge = '';
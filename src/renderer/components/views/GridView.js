@@ -40,7 +40,7 @@ function render() {
       ${worktrees.map(wt => {
         const wtAgents = agents.filter(a => a.worktreeId === wt.id);
         const hasAttention = wtAgents.some(a =>
-          a.status === 'waiting_input' || a.status === 'waiting_permission'
+          actions.needsAttention(a.status)
         );
         const isActive = wtAgents.some(a =>
           a.status === 'running' || a.status === 'starting'
@@ -0,0 +1,251 @@
+import store from '../../state/store';
+import * as actions from '../../state/actions';
+import { showModal } from '../common/Modal';
+import { showToast } from '../common/Toast';
+
+const STOPPED_STATUSES = new Set(['done', 'failed', 'terminated', 'interrupted']);
+
+let _container = null;
+let _unsubs = [];
+
+/**
+ * History view — past managed agents persisted across restarts.
+ */
+export const HistoryView = {
+  create(container) {
+    _container = container;
+    _container.className = 'view-list view-history';
+    render();
+    _unsubs.push(store.subscribe('agentHistory', render));
+    _unsubs.push(store.subscribe('worktrees', render));
+    // The main process records agents in history when they start and stop
+    _unsubs.push(store.subscribe('agents', (agents, prev) => {
+      if (lifecycleChanged(agents, prev)) actions.loadAgentHistory();
+    }));
+    actions.loadAgentHistory();
+  },
+
+  destroy() {
+    _unsubs.forEach(fn => fn());
+    _unsubs = [];
+    _container = null;
+  },
+};
+
+/**
+ * Whether an agent was created or stopped between two `agents` store values.
+ */
+function lifecycleChanged(agents, prev) {
+  const before = new Map((prev || []).map(a => [a.id, STOPPED_STATUSES.has(a.status)]));
+  return agents.some(a => !before.has(a.id) || before.get(a.id) !== STOPPED_STATUSES.has(a.status));
+}
+
+function render() {
+  if (!_container) return;
+  const entries = store.get('agentHistory');
+  const worktrees = store.get('worktrees');
+
+  if (entries.length === 0) {
+    _container.innerHTML = `
+      <div class="list-empty">
+        <p>No agent history yet</p>
+        <p class="hint">Agents launched from Claude Count are recorded here</p>
+      </div>
+    `;
+    return;
+  }
+
+  _container.innerHTML = `
+    <div class="list-header-row">
+      <span class="list-col list-col-type">Type</span>
+      <span class="list-col list-col-prompt">Prompt</span>
+      <span class="list-col list-col-status">Status</span>
+      <span class="list-col list-col-worktree">Worktree</span>
+      <span class="list-col list-col-started">Started</span>
+      <span class="list-col list-col-time">Duration</span>
+      <span class="list-col list-col-actions">
+        <button class="btn btn-sm history-clear-btn">Clear</button>
+      </span>
+    </div>
+    <div class="list-body">
+      ${entries.map(entry => {
+        const wt = worktrees.find(w => w.id === entry.worktreeId);
+        return `
+          <div class="list-row" data-id="${entry.id}">
+            <span class="list-col list-col-type">
+              <span class="agent-type-badge badge-${escAttr(entry.type)}">${escHtml(entry.type)}</span>
+            </span>
+            <span class="list-col list-col-prompt" title="${escHtml(entry.prompt)}">${escHtml(entry.prompt || '—')}</span>
+            <span class="list-col list-col-status">
+              <span class="status-dot status-${entry.status}"></span>
+              <span class="status-label">${formatStatus(entry.status)}${formatExitCode(entry.exitCode)}</span>
+            </span>
+            <span class="list-col list-col-worktree">${wt ? escHtml(wt.branch) : escHtml(basename(entry.worktreePath))}</span>
+            <span class="list-col list-col-started">${formatDate(entry.startTime)}</span>
+            <span class="list-col list-col-time">${formatDuration(entry.startTime, entry.endTime)}</span>
+            <span class="list-col list-col-actions">
+              ${actions.isResumable(entry)
+                ? `<button class="btn btn-sm resume-btn" data-id="${entry.id}">Resume</button>`
+                : `<button class="btn btn-sm relaunch-btn" data-id="${entry.id}">Relaunch</button>`}
+            </span>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+
+  _container.querySelector('.history-clear-btn').addEventListener('click', async () => {
+    const result = await actions.clearAgentHistory();
+    if (!result.ok) showToast(result.error || 'Failed to clear history', 'error');
+  });
+
+  _container.querySelectorAll('.relaunch-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      relaunch(btn.dataset.id);
+    });
+  });
+
+  _container.querySelectorAll('.resume-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      resume(btn.dataset.id);
+    });
+  });
+
+  _container.querySelectorAll('.list-row').forEach(row => {
+    row.addEventListener('click', () => showEntryModal(row.dataset.id));
+  });
+}
+
+async function resume(entryId, modal) {
+  const result = await actions.resumeAgent(entryId);
+  if (result.ok) {
+    if (modal) modal.close();
+    showToast('Agent session resumed', 'success');
+    actions.setView('terminal');
+  } else {
+    showToast(result.error || 'Failed to resume agent', 'error');
+  }
+}
+
+async function relaunch(entryId, modal) {
+  const result = await actions.relaunchFromHistory(entryId);
+  if (result.ok) {
+    if (modal) modal.close();
+    showToast('Agent relaunched', 'success');
+    actions.setView('terminal');
+  } else {
+    showToast(result.error || 'Failed to relaunch agent', 'error');
+  }
+}
+
+async function showEntryModal(entryId) {
+  const entry = await actions.getAgentHistoryEntry(entryId);
+  if (!entry) {
+    showToast('History entry not found', 'error');
+    return;
+  }
+
+  const opts = entry.launchOptions || {};
+  const output = stripAnsi((entry.bufferSnapshot || []).join('\n'));
+
+  const content = document.createElement('div');
+  content.className = 'history-detail';
+  content.innerHTML = `
+    <dl class="history-meta">
+      <dt>Type</dt><dd>${escHtml(entry.type)}</dd>
+      <dt>Worktree</dt><dd>${escHtml(entry.worktreePath || '—')}</dd>
+      <dt>Prompt</dt><dd>${escHtml(entry.prompt || '—')}</dd>
+      <dt>Options</dt><dd>${opts.autoPrime ? 'auto-prime' : 'no auto-prime'}${opts.skipPermissions ? ', skip permissions' : ''}</dd>
+      <dt>Exit code</dt><dd>${entry.exitCode === null || entry.exitCode === undefined ? '—' : entry.exitCode}</dd>
+      ${entry.stopReason ? `<dt>Stopped</dt><dd>${escHtml(entry.stopReason)}</dd>` : ''}
+      <dt>Session</dt><dd class="mono">${escHtml(entry.sessionId || '—')}</dd>
+      ${entry.relaunchedFrom ? `<dt>Relaunch of</dt><dd class="mono">${escHtml(entry.relaunchedFrom.slice(0, 8))}</dd>` : ''}
+    </dl>
+    <div class="history-section-title">Timeline</div>
+    <ul class="history-timeline">
+      ${(entry.statusHistory || []).map(s => `
+        <li>
+          <span class="status-dot status-${s.status}"></span>
+          <span class="status-label">${formatStatus(s.status)}</span>
+          <span class="history-timeline-time">${formatDate(s.at)}</span>
+        </li>
+      `).join('')}
+    </ul>
+    <div class="history-section-title">Output</div>
+    <pre class="history-output">${escHtml(output) || '<span class="hint">No output captured</span>'}</pre>
+    <div class="form-actions">
+      <button class="btn btn-danger history-delete-btn">Delete</button>
+      ${entry.sessionFile ? '<button class="btn history-transcript-btn">View Transcript</button>' : ''}
+      ${actions.isResumable(entry) ? '<button class="btn history-resume-btn">Resume Session</button>' : ''}
+      <button class="btn btn-primary history-relaunch-btn">Relaunch</button>
+    </div>
+  `;
+
+  const modal = showModal({ title: 'Agent Run', content, width: '760px' });
+
+  const outputEl = content.querySelector('.history-output');
+  outputEl.scrollTop = outputEl.scrollHeight;
+
+  content.querySelector('.history-relaunch-btn').addEventListener('click', () => relaunch(entryId, modal));
+  content.querySelector('.history-resume-btn')?.addEventListener('click', () => resume(entryId, modal));
+  content.querySelector('.history-transcript-btn')?.addEventListener('click', () => {
+    modal.close();
+    actions.openTranscript(entry.sessionFile, `${entry.type} · ${formatDate(entry.startTime)}`);
+  });
+  content.querySelector('.history-delete-btn').addEventListener('click', async () => {
+    const result = await actions.deleteAgentHistoryEntry(entryId);
+    if (result.ok) {
+      modal.close();
+    } else {
+      showToast(result.error || 'Failed to delete entry', 'error');
+    }
+  });
+}
+
+function stripAnsi(str) {
+  return str
+    .replace(/\x1b\[[0-9;?]*[ -\/]*[@-~]/g, '')
+    .replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)/g, '')
+    .replace(/\x1b[@-_]/g, '')
+    .replace(/\r(?!\n)/g, '');
+}
+
+function formatDuration(startTime, endTime) {
+  if (!endTime) return '—';
+  const seconds = Math.floor((endTime - startTime) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60}m`;
+}
+
+function formatDate(ts) {
+  if (!ts) return '—';
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatStatus(status) {
+  return status.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function formatExitCode(exitCode) {
+  return exitCode === null || exitCode === undefined ? '' : ` (${exitCode})`;
+}
+
+function basename(p) {
+  if (!p) return '—';
+  return p.split(/[\\/]/).filter(Boolean).pop() || p;
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
+
+function escAttr(str) {
+  return escHtml(str).replace(/"/g, '&quot;');
+}
@@ -1,5 +1,7 @@
 import store from '../../state/store';
 import * as actions from '../../state/actions';
+import { showToast } from '../common/Toast';
+import { renderAgentPrompt, bindAgentPrompt } from '../agents/AgentPrompt';
 
 let _container = null;
 let _unsubs = [];
@@ -42,6 +44,7 @@ function render() {
       <span class="list-col list-col-status">Status</span>
       <span class="list-col list-col-worktree">Worktree</span>
       <span class="list-col list-col-time">Duration</span>
+      <span class="list-col list-col-cost">Cost</span>
       <span class="list-col list-col-actions">Actions</span>
     </div>
     <div class="list-body">
@@ -51,28 +54,34 @@ function render() {
         const statusClass = `status-${agent.status}`;
 
         return `
-          <div class="list-row ${agent.status === 'waiting_input' || agent.status === 'waiting_permission' ? 'attention' : ''}" data-id="${agent.id}">
+          <div class="list-row ${actions.needsAttention(agent.status) ? 'attention' : ''}" data-id="${agent.id}">
             <span class="list-col list-col-type">
               <span class="agent-type-badge badge-${agent.type}">${agent.type}</span>
             </span>
             <span class="list-col list-col-prompt" title="${escHtml(agent.prompt)}">${escHtml(agent.prompt || '—')}</span>
-            <span class="list-col list-col-status">
+            <span class="list-col list-col-status" title="${escHtml(agent.attentionReason || agent.stopReason)}">
               <span class="status-dot ${statusClass}"></span>
               <span class="status-label">${formatStatus(agent.status)}</span>
             </span>
             <span class="list-col list-col-worktree">${wt ? escHtml(wt.branch) : '—'}</span>
             <span class="list-col list-col-time">${duration}</span>
+            <span class="list-col list-col-cost" title="${formatUsageTitle(agent.usage)}">${agent.usage ? `$${agent.usage.cost.toFixed(2)}` : '—'}</span>
             <span class="list-col list-col-actions">
-              ${agent.status === 'running' || agent.status === 'starting' || agent.status === 'waiting_input' || agent.status === 'waiting_permission'
+              ${agent.status === 'running' || agent.status === 'starting' || actions.needsAttention(agent.status)
                 ? `<button class="btn btn-sm btn-danger terminate-btn" data-id="${agent.id}">Stop</button>`
-                : ''}
+                : actions.isResumable(agent)
+                  ? `<button class="btn btn-sm resume-btn" data-id="${agent.id}">Resume</button>`
+                  : ''}
             </span>
           </div>
+          ${renderAgentPrompt(agent)}
         `;
       }).join('')}
     </div>
   `;
 
+  bindAgentPrompt(_container, render);
+
   _container.querySelectorAll('.terminate-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -80,6 +89,13 @@ function render() {
     });
   });
 
+  _container.querySelectorAll('.resume-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      resumeAgent(btn.dataset.id);
+    });
+  });
+
   _container.querySelectorAll('.list-row').forEach(row => {
     row.addEventListener('click', () => {
       const agent = store.get('agents').find(a => a.id === row.dataset.id);
@@ -88,7 +104,85 @@ function render() {
         actions.setView('terminal');
       }
     });
+    row.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      showAgentContextMenu(e, row.dataset.id);
+    });
+  });
+}
+
+async function resumeAgent(agentId) {
+  const result = await actions.resumeAgent(agentId);
+  if (result.ok) {
+    showToast('Agent session resumed', 'success');
+  } else {
+    showToast(result.error || 'Failed to resume agent', 'error');
+  }
+}
+
+function showAgentContextMenu(e, agentId) {
+  const existing = document.querySelector('.context-menu');
+  if (existing) existing.remove();
+
+  const agent = store.get('agents').find(a => a.id === agentId);
+  if (!agent) return;
+
+  const running = !['done', 'failed', 'terminated'].includes(agent.status);
+
+  const menu = document.createElement('div');
+  menu.className = 'context-menu';
+  menu.style.left = e.pageX + 'px';
+  menu.style.top = e.pageY + 'px';
+
+  const items = [
+    { label: 'Open Terminal', action: () => {
+      actions.setActiveTerminal(agent.terminalId);
+      actions.setView('terminal');
+    }},
+  ];
+
+  if (agent.sessionFile) {
+    items.push({ label: 'View Transcript', action: () => {
+      actions.openTranscript(agent.sessionFile, `${agent.type} · ${agent.id.slice(0, 8)}`);
+    }});
+  }
+  if (actions.isResumable(agent)) {
+    items.push({ label: 'Resume Session', action: () => resumeAgent(agentId) });
+  }
+  if (!running) {
+    items.push({ label: 'Relaunch', action: async () => {
+      const result = await actions.relaunchFromHistory(agentId);
+      if (!result.ok) showToast(result.error || 'Failed to relaunch agent', 'error');
+    }});
+  }
+  if (running) {
+    items.push({ label: 'Stop Agent', action: () => actions.terminateAgent(agentId), danger: true });
+  }
+
+  menu.innerHTML = items.map(i =>
+    `<div class="context-item ${i.danger ? 'danger' : ''}">${escHtml(i.label)}</div>`
+  ).join('');
+
+  menu.querySelectorAll('.context-item').forEach((el, idx) => {
+    el.addEventListener('click', () => {
+      items[idx].action();
+      menu.remove();
+    });
   });
+
+  document.body.appendChild(menu);
+  const closeMenu = (e2) => {
+    if (!menu.contains(e2.target)) {
+      menu.remove();
+      document.removeEventListener('click', closeMenu);
+    }
+  };
+  setTimeout(() => document.addEventListener('click', closeMenu), 0);
+}
+
+function formatUsageTitle(usage) {
+  if (!usage) return '';
+  return `${usage.input} in / ${usage.output} out / ${usage.cacheRead} cache read / ${usage.cacheCreation} cache write tokens`;
 }
 
 function formatDuration(startTime, endTime) {
@@ -0,0 +1,153 @@
+import store from '../../state/store';
+import * as actions from '../../state/actions';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+let _container = null;
+let _unsubs = [];
+let _debounce = null;
+
+/**
+ * Search view — full-text results across all session transcripts.
+ * Clicking a match opens the transcript at that line.
+ */
+export const SearchView = {
+  create(container) {
+    _container = container;
+    _container.className = 'view-list view-search';
+    renderShell();
+    _unsubs.push(store.subscribe('search', renderResults));
+    _unsubs.push(store.subscribe('projects', renderResults));
+  },
+
+  destroy() {
+    _unsubs.forEach(fn => fn());
+    _unsubs = [];
+    clearTimeout(_debounce);
+    _container = null;
+  },
+};
+
+function renderShell() {
+  const { query } = store.get('search');
+  _container.innerHTML = `
+    <div class="sessions-toolbar">
+      <input class="form-input search-input" type="search" placeholder="Search all transcripts — prompts, replies, tools, file paths" value="${escAttr(query)}" />
+    </div>
+    <div class="search-status hint"></div>
+    <div class="sessions-body search-results"></div>
+  `;
+
+  const input = _container.querySelector('.search-input');
+  input.addEventListener('input', () => {
+    clearTimeout(_debounce);
+    _debounce = setTimeout(() => actions.runSearch(input.value.trim()), SEARCH_DEBOUNCE_MS);
+  });
+  input.focus();
+  renderResults();
+}
+
+function renderResults() {
+  if (!_container) return;
+  const { query, result, loading } = store.get('search');
+  const status = _container.querySelector('.search-status');
+  const body = _container.querySelector('.search-results');
+  const input = _container.querySelector('.search-input');
+  // Searches started elsewhere (command palette) while this view is open
+  if (document.activeElement !== input) input.value = query;
+
+  if (!query) {
+    status.textContent = '';
+    body.innerHTML = `
+      <div class="list-empty">
+        <p>Search every session transcript</p>
+        <p class="hint">All words must appear on the same line; the last word matches as a prefix</p>
+      </div>
+    `;
+    return;
+  }
+  if (!result) {
+    status.textContent = loading ? 'Searching…' : '';
+    body.innerHTML = '';
+    return;
+  }
+  if (!result.ok) {
+    status.textContent = result.error || 'Search failed';
+    body.innerHTML = '';
+    return;
+  }
+
+  status.textContent = [
+    loading ? 'Searching…' : `${result.total}${result.truncated ? '+' : ''} match${result.total === 1 ? '' : 'es'} in ${result.sessions.length} session${result.sessions.length === 1 ? '' : 's'}`,
+    `${result.indexedFiles} sessions indexed${result.indexing ? ' (indexing…)' : ''}`,
+  ].join(' · ');
+
+  if (result.sessions.length === 0) {
+    body.innerHTML = '<div class="list-empty"><p>No matches</p></div>';
+    return;
+  }
+
+  const words = result.query.toLowerCase().split(/\s+/).filter(Boolean);
+  body.innerHTML = result.sessions.map((session, si) => `
+    <div class="sessions-group">
+      <div class="sessions-group-header">
+        <span class="sessions-group-name">${escHtml(projectLabel(session))}</span>
+        <span class="sessions-group-path mono">${escHtml(session.sessionId)}</span>
+        <span class="sessions-group-meta">${formatDate(session.lastModified)}</span>
+      </div>
+      ${session.hits.map((hit, hi) => `
+        <div class="list-row search-hit" data-session="${si}" data-hit="${hi}">
+          <span class="transcript-time">${formatTime(hit.timestamp)}</span>
+          <span class="transcript-kind kind-${hit.kind}">${hit.kind}</span>
+          <span class="list-col search-snippet">${highlight(hit.snippet, words)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+
+  body.querySelectorAll('.search-hit').forEach(row => {
+    row.addEventListener('click', () => {
+      const session = result.sessions[parseInt(row.dataset.session)];
+      const hit = session.hits[parseInt(row.dataset.hit)];
+      actions.openTranscript(session.sessionFile, `${projectLabel(session)} · ${session.sessionId.slice(0, 8)}`, hit.offset);
+    });
+  });
+}
+
+/**
+ * Escape a snippet and wrap each query word in <mark>.
+ */
+function highlight(text, words) {
+  const html = escHtml(text);
+  const patterns = words.map(w => escHtml(w).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).filter(Boolean);
+  if (patterns.length === 0) return html;
+  return html.replace(new RegExp(`(${patterns.join('|')})`, 'gi'), '<mark>$1</mark>');
+}
+
+function projectLabel(session) {
+  const project = store.get('projects').find(p => p.path.replace(/[^a-zA-Z0-9]/g, '-') === session.projectDir);
+  if (project) return project.name;
+  const path = session.cwd || session.projectDir.replace(/-/g, '/');
+  const parts = path.split(/[\\/]/).filter(Boolean);
+  return parts[parts.length - 1] || path;
+}
+
+function formatTime(ts) {
+  if (!ts) return '';
+  return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function formatDate(ts) {
+  if (!ts) return '';
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
+
+function escAttr(str) {
+  return escHtml(str).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,254 @@
+import store from '../../state/store';
+import * as actions from '../../state/actions';
+
+const SORTS = {
+  recent: { label: 'Most recent', compare: (a, b) => (b.endTime || 0) - (a.endTime || 0) },
+  oldest: { label: 'Oldest', compare: (a, b) => (a.startTime || 0) - (b.startTime || 0) },
+  duration: { label: 'Longest', compare: (a, b) => b.durationMs - a.durationMs },
+  messages: { label: 'Most messages', compare: (a, b) => b.messageCount - a.messageCount },
+  tokens: { label: 'Most tokens', compare: (a, b) => b.usage.total - a.usage.total },
+  cost: { label: 'Highest cost', compare: (a, b) => b.usage.cost - a.usage.cost },
+};
+const MAX_TOOLS_SHOWN = 4;
+
+let _container = null;
+let _unsubs = [];
+let _query = '';
+let _sort = 'recent';
+let _collapsed = new Set(); // project group keys
+
+/**
+ * Sessions view — every Claude session under ~/.claude/projects, grouped by
+ * project. Opening one shows its transcript, whether or not it is still running.
+ */
+export const SessionsView = {
+  create(container) {
+    _container = container;
+    _container.className = 'view-list view-sessions';
+    renderShell();
+    _unsubs.push(store.subscribe('sessions', renderBody));
+    _unsubs.push(store.subscribe('projects', renderBody));
+    actions.loadSessions();
+  },
+
+  destroy() {
+    _unsubs.forEach(fn => fn());
+    _unsubs = [];
+    _container = null;
+  },
+};
+
+function renderShell() {
+  _container.innerHTML = `
+    <div class="sessions-toolbar">
+      <input class="form-input sessions-search" type="search" placeholder="Search prompts, projects, tools…" value="${escAttr(_query)}" />
+      <select class="form-input sessions-sort">
+        ${Object.entries(SORTS).map(([id, s]) => `<option value="${id}" ${id === _sort ? 'selected' : ''}>${s.label}</option>`).join('')}
+      </select>
+      <button class="btn btn-sm sessions-refresh">Refresh</button>
+    </div>
+    <div class="sessions-body"></div>
+  `;
+
+  _container.querySelector('.sessions-search').addEventListener('input', (e) => {
+    _query = e.target.value;
+    renderBody();
+  });
+  _container.querySelector('.sessions-sort').addEventListener('change', (e) => {
+    _sort = e.target.value;
+    renderBody();
+  });
+  _container.querySelector('.sessions-refresh').addEventListener('click', () => actions.loadSessions());
+
+  renderBody();
+}
+
+function renderBody() {
+  const body = _container?.querySelector('.sessions-body');
+  if (!body) return;
+  const sessions = store.get('sessions');
+
+  if (!sessions) {
+    body.innerHTML = '<div class="list-empty"><p>Scanning sessions…</p></div>';
+    return;
+  }
+  if (sessions.length === 0) {
+    body.innerHTML = `
+      <div class="list-empty">
+        <p>No sessions found</p>
+        <p class="hint">Claude sessions are read from ~/.claude/projects</p>
+      </div>
+    `;
+    return;
+  }
+
+  const groups = groupByProject(sessions.filter(matches));
+  if (groups.length === 0) {
+    body.innerHTML = '<div class="list-empty"><p>No sessions match your search</p></div>';
+    return;
+  }
+
+  body.innerHTML = `
+    <div class="list-header-row">
+      <span class="list-col list-col-prompt">First prompt</span>
+      <span class="list-col sessions-col-tools">Tools</span>
+      <span class="list-col sessions-col-num">Messages</span>
+      <span class="list-col list-col-time">Duration</span>
+      <span class="list-col sessions-col-num">Tokens</span>
+      <span class="list-col list-col-cost">Cost</span>
+      <span class="list-col list-col-started">Last active</span>
+    </div>
+  ` + groups.map(group => {
+    const collapsed = _collapsed.has(group.key) && !_query;
+    return `
+      <div class="sessions-group">
+        <div class="sessions-group-header" data-key="${escAttr(group.key)}">
+          <span class="sessions-group-caret">${collapsed ? '▸' : '▾'}</span>
+          <span class="sessions-group-name">${escHtml(group.label)}</span>
+          <span class="sessions-group-path mono">${escHtml(group.path)}</span>
+          <span class="sessions-group-meta">${group.sessions.length} session${group.sessions.length === 1 ? '' : 's'} · ${formatCost(group.cost)}</span>
+        </div>
+        ${collapsed ? '' : group.sessions.map(renderRow).join('')}
+      </div>
+    `;
+  }).join('');
+
+  body.querySelectorAll('.sessions-group-header').forEach(header => {
+    header.addEventListener('click', () => {
+      const key = header.dataset.key;
+      if (_collapsed.has(key)) _collapsed.delete(key);
+      else _collapsed.add(key);
+      renderBody();
+    });
+  });
+  body.querySelectorAll('.sessions-row').forEach(row => {
+    row.addEventListener('click', () => {
+      const session = sessions.find(s => s.sessionFile === row.dataset.file);
+      if (session) actions.openTranscript(session.sessionFile, sessionTitle(session));
+    });
+  });
+}
+
+function renderRow(session) {
+  const tools = Object.entries(session.tools).sort((a, b) => b[1] - a[1]);
+  const toolText = tools.slice(0, MAX_TOOLS_SHOWN).map(([name]) => name).join(', ')
+    + (tools.length > MAX_TOOLS_SHOWN ? ` +${tools.length - MAX_TOOLS_SHOWN}` : '');
+
+  return `
+    <div class="list-row sessions-row" data-file="${escAttr(session.sessionFile)}">
+      <span class="list-col list-col-prompt" title="${escAttr(session.firstPrompt || '')}">${escHtml(session.firstPrompt || '(no prompt)')}</span>
+      <span class="list-col sessions-col-tools" title="${escAttr(tools.map(([n, c]) => `${n} × ${c}`).join('\n'))}">${escHtml(toolText || '—')}</span>
+      <span class="list-col sessions-col-num">${session.messageCount}</span>
+      <span class="list-col list-col-time">${formatDuration(session.durationMs)}</span>
+      <span class="list-col sessions-col-num" title="${escAttr(formatTokenTitle(session.usage))}">${formatTokens(session.usage.total)}</span>
+      <span class="list-col list-col-cost">${formatCost(session.usage.cost)}</span>
+      <span class="list-col list-col-started">${formatDate(session.endTime)}</span>
+    </div>
+  `;
+}
+
+function matches(session) {
+  const q = _query.trim().toLowerCase();
+  if (!q) return true;
+  const haystack = [
+    session.firstPrompt,
+    session.sessionId,
+    session.cwd,
+    projectLabel(session),
+    ...Object.keys(session.tools),
+  ].join('\n').toLowerCase();
+  return q.split(/\s+/).every(term => haystack.includes(term));
+}
+
+/**
+ * Group sessions by project folder; groups ordered by their best session under the current sort.
+ */
+function groupByProject(sessions) {
+  const compare = SORTS[_sort].compare;
+  const groups = new Map();
+  for (const session of sessions) {
+    if (!groups.has(session.projectDir)) {
+      groups.set(session.projectDir, {
+        key: session.projectDir,
+        label: projectLabel(session),
+        path: session.cwd || decodeProjectDir(session.projectDir),
+        sessions: [],
+        cost: 0,
+      });
+    }
+    const group = groups.get(session.projectDir);
+    group.sessions.push(session);
+    group.cost += session.usage.cost;
+  }
+  const list = Array.from(groups.values());
+  list.forEach(g => g.sessions.sort(compare));
+  return list.sort((a, b) => compare(a.sessions[0], b.sessions[0]));
+}
+
+function projectLabel(session) {
+  const project = store.get('projects').find(p => encodeProjectPath(p.path) === session.projectDir);
+  if (project) return project.name;
+  const path = session.cwd || decodeProjectDir(session.projectDir);
+  const parts = path.split(/[\\/]/).filter(Boolean);
+  return parts[parts.length - 1] || path;
+}
+
+function sessionTitle(session) {
+  const prompt = session.firstPrompt ? session.firstPrompt.split('\n')[0].slice(0, 60) : session.sessionId.slice(0, 8);
+  return `${projectLabel(session)} · ${prompt}`;
+}
+
+/**
+ * Same encoding Claude uses for ~/.claude/projects folder names.
+ */
+function encodeProjectPath(cwd) {
+  return (cwd || '').replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+/**
+ * Best-effort reverse of the folder encoding, for sessions that never
+ * recorded a cwd. Dashes in the original path are indistinguishable from separators.
+ */
+function decodeProjectDir(dir) {
+  return dir.replace(/-/g, '/');
+}
+
+function formatDuration(ms) {
+  if (!ms) return '—';
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatTokens(n) {
+  if (!n) return '0';
+  if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+function formatTokenTitle(usage) {
+  return `Input ${formatTokens(usage.input)} · Output ${formatTokens(usage.output)} · `
+    + `Cache read ${formatTokens(usage.cacheRead)} · Cache write ${formatTokens(usage.cacheCreation)}`;
+}
+
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost >= 100 ? 0 : 2)}`;
+}
+
+function formatDate(ts) {
+  if (!ts) return '—';
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
+
+function escAttr(str) {
+  return escHtml(str).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,728 @@
+import store from '../../state/store';
+import * as actions from '../../state/actions';
+import { showToast } from '../common/Toast';
+import { showModal } from '../common/Modal';
+
+const AGENT_TYPES = ['claude', 'codex', 'shell', 'custom'];
+const POLICY_ACTIONS = [
+  { value: 'approve', label: 'Auto-approve' },
+  { value: 'deny', label: 'Auto-deny' },
+  { value: 'notify', label: 'Notify' },
+];
+const TOKEN_SCOPES = [
+  { value: 'read', label: 'Read-only' },
+  { value: 'prompt', label: 'Prompt' },
+  { value: 'control', label: 'Control' },
+  { value: 'admin', label: 'Admin' },
+];
+const AUTH_FAILURE_REASONS = {
+  bad_token: 'Invalid bearer token',
+  bad_session: 'Invalid or expired session',
+  bad_pairing_code: 'Wrong pairing code',
+  bad_websocket_auth: 'WebSocket rejected',
+  forbidden: 'Outside token scope',
+};
+
+let _container = null;
+let _unsubs = [];
+let _activeType = 'claude';
+let _draft = null;     // editable copy of the active type's rules
+let _dirty = false;
+let _testResult = null;
+let _policyProjectId = null;
+let _policyDraft = null;  // editable copy of the selected project's permission policy
+let _policyDirty = false;
+
+/**
+ * Settings view — budgets, permission policies, mobile access tokens, attention rules editor and rule tester.
+ */
+export const SettingsView = {
+  create(container) {
+    _container = container;
+    _container.className = 'view-settings';
+    _draft = null;
+    _dirty = false;
+    _testResult = null;
+    _policyDraft = null;
+    _policyDirty = false;
+    render();
+    _unsubs.push(store.subscribe('attentionRules', () => {
+      if (!_dirty) _draft = null;
+      render();
+    }));
+    _unsubs.push(store.subscribe('globalBudget', render));
+    _unsubs.push(store.subscribe('mobileSettings', render));
+    _unsubs.push(store.subscribe('mobileTokens', render));
+    _unsubs.push(store.subscribe('mobileAuthFailures', render));
+    _unsubs.push(store.subscribe('projects', () => {
+      if (!_policyDirty) _policyDraft = null;
+      render();
+    }));
+    actions.loadAttentionRules();
+    actions.loadGlobalBudget();
+    actions.loadMobileSettings();
+    actions.loadMobileTokens();
+    actions.loadMobileAuthFailures();
+    actions.loadAgentHistory();
+  },
+
+  destroy() {
+    _unsubs.forEach(fn => fn());
+    _unsubs = [];
+    _container = null;
+  },
+};
+
+function render() {
+  if (!_container) return;
+  const data = store.get('attentionRules');
+  if (!data) {
+    _container.innerHTML = '<div class="list-empty"><p>Loading settings…</p></div>';
+    return;
+  }
+
+  const typeInfo = data.types[_activeType];
+  if (!_draft) _draft = typeInfo.rules.map(r => ({ ...r }));
+
+  _container.innerHTML = `
+    <div class="settings-section">
+      <div class="settings-header">
+        <h2 class="settings-title">Budgets</h2>
+        <p class="hint">Project and global limits cover all agents launched today. Leave a field empty for no limit.</p>
+      </div>
+      <div class="rules-table budgets-table">
+        <div class="rules-row rules-head">
+          <span class="budget-col-scope">Scope</span>
+          <span class="budget-col">Max cost ($)</span>
+          <span class="budget-col">Max tokens</span>
+          <span class="budget-col">Max minutes</span>
+          <span class="budget-col">Warn at (%)</span>
+          <span class="budget-col">When exceeded</span>
+          <span class="rules-col-actions"></span>
+        </div>
+        ${renderBudgetRow('global', 'Global', store.get('globalBudget'))}
+        ${store.get('projects').map(p => renderBudgetRow(p.id, p.name, p.budget)).join('')}
+      </div>
+    </div>
+
+    ${renderPolicySection()}
+
+    ${renderTokenSection()}
+
+    <div class="settings-section">
+      <div class="settings-header">
+        <h2 class="settings-title">Attention Rules</h2>
+        <p class="hint">PTY output patterns used when an agent has no session log. Evaluated top to bottom; the first match sets the status.</p>
+      </div>
+
+      <div class="settings-tabs">
+        ${AGENT_TYPES.map(t => `
+          <button class="settings-tab ${t === _activeType ? 'active' : ''}" data-type="${t}">
+            ${t}${data.types[t].customized ? ' •' : ''}
+          </button>
+        `).join('')}
+      </div>
+
+      <datalist id="attention-statuses">
+        ${data.statuses.map(s => `<option value="${s}"></option>`).join('')}
+      </datalist>
+
+      <div class="rules-table">
+        <div class="rules-row rules-head">
+          <span class="rules-col-enabled">On</span>
+          <span class="rules-col-pattern">Pattern</span>
+          <span class="rules-col-kind">Match</span>
+          <span class="rules-col-flags">Flags</span>
+          <span class="rules-col-status">Status</span>
+          <span class="rules-col-reason">Reason</span>
+          <span class="rules-col-actions"></span>
+        </div>
+        ${_draft.map((r, i) => `
+          <div class="rules-row" data-index="${i}">
+            <span class="rules-col-enabled"><input type="checkbox" data-field="enabled" ${r.enabled ? 'checked' : ''} /></span>
+            <span class="rules-col-pattern"><input class="form-input" data-field="pattern" value="${escAttr(r.pattern)}" /></span>
+            <span class="rules-col-kind">
+              <select class="form-input" data-field="matchType">
+                <option value="literal" ${r.matchType === 'literal' ? 'selected' : ''}>Literal</option>
+                <option value="regex" ${r.matchType === 'regex' ? 'selected' : ''}>Regex</option>
+              </select>
+            </span>
+            <span class="rules-col-flags"><input class="form-input" data-field="flags" value="${escAttr(r.flags)}" /></span>
+            <span class="rules-col-status"><input class="form-input" data-field="status" list="attention-statuses" value="${escAttr(r.status)}" /></span>
+            <span class="rules-col-reason"><input class="form-input" data-field="reason" placeholder="Default" value="${escAttr(r.reason)}" /></span>
+            <span class="rules-col-actions">
+              <button class="icon-btn tiny rule-move" data-dir="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+              <button class="icon-btn tiny rule-move" data-dir="1" title="Move down" ${i === _draft.length - 1 ? 'disabled' : ''}>↓</button>
+              <button class="icon-btn tiny rule-delete" title="Delete rule">&times;</button>
+            </span>
+          </div>
+        `).join('')}
+      </div>
+
+      <div class="form-actions settings-actions">
+        <button class="btn rule-add">+ Add Rule</button>
+        <span class="settings-spacer"></span>
+        ${typeInfo.customized ? '<button class="btn btn-danger rules-reset">Reset to Defaults</button>' : ''}
+        <button class="btn rules-revert" ${_dirty ? '' : 'disabled'}>Revert</button>
+        <button class="btn btn-primary rules-save" ${_dirty ? '' : 'disabled'}>Save</button>
+      </div>
+    </div>
+
+    <div class="settings-section">
+      <div class="settings-header">
+        <h3 class="settings-subtitle">Rule Tester</h3>
+        <p class="hint">Replays a saved terminal buffer through the rules above (including unsaved edits).</p>
+      </div>
+      <div class="tester-controls">
+        <select class="form-input tester-source">
+          ${renderSourceOptions()}
+        </select>
+        <button class="btn tester-run">Run Test</button>
+      </div>
+      ${renderTestResult()}
+    </div>
+  `;
+
+  wireEvents();
+}
+
+function renderBudgetRow(scope, label, budget) {
+  const b = budget || {};
+  const warnAt = b.warnAt ? Math.round(b.warnAt * 100) : '';
+  return `
+    <div class="rules-row budget-row" data-scope="${escAttr(scope)}">
+      <span class="budget-col-scope">${escHtml(label)}</span>
+      <span class="budget-col"><input class="form-input" type="number" min="0" step="0.5" data-field="maxCost" value="${b.maxCost ?? ''}" /></span>
+      <span class="budget-col"><input class="form-input" type="number" min="0" step="10000" data-field="maxTokens" value="${b.maxTokens ?? ''}" /></span>
+      <span class="budget-col"><input class="form-input" type="number" min="0" step="5" data-field="maxRuntimeMinutes" value="${b.maxRuntimeMinutes ?? ''}" /></span>
+      <span class="budget-col"><input class="form-input" type="number" min="1" max="100" data-field="warnAt" placeholder="80" value="${warnAt}" /></span>
+      <span class="budget-col">
+        <select class="form-input" data-field="action">
+          <option value="interrupt" ${b.action !== 'terminate' ? 'selected' : ''}>Interrupt</option>
+          <option value="terminate" ${b.action === 'terminate' ? 'selected' : ''}>Terminate</option>
+        </select>
+      </span>
+      <span class="rules-col-actions">
+        <button class="btn btn-sm budget-save">Save</button>
+      </span>
+    </div>
+  `;
+}
+
+async function saveBudget(row) {
+  const field = name => row.querySelector(`[data-field="${name}"]`).value;
+  const budget = {
+    maxCost: field('maxCost'),
+    maxTokens: field('maxTokens'),
+    maxRuntimeMinutes: field('maxRuntimeMinutes'),
+    warnAt: field('warnAt') ? Number(field('warnAt')) / 100 : null,
+    action: field('action'),
+  };
+
+  const scope = row.dataset.scope;
+  const result = scope === 'global'
+    ? await actions.saveGlobalBudget(budget)
+    : await actions.updateProject(scope, { budget });
+  if (result.ok) {
+    showToast('Budget saved', 'success');
+  } else {
+    showToast(result.error || 'Failed to save budget', 'error');
+  }
+}
+
+function renderPolicySection() {
+  const projects = store.get('projects');
+  if (!projects.some(p => p.id === _policyProjectId)) {
+    _policyProjectId = projects[0]?.id || null;
+    _policyDraft = null;
+    _policyDirty = false;
+  }
+  const project = projects.find(p => p.id === _policyProjectId);
+  if (project && !_policyDraft) {
+    const policy = project.permissionPolicy || { dryRun: true, rules: [] };
+    _policyDraft = {
+      dryRun: policy.dryRun,
+      rules: policy.rules.map(r => ({ ...r, tools: r.tools.join(', '), paths: r.paths.join(', ') })),
+    };
+  }
+
+  return `
+    <div class="settings-section">
+      <div class="settings-header">
+        <h2 class="settings-title">Permission Policies</h2>
+        <p class="hint">Answer tool permission prompts of a project's agents automatically; each project has its own policy. Each pending tool call takes the first matching rule. Command regexes must match the whole command, and chained, piped or redirected commands are never auto-approved. Paths are globs relative to the worktree. Every decision is written to the permission audit log.</p>
+      </div>
+      ${!project ? '<p class="hint">Add a project to configure its policy.</p>' : `
+        <div class="tester-controls">
+          <select class="form-input policy-project">
+            ${projects.map(p => `<option value="${escAttr(p.id)}" ${p.id === _policyProjectId ? 'selected' : ''}>${escHtml(p.name)}</option>`).join('')}
+          </select>
+          <label class="policy-dry-run"><input type="checkbox" data-policy-field="dryRun" ${_policyDraft.dryRun ? 'checked' : ''} /> Dry run (log only)</label>
+        </div>
+        <div class="rules-table">
+          <div class="rules-row rules-head">
+            <span class="rules-col-enabled">On</span>
+            <span class="policy-col-tools">Tools</span>
+            <span class="policy-col-command">Command regex</span>
+            <span class="policy-col-paths">Path globs</span>
+            <span class="policy-col-action">Action</span>
+            <span class="rules-col-actions"></span>
+          </div>
+          ${_policyDraft.rules.map((r, i) => `
+            <div class="rules-row policy-row" data-policy-index="${i}">
+              <span class="rules-col-enabled"><input type="checkbox" data-policy-field="enabled" ${r.enabled ? 'checked' : ''} /></span>
+              <span class="policy-col-tools"><input class="form-input" data-policy-field="tools" placeholder="Any tool" value="${escAttr(r.tools)}" /></span>
+              <span class="policy-col-command"><input class="form-input" data-policy-field="command" placeholder="^npm (test|run lint)" value="${escAttr(r.command)}" /></span>
+              <span class="policy-col-paths"><input class="form-input" data-policy-field="paths" placeholder="src/**, *.md" value="${escAttr(r.paths)}" /></span>
+              <span class="policy-col-action">
+                <select class="form-input" data-policy-field="action">
+                  ${POLICY_ACTIONS.map(a => `<option value="${a.value}" ${r.action === a.value ? 'selected' : ''}>${a.label}</option>`).join('')}
+                </select>
+              </span>
+              <span class="rules-col-actions">
+                <button class="icon-btn tiny policy-move" data-dir="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="icon-btn tiny policy-move" data-dir="1" title="Move down" ${i === _policyDraft.rules.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="icon-btn tiny policy-delete" title="Delete rule">&times;</button>
+              </span>
+            </div>
+          `).join('')}
+        </div>
+        <div class="form-actions settings-actions">
+          <button class="btn policy-add">+ Add Rule</button>
+          <span class="settings-spacer"></span>
+          <button class="btn policy-revert" ${_policyDirty ? '' : 'disabled'}>Revert</button>
+          <button class="btn btn-primary policy-save" ${_policyDirty ? '' : 'disabled'}>Save</button>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+function wirePolicyEvents() {
+  const select = _container.querySelector('.policy-project');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    if (_policyDirty && !confirm('Discard unsaved policy changes?')) {
+      select.value = _policyProjectId;
+      return;
+    }
+    _policyProjectId = select.value;
+    _policyDraft = null;
+    _policyDirty = false;
+    render();
+  });
+
+  _container.querySelector('[data-policy-field="dryRun"]').addEventListener('change', (e) => {
+    _policyDraft.dryRun = e.target.checked;
+    markPolicyDirty();
+  });
+
+  _container.querySelectorAll('.policy-row').forEach(row => {
+    const index = parseInt(row.dataset.policyIndex);
+    row.querySelectorAll('[data-policy-field]').forEach(input => {
+      const field = input.dataset.policyField;
+      const event = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+      input.addEventListener(event, () => {
+        _policyDraft.rules[index][field] = input.type === 'checkbox' ? input.checked : input.value;
+        markPolicyDirty();
+      });
+    });
+    row.querySelectorAll('.policy-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const rules = _policyDraft.rules;
+        const target = index + parseInt(btn.dataset.dir);
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        _policyDirty = true;
+        render();
+      });
+    });
+    row.querySelector('.policy-delete').addEventListener('click', () => {
+      _policyDraft.rules.splice(index, 1);
+      _policyDirty = true;
+      render();
+    });
+  });
+
+  _container.querySelector('.policy-add').addEventListener('click', () => {
+    _policyDraft.rules.push({ enabled: true, tools: '', command: '', paths: '', action: 'approve' });
+    _policyDirty = true;
+    render();
+    const inputs = _container.querySelectorAll('[data-policy-field="tools"]');
+    inputs[inputs.length - 1]?.focus();
+  });
+
+  _container.querySelector('.policy-revert').addEventListener('click', () => {
+    _policyDraft = null;
+    _policyDirty = false;
+    render();
+  });
+
+  _container.querySelector('.policy-save').addEventListener('click', async () => {
+    // No rules clears the policy
+    const permissionPolicy = _policyDraft.rules.length > 0 ? _policyDraft : null;
+    _policyDirty = false;
+    const result = await actions.updateProject(_policyProjectId, { permissionPolicy });
+    if (result.ok) {
+      _policyDraft = null;
+      showToast('Permission policy saved', 'success');
+      render();
+    } else {
+      _policyDirty = true;
+      showToast(result.error || 'Failed to save policy', 'error');
+    }
+  });
+}
+
+function markPolicyDirty() {
+  if (_policyDirty) return;
+  _policyDirty = true;
+  _container.querySelector('.policy-save').disabled = false;
+  _container.querySelector('.policy-revert').disabled = false;
+}
+
+function renderTokenSection() {
+  const tokens = store.get('mobileTokens') || [];
+  return `
+    <div class="settings-section">
+      <div class="settings-header">
+        <h2 class="settings-title">Mobile Access</h2>
+        <p class="hint">Tokens for phones and bots using the mobile server. Read-only tokens can watch agents, prompt tokens can also send prompts and answer questions, control tokens can approve tool calls and resume agents, admin tokens can manage tokens.</p>
+      </div>
+      ${renderMobileServerSettings()}
+      <div class="rules-table">
+        <div class="rules-row rules-head">
+          <span class="token-col-name">Name</span>
+          <span class="token-col-scope">Scope</span>
+          <span class="token-col-time">Created</span>
+          <span class="token-col-time">Expires</span>
+          <span class="token-col-time">Last used</span>
+          <span class="token-col-actions"></span>
+        </div>
+        ${tokens.length === 0 ? '<div class="rules-row"><span class="hint">No tokens yet. Create one to pair a device.</span></div>' : ''}
+        ${tokens.map(t => `
+          <div class="rules-row token-row ${t.active ? '' : 'token-inactive'}" data-token-id="${escAttr(t.id)}">
+            <span class="token-col-name">${escHtml(t.name)}</span>
+            <span class="token-col-scope">${escHtml(TOKEN_SCOPES.find(s => s.value === t.scope)?.label || t.scope)}</span>
+            <span class="token-col-time">${formatTime(t.createdAt)}</span>
+            <span class="token-col-time">${t.revokedAt ? 'Revoked' : t.expired ? 'Expired' : formatTime(t.expiresAt, 'Never')}</span>
+            <span class="token-col-time">${formatTime(t.lastUsedAt, 'Never')}</span>
+            <span class="token-col-actions">
+              ${t.active ? `
+                <button class="btn btn-sm token-pair">Pair</button>
+                <button class="btn btn-sm btn-danger token-revoke">Revoke</button>
+              ` : '<button class="btn btn-sm token-delete">Delete</button>'}
+            </span>
+          </div>
+        `).join('')}
+      </div>
+      <div class="form-actions settings-actions token-create">
+        <input class="form-input token-name" placeholder="Token name, e.g. Alex's phone" />
+        <select class="form-input token-scope">
+          ${TOKEN_SCOPES.map(s => `<option value="${s.value}" ${s.value === 'prompt' ? 'selected' : ''}>${s.label}</option>`).join('')}
+        </select>
+        <label class="token-expiry">Expires <input class="form-input token-expires" type="date" /></label>
+        <button class="btn btn-primary token-add">Create Token</button>
+      </div>
+      ${renderAuthFailures()}
+    </div>
+  `;
+}
+
+function renderMobileServerSettings() {
+  const settings = store.get('mobileSettings');
+  if (!settings) return '';
+  return `
+    <div class="form-actions settings-actions mobile-server-settings">
+      <label class="mobile-server-toggle"><input type="checkbox" class="mobile-enabled" ${settings.enabled ? 'checked' : ''} /> Enable mobile server</label>
+      <label class="mobile-server-toggle"><input type="checkbox" class="mobile-lan" ${settings.lanAccess ? 'checked' : ''} ${settings.enabled ? '' : 'disabled'} /> Allow LAN access</label>
+      <span class="hint">${!settings.enabled ? 'Off.' : !settings.running ? 'Failed to start — see the debug log.'
+        : settings.lanAccess ? 'Reachable from other devices on this network.'
+        : 'Reachable from this machine and tunnels only.'}</span>
+    </div>
+  `;
+}
+
+function renderAuthFailures() {
+  const { failures = [], lockouts = [] } = store.get('mobileAuthFailures') || {};
+  return `
+    <div class="settings-header auth-failures-header">
+      <h3 class="settings-subtitle">Recent Auth Failures</h3>
+      <p class="hint">Repeated invalid credentials lock out the client address for a while. Scope violations are only logged.</p>
+    </div>
+    ${lockouts.map(l => `
+      <div class="auth-lockout" data-lockout-key="${escAttr(l.key)}">
+        <span>Locked out: <code>${escHtml(l.key)}</code> until ${new Date(l.until).toLocaleTimeString()}</span>
+        <button class="btn btn-sm auth-unlock">Unlock</button>
+      </div>
+    `).join('')}
+    <div class="rules-table">
+      <div class="rules-row rules-head">
+        <span class="token-col-time">Time</span>
+        <span class="auth-col-ip">Client</span>
+        <span class="auth-col-reason">Reason</span>
+        <span class="auth-col-path">Request</span>
+      </div>
+      ${failures.length === 0 ? '<div class="rules-row"><span class="hint">No failed attempts since the app started.</span></div>' : ''}
+      ${failures.map(f => `
+        <div class="rules-row">
+          <span class="token-col-time">${new Date(f.time).toLocaleString()}</span>
+          <span class="auth-col-ip" title="${escAttr(f.userAgent)}">${escHtml(f.ip)}</span>
+          <span class="auth-col-reason">${escHtml(AUTH_FAILURE_REASONS[f.reason] || f.reason)}${f.tokenName ? ` (${escHtml(f.tokenName)})` : ''}${f.lockedUntil ? ' — locked out' : ''}</span>
+          <span class="auth-col-path">${escHtml(f.path)}</span>
+        </div>
+      `).join('')}
+    </div>
+    <div class="form-actions settings-actions">
+      <button class="btn auth-refresh">Refresh</button>
+    </div>
+  `;
+}
+
+function wireTokenEvents() {
+  _container.querySelector('.mobile-enabled')?.addEventListener('change', async (e) => {
+    const result = await actions.saveMobileSettings({ enabled: e.target.checked });
+    if (!result.ok) showToast(result.error || 'Failed to update mobile server', 'error');
+  });
+  _container.querySelector('.mobile-lan')?.addEventListener('change', async (e) => {
+    if (e.target.checked && !confirm('Allow devices on this network to reach the mobile server? They still need a token.')) {
+      e.target.checked = false;
+      return;
+    }
+    const result = await actions.saveMobileSettings({ lanAccess: e.target.checked });
+    if (!result.ok) showToast(result.error || 'Failed to update mobile server', 'error');
+  });
+
+  _container.querySelectorAll('.token-row').forEach(row => {
+    const id = row.dataset.tokenId;
+    row.querySelector('.token-pair')?.addEventListener('click', () => showPairing(id));
+    row.querySelector('.token-revoke')?.addEventListener('click', async () => {
+      if (!confirm('Revoke this token? Devices using it are disconnected.')) return;
+      const result = await actions.revokeMobileToken(id);
+      if (!result.ok) showToast(result.error || 'Failed to revoke token', 'error');
+    });
+    row.querySelector('.token-delete')?.addEventListener('click', async () => {
+      const result = await actions.deleteMobileToken(id);
+      if (!result.ok) showToast(result.error || 'Failed to delete token', 'error');
+    });
+  });
+
+  _container.querySelectorAll('.auth-lockout').forEach(row => {
+    row.querySelector('.auth-unlock').addEventListener('click', async () => {
+      const result = await actions.unlockMobileClient(row.dataset.lockoutKey);
+      if (!result.ok) showToast(result.error || 'Failed to unlock', 'error');
+    });
+  });
+  _container.querySelector('.auth-refresh').addEventListener('click', () => actions.loadMobileAuthFailures());
+
+  _container.querySelector('.token-add').addEventListener('click', async () => {
+    const expires = _container.querySelector('.token-expires').value;
+    const result = await actions.createMobileToken({
+      name: _container.querySelector('.token-name').value,
+      scope: _container.querySelector('.token-scope').value,
+      // End of the chosen day, local time
+      expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null,
+    });
+    if (!result.ok) {
+      showToast(result.error || 'Failed to create token', 'error');
+      return;
+    }
+    showPairing(result.token.id, result.secret);
+  });
+}
+
+/**
+ * One-time pairing code and QR link for a token. The raw secret is only
+ * shown right after creation, for clients that cannot pair (bots, scripts).
+ */
+async function showPairing(id, secret) {
+  const pairing = await actions.getMobileTokenPairing(id);
+  if (!pairing.ok) {
+    showToast(pairing.error || 'Failed to build pairing code', 'error');
+    return;
+  }
+  const token = (store.get('mobileTokens') || []).find(t => t.id === id);
+  const content = document.createElement('div');
+  content.className = 'token-pairing';
+  content.innerHTML = `
+    ${pairing.serverRunning ? '' : '<p class="tester-error">The mobile server is not running.</p>'}
+    ${pairing.lanAccess ? '' : '<p class="hint">LAN access is off: only this machine or a tunnel can use this link.</p>'}
+    <img class="token-qr" src="${pairing.qrDataUrl}" alt="Pairing QR code" />
+    <p class="hint">Scan with the phone's camera, or open the mobile page and enter:</p>
+    <div class="token-code">${escHtml(pairing.code)}</div>
+    <p class="hint">Single use, valid until ${new Date(pairing.expiresAt).toLocaleTimeString()}.</p>
+    ${pairing.tlsFingerprint ? `
+      <p class="hint">The phone will warn about a self-signed certificate. Accept it only if its SHA-256 fingerprint matches:</p>
+      <code class="token-fingerprint">${escHtml(pairing.tlsFingerprint)}</code>
+    ` : '<p class="hint">Plain HTTP: traffic on the network is not encrypted.</p>'}
+    ${secret ? `
+      <p class="hint">Bearer token (shown once here; use it in the Authorization header):</p>
+      <input class="form-input token-secret" readonly value="${escAttr(secret)}" />
+    ` : ''}
+  `;
+  content.querySelectorAll('input').forEach(input => {
+    input.addEventListener('focus', () => input.select());
+  });
+  showModal({ title: `Pair device — ${escHtml(token?.name || 'token')}`, content, width: '420px' });
+}
+
+function formatTime(iso, empty = '—') {
+  return iso ? new Date(iso).toLocaleString() : empty;
+}
+
+function renderSourceOptions() {
+  const live = store.get('agents').filter(a => a.terminalId);
+  const history = store.get('agentHistory').filter(e => e.bufferLineCount > 0);
+
+  if (live.length === 0 && history.length === 0) {
+    return '<option value="">No saved buffers available</option>';
+  }
+
+  return `
+    ${live.length > 0 ? `<optgroup label="Live agents">
+      ${live.map(a => `<option value="live:${a.terminalId}">${escHtml(a.type)} — ${escHtml(a.prompt || a.worktreePath || a.id)}</option>`).join('')}
+    </optgroup>` : ''}
+    ${history.length > 0 ? `<optgroup label="History">
+      ${history.map(e => `<option value="history:${e.id}">${escHtml(e.type)} — ${escHtml(e.prompt || e.worktreePath || e.id)} (${e.bufferLineCount} lines)</option>`).join('')}
+    </optgroup>` : ''}
+  `;
+}
+
+function renderTestResult() {
+  if (!_testResult) return '';
+  if (!_testResult.ok) return `<div class="tester-error">${escHtml(_testResult.error)}</div>`;
+  if (_testResult.transitions.length === 0) {
+    return `<div class="hint">No rule matched in ${_testResult.lineCount} lines.</div>`;
+  }
+  return `
+    <div class="hint">${_testResult.transitions.length} transition(s) in ${_testResult.lineCount} lines</div>
+    <ul class="tester-results">
+      ${_testResult.transitions.map(t => `
+        <li>
+          <span class="tester-line">line ${t.index + 1}</span>
+          <span class="status-dot status-${t.status}"></span>
+          <span class="status-label">${escHtml(t.status)}</span>
+          ${t.ruleId ? `<span class="tester-rule">${escHtml(t.ruleId)}</span>` : ''}
+          <pre class="tester-excerpt">${escHtml(t.excerpt)}</pre>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+function wireEvents() {
+  _container.querySelectorAll('.budget-row').forEach(row => {
+    row.querySelector('.budget-save').addEventListener('click', () => saveBudget(row));
+  });
+
+  wirePolicyEvents();
+  wireTokenEvents();
+
+  _container.querySelectorAll('.settings-tab').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.type === _activeType) return;
+      if (_dirty && !confirm('Discard unsaved rule changes?')) return;
+      _activeType = btn.dataset.type;
+      _draft = null;
+      _dirty = false;
+      _testResult = null;
+      render();
+    });
+  });
+
+  _container.querySelectorAll('.rules-row[data-index]').forEach(row => {
+    const index = parseInt(row.dataset.index);
+    row.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      const event = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+      input.addEventListener(event, () => {
+        _draft[index][field] = input.type === 'checkbox' ? input.checked : input.value;
+        markDirty();
+      });
+    });
+    row.querySelectorAll('.rule-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = index + parseInt(btn.dataset.dir);
+        [_draft[index], _draft[target]] = [_draft[target], _draft[index]];
+        _dirty = true;
+        render();
+      });
+    });
+    row.querySelector('.rule-delete').addEventListener('click', () => {
+      _draft.splice(index, 1);
+      _dirty = true;
+      render();
+    });
+  });
+
+  _container.querySelector('.rule-add').addEventListener('click', () => {
+    _draft.push({ pattern: '', matchType: 'literal', flags: 'i', status: 'waiting_input', reason: '', enabled: true });
+    _dirty = true;
+    render();
+    const inputs = _container.querySelectorAll('[data-field="pattern"]');
+    inputs[inputs.length - 1]?.focus();
+  });
+
+  _container.querySelector('.rules-save').addEventListener('click', async () => {
+    const result = await actions.saveAttentionRules(_activeType, _draft);
+    if (result.ok) {
+      _dirty = false;
+      _draft = null;
+      showToast(`Saved ${_activeType} attention rules`, 'success');
+      render();
+    } else {
+      showToast(result.error || 'Failed to save rules', 'error');
+    }
+  });
+
+  _container.querySelector('.rules-revert').addEventListener('click', () => {
+    _dirty = false;
+    _draft = null;
+    render();
+  });
+
+  _container.querySelector('.rules-reset')?.addEventListener('click', async () => {
+    if (!confirm(`Reset ${_activeType} rules to the built-in defaults?`)) return;
+    _dirty = false;
+    _draft = null;
+    const result = await actions.resetAttentionRules(_activeType);
+    if (!result.ok) showToast(result.error || 'Failed to reset rules', 'error');
+  });
+
+  _container.querySelector('.tester-run').addEventListener('click', runTest);
+}
+
+function markDirty() {
+  if (_dirty) return;
+  _dirty = true;
+  _container.querySelector('.rules-save').disabled = false;
+  _container.querySelector('.rules-revert').disabled = false;
+}
+
+async function runTest() {
+  const source = _container.querySelector('.tester-source').value;
+  if (!source) return;
+
+  const [kind, id] = source.split(/:(.*)/);
+  let lines = [];
+  if (kind === 'live') {
+    lines = await actions.getAgentBuffer(id);
+  } else {
+    const entry = await actions.getAgentHistoryEntry(id);
+    lines = entry ? entry.bufferSnapshot || [] : [];
+  }
+
+  _testResult = await actions.testAttentionRules(_draft, lines);
+  render();
+  _container.querySelector('.tester-source').value = source;
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
+
+function escAttr(str) {
+  return escHtml(str).replace(/"/g, '&quot;');
+}
@@ -3,6 +3,7 @@ import { FitAddon } from '@xterm/addon-fit';
 import { WebLinksAddon } from '@xterm/addon-web-links';
 import store from '../../state/store';
 import * as actions from '../../state/actions';
+import { renderAgentPrompt, bindAgentPrompt } from '../agents/AgentPrompt';
 
 const api = window.api;
 
@@ -47,6 +48,7 @@ export const TerminalView = {
       <div class="terminal-tabs" id="terminal-tab-bar">
         <!-- Tabs rendered dynamically -->
       </div>
+      <div class="terminal-prompt" id="terminal-prompt"></div>
       <div class="terminal-panes" id="terminal-panes">
         <!-- Terminal panes rendered here -->
       </div>
@@ -81,10 +83,13 @@ export const TerminalView = {
     _unsubs.push(store.subscribe('terminals', () => renderTabs()));
     _unsubs.push(store.subscribe('ui', (ui) => {
       renderTabs();
+      renderPrompt();
       showActivePane(ui.activeTerminalId);
     }));
+    _unsubs.push(store.subscribe('agents', () => renderPrompt()));
 
     renderTabs();
+    renderPrompt();
 
     // Auto-create initial terminals for any that already exist
     const terminals = store.get('terminals');
@@ -119,7 +124,7 @@ function renderTabs() {
 
   tabBar.innerHTML = terminals.map(t => {
     const agent = t.agentId ? store.get('agents').find(a => a.id === t.agentId) : null;
-    const hasAttention = agent && (agent.status === 'waiting_input' || agent.status === 'waiting_permission');
+    const hasAttention = agent && actions.needsAttention(agent.status);
 
     return `
       <div class="terminal-tab ${t.id === activeId ? 'active' : ''} ${hasAttention ? 'attention' : ''}" data-id="${t.id}">
@@ -162,6 +167,18 @@ function renderTabs() {
   });
 }
 
+/**
+ * Answer controls for the active agent terminal's pending question or permission prompt.
+ */
+function renderPrompt() {
+  const el = _container?.querySelector('#terminal-prompt');
+  if (!el) return;
+  const terminal = store.get('terminals').find(t => t.id === store.get('ui').activeTerminalId);
+  const agent = terminal?.agentId ? store.get('agents').find(a => a.id === terminal.agentId) : null;
+  el.innerHTML = agent ? renderAgentPrompt(agent) : '';
+  bindAgentPrompt(el, renderPrompt);
+}
+
 function ensureTerminal(terminalId) {
   if (_terminals.has(terminalId)) return;
   if (!_container) return;
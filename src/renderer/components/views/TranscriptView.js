@@ -0,0 +1,327 @@
+import store from '../../state/store';
+import * as actions from '../../state/actions';
+
+const ROW_HEIGHT = 26;
+const OVERSCAN = 20;
+const PAGE_SIZE = 200;
+const EDGE_ROWS = 15;        // load another page when this close to either end
+const TAIL_POLL_MS = 3000;
+
+let _container = null;
+let _unsubs = [];
+let _pollTimer = null;
+
+// Loaded window of the transcript
+let _target = null;          // { sessionFile, title, offset? }
+let _entries = [];           // [{ offset, line }]
+let _start = 0;              // byte offset of the first loaded line
+let _end = 0;                // byte offset just past the last loaded line
+let _hasBefore = false;
+let _hasAfter = false;
+let _loading = false;
+let _selectedOffset = null;
+let _error = null;
+
+/**
+ * Transcript view — a full session JSONL, paged from disk by byte offset.
+ * Rows are virtualized; older pages load when scrolling up and new lines
+ * are tailed while the view is open.
+ */
+export const TranscriptView = {
+  create(container) {
+    _container = container;
+    _container.className = 'view-transcript';
+    _unsubs.push(store.subscribe('transcript', () => load()));
+    load();
+    _pollTimer = setInterval(() => {
+      if (!_hasAfter) loadNewer();
+    }, TAIL_POLL_MS);
+  },
+
+  destroy() {
+    _unsubs.forEach(fn => fn());
+    _unsubs = [];
+    clearInterval(_pollTimer);
+    _pollTimer = null;
+    _container = null;
+    _target = null;
+    _entries = [];
+  },
+};
+
+async function load() {
+  _target = store.get('transcript');
+  _entries = [];
+  _start = _end = 0;
+  _hasBefore = _hasAfter = false;
+  _selectedOffset = null;
+  _error = null;
+
+  if (!_target) {
+    renderShell();
+    return;
+  }
+
+  const target = _target;
+  _loading = true;
+  renderShell();
+
+  let before;
+  let after = null;
+  if (typeof target.offset === 'number') {
+    // Jump to a line: the page ending at it plus the page starting at it
+    before = await actions.getTranscriptPage(target.sessionFile, { before: target.offset, limit: PAGE_SIZE });
+    after = await actions.getTranscriptPage(target.sessionFile, { after: target.offset, limit: PAGE_SIZE });
+  } else {
+    before = await actions.getTranscriptPage(target.sessionFile, { limit: PAGE_SIZE });
+  }
+  _loading = false;
+  if (target !== _target || !_container) return;
+
+  if (!before.ok || (after && !after.ok)) {
+    _error = (before.ok ? after : before).error;
+    renderShell();
+    return;
+  }
+
+  _entries = before.entries.concat(after ? after.entries : []);
+  _start = before.start;
+  _end = after ? after.end : before.end;
+  _hasBefore = before.hasBefore;
+  _hasAfter = after ? after.hasAfter : before.hasAfter;
+  _selectedOffset = after?.entries[0]?.offset ?? null;
+
+  renderShell();
+  const scroller = _container.querySelector('.transcript-scroll');
+  if (_selectedOffset !== null) {
+    scroller.scrollTop = Math.max(0, before.entries.length * ROW_HEIGHT - scroller.clientHeight / 2);
+  } else {
+    scroller.scrollTop = scroller.scrollHeight;
+  }
+  renderRows();
+  renderDetail();
+}
+
+async function loadOlder() {
+  if (_loading || !_hasBefore || !_target) return;
+  const target = _target;
+  _loading = true;
+  const page = await actions.getTranscriptPage(target.sessionFile, { before: _start, limit: PAGE_SIZE });
+  _loading = false;
+  if (target !== _target || !_container || !page.ok) return;
+
+  _entries = page.entries.concat(_entries);
+  _start = page.start;
+  _hasBefore = page.hasBefore;
+
+  const scroller = _container.querySelector('.transcript-scroll');
+  updateSpacer();
+  scroller.scrollTop += page.entries.length * ROW_HEIGHT;
+  renderRows();
+  renderStatus();
+}
+
+async function loadNewer() {
+  if (_loading || !_target || !_container) return;
+  const target = _target;
+  _loading = true;
+  const page = await actions.getTranscriptPage(target.sessionFile, { after: _end, limit: PAGE_SIZE });
+  _loading = false;
+  if (target !== _target || !_container || !page.ok) return;
+
+  _end = page.end;
+  _hasAfter = page.hasAfter;
+  if (page.entries.length === 0) return;
+
+  const scroller = _container.querySelector('.transcript-scroll');
+  const atBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - ROW_HEIGHT;
+  _entries = _entries.concat(page.entries);
+  updateSpacer();
+  if (atBottom && !_hasAfter) scroller.scrollTop = scroller.scrollHeight;
+  renderRows();
+  renderStatus();
+}
+
+function renderShell() {
+  if (!_container) return;
+
+  if (!_target) {
+    _container.innerHTML = `
+      <div class="list-empty">
+        <p>No transcript selected</p>
+        <p class="hint">Open a transcript from the Sessions view, the History view or an agent's context menu</p>
+      </div>
+    `;
+    return;
+  }
+
+  _container.innerHTML = `
+    <div class="transcript-header">
+      <div class="transcript-title">${escHtml(_target.title || 'Transcript')}</div>
+      <div class="transcript-file mono" title="${escHtml(_target.sessionFile)}">${escHtml(_target.sessionFile)}</div>
+      <span class="transcript-status"></span>
+    </div>
+    <div class="transcript-body">
+      <div class="transcript-scroll">
+        <div class="transcript-spacer"></div>
+      </div>
+      <div class="transcript-detail"></div>
+    </div>
+  `;
+
+  const scroller = _container.querySelector('.transcript-scroll');
+  scroller.addEventListener('scroll', onScroll);
+  scroller.addEventListener('click', (e) => {
+    const row = e.target.closest('.transcript-row');
+    if (!row) return;
+    _selectedOffset = Number(row.dataset.offset);
+    renderRows();
+    renderDetail();
+  });
+
+  updateSpacer();
+  renderStatus();
+  renderRows();
+  renderDetail();
+}
+
+function onScroll() {
+  const scroller = _container.querySelector('.transcript-scroll');
+  renderRows();
+  if (scroller.scrollTop < EDGE_ROWS * ROW_HEIGHT) loadOlder();
+  if (_hasAfter && scroller.scrollTop + scroller.clientHeight > scroller.scrollHeight - EDGE_ROWS * ROW_HEIGHT) {
+    loadNewer();
+  }
+}
+
+function updateSpacer() {
+  const spacer = _container.querySelector('.transcript-spacer');
+  if (spacer) spacer.style.height = `${_entries.length * ROW_HEIGHT}px`;
+}
+
+/**
+ * Render only the rows in (and just around) the visible window.
+ */
+function renderRows() {
+  const scroller = _container?.querySelector('.transcript-scroll');
+  if (!scroller) return;
+  const spacer = scroller.querySelector('.transcript-spacer');
+
+  const first = Math.max(0, Math.floor(scroller.scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(_entries.length, Math.ceil((scroller.scrollTop + scroller.clientHeight) / ROW_HEIGHT) + OVERSCAN);
+
+  let html = '';
+  for (let i = first; i < last; i++) {
+    const { offset, line } = _entries[i];
+    const summary = summarizeEntry(line);
+    html += `
+      <div class="transcript-row ${offset === _selectedOffset ? 'selected' : ''}" data-offset="${offset}"
+           style="top:${i * ROW_HEIGHT}px;height:${ROW_HEIGHT}px">
+        <span class="transcript-time">${formatTime(line.timestamp)}</span>
+        <span class="transcript-kind kind-${summary.kind}">${summary.kind}</span>
+        <span class="transcript-text">${escHtml(summary.text)}</span>
+      </div>
+    `;
+  }
+  spacer.innerHTML = html;
+}
+
+function renderStatus() {
+  const el = _container?.querySelector('.transcript-status');
+  if (!el) return;
+  if (_error) {
+    el.textContent = _error;
+    el.classList.add('error');
+    return;
+  }
+  if (_loading && _entries.length === 0) {
+    el.textContent = 'Loading…';
+    return;
+  }
+  el.textContent = `${_entries.length} entries loaded${_hasBefore ? ' · scroll up for older' : ''}`;
+}
+
+function renderDetail() {
+  const el = _container?.querySelector('.transcript-detail');
+  if (!el) return;
+  const entry = _entries.find(e => e.offset === _selectedOffset);
+  if (!entry) {
+    el.innerHTML = '<p class="hint">Select an entry to see it in full</p>';
+    return;
+  }
+
+  const blocks = contentBlocks(entry.line);
+  el.innerHTML = `
+    <div class="history-section-title">${escHtml(entry.line.type || 'entry')} · ${formatTime(entry.line.timestamp)}</div>
+    ${blocks.map(b => `
+      <div class="transcript-block">
+        <div class="transcript-block-kind">${escHtml(b.label)}</div>
+        <pre class="transcript-block-text">${escHtml(b.text)}</pre>
+      </div>
+    `).join('')}
+    <details class="transcript-raw">
+      <summary>Raw JSON</summary>
+      <pre>${escHtml(JSON.stringify(entry.line, null, 2))}</pre>
+    </details>
+  `;
+}
+
+/**
+ * One-line summary of a JSONL entry: { kind, text }.
+ */
+function summarizeEntry(line) {
+  const blocks = contentBlocks(line);
+  if (line.type === 'assistant') {
+    const tools = blocks.filter(b => b.kind === 'tool_use');
+    const text = blocks.find(b => b.kind === 'text');
+    if (tools.length > 0) return { kind: 'tool', text: tools.map(t => t.label).join(', ') + (text ? ` — ${firstLine(text.text)}` : '') };
+    return { kind: 'assistant', text: text ? firstLine(text.text) : '' };
+  }
+  if (line.type === 'user') {
+    if (blocks.some(b => b.kind === 'tool_result')) return { kind: 'result', text: firstLine(blocks[0].text) };
+    return { kind: 'user', text: blocks.length > 0 ? firstLine(blocks[0].text) : '' };
+  }
+  return { kind: line.type || 'other', text: firstLine(line.summary || line.content || '') };
+}
+
+/**
+ * Message content as labelled text blocks.
+ */
+function contentBlocks(line) {
+  const content = line.message?.content;
+  if (typeof content === 'string') return [{ kind: 'text', label: 'text', text: content }];
+  if (!Array.isArray(content)) {
+    const text = line.summary || line.content;
+    return text ? [{ kind: 'text', label: line.type || 'text', text: String(text) }] : [];
+  }
+
+  return content.map((block) => {
+    if (block.type === 'text') return { kind: 'text', label: 'text', text: block.text || '' };
+    if (block.type === 'thinking') return { kind: 'thinking', label: 'thinking', text: block.thinking || '' };
+    if (block.type === 'tool_use') {
+      return { kind: 'tool_use', label: block.name || 'tool_use', text: JSON.stringify(block.input, null, 2) };
+    }
+    if (block.type === 'tool_result') {
+      const text = Array.isArray(block.content)
+        ? block.content.map(c => c.text || '').join('\n')
+        : String(block.content ?? '');
+      return { kind: 'tool_result', label: block.is_error ? 'tool error' : 'tool result', text };
+    }
+    return { kind: block.type || 'block', label: block.type || 'block', text: JSON.stringify(block) };
+  });
+}
+
+function firstLine(text) {
+  return String(text).trim().split('\n')[0].slice(0, 300);
+}
+
+function formatTime(ts) {
+  if (!ts) return '';
+  return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
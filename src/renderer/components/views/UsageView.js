@@ -0,0 +1,271 @@
+import store from '../../state/store';
+import * as actions from '../../state/actions';
+import { showToast } from '../common/Toast';
+
+const api = window.api;
+const REFRESH_THROTTLE_MS = 2000;
+const MAX_DAYS = 30;
+const MAX_SESSIONS = 50;
+const PRICE_FIELDS = ['input', 'output', 'cacheRead', 'cacheCreation'];
+
+let _container = null;
+let _unsubs = [];
+let _refreshTimer = null;
+let _priceDraft = null; // [{ model, input, output, cacheRead, cacheCreation }] while editing
+
+/**
+ * Usage view — token totals and estimated cost per project, day and session.
+ */
+export const UsageView = {
+  create(container) {
+    _container = container;
+    _container.className = 'view-settings view-usage';
+    _priceDraft = null;
+    render();
+    _unsubs.push(store.subscribe('usage', render));
+    _unsubs.push(store.subscribe('projects', render));
+    _unsubs.push(api.onUsageUpdated(scheduleRefresh));
+    actions.loadUsage();
+  },
+
+  destroy() {
+    _unsubs.forEach(fn => fn());
+    _unsubs = [];
+    clearTimeout(_refreshTimer);
+    _refreshTimer = null;
+    _container = null;
+  },
+};
+
+function scheduleRefresh() {
+  if (_refreshTimer) return;
+  _refreshTimer = setTimeout(() => {
+    _refreshTimer = null;
+    actions.loadUsage();
+  }, REFRESH_THROTTLE_MS);
+}
+
+function render() {
+  if (!_container) return;
+  const usage = store.get('usage');
+  if (!usage) {
+    _container.innerHTML = '<div class="list-empty"><p>Loading usage…</p></div>';
+    return;
+  }
+
+  const { totals } = usage;
+  const unpriced = totals.unpricedModels;
+
+  _container.innerHTML = `
+    <div class="settings-section">
+      <div class="settings-header">
+        <h2 class="settings-title">Usage</h2>
+        <p class="hint">Token counts from Claude session logs. Costs are estimates based on the price table below.</p>
+      </div>
+      <div class="usage-cards">
+        ${card('Estimated cost', formatCost(totals.cost))}
+        ${card('Input', formatTokens(totals.input))}
+        ${card('Output', formatTokens(totals.output))}
+        ${card('Cache read', formatTokens(totals.cacheRead))}
+        ${card('Cache write', formatTokens(totals.cacheCreation))}
+      </div>
+      ${unpriced.length > 0
+        ? `<p class="hint usage-warning">No price for: ${unpriced.map(escHtml).join(', ')}</p>`
+        : ''}
+    </div>
+
+    <div class="settings-section">
+      <h3 class="settings-subtitle">By Project</h3>
+      ${table(['Project', 'Sessions'], usage.projects, p => [
+        escHtml(projectLabel(p)),
+        p.sessionCount,
+      ])}
+    </div>
+
+    <div class="settings-section">
+      <h3 class="settings-subtitle">By Day</h3>
+      ${table(['Day'], usage.days.slice(0, MAX_DAYS), d => [escHtml(d.day)])}
+    </div>
+
+    <div class="settings-section">
+      <h3 class="settings-subtitle">By Session</h3>
+      ${table(['Session', 'Project', 'Last active'], usage.sessions.slice(0, MAX_SESSIONS), s => [
+        `<span class="mono" title="${escHtml(s.sessionId)}">${escHtml(s.sessionId.slice(0, 8))}</span>`,
+        escHtml(projectLabel(s)),
+        formatDate(s.lastSeen),
+      ])}
+    </div>
+
+    <div class="settings-section">
+      <div class="settings-header">
+        <h3 class="settings-subtitle">Prices</h3>
+        <p class="hint">USD per million tokens. Keys match any model name containing them; the first match wins.</p>
+      </div>
+      ${renderPriceTable(usage)}
+    </div>
+  `;
+
+  wirePriceEvents(usage);
+}
+
+function card(label, value) {
+  return `
+    <div class="usage-card">
+      <div class="usage-card-value">${value}</div>
+      <div class="usage-card-label">${label}</div>
+    </div>
+  `;
+}
+
+/**
+ * Table with leading label columns followed by the standard token/cost columns.
+ */
+function table(labels, rows, cells) {
+  if (rows.length === 0) return '<p class="hint">No usage recorded yet</p>';
+  return `
+    <table class="usage-table">
+      <thead>
+        <tr>
+          ${labels.map(l => `<th>${l}</th>`).join('')}
+          <th class="num">Input</th><th class="num">Output</th>
+          <th class="num">Cache read</th><th class="num">Cache write</th>
+          <th class="num">Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            ${cells(row).map(c => `<td>${c}</td>`).join('')}
+            <td class="num">${formatTokens(row.input)}</td>
+            <td class="num">${formatTokens(row.output)}</td>
+            <td class="num">${formatTokens(row.cacheRead)}</td>
+            <td class="num">${formatTokens(row.cacheCreation)}</td>
+            <td class="num">${formatCost(row.cost)}${row.unpricedModels.length ? ' *' : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderPriceTable(usage) {
+  const rows = _priceDraft || Object.entries(usage.prices).map(([model, p]) => ({ model, ...p }));
+  return `
+    <div class="rules-table">
+      <div class="rules-row rules-head">
+        <span class="rules-col-pattern">Model</span>
+        ${PRICE_FIELDS.map(f => `<span class="price-col">${fieldLabel(f)}</span>`).join('')}
+        <span class="rules-col-actions"></span>
+      </div>
+      ${rows.map((r, i) => `
+        <div class="rules-row" data-index="${i}">
+          <span class="rules-col-pattern"><input class="form-input" data-field="model" value="${escAttr(r.model)}" /></span>
+          ${PRICE_FIELDS.map(f => `
+            <span class="price-col"><input class="form-input" type="number" min="0" step="0.01" data-field="${f}" value="${r[f]}" /></span>
+          `).join('')}
+          <span class="rules-col-actions">
+            <button class="icon-btn tiny price-delete" title="Remove">&times;</button>
+          </span>
+        </div>
+      `).join('')}
+    </div>
+    <div class="form-actions settings-actions">
+      <button class="btn price-add">+ Add Model</button>
+      <span class="settings-spacer"></span>
+      ${usage.pricesCustomized ? '<button class="btn btn-danger prices-reset">Reset to Defaults</button>' : ''}
+      <button class="btn btn-primary prices-save" ${_priceDraft ? '' : 'disabled'}>Save Prices</button>
+    </div>
+  `;
+}
+
+function wirePriceEvents(usage) {
+  const ensureDraft = () => {
+    if (!_priceDraft) _priceDraft = Object.entries(usage.prices).map(([model, p]) => ({ model, ...p }));
+    _container.querySelector('.prices-save').disabled = false;
+  };
+
+  _container.querySelectorAll('.rules-row[data-index]').forEach(row => {
+    const index = parseInt(row.dataset.index);
+    row.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('input', () => {
+        ensureDraft();
+        _priceDraft[index][input.dataset.field] = input.value;
+      });
+    });
+    row.querySelector('.price-delete').addEventListener('click', () => {
+      ensureDraft();
+      _priceDraft.splice(index, 1);
+      render();
+    });
+  });
+
+  _container.querySelector('.price-add').addEventListener('click', () => {
+    ensureDraft();
+    _priceDraft.push({ model: '', input: 0, output: 0, cacheRead: 0, cacheCreation: 0 });
+    render();
+    const inputs = _container.querySelectorAll('[data-field="model"]');
+    inputs[inputs.length - 1]?.focus();
+  });
+
+  _container.querySelector('.prices-save').addEventListener('click', async () => {
+    const prices = {};
+    for (const row of _priceDraft || []) {
+      if (!row.model.trim()) continue;
+      prices[row.model.trim()] = Object.fromEntries(PRICE_FIELDS.map(f => [f, Number(row[f])]));
+    }
+    const result = await actions.saveUsagePrices(prices);
+    if (result.ok) {
+      _priceDraft = null;
+      showToast('Saved usage prices', 'success');
+      render();
+    } else {
+      showToast(result.error || 'Failed to save prices', 'error');
+    }
+  });
+
+  _container.querySelector('.prices-reset')?.addEventListener('click', async () => {
+    if (!confirm('Reset the price table to the built-in defaults?')) return;
+    _priceDraft = null;
+    const result = await actions.resetUsagePrices();
+    if (!result.ok) showToast(result.error || 'Failed to reset prices', 'error');
+  });
+}
+
+function projectLabel(entry) {
+  const project = entry.projectId && store.get('projects').find(p => p.id === entry.projectId);
+  if (project) return project.name;
+  if (!entry.projectPath) return 'Unknown';
+  // Encoded ~/.claude/projects folder: every separator became '-'
+  const parts = entry.projectPath.split('-').filter(Boolean);
+  return parts[parts.length - 1] || entry.projectPath;
+}
+
+function fieldLabel(field) {
+  return { input: 'Input', output: 'Output', cacheRead: 'Cache read', cacheCreation: 'Cache write' }[field];
+}
+
+function formatTokens(n) {
+  if (!n) return '0';
+  if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+function formatCost(cost) {
+  return `$${(cost || 0).toFixed(cost >= 100 ? 0 : 2)}`;
+}
+
+function formatDate(ts) {
+  if (!ts) return '—';
+  return new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function escHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str || '';
+  return div.innerHTML;
+}
+
+function escAttr(str) {
+  return escHtml(str).replace(/"/g, '&quot;');
+}
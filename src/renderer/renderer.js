@@ -23,6 +23,12 @@ import { BoardView } from './components/views/BoardView';
 import { ListView } from './components/views/ListView';
 import { GridView } from './components/views/GridView';
 import { TerminalView } from './components/views/TerminalView';
+import { HistoryView } from './components/views/HistoryView';
+import { UsageView } from './components/views/UsageView';
+import { SessionsView } from './components/views/SessionsView';
+import { SearchView } from './components/views/SearchView';
+import { TranscriptView } from './components/views/TranscriptView';
+import { SettingsView } from './components/views/SettingsView';
 
 const api = window.api;
 
@@ -34,6 +40,12 @@ async function init() {
   router.register('list', ListView);
   router.register('grid', GridView);
   router.register('terminal', TerminalView);
+  router.register('history', HistoryView);
+  router.register('usage', UsageView);
+  router.register('sessions', SessionsView);
+  router.register('search', SearchView);
+  router.register('transcript', TranscriptView);
+  router.register('settings', SettingsView);
 
   // 2. Initialize router with content container
   const content = document.getElementById('content');
@@ -71,6 +83,8 @@ async function init() {
       done: 'success',
       error: 'error',
       attention: 'attention',
+      budget: 'warning',
+      permission: 'warning',
     };
     showToast(data.message || 'Agent needs attention', typeMap[data.type] || 'info');
   });
@@ -18,6 +18,14 @@ export async function addProject(name, path) {
   return result;
 }
 
+export async function updateProject(id, changes) {
+  const result = await api.updateProject(id, changes);
+  if (result.ok) {
+    await loadProjects();
+  }
+  return result;
+}
+
 export async function removeProject(id) {
   const result = await api.removeProject(id);
   if (result.ok) {
@@ -111,10 +119,274 @@ export async function terminateAgent(agentId) {
   return result;
 }
 
+/**
+ * Relaunch a stopped Claude agent (live or from history) into its session.
+ */
+export async function resumeAgent(agentId) {
+  const result = await api.resumeAgent(agentId);
+  if (result.ok) {
+    await loadAgents();
+    addTerminalTab(result.terminalId, 'agent', 'claude (resumed)', result.agentId);
+  }
+  return result;
+}
+
+/**
+ * Resume the most recent resumable agent, preferring the selected worktree.
+ */
+export async function resumeLastSession() {
+  const entries = await loadAgentHistory();
+  const worktreeId = store.get('selectedWorktreeId');
+  const resumable = entries.filter(isResumable);
+  const entry = resumable.find(e => e.worktreeId === worktreeId) || resumable[0];
+  if (!entry) return { ok: false, error: 'No resumable agent sessions' };
+  return resumeAgent(entry.id);
+}
+
+/**
+ * Whether an agent status needs the user (waiting, error, rate limit, custom rule status).
+ */
+export function needsAttention(status) {
+  return !['starting', 'running', 'done', 'failed', 'terminated', 'interrupted'].includes(status);
+}
+
+/**
+ * Whether an agent or history entry can be continued with --resume.
+ */
+export function isResumable(agent) {
+  return agent.type === 'claude'
+    && Boolean(agent.sessionId)
+    && ['done', 'failed', 'terminated', 'interrupted'].includes(agent.status);
+}
+
 export async function sendAgentInput(agentId, text) {
   return api.sendAgentInput(agentId, text);
 }
 
+/**
+ * Answer an agent's question: { option } or, for multi-select, { options }.
+ */
+export async function answerAgent(agentId, answer) {
+  return api.answerAgent(agentId, answer);
+}
+
+/**
+ * Answer an agent's tool permission prompt: 'approve' | 'approve_session' | 'deny'.
+ */
+export async function decideAgentPermission(agentId, decision) {
+  return api.decideAgentPermission(agentId, decision);
+}
+
+// ==================== Agent History ====================
+
+export async function loadAgentHistory() {
+  const entries = await api.listAgentHistory();
+  store.set('agentHistory', entries);
+  return entries;
+}
+
+export async function getAgentHistoryEntry(entryId) {
+  return api.getAgentHistoryEntry(entryId);
+}
+
+export async function relaunchFromHistory(entryId) {
+  const result = await api.relaunchAgent(entryId);
+  if (result.ok) {
+    const entry = store.get('agentHistory').find(e => e.id === entryId)
+      || store.get('agents').find(a => a.id === entryId);
+    await loadAgents();
+    await loadAgentHistory();
+    addTerminalTab(result.terminalId, 'agent', entry ? entry.type : 'agent', result.agentId);
+  }
+  return result;
+}
+
+export async function deleteAgentHistoryEntry(entryId) {
+  const result = await api.deleteAgentHistoryEntry(entryId);
+  if (result.ok) {
+    await loadAgentHistory();
+  }
+  return result;
+}
+
+export async function clearAgentHistory() {
+  const result = await api.clearAgentHistory();
+  if (result.ok) {
+    await loadAgentHistory();
+  }
+  return result;
+}
+
+// ==================== Attention Rules ====================
+
+export async function loadAttentionRules() {
+  const rules = await api.getAttentionRules();
+  store.set('attentionRules', rules);
+  return rules;
+}
+
+export async function saveAttentionRules(agentType, rules) {
+  const result = await api.setAttentionRules(agentType, rules);
+  if (result.ok) {
+    await loadAttentionRules();
+  }
+  return result;
+}
+
+export async function resetAttentionRules(agentType) {
+  const result = await api.resetAttentionRules(agentType);
+  if (result.ok) {
+    await loadAttentionRules();
+  }
+  return result;
+}
+
+export async function testAttentionRules(rules, lines) {
+  return api.testAttentionRules(rules, lines);
+}
+
+export async function getAgentBuffer(terminalId) {
+  return api.getAgentBuffer(terminalId);
+}
+
+// ==================== Usage ====================
+
+export async function loadUsage() {
+  const [report, prices] = await Promise.all([api.getUsageReport(), api.getUsagePrices()]);
+  store.set('usage', { ...report, prices: prices.prices, pricesCustomized: prices.customized });
+  return report;
+}
+
+export async function saveUsagePrices(prices) {
+  const result = await api.setUsagePrices(prices);
+  if (result.ok) {
+    await loadUsage();
+  }
+  return result;
+}
+
+export async function resetUsagePrices() {
+  const result = await api.resetUsagePrices();
+  if (result.ok) {
+    await loadUsage();
+  }
+  return result;
+}
+
+// ==================== Budgets ====================
+
+export async function loadGlobalBudget() {
+  const budget = await api.getGlobalBudget();
+  store.set('globalBudget', budget);
+  return budget;
+}
+
+export async function saveGlobalBudget(budget) {
+  const result = await api.setGlobalBudget(budget);
+  if (result.ok) {
+    store.set('globalBudget', result.budget);
+  }
+  return result;
+}
+
+// ==================== Mobile Access ====================
+
+export async function loadMobileSettings() {
+  const settings = await api.getMobileSettings();
+  store.set('mobileSettings', settings);
+  return settings;
+}
+
+/**
+ * Update { enabled?, lanAccess? }; the server is restarted or stopped to match.
+ */
+export async function saveMobileSettings(changes) {
+  const result = await api.setMobileSettings(changes);
+  if (result.ok) store.set('mobileSettings', result.settings);
+  return result;
+}
+
+export async function loadMobileTokens() {
+  const tokens = await api.listMobileTokens();
+  store.set('mobileTokens', tokens);
+  return tokens;
+}
+
+export async function createMobileToken(opts) {
+  const result = await api.createMobileToken(opts);
+  if (result.ok) await loadMobileTokens();
+  return result;
+}
+
+export async function revokeMobileToken(id) {
+  const result = await api.revokeMobileToken(id);
+  if (result.ok) await loadMobileTokens();
+  return result;
+}
+
+export async function deleteMobileToken(id) {
+  const result = await api.deleteMobileToken(id);
+  if (result.ok) await loadMobileTokens();
+  return result;
+}
+
+export async function getMobileTokenPairing(id) {
+  return api.getMobileTokenPairing(id);
+}
+
+export async function loadMobileAuthFailures() {
+  const data = await api.getMobileAuthFailures();
+  store.set('mobileAuthFailures', data);
+  return data;
+}
+
+export async function unlockMobileClient(key) {
+  const result = await api.unlockMobileClient(key);
+  if (result.ok) await loadMobileAuthFailures();
+  return result;
+}
+
+// ==================== Sessions ====================
+
+export async function loadSessions() {
+  const sessions = await api.listSessions();
+  store.set('sessions', sessions);
+  return sessions;
+}
+
+// ==================== Search ====================
+
+export async function searchTranscripts(query, opts) {
+  return api.searchTranscripts(query, opts);
+}
+
+/**
+ * Run a transcript search and show the results view. Results from an
+ * older query that finish late are dropped.
+ */
+export async function runSearch(query) {
+  store.set('search', { query, result: store.get('search').result, loading: true });
+  setView('search');
+  const result = await api.searchTranscripts(query);
+  if (store.get('search').query !== query) return result;
+  store.set('search', { query, result, loading: false });
+  return result;
+}
+
+// ==================== Transcripts ====================
+
+/**
+ * Show a session transcript, optionally scrolled to the line at `offset`.
+ */
+export function openTranscript(sessionFile, title, offset) {
+  store.set('transcript', { sessionFile, title, offset });
+  setView('transcript');
+}
+
+export async function getTranscriptPage(sessionFile, opts) {
+  return api.getTranscriptPage(sessionFile, opts);
+}
+
 // ==================== Terminals ====================
 
 export async function openTerminal(cwd, label) {
@@ -16,6 +16,36 @@ class Store {
       // Agents
       agents: [],
 
+      // Agent history (persisted past runs, newest first)
+      agentHistory: [],
+
+      // Attention rules: { types: { claude: { rules, customized }, ... }, statuses }
+      attentionRules: null,
+
+      // Token usage: { totals, projects, days, sessions, prices, pricesCustomized }
+      usage: null,
+
+      // Global budget { maxTokens?, maxCost?, maxRuntimeMinutes?, warnAt, action } or null
+      globalBudget: null,
+
+      // Mobile server settings { enabled, lanAccess, running }, null until loaded
+      mobileSettings: null,
+
+      // Mobile access tokens (secrets omitted, newest first), null until loaded
+      mobileTokens: null,
+
+      // Mobile server auth failures: { failures, lockouts } (see MobileServer.getAuthFailures)
+      mobileAuthFailures: null,
+
+      // Sessions on disk (see SessionCatalog), null until loaded
+      sessions: null,
+
+      // Transcript search: { query, result, loading } (result as returned by SearchIndex.search)
+      search: { query: '', result: null, loading: false },
+
+      // Transcript shown in the transcript view: { sessionFile, title, offset? } or null
+      transcript: null,
+
       // Tasks
       tasks: [],
 
@@ -24,7 +54,7 @@ class Store {
 
       // UI state
       ui: {
-        currentView: 'board',       // 'terminal' | 'board' | 'list' | 'grid'
+        currentView: 'board',       // 'terminal' | 'board' | 'list' | 'grid' | 'history' | 'usage' | 'sessions' | 'search' | 'transcript' | 'settings'
         sidebarCollapsed: false,
         sidebarWidth: 280,
         commandPaletteOpen: false,
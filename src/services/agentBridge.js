@@ -1,6 +1,7 @@
 const config = require('./config');
 const logger = require('./logger').create('agentBridge');
 const { buildExportPayload } = require('./exportService');
+const { readTranscriptPage } = require('./sessionWatcher');
 
 class AgentBridge {
   constructor(processMonitor) {
@@ -36,6 +37,36 @@ class AgentBridge {
     };
   }
 
+  /**
+   * Returns one page of the agent's full session transcript, read from disk
+   * by byte offset (see readTranscriptPage). Same shape as getLogsForAgent
+   * plus the paging cursors.
+   * @param {number} pid
+   * @param {{ before?: number, after?: number, limit?: number }} opts
+   */
+  async getTranscriptPage(pid, opts) {
+    const agent = this._monitor.getAgentByPid(pid);
+    if (!agent) {
+      return { pid, sessionId: null, logs: [], available: false, reason: 'Agent not found in registry' };
+    }
+    if (!agent.sessionFile) {
+      return { pid, sessionId: null, logs: [], available: false, reason: 'No session file correlated — logs unavailable' };
+    }
+
+    const page = await readTranscriptPage(agent.sessionFile, opts);
+    return {
+      pid,
+      sessionId: agent.sessionId,
+      logs: page.entries.map(e => e.line),
+      available: true,
+      start: page.start,
+      end: page.end,
+      size: page.size,
+      hasBefore: page.hasBefore,
+      hasAfter: page.hasAfter,
+    };
+  }
+
   /**
    * Returns metadata for an agent.
    */
@@ -59,6 +90,8 @@ class AgentBridge {
       terminatedAt: agent.terminatedAt || null,
       projectGroup: agent.projectGroup || null,
       launcher: agent.launcher || 'unknown',
+      usage: agent.usage || null,
+      injection: agent.injection || null,
       tags: agent.tags || [],
     };
   }
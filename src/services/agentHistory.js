@@ -0,0 +1,256 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { app } = require('electron');
+const agentManager = require('./agentManager');
+const ptyService = require('./ptyService');
+const config = require('./config');
+const logger = require('./logger').create('agentHistory');
+
+// Statuses after which an agent will not change again
+const FINAL_STATUSES = new Set(['done', 'failed', 'terminated', 'interrupted']);
+
+/**
+ * Persistent history of managed agents (agent-history.json).
+ * Follows AgentManager events and records launch options, status
+ * transitions, timings, exit codes and the final terminal buffer.
+ */
+class AgentHistory {
+  constructor() {
+    this._filePath = null;
+    this._entries = []; // oldest first
+    this._persistTimer = null;
+  }
+
+  init() {
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, 'agent-history.json');
+    this._load();
+    this._markInterrupted();
+
+    agentManager.on('agent-created', ({ agent }) => this._onCreated(agent));
+    agentManager.on('agent-updated', ({ agent }) => this._onUpdated(agent));
+    agentManager.on('agent-exited', ({ agentId, exitCode }) => this._onExited(agentId, exitCode));
+  }
+
+  /**
+   * All entries, newest first, without buffer snapshots.
+   */
+  getAll() {
+    return this._entries
+      .slice()
+      .reverse()
+      .map(({ bufferSnapshot, ...rest }) => ({
+        ...rest,
+        bufferLineCount: bufferSnapshot ? bufferSnapshot.length : 0,
+      }));
+  }
+
+  /**
+   * Full entry including the buffer snapshot.
+   */
+  getById(entryId) {
+    const entry = this._entries.find(e => e.id === entryId);
+    if (!entry) return null;
+
+    // Live agents have no snapshot yet — serve the current buffer instead
+    if (!FINAL_STATUSES.has(entry.status)) {
+      return { ...entry, bufferSnapshot: this._snapshot(entry.terminalId) };
+    }
+    return { ...entry };
+  }
+
+  /**
+   * Launch a new agent with the same options as a past one.
+   */
+  relaunch(entryId) {
+    const entry = this._entries.find(e => e.id === entryId);
+    if (!entry) return { ok: false, error: 'History entry not found' };
+    if (!entry.launchOptions) return { ok: false, error: 'No launch options recorded' };
+
+    logger.info('Relaunching agent from history', { entryId });
+    return agentManager.launch({ ...entry.launchOptions, relaunchedFrom: entry.id });
+  }
+
+  /**
+   * Continue a stopped Claude agent in its recorded session.
+   * Works for agents from previous app runs as well.
+   */
+  resume(entryId) {
+    const entry = this._entries.find(e => e.id === entryId);
+    return agentManager.resume(entryId, entry);
+  }
+
+  delete(entryId) {
+    const idx = this._entries.findIndex(e => e.id === entryId);
+    if (idx === -1) return { ok: false, error: 'History entry not found' };
+    if (!FINAL_STATUSES.has(this._entries[idx].status)) {
+      return { ok: false, error: 'Agent is still running' };
+    }
+    this._entries.splice(idx, 1);
+    this._schedulePersist();
+    return { ok: true };
+  }
+
+  /**
+   * Remove all finished entries (running agents are kept).
+   */
+  clear() {
+    this._entries = this._entries.filter(e => !FINAL_STATUSES.has(e.status));
+    this._schedulePersist();
+    return { ok: true };
+  }
+
+  /**
+   * Snapshot still-running agents and write to disk synchronously.
+   * Call before PTYs are killed on quit.
+   */
+  flush() {
+    if (!this._filePath) return;
+    const now = Date.now();
+    for (const entry of this._entries) {
+      if (FINAL_STATUSES.has(entry.status)) continue;
+      entry.bufferSnapshot = this._snapshot(entry.terminalId);
+      this._transition(entry, 'interrupted', now);
+      entry.endTime = now;
+    }
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    this._persist();
+  }
+
+  // --- Internal ---
+
+  _onCreated(agent) {
+    const entry = {
+      id: agent.id,
+      type: agent.type,
+      terminalId: agent.terminalId,
+      pid: agent.pid,
+      projectId: agent.projectId,
+      worktreeId: agent.worktreeId,
+      worktreePath: agent.worktreePath,
+      prompt: agent.prompt,
+      launchOptions: agent.launchOptions,
+      relaunchedFrom: agent.relaunchedFrom || null,
+      sessionId: agent.sessionId || null,
+      sessionFile: agent.sessionFile || null,
+      status: agent.status,
+      statusHistory: [{ status: agent.status, at: agent.startTime }],
+      startTime: agent.startTime,
+      endTime: null,
+      exitCode: null,
+      stopReason: null,
+      budgetEvents: [],
+      bufferSnapshot: [],
+    };
+    this._entries.push(entry);
+
+    if (this._entries.length > config.AGENT_HISTORY_MAX_ENTRIES) {
+      this._entries = this._entries.slice(-config.AGENT_HISTORY_MAX_ENTRIES);
+    }
+    this._schedulePersist();
+  }
+
+  _onUpdated(agent) {
+    const entry = this._entries.find(e => e.id === agent.id);
+    if (!entry) return;
+
+    let changed = this._transition(entry, agent.status, Date.now());
+    if (agent.endTime && !entry.endTime) {
+      entry.endTime = agent.endTime;
+    }
+    if (agent.sessionId && agent.sessionId !== entry.sessionId) {
+      entry.sessionId = agent.sessionId;
+      changed = true;
+    }
+    if (agent.sessionFile && agent.sessionFile !== entry.sessionFile) {
+      entry.sessionFile = agent.sessionFile;
+      changed = true;
+    }
+    if (agent.stopReason !== entry.stopReason || agent.budgetEvents.length !== (entry.budgetEvents || []).length) {
+      entry.stopReason = agent.stopReason;
+      entry.budgetEvents = agent.budgetEvents;
+      changed = true;
+    }
+    if (changed) this._schedulePersist();
+  }
+
+  _onExited(agentId, exitCode) {
+    const entry = this._entries.find(e => e.id === agentId);
+    if (!entry) return;
+
+    entry.exitCode = exitCode;
+    entry.endTime = entry.endTime || Date.now();
+    entry.bufferSnapshot = this._snapshot(entry.terminalId);
+    this._schedulePersist();
+  }
+
+  /**
+   * Record a status change. Returns true if the status actually changed.
+   */
+  _transition(entry, status, at) {
+    if (entry.status === status) return false;
+    entry.status = status;
+    entry.statusHistory.push({ status, at });
+    return true;
+  }
+
+  _snapshot(terminalId) {
+    return ptyService.getBuffer(terminalId).slice(-config.AGENT_HISTORY_BUFFER_LINES);
+  }
+
+  /**
+   * Entries still marked as running were cut off by a crash.
+   */
+  _markInterrupted() {
+    let count = 0;
+    for (const entry of this._entries) {
+      if (FINAL_STATUSES.has(entry.status)) continue;
+      this._transition(entry, 'interrupted', entry.endTime || Date.now());
+      count++;
+    }
+    if (count > 0) {
+      logger.info('Marked stale history entries as interrupted', { count });
+      this._persist();
+    }
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const raw = fs.readFileSync(this._filePath, 'utf-8');
+        const data = JSON.parse(raw);
+        if (Array.isArray(data.entries)) {
+          this._entries = data.entries;
+          logger.info('Loaded agent history', { count: this._entries.length });
+          return;
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to load agent history', { error: err.message });
+    }
+    this._entries = [];
+  }
+
+  _schedulePersist() {
+    if (this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._persist();
+    }, config.AGENT_HISTORY_PERSIST_DEBOUNCE_MS);
+  }
+
+  _persist() {
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, entries: this._entries }), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist agent history', { error: err.message });
+    }
+  }
+}
+
+module.exports = new AgentHistory();
@@ -1,28 +1,110 @@
 const { EventEmitter } = require('node:events');
 const crypto = require('node:crypto');
 const ptyService = require('./ptyService');
+const { discoverSessions, correlateAgentSession, findResumedSession, watchSession } = require('./sessionWatcher');
+const {
+  deriveAttentionState, extractPromptInfo, buildAnswerKeys, buildPermissionKeys, stripAnsi,
+} = require('./attentionState');
+const permissionAudit = require('./permissionAudit');
+const inputAudit = require('./inputAudit');
+const permissionPolicy = require('./permissionPolicy');
+const attentionRules = require('./attentionRules');
+const usageTracker = require('./usageTracker');
+const budgetPolicy = require('./budgetPolicy');
+const searchIndex = require('./searchIndex');
 const config = require('./config');
 const logger = require('./logger').create('agentManager');
 
+const STOPPED_STATUSES = new Set(['done', 'failed', 'terminated', 'interrupted']);
+const ACTIVE_STATUSES = new Set(['starting', 'running']);
+const USAGE_KEYS = ['input', 'output', 'cacheRead', 'cacheCreation', 'total', 'cost'];
+
+// deriveAttentionState result -> agent status (null = leave unchanged)
+const SESSION_STATE_STATUS = {
+  running: 'running',
+  stalled: 'running',
+  waiting_input: 'waiting_input',
+  waiting_permission: 'waiting_permission',
+  inactive: 'waiting_input', // end of turn — Claude is waiting for the next prompt
+  unknown: null,
+  ended: null,
+};
+
+/**
+ * Anything that is neither a lifecycle status nor plain running needs the user
+ * (waiting_input, waiting_permission, error, rate_limited, custom rule statuses).
+ */
+function needsAttention(status) {
+  return !ACTIVE_STATUSES.has(status) && !STOPPED_STATUSES.has(status);
+}
+
+/**
+ * Human-readable attention reason for toasts and cards.
+ */
+function describeAttention(status, promptInfo) {
+  if (status === 'waiting_permission') {
+    return promptInfo?.type === 'tool_permission'
+      ? `Needs approval: ${promptInfo.tools.join(', ')}`
+      : 'Needs approval';
+  }
+  if (status === 'waiting_input') {
+    if (promptInfo?.type === 'ask_user') return promptInfo.question || 'Needs input';
+    if (promptInfo?.type === 'end_of_turn') return 'Finished, waiting for next prompt';
+    return 'Needs input';
+  }
+  if (status === 'error') return 'Reported an error';
+  if (status === 'rate_limited') return 'Rate limited';
+  if (needsAttention(status)) return status.replace(/_/g, ' ');
+  return null;
+}
+
+function formatBudgetValue(metric, value) {
+  if (metric === 'cost') return `$${value.toFixed(2)}`;
+  if (metric === 'tokens') return `${Math.round(value).toLocaleString('en-US')} tokens`;
+  return `${Math.round(value)} min`;
+}
+
+/**
+ * E.g. "project budget: $4.10 of $5.00"
+ */
+function describeBudget(scope, result) {
+  return `${scope} budget: ${formatBudgetValue(result.metric, result.value)} of ${formatBudgetValue(result.metric, result.limit)}`;
+}
+
 /**
  * Agent lifecycle manager.
- * Spawns AI agents in PTY terminals, tracks status, detects attention states.
+ * Spawns AI agents in PTY terminals, tracks status, detects attention states
+ * (from the correlated session JSONL, falling back to PTY output patterns)
+ * and enforces token/cost/runtime budgets (see budgetPolicy).
  *
  * Emits:
  *   agent-created      { agent }
  *   agent-updated      { agent }
  *   agent-notification  { agentId, type, message }
  *   agent-exited       { agentId, exitCode }
+ *   agent-session-line { agentId, pid, line }
  */
 class AgentManager extends EventEmitter {
   constructor() {
     super();
     this._agents = new Map(); // agentId -> AgentState
     this._terminalToAgent = new Map(); // terminalId -> agentId
+    this._sessionWatchers = new Map(); // agentId -> cleanup function
+    this._budgetTimer = null;
+    this._externalSessions = () => new Set();
 
     // Listen to PTY events
     ptyService.on('terminal-output', (data) => this._onTerminalOutput(data));
     ptyService.on('terminal-exited', (data) => this._onTerminalExited(data));
+    usageTracker.on('usage-updated', ({ sessionId }) => this._onUsageUpdated(sessionId));
+  }
+
+  /**
+   * Provide the session files owned by externally detected processes
+   * (ProcessMonitor): fn(pid) -> Set of files owned by processes other than pid.
+   */
+  setExternalSessionLookup(fn) {
+    this._externalSessions = fn;
   }
 
   /**
@@ -34,9 +116,16 @@ class AgentManager extends EventEmitter {
    * @param {string} opts.agentType - 'claude' | 'codex' | 'shell' | custom command
    * @param {string} [opts.prompt] - Initial prompt/task
    * @param {boolean} [opts.autoPrime] - Send auto-prime command
+   * @param {boolean} [opts.skipPermissions] - Pass --dangerously-skip-permissions
+   * @param {string} [opts.relaunchedFrom] - History entry this launch was cloned from
+   * @param {string} [opts.resumeSessionId] - Claude session to continue (--resume)
+   * @param {object} [opts.budget] - Per-agent budget { maxTokens, maxCost, maxRuntimeMinutes, warnAt, action }
    * @returns {{ ok: boolean, agentId?: string, terminalId?: string, error?: string }}
    */
   launch(opts) {
+    const budgetResult = budgetPolicy.validate(opts.budget);
+    if (!budgetResult.ok) return { ok: false, error: budgetResult.error };
+
     const agentId = crypto.randomUUID();
     const command = this._resolveCommand(opts.agentType);
     const args = this._resolveArgs(opts.agentType, opts);
@@ -69,6 +158,20 @@ class AgentManager extends EventEmitter {
       worktreePath: opts.worktreePath,
       projectId: opts.projectId,
       prompt: opts.prompt || '',
+      launchOptions: {
+        worktreeId: opts.worktreeId,
+        worktreePath: opts.worktreePath,
+        projectId: opts.projectId,
+        agentType: opts.agentType,
+        prompt: opts.prompt || '',
+        autoPrime: opts.autoPrime !== false,
+        skipPermissions: Boolean(opts.skipPermissions),
+        budget: budgetResult.budget,
+      },
+      relaunchedFrom: opts.relaunchedFrom || null,
+      sessionId: opts.resumeSessionId || null,
+      resumedSessionId: opts.resumeSessionId || null,
+      sessionFile: null,
       status: 'starting',
       startTime: Date.now(),
       endTime: null,
@@ -76,18 +179,41 @@ class AgentManager extends EventEmitter {
       autoPrimed: false,
       lastActivity: Date.now(),
       attentionReason: null,
+      attentionSource: null, // 'session' | 'pty'
+      promptInfo: null,
+      sessionLines: [],      // tail of the session JSONL
+      sessionActivityAt: null, // last line from (or binding of) the session file
+      recorrelatedAt: 0,
+      ptyWindow: '',         // ANSI-stripped recent output (fallback detection)
+      inputPending: false,   // input sent since the last session line
+      // A resumed session already carries usage from earlier runs
+      usageBaseline: opts.resumeSessionId ? usageTracker.getSummary(opts.resumeSessionId) : null,
+      usageCarried: null,    // usage of earlier session files this run (e.g. before /clear)
+      usageFinal: null,      // frozen on stop so a later resume doesn't count here
+      stopReason: null,
+      budgetEvents: [],
+      budgetLevels: {},      // scope -> last evaluated level
+      budgetBlocked: false,  // over an interrupting budget: input is refused
     };
 
     this._agents.set(agentId, agent);
     this._terminalToAgent.set(ptyResult.id, agentId);
 
-    // Schedule auto-prime if enabled
-    if (opts.autoPrime !== false && config.PTY_AUTO_PRIME_ENABLED && opts.agentType === 'claude') {
+    // Schedule auto-prime if enabled (a resumed session is already primed)
+    if (opts.autoPrime !== false && !opts.resumeSessionId && config.PTY_AUTO_PRIME_ENABLED && opts.agentType === 'claude') {
       setTimeout(() => {
         this._autoPrime(agentId);
       }, config.PTY_AUTO_PRIME_DELAY_MS);
     }
 
+    // Find the session JSONL once Claude has had time to create it;
+    // a resumed session's file already exists
+    if (opts.agentType === 'claude') {
+      setTimeout(() => {
+        this._correlateSession(agentId);
+      }, opts.resumeSessionId ? 0 : config.PTY_SESSION_CORRELATE_DELAY_MS);
+    }
+
     // Mark as running after brief delay
     setTimeout(() => {
       if (agent.status === 'starting') {
@@ -96,6 +222,8 @@ class AgentManager extends EventEmitter {
       }
     }, 1000);
 
+    this._ensureBudgetTimer();
+
     logger.info('Agent launched', { agentId, type: opts.agentType, cwd: opts.worktreePath });
     this.emit('agent-created', { agent: this._serialize(agent) });
 
@@ -108,12 +236,13 @@ class AgentManager extends EventEmitter {
   terminate(agentId) {
     const agent = this._agents.get(agentId);
     if (!agent) return { ok: false, error: 'Agent not found' };
-    if (agent.status === 'done' || agent.status === 'failed' || agent.status === 'terminated') {
-      return { ok: false, error: 'Agent already stopped' };
-    }
+    if (STOPPED_STATUSES.has(agent.status)) return { ok: false, error: 'Agent already stopped' };
 
     agent.status = 'terminated';
     agent.endTime = Date.now();
+    agent.promptInfo = null;
+    this._freezeUsage(agent);
+    this._detachSession(agentId);
     ptyService.close(agent.terminalId);
 
     this.emit('agent-updated', { agent: this._serialize(agent) });
@@ -121,23 +250,115 @@ class AgentManager extends EventEmitter {
   }
 
   /**
-   * Send input to an agent's terminal.
+   * Relaunch a stopped Claude agent into its correlated session.
+   * @param {string} agentId
+   * @param {object} [record] - Persisted agent record, for agents from a previous app run
+   * @returns {{ ok: boolean, agentId?: string, terminalId?: string, error?: string }}
    */
-  sendInput(agentId, text) {
+  resume(agentId, record) {
+    const agent = this._agents.get(agentId) || record;
+    if (!agent) return { ok: false, error: 'Agent not found' };
+    if (!STOPPED_STATUSES.has(agent.status)) return { ok: false, error: 'Agent is still running' };
+    if (agent.type !== 'claude') return { ok: false, error: 'Only Claude agents can be resumed' };
+    if (!agent.sessionId) return { ok: false, error: 'No session recorded for this agent' };
+    if (!agent.launchOptions) return { ok: false, error: 'No launch options recorded' };
+
+    logger.info('Resuming agent session', { agentId, sessionId: agent.sessionId });
+    return this.launch({
+      ...agent.launchOptions,
+      resumeSessionId: agent.sessionId,
+      relaunchedFrom: agent.id,
+    });
+  }
+
+  /**
+   * Send input to an agent's terminal. Recorded in the input audit log.
+   * @param {string} agentId
+   * @param {string} text
+   * @param {object} [opts] - Audit fields (e.g. the mobile client's identity), plus:
+   * @param {string} [opts.source] - 'desktop' | 'automation' | 'mobile'
+   * @param {boolean} [opts.typed] - Raw terminal keystrokes, audited as whole lines
+   */
+  sendInput(agentId, text, opts = {}) {
     const agent = this._agents.get(agentId);
     if (!agent) return { ok: false, error: 'Agent not found' };
-    const result = ptyService.write(agent.terminalId, text);
+    // An interrupted agent stays stopped while it is over budget
+    const result = agent.budgetBlocked
+      ? { ok: false, error: `${agent.stopReason}; input is blocked while over budget` }
+      : ptyService.write(agent.terminalId, text);
+    const { typed: _typed, ...fields } = opts;
+    const audit = { source: 'desktop', ...fields, agentId };
+    if (opts.typed && result.ok) {
+      inputAudit.recordTyped(audit, text);
+    } else {
+      inputAudit.record({ ...audit, text, ok: result.ok, error: result.error });
+    }
+    if (!result.ok) return result;
 
-    // Clear waiting state after input
-    if (result.ok && (agent.status === 'waiting_input' || agent.status === 'waiting_permission')) {
+    agent.inputPending = true;
+    agent.ptyWindow = '';
+
+    // Clear attention state after input
+    if (needsAttention(agent.status)) {
       agent.status = 'running';
       agent.attentionReason = null;
+      agent.promptInfo = null;
       this.emit('agent-updated', { agent: this._serialize(agent) });
     }
 
     return result;
   }
 
+  /**
+   * Answer the agent's pending AskUserQuestion by selecting options.
+   * @param {string} agentId
+   * @param {{ option?: number, options?: number[] }} answer - Zero-based option index, or indices for multi-select
+   */
+  answer(agentId, answer) {
+    const agent = this._agents.get(agentId);
+    if (!agent) return { ok: false, error: 'Agent not found' };
+    const built = buildAnswerKeys(agent.promptInfo, answer);
+    if (!built.ok) return built;
+    logger.info('Answering agent question', { agentId, answer });
+    return this.sendInput(agentId, built.keys);
+  }
+
+  /**
+   * Approve or deny the tool call the agent is waiting on. Every decision is
+   * recorded in the permission audit log.
+   * @param {string} agentId
+   * @param {string} decision - 'approve' | 'approve_session' | 'deny'
+   * @param {object} [opts] - Audit fields
+   * @param {string} [opts.source] - Who decided: 'desktop' | 'policy'
+   * @param {string} [opts.ruleId] - Policy rule that decided
+   */
+  decidePermission(agentId, decision, opts = {}) {
+    const agent = this._agents.get(agentId);
+    if (!agent) return { ok: false, error: 'Agent not found' };
+    if (agent.status !== 'waiting_permission') return { ok: false, error: 'Agent is not waiting for permission' };
+    const built = buildPermissionKeys(agent.type, decision);
+    if (!built.ok) return built;
+
+    // sendInput clears promptInfo
+    const requests = agent.promptInfo?.requests || [];
+    const result = this.sendInput(agentId, built.keys, {
+      ...opts,
+      source: opts.source === 'policy' ? 'automation' : (opts.source || 'desktop'),
+    });
+    permissionAudit.record({
+      source: 'desktop',
+      ...opts,
+      decision,
+      agentId,
+      agentType: agent.type,
+      requests,
+      ok: result.ok,
+      error: result.error,
+    });
+    logger.info('Permission decision sent', { agentId, decision, ok: result.ok });
+    return result;
+  }
+
   /**
    * Get all agents.
    */
@@ -153,6 +374,14 @@ class AgentManager extends EventEmitter {
     return a ? this._serialize(a) : null;
   }
 
+  /**
+   * Tail of the agent's session transcript (parsed JSONL lines).
+   */
+  getSessionLines(agentId) {
+    const a = this._agents.get(agentId);
+    return a ? a.sessionLines.slice() : [];
+  }
+
   /**
    * Get agents by worktree.
    */
@@ -175,15 +404,124 @@ class AgentManager extends EventEmitter {
 
   _autoPrime(agentId) {
     const agent = this._agents.get(agentId);
-    if (!agent || agent.autoPrimed || agent.status === 'terminated') return;
+    if (!agent || agent.autoPrimed || STOPPED_STATUSES.has(agent.status)) return;
 
     const result = ptyService.write(agent.terminalId, config.PTY_AUTO_PRIME_COMMAND + '\n');
+    inputAudit.record({
+      source: 'automation',
+      reason: 'auto-prime',
+      agentId,
+      text: config.PTY_AUTO_PRIME_COMMAND + '\n',
+      ok: result.ok,
+      error: result.error,
+    });
     if (result.ok) {
       agent.autoPrimed = true;
       logger.info('Auto-prime sent', { agentId });
     }
   }
 
+  /**
+   * Match a Claude agent to its session file under ~/.claude/projects.
+   * Retries while the agent is alive, since Claude only writes the file
+   * after the first message.
+   */
+  async _correlateSession(agentId) {
+    const agent = this._agents.get(agentId);
+    if (!agent || agent.sessionFile) return;
+
+    let match = null;
+    try {
+      match = await this._findSession(agent, agent.startTime);
+    } catch (err) {
+      logger.warn('Session correlation failed', { agentId, message: err.message });
+    }
+
+    if (match) {
+      if (agent.sessionFile) return; // correlated meanwhile (exit and retry can overlap)
+      this._bindSession(agent, match);
+      logger.info('Agent correlated with session', { agentId, sessionId: match.sessionId });
+    } else if (!STOPPED_STATUSES.has(agent.status)) {
+      setTimeout(() => {
+        this._correlateSession(agentId);
+      }, config.PTY_SESSION_CORRELATE_DELAY_MS);
+    }
+  }
+
+  /**
+   * Look for a newer session file once the bound one has gone quiet while
+   * the terminal is still active — Claude starts a new file on /clear.
+   */
+  async _recorrelateSession(agent) {
+    const now = Date.now();
+    if (now - agent.recorrelatedAt < config.PTY_SESSION_CORRELATE_DELAY_MS) return;
+    agent.recorrelatedAt = now;
+
+    let match = null;
+    try {
+      match = await this._findSession(agent, agent.sessionActivityAt);
+    } catch (err) {
+      logger.warn('Session re-correlation failed', { agentId: agent.id, message: err.message });
+    }
+    if (!match || match.sessionFile === agent.sessionFile || STOPPED_STATUSES.has(agent.status)) return;
+
+    logger.info('Agent moved to a new session', { agentId: agent.id, from: agent.sessionId, to: match.sessionId });
+    this._detachSession(agent.id);
+    agent.sessionLines = [];
+    this._bindSession(agent, match);
+  }
+
+  /**
+   * Candidate files: written since `since` (the agent's start, or the bound
+   * file's last line) and not owned by another running agent or detected
+   * process. A resumed agent only binds to its own session's file.
+   */
+  async _findSession(agent, since) {
+    const claimed = this._externalSessions(agent.pid);
+    for (const other of this._agents.values()) {
+      if (other.id !== agent.id && other.sessionFile && !STOPPED_STATUSES.has(other.status)) {
+        claimed.add(other.sessionFile);
+      }
+    }
+    if (agent.resumedSessionId) {
+      return findResumedSession(
+        { sessionId: agent.resumedSessionId, cwd: agent.worktreePath, startTime: new Date(agent.startTime) },
+        await discoverSessions(),
+        claimed,
+      );
+    }
+    const sessions = (await discoverSessions())
+      .filter(s => s.lastModified >= since && s.sessionFile !== agent.sessionFile);
+    return correlateAgentSession(
+      { startTime: new Date(since), cwd: agent.worktreePath },
+      sessions,
+      claimed,
+    );
+  }
+
+  _bindSession(agent, match) {
+    // A resumed session continued in a new file starts with the resumed
+    // history, so its baseline still applies
+    if (agent.sessionId && agent.sessionId !== match.sessionId && !agent.resumedSessionId) {
+      // Keep counting what the previous session used against this agent
+      agent.usageCarried = this._agentUsage(agent);
+      agent.usageBaseline = null;
+    }
+    agent.sessionId = match.sessionId;
+    agent.sessionFile = match.sessionFile;
+    agent.sessionActivityAt = Date.now();
+    usageTracker.trackSession(match.sessionId, match.sessionFile, {
+      projectPath: match.projectPath,
+      projectId: agent.projectId,
+    });
+    if (!STOPPED_STATUSES.has(agent.status)) this._attachSession(agent, match.lastLine);
+    this.emit('agent-updated', { agent: this._serialize(agent) });
+  }
+
+  _sessionQuiet(agent) {
+    return Date.now() - agent.sessionActivityAt > config.AGENT_SESSION_QUIET_MS;
+  }
+
   _onTerminalOutput({ id, data }) {
     const agentId = this._terminalToAgent.get(id);
     if (!agentId) return;
@@ -204,15 +542,28 @@ class AgentManager extends EventEmitter {
     const agent = this._agents.get(agentId);
     if (!agent) return;
 
-    agent.status = exitCode === 0 ? 'done' : 'failed';
-    agent.endTime = Date.now();
+    // A terminated or interrupted agent keeps that status: the exit is its consequence
+    const stopped = agent.status === 'terminated' || agent.status === 'interrupted';
+    if (!stopped) {
+      agent.status = exitCode === 0 ? 'done' : 'failed';
+      agent.endTime = Date.now();
+    }
     agent.exitCode = exitCode;
+    agent.promptInfo = null;
+    this._freezeUsage(agent);
+    this._detachSession(agentId);
 
     logger.info('Agent exited', { agentId, exitCode });
     this.emit('agent-updated', { agent: this._serialize(agent) });
     this.emit('agent-exited', { agentId, exitCode });
 
+    // Last chance to record the session for a later resume
+    if (agent.type === 'claude' && !agent.sessionFile) {
+      this._correlateSession(agentId);
+    }
+
     // Notification
+    if (stopped) return;
     this.emit('agent-notification', {
       agentId,
       type: exitCode === 0 ? 'done' : 'error',
@@ -221,65 +572,309 @@ class AgentManager extends EventEmitter {
   }
 
   /**
-   * Detect if agent output contains approval/waiting patterns.
+   * PTY fallback for agents without a session file (or whose session file
+   * has gone quiet): match the agent type's attention rules against the
+   * tail of a rolling, ANSI-stripped output window.
    */
   _checkAttentionState(agent, data) {
-    if (agent.status === 'terminated' || agent.status === 'done' || agent.status === 'failed') return;
-
-    const lower = data.toLowerCase();
-
-    // Permission patterns
-    const permissionPatterns = [
-      'do you want to proceed',
-      'allow this action',
-      'approve this',
-      'y/n',
-      'yes/no',
-      'press enter to continue',
-      'waiting for approval',
-      'require approval',
-    ];
-
-    // Input patterns
-    const inputPatterns = [
-      'enter your',
-      'type your',
-      'please provide',
-      'what would you like',
-      'waiting for input',
-      'your response',
-    ];
+    if (STOPPED_STATUSES.has(agent.status)) return;
 
-    const prevStatus = agent.status;
+    agent.ptyWindow = (agent.ptyWindow + stripAnsi(data)).slice(-config.PTY_ATTENTION_WINDOW_CHARS);
+
+    // Structured session state takes precedence while the file is being written
+    if (agent.sessionFile) {
+      if (!this._sessionQuiet(agent)) return;
+      this._recorrelateSession(agent);
+    }
+
+    const rule = attentionRules.match(agent.type, agent.ptyWindow);
+    if (rule) {
+      this._setAttention(agent, rule.status, null, 'pty', rule.reason);
+    } else if (agent.attentionSource === 'pty' && needsAttention(agent.status)) {
+      // Prompt scrolled away — the agent moved on
+      this._setAttention(agent, 'running', null, 'pty');
+    }
+  }
+
+  /**
+   * Start following a correlated session file. The last line seen during
+   * correlation seeds the state so an already-pending prompt is not missed.
+   */
+  _attachSession(agent, lastLine) {
+    if (lastLine) agent.sessionLines.push(lastLine);
+
+    const stopWatching = watchSession(agent.sessionFile, (line) => this._onSessionLine(agent, line));
+    // Silence thresholds in deriveAttentionState need periodic re-evaluation
+    const timer = setInterval(() => this._evaluateSessionState(agent), config.AGENT_ATTENTION_EVAL_INTERVAL_MS);
+
+    this._sessionWatchers.set(agent.id, () => {
+      stopWatching();
+      clearInterval(timer);
+    });
+    this._evaluateSessionState(agent);
+  }
+
+  _detachSession(agentId) {
+    const cleanup = this._sessionWatchers.get(agentId);
+    if (!cleanup) return;
+    cleanup();
+    this._sessionWatchers.delete(agentId);
+  }
+
+  _onSessionLine(agent, line) {
+    agent.sessionLines.push(line);
+    if (agent.sessionLines.length > config.AGENT_SESSION_TAIL_LINES) {
+      agent.sessionLines = agent.sessionLines.slice(-config.AGENT_SESSION_TAIL_LINES);
+    }
+    agent.inputPending = false;
+    agent.lastActivity = Date.now();
+    agent.sessionActivityAt = agent.lastActivity;
+    usageTracker.recordLine(agent.sessionId, line);
+    searchIndex.addLine(agent.sessionFile, line);
+    this.emit('agent-session-line', { agentId: agent.id, pid: agent.pid, line });
+    this._evaluateSessionState(agent);
+  }
 
-    for (const pat of permissionPatterns) {
-      if (lower.includes(pat)) {
-        agent.status = 'waiting_permission';
-        agent.attentionReason = 'Needs approval';
-        break;
+  _onUsageUpdated(sessionId) {
+    for (const agent of this._agents.values()) {
+      if (agent.usageFinal) continue;
+      if (!sessionId || agent.sessionId === sessionId) {
+        this.emit('agent-updated', { agent: this._serialize(agent) });
       }
     }
+    this._checkBudgets();
+  }
+
+  // --- Budgets ---
+
+  /**
+   * Usage attributable to this agent: its session's totals minus what the
+   * session had already used before a resume, plus earlier session files.
+   */
+  _agentUsage(agent) {
+    if (agent.usageFinal) return agent.usageFinal;
+    const usage = usageTracker.getSummary(agent.sessionId);
+    const base = agent.usageBaseline;
+    const carried = agent.usageCarried;
+    if (!usage) return carried;
+    if (!base && !carried) return usage;
+
+    const result = { ...usage };
+    for (const key of USAGE_KEYS) {
+      if (base) result[key] = Math.max(0, result[key] - base[key]);
+      if (carried) result[key] += carried[key];
+    }
+    return result;
+  }
+
+  _freezeUsage(agent) {
+    if (agent.sessionId) agent.usageFinal = this._agentUsage(agent);
+  }
+
+  _ensureBudgetTimer() {
+    if (this._budgetTimer) return;
+    this._budgetTimer = setInterval(() => this._checkBudgets(), config.BUDGET_CHECK_INTERVAL_MS);
+  }
 
-    if (agent.status !== 'waiting_permission') {
-      for (const pat of inputPatterns) {
-        if (lower.includes(pat)) {
-          agent.status = 'waiting_input';
-          agent.attentionReason = 'Needs input';
-          break;
-        }
+  /**
+   * Evaluate every active agent against its agent, project and global budgets.
+   * Project and global budgets cover all managed agents started today.
+   */
+  _checkBudgets() {
+    const agents = Array.from(this._agents.values());
+    const active = agents.filter(a => !STOPPED_STATUSES.has(a.status));
+    if (active.length === 0) {
+      clearInterval(this._budgetTimer);
+      this._budgetTimer = null;
+      return;
+    }
+
+    const today = new Date().toDateString();
+    const todays = agents.filter(a => new Date(a.startTime).toDateString() === today);
+
+    for (const agent of active) {
+      let blocked = false;
+      for (const { scope, budget } of budgetPolicy.resolve(agent)) {
+        if (STOPPED_STATUSES.has(agent.status)) break;
+        const scoped = scope === 'agent' ? [agent]
+          : scope === 'project' ? todays.filter(a => a.projectId === agent.projectId)
+            : todays;
+        const result = budgetPolicy.evaluate(budget, this._measure(scoped));
+        this._applyBudget(agent, scope, budget, result);
+        if (result.level === 'exceeded' && budget.action === 'interrupt') blocked = true;
+      }
+      if (agent.budgetBlocked !== blocked && !STOPPED_STATUSES.has(agent.status)) {
+        agent.budgetBlocked = blocked;
+        this.emit('agent-updated', { agent: this._serialize(agent) });
       }
     }
+  }
+
+  _measure(agents) {
+    const now = Date.now();
+    const measured = { tokens: 0, cost: 0, runtimeMinutes: 0 };
+    for (const agent of agents) {
+      const usage = this._agentUsage(agent);
+      if (usage) {
+        measured.tokens += usage.total;
+        measured.cost += usage.cost;
+      }
+      measured.runtimeMinutes += ((agent.endTime || now) - agent.startTime) / 60000;
+    }
+    return measured;
+  }
 
-    if (agent.status !== prevStatus) {
+  /**
+   * Act on a budget level change: warn once when crossing warnAt, and
+   * interrupt or terminate once when the limit is reached. An interrupted
+   * agent refuses input for as long as it stays over budget (see _checkBudgets).
+   */
+  _applyBudget(agent, scope, budget, result) {
+    const prev = agent.budgetLevels[scope] || 'ok';
+    agent.budgetLevels[scope] = result.level;
+    if (result.level === prev || result.level === 'ok') return;
+    if (result.level === 'warning' && prev === 'exceeded') return;
+
+    const description = describeBudget(scope, result);
+    const exceeded = result.level === 'exceeded';
+    agent.budgetEvents.push({
+      scope,
+      level: result.level,
+      metric: result.metric,
+      value: result.value,
+      limit: result.limit,
+      action: exceeded ? budget.action : null,
+      at: Date.now(),
+    });
+
+    if (!exceeded) {
+      logger.info('Budget warning', { agentId: agent.id, scope, metric: result.metric });
+      this.emit('agent-updated', { agent: this._serialize(agent) });
+      this.emit('agent-notification', { agentId: agent.id, type: 'budget', message: `Approaching ${description}` });
+      return;
+    }
+
+    agent.stopReason = `Exceeded ${description}`;
+    logger.warn('Budget exceeded', { agentId: agent.id, scope, metric: result.metric, action: budget.action });
+
+    if (budget.action === 'terminate') {
+      this.terminate(agent.id);
+    } else {
+      const result = ptyService.write(agent.terminalId, '\x03');
+      inputAudit.record({ source: 'automation', reason: 'budget', agentId: agent.id, text: '\x03', ok: result.ok, error: result.error });
+      agent.inputPending = false;
       this.emit('agent-updated', { agent: this._serialize(agent) });
+    }
+
+    this.emit('agent-notification', {
+      agentId: agent.id,
+      type: 'budget',
+      message: `${budget.action === 'terminate' ? 'Terminated' : 'Interrupted'}: ${agent.stopReason}`,
+    });
+  }
+
+  /**
+   * Derive status and promptInfo from the session's last JSONL line.
+   */
+  _evaluateSessionState(agent) {
+    if (STOPPED_STATUSES.has(agent.status)) return;
+    // A quiet session defers to a prompt the PTY fallback has found
+    if (agent.attentionSource === 'pty' && needsAttention(agent.status) && this._sessionQuiet(agent)) return;
+
+    const state = deriveAttentionState({
+      logLines: agent.sessionLines,
+      sessionId: agent.sessionId,
+      lastSeen: agent.lastActivity,
+    });
+
+    let status = SESSION_STATE_STATUS[state];
+    if (!status) return;
+
+    // Input was sent since the last line — wait for the log to catch up
+    if (agent.inputPending) status = 'running';
+    // Tools run unprompted; a long tool call is not a permission prompt
+    if (status === 'waiting_permission' && agent.launchOptions.skipPermissions) status = 'running';
+
+    const promptInfo = status === 'running' ? null : extractPromptInfo({ logLines: agent.sessionLines });
+    this._setAttention(agent, status, promptInfo, 'session');
+  }
+
+  /**
+   * Apply an attention status; emits updates and notifications on change.
+   */
+  _setAttention(agent, status, promptInfo, source, reasonOverride) {
+    const reason = reasonOverride || describeAttention(status, promptInfo);
+    if (agent.status === status && agent.attentionReason === reason) return;
+
+    const prevStatus = agent.status;
+    agent.status = status;
+    agent.promptInfo = promptInfo;
+    agent.attentionReason = reason;
+    agent.attentionSource = source;
+    this.emit('agent-updated', { agent: this._serialize(agent) });
+
+    // A policy that answered or escalated the prompt replaces the plain notification
+    if (status === 'waiting_permission' && status !== prevStatus && this._applyPermissionPolicy(agent)) return;
+
+    if (needsAttention(status) && status !== prevStatus) {
       this.emit('agent-notification', {
         agentId: agent.id,
-        type: 'attention',
-        message: agent.attentionReason,
+        type: status === 'error' ? 'error' : 'attention',
+        message: reason,
       });
     }
   }
 
+  /**
+   * Run the project's permission policy on a new permission prompt.
+   * Prompts detected from PTY output carry no tool details and are left
+   * to the user. Dry-run policies only log and audit what they would do.
+   * @returns {boolean} true if the prompt was answered or escalated
+   */
+  _applyPermissionPolicy(agent) {
+    const policy = permissionPolicy.resolve(agent);
+    const requests = agent.promptInfo?.requests || [];
+    const match = permissionPolicy.evaluate(policy, requests, agent.worktreePath);
+    if (!match) return false;
+
+    // A tool call followed by silence may just be a long-running tool: keys
+    // are only sent while the terminal actually shows a permission prompt
+    const onScreen = attentionRules.match(agent.type, agent.ptyWindow);
+    if (onScreen?.status !== 'waiting_permission') {
+      logger.info('Permission policy skipped: no prompt on screen', { agentId: agent.id, ruleId: match.rule.id });
+      return false;
+    }
+
+    const audit = { source: 'policy', ruleId: match.rule.id, projectId: agent.projectId };
+    if (policy.dryRun || match.action === 'notify') {
+      permissionAudit.record({
+        ...audit,
+        decision: match.action,
+        dryRun: policy.dryRun,
+        agentId: agent.id,
+        agentType: agent.type,
+        requests,
+        ok: true,
+      });
+    }
+
+    if (policy.dryRun) {
+      logger.info('Permission policy dry run', { agentId: agent.id, ruleId: match.rule.id, action: match.action });
+      return false;
+    }
+    if (match.action === 'notify') {
+      this.emit('agent-notification', {
+        agentId: agent.id,
+        type: 'permission',
+        message: `Policy escalation — ${agent.attentionReason}`,
+      });
+      return true;
+    }
+
+    logger.info('Permission policy decided', { agentId: agent.id, ruleId: match.rule.id, action: match.action });
+    return this.decidePermission(agent.id, match.action, audit).ok;
+  }
+
   _resolveCommand(agentType) {
     const commands = {
       claude: 'claude',
@@ -294,6 +889,9 @@ class AgentManager extends EventEmitter {
     if (opts.skipPermissions && (agentType === 'claude' || agentType === 'codex')) {
       args.push('--dangerously-skip-permissions');
     }
+    if (opts.resumeSessionId && agentType === 'claude') {
+      args.push('--resume', opts.resumeSessionId);
+    }
     return args;
   }
 
@@ -312,6 +910,10 @@ class AgentManager extends EventEmitter {
       worktreePath: agent.worktreePath,
       projectId: agent.projectId,
       prompt: agent.prompt,
+      launchOptions: { ...agent.launchOptions },
+      relaunchedFrom: agent.relaunchedFrom,
+      sessionId: agent.sessionId,
+      sessionFile: agent.sessionFile,
       status: agent.status,
       startTime: agent.startTime,
       endTime: agent.endTime,
@@ -319,6 +921,12 @@ class AgentManager extends EventEmitter {
       autoPrimed: agent.autoPrimed,
       lastActivity: agent.lastActivity,
       attentionReason: agent.attentionReason,
+      attentionSource: agent.attentionSource,
+      promptInfo: agent.promptInfo,
+      usage: this._agentUsage(agent),
+      stopReason: agent.stopReason,
+      budgetEvents: agent.budgetEvents.slice(),
+      budgetBlocked: agent.budgetBlocked,
     };
   }
 }
@@ -0,0 +1,389 @@
+const { EventEmitter } = require('node:events');
+const path = require('node:path');
+const config = require('./config');
+const { buildPermissionKeys } = require('./attentionState');
+const permissionAudit = require('./permissionAudit');
+const { readTranscriptPage } = require('./sessionWatcher');
+
+/*
+ * Agent providers give the mobile server one view of every agent, whether
+ * detected as an external process or launched here in a PTY. Agents are
+ * keyed by PID and shaped like ProcessMonitor agents, plus:
+ *   source     'external' | 'managed'
+ *   agentType  'claude' | 'codex' | ...
+ *   agentId    AgentManager ID (managed only)
+ *   terminalId ptyService terminal ID (managed only; see MobileServer terminal:open)
+ *
+ * Provider interface:
+ *   list()                              -> agents
+ *   get(pid)                            -> agent | null
+ *   getMeta(pid)                        -> metadata | null
+ *   getLogs(pid)                        -> { pid, sessionId, logs, available, reason? }
+ *   getTranscriptPage(pid, opts)        -> Promise<same + paging cursors>
+ *   getTags(pid) / setTags / addTag / removeTag
+ *   sendPrompt(pid, text, audit)        -> Promise<{ ok, error? }>
+ *   sendKeys(pid, keys, audit)          -> Promise<{ ok, error? }>
+ *   decidePermission(pid, decision, audit) -> Promise<{ ok, error? }>
+ *
+ * Emits:
+ *   agents-updated  { added, removed }
+ *   agent-log-line  { pid, line }
+ */
+
+const NOT_FOUND = 'Agent not found in registry';
+
+/**
+ * Externally launched Claude processes (ProcessMonitor, AgentBridge, PromptInjector).
+ */
+class ExternalAgentProvider extends EventEmitter {
+  constructor(monitor, bridge, injector) {
+    super();
+    this.source = 'external';
+    this._monitor = monitor;
+    this._bridge = bridge;
+    this._injector = injector;
+
+    monitor.on('agents-updated', (data) => this.emit('agents-updated', { added: data.added, removed: data.removed }));
+    monitor.on('agent-log-line', (data) => this.emit('agent-log-line', data));
+  }
+
+  list() {
+    return this._monitor.getAgents().map((a) => this._decorate(a));
+  }
+
+  get(pid) {
+    const agent = this._monitor.getAgentByPid(pid);
+    return agent ? this._decorate(agent) : null;
+  }
+
+  getMeta(pid) {
+    const meta = this._bridge.getAgentMeta(pid);
+    return meta ? this._decorate(meta) : null;
+  }
+
+  getLogs(pid) {
+    return this._bridge.getLogsForAgent(pid);
+  }
+
+  getTranscriptPage(pid, opts) {
+    return this._bridge.getTranscriptPage(pid, opts);
+  }
+
+  getTags(pid) { return this._bridge.getAgentTags(pid); }
+  setTags(pid, tags) { this._bridge.setAgentTags(pid, tags); }
+  addTag(pid, tag) { this._bridge.addAgentTag(pid, tag); }
+  removeTag(pid, tag) { this._bridge.removeAgentTag(pid, tag); }
+
+  sendPrompt(pid, text, audit) {
+    return this._injector.sendPrompt(pid, text, audit);
+  }
+
+  sendKeys(pid, keys, audit) {
+    return this._injector.sendKeys(pid, keys, audit);
+  }
+
+  async decidePermission(pid, decision, audit) {
+    const agent = this._monitor.getAgentByPid(pid);
+    if (agent?.attentionState !== 'waiting_permission' || agent.promptInfo?.type !== 'tool_permission') {
+      return { ok: false, error: 'Agent is not waiting for permission' };
+    }
+    // External agents are always Claude processes
+    const built = buildPermissionKeys('claude', decision);
+    if (!built.ok) return built;
+
+    let result;
+    try {
+      result = await this._injector.sendKeys(pid, built.keys, audit);
+    } catch (err) {
+      result = { ok: false, error: 'Injection failed: ' + err.message };
+    }
+    permissionAudit.record({
+      ...audit,
+      decision,
+      pid,
+      agentType: 'claude',
+      requests: agent.promptInfo.requests || [],
+      ok: result.ok,
+      error: result.error,
+    });
+    return result;
+  }
+
+  _decorate(agent) {
+    return { ...agent, source: this.source, agentType: 'claude' };
+  }
+}
+
+const STOPPED_STATUSES = new Set(['done', 'failed', 'terminated', 'interrupted']);
+
+/**
+ * ProcessMonitor attention state for an AgentManager status.
+ */
+function managedAttentionState(agent) {
+  if (STOPPED_STATUSES.has(agent.status)) return 'ended';
+  if (agent.status === 'starting' || agent.status === 'running') return 'running';
+  if (agent.status === 'waiting_permission') return 'waiting_permission';
+  if (agent.status === 'waiting_input' && agent.promptInfo?.type === 'end_of_turn') return 'inactive';
+  return 'waiting_input'; // waiting_input, error, rate_limited, custom rule statuses
+}
+
+/**
+ * Agents launched here in PTYs (AgentManager). Stopped agents stay listed
+ * as long as ProcessMonitor keeps terminated ones.
+ */
+class ManagedAgentProvider extends EventEmitter {
+  /**
+   * @param {object} agentManager
+   * @param {(projectId: string) => object|null} [projectLookup]
+   */
+  constructor(agentManager, projectLookup) {
+    super();
+    this.source = 'managed';
+    this._agentManager = agentManager;
+    this._projectLookup = projectLookup || (() => null);
+    this._tags = new Map(); // pid -> Set<string>
+
+    agentManager.on('agent-created', ({ agent }) => {
+      this.emit('agents-updated', { added: [{ pid: agent.pid, name: agent.type }], removed: [] });
+    });
+    agentManager.on('agent-updated', () => this.emit('agents-updated', { added: [], removed: [] }));
+    agentManager.on('agent-session-line', ({ pid, line }) => this.emit('agent-log-line', { pid, line }));
+  }
+
+  list() {
+    const byPid = new Map();
+    for (const agent of this._agentManager.getAll()) {
+      if (!this._isListed(agent)) continue;
+      const prev = byPid.get(agent.pid);
+      if (!prev || agent.startTime > prev.startTime) byPid.set(agent.pid, agent);
+    }
+    return Array.from(byPid.values(), (a) => this._toAgent(a));
+  }
+
+  get(pid) {
+    const agent = this._find(pid);
+    return agent ? this._toAgent(agent) : null;
+  }
+
+  getMeta(pid) {
+    const agent = this._find(pid);
+    if (!agent) return null;
+    const unified = this._toAgent(agent);
+    return {
+      pid: unified.pid,
+      name: unified.name,
+      commandLine: null,
+      startTime: unified.startTime,
+      status: unified.status,
+      sessionId: unified.sessionId,
+      cwd: unified.cwd,
+      logLineCount: unified.logLineCount,
+      terminatedAt: unified.terminatedAt,
+      projectGroup: unified.projectGroup,
+      launcher: unified.launcher,
+      usage: unified.usage,
+      injection: { method: 'pty', available: unified.status !== 'terminated', reason: null },
+      tags: unified.tags,
+      source: this.source,
+      agentType: unified.agentType,
+      agentId: unified.agentId,
+      terminalId: unified.terminalId,
+    };
+  }
+
+  getLogs(pid) {
+    const agent = this._find(pid);
+    if (!agent) return { pid, sessionId: null, logs: [], available: false, reason: NOT_FOUND };
+    if (!agent.sessionFile) {
+      return { pid, sessionId: null, logs: [], available: false, reason: 'No session file correlated — logs unavailable' };
+    }
+    return { pid, sessionId: agent.sessionId, logs: this._agentManager.getSessionLines(agent.id), available: true };
+  }
+
+  async getTranscriptPage(pid, opts) {
+    const agent = this._find(pid);
+    if (!agent || !agent.sessionFile) return this.getLogs(pid);
+
+    const page = await readTranscriptPage(agent.sessionFile, opts);
+    return {
+      pid,
+      sessionId: agent.sessionId,
+      logs: page.entries.map(e => e.line),
+      available: true,
+      start: page.start,
+      end: page.end,
+      size: page.size,
+      hasBefore: page.hasBefore,
+      hasAfter: page.hasAfter,
+    };
+  }
+
+  getTags(pid) {
+    return Array.from(this._tags.get(pid) || []);
+  }
+
+  setTags(pid, tags) {
+    this._tags.set(pid, new Set(tags));
+  }
+
+  addTag(pid, tag) {
+    if (!this._tags.has(pid)) this._tags.set(pid, new Set());
+    this._tags.get(pid).add(tag);
+  }
+
+  removeTag(pid, tag) {
+    this._tags.get(pid)?.delete(tag);
+  }
+
+  async sendPrompt(pid, text, audit) {
+    return this._send(pid, text + '\r', audit);
+  }
+
+  async sendKeys(pid, keys, audit) {
+    return this._send(pid, keys, audit);
+  }
+
+  async decidePermission(pid, decision, audit) {
+    const agent = this._find(pid);
+    if (!agent) return { ok: false, error: 'Agent not found' };
+    return this._agentManager.decidePermission(agent.id, decision, audit);
+  }
+
+  _send(pid, text, audit) {
+    const agent = this._find(pid);
+    if (!agent) return { ok: false, error: 'Agent not found' };
+    if (STOPPED_STATUSES.has(agent.status)) return { ok: false, error: 'Agent is not running' };
+    const result = this._agentManager.sendInput(agent.id, text, audit);
+    return result.ok ? { ok: true, method: 'pty' } : result;
+  }
+
+  _isListed(agent) {
+    if (!agent.pid) return false;
+    if (!STOPPED_STATUSES.has(agent.status)) return true;
+    return Date.now() - (agent.endTime || 0) < config.TERMINATED_KEEP_DURATION_MS;
+  }
+
+  // The newest listed agent with this PID (PIDs are reused)
+  _find(pid) {
+    let found = null;
+    for (const agent of this._agentManager.getAll()) {
+      if (agent.pid !== pid || !this._isListed(agent)) continue;
+      if (!found || agent.startTime > found.startTime) found = agent;
+    }
+    return found;
+  }
+
+  _toAgent(agent) {
+    const project = agent.projectId ? this._projectLookup(agent.projectId) : null;
+    const stopped = STOPPED_STATUSES.has(agent.status);
+    return {
+      pid: agent.pid,
+      agentId: agent.id,
+      terminalId: agent.terminalId,
+      source: this.source,
+      agentType: agent.type,
+      name: agent.type,
+      startTime: agent.startTime,
+      status: stopped ? 'terminated' : 'active',
+      managedStatus: agent.status,
+      attentionState: managedAttentionState(agent),
+      attentionReason: agent.attentionReason,
+      promptInfo: agent.promptInfo,
+      sessionId: agent.sessionId,
+      sessionFile: agent.sessionFile,
+      cwd: agent.worktreePath,
+      projectGroup: project?.name || (agent.worktreePath ? path.basename(agent.worktreePath) : null),
+      windowTitle: null,
+      launcher: 'managed',
+      managed: true,
+      terminatedAt: stopped ? agent.endTime : null,
+      logLineCount: this._agentManager.getSessionLines(agent.id).length,
+      usage: agent.usage,
+      tags: this.getTags(agent.pid),
+    };
+  }
+}
+
+/**
+ * Several providers behind the provider interface. On a PID both know,
+ * the earlier provider wins (managed before external: a PTY-launched Claude
+ * is also found by the process scan).
+ */
+class CompositeAgentProvider extends EventEmitter {
+  constructor(providers) {
+    super();
+    this._providers = providers;
+    for (const provider of providers) {
+      provider.on('agents-updated', (data) => {
+        this.emit('agents-updated', { agents: this.list(), added: data.added || [], removed: data.removed || [] });
+      });
+      provider.on('agent-log-line', (data) => {
+        if (this._owner(data.pid) === provider) this.emit('agent-log-line', data);
+      });
+    }
+  }
+
+  list() {
+    const seen = new Set();
+    const agents = [];
+    for (const provider of this._providers) {
+      for (const agent of provider.list()) {
+        if (seen.has(agent.pid)) continue;
+        seen.add(agent.pid);
+        agents.push(agent);
+      }
+    }
+    return agents;
+  }
+
+  get(pid) {
+    for (const provider of this._providers) {
+      const agent = provider.get(pid);
+      if (agent) return agent;
+    }
+    return null;
+  }
+
+  getMeta(pid) {
+    return this._owner(pid)?.getMeta(pid) || null;
+  }
+
+  getLogs(pid) {
+    const owner = this._owner(pid);
+    return owner ? owner.getLogs(pid) : { pid, sessionId: null, logs: [], available: false, reason: NOT_FOUND };
+  }
+
+  async getTranscriptPage(pid, opts) {
+    const owner = this._owner(pid);
+    return owner ? owner.getTranscriptPage(pid, opts) : this.getLogs(pid);
+  }
+
+  getTags(pid) {
+    return this._owner(pid)?.getTags(pid) || [];
+  }
+
+  setTags(pid, tags) { this._owner(pid)?.setTags(pid, tags); }
+  addTag(pid, tag) { this._owner(pid)?.addTag(pid, tag); }
+  removeTag(pid, tag) { this._owner(pid)?.removeTag(pid, tag); }
+
+  async sendPrompt(pid, text, audit) {
+    const owner = this._owner(pid);
+    return owner ? owner.sendPrompt(pid, text, audit) : { ok: false, error: 'Agent not found' };
+  }
+
+  async sendKeys(pid, keys, audit) {
+    const owner = this._owner(pid);
+    return owner ? owner.sendKeys(pid, keys, audit) : { ok: false, error: 'Agent not found' };
+  }
+
+  async decidePermission(pid, decision, audit) {
+    const owner = this._owner(pid);
+    return owner ? owner.decidePermission(pid, decision, audit) : { ok: false, error: 'Agent not found' };
+  }
+
+  _owner(pid) {
+    return this._providers.find((p) => p.get(pid)) || null;
+  }
+}
+
+module.exports = { ExternalAgentProvider, ManagedAgentProvider, CompositeAgentProvider };
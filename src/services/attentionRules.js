@@ -0,0 +1,288 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const config = require('./config');
+const { stripAnsi } = require('./attentionState');
+const logger = require('./logger').create('attentionRules');
+
+const RULES_FILE = 'attention-rules.json';
+const AGENT_TYPES = ['claude', 'codex', 'shell', 'custom'];
+const BUILTIN_STATUSES = ['waiting_permission', 'waiting_input', 'error', 'rate_limited'];
+// Owned by the agent lifecycle; rules may not produce these
+const LIFECYCLE_STATUSES = ['starting', 'running', 'done', 'failed', 'terminated', 'interrupted'];
+
+function rule(id, pattern, status, extra = {}) {
+  return { id, pattern, matchType: 'literal', flags: 'i', status, reason: '', enabled: true, ...extra };
+}
+
+/**
+ * Built-in rules per agent type, evaluated in order (first match wins).
+ */
+const DEFAULT_RULES = {
+  claude: [
+    rule('claude-proceed', 'do you want to proceed', 'waiting_permission'),
+    rule('claude-edit', 'do you want to make this edit', 'waiting_permission'),
+    rule('claude-create', 'do you want to create', 'waiting_permission'),
+    // The CLI's own limit banners, not any output that mentions rate limits
+    rule('claude-usage-limit', '^\\W*(?:Claude (?:AI )?usage limit reached|\\d+-hour limit reached|(?:Opus )?weekly limit reached|API Error: 429\\b)', 'rate_limited', { matchType: 'regex', flags: 'im' }),
+    rule('claude-api-error', '^\\W*API Error', 'error', { matchType: 'regex', flags: 'im' }),
+  ],
+  codex: [
+    rule('codex-allow-command', 'allow command?', 'waiting_permission'),
+    rule('codex-apply-patch', 'apply (this )?patch\\?', 'waiting_permission', { matchType: 'regex' }),
+    rule('codex-rate-limit', 'rate limit|429 Too Many Requests', 'rate_limited', { matchType: 'regex' }),
+    rule('codex-error', '^\\W*error:', 'error', { matchType: 'regex', flags: 'im' }),
+  ],
+  shell: [
+    rule('shell-yes-no', '\\[(y/n|yes/no)\\]\\s*\\??\\s*$', 'waiting_permission', { matchType: 'regex', flags: 'im' }),
+    rule('shell-password', 'password( for [^:]+)?:\\s*$', 'waiting_input', { matchType: 'regex', flags: 'im' }),
+    rule('shell-continue', 'press enter to continue', 'waiting_input'),
+  ],
+  custom: [
+    rule('custom-proceed', 'do you want to proceed', 'waiting_permission'),
+    rule('custom-allow', 'allow this action', 'waiting_permission'),
+    rule('custom-approve', 'approve this', 'waiting_permission'),
+    rule('custom-yes-no', 'y/n', 'waiting_permission'),
+    rule('custom-yes-no-long', 'yes/no', 'waiting_permission'),
+    rule('custom-approval', 'waiting for approval|require approval', 'waiting_permission', { matchType: 'regex' }),
+    rule('custom-continue', 'press enter to continue', 'waiting_permission'),
+    rule('custom-enter', 'enter your', 'waiting_input'),
+    rule('custom-type', 'type your', 'waiting_input'),
+    rule('custom-provide', 'please provide', 'waiting_input'),
+    rule('custom-what', 'what would you like', 'waiting_input'),
+    rule('custom-waiting-input', 'waiting for input', 'waiting_input'),
+    rule('custom-response', 'your response', 'waiting_input'),
+  ],
+};
+
+/**
+ * Maps an agent type (or arbitrary custom command) to a rule set key.
+ */
+function ruleSetFor(agentType) {
+  return AGENT_TYPES.includes(agentType) ? agentType : 'custom';
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a rule into a RegExp. Literal patterns are escaped.
+ * Throws on invalid regex source or flags.
+ */
+function compileRule(r) {
+  const source = r.matchType === 'regex' ? r.pattern : escapeRegex(r.pattern);
+  // 'g' and 'y' make RegExp.test stateful
+  const flags = (r.flags || '').replace(/[gy]/g, '');
+  return new RegExp(source, flags);
+}
+
+/**
+ * Validates and normalizes a rule list. Returns { ok, rules } or { ok: false, error }.
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return { ok: false, error: 'Rules must be an array' };
+
+  const normalized = [];
+  for (let i = 0; i < rules.length; i++) {
+    const r = rules[i] || {};
+    if (!r.pattern || typeof r.pattern !== 'string') {
+      return { ok: false, error: `Rule ${i + 1}: pattern is required` };
+    }
+    if (!r.status || typeof r.status !== 'string' || !/^[a-z][a-z0-9_]*$/.test(r.status)) {
+      return { ok: false, error: `Rule ${i + 1}: status must be a lowercase identifier` };
+    }
+    if (LIFECYCLE_STATUSES.includes(r.status)) {
+      return { ok: false, error: `Rule ${i + 1}: "${r.status}" is a lifecycle status` };
+    }
+    const candidate = {
+      id: r.id || crypto.randomUUID(),
+      pattern: r.pattern,
+      matchType: r.matchType === 'regex' ? 'regex' : 'literal',
+      flags: typeof r.flags === 'string' ? r.flags : 'i',
+      status: r.status,
+      reason: typeof r.reason === 'string' ? r.reason : '',
+      enabled: r.enabled !== false,
+    };
+    try {
+      compileRule(candidate);
+    } catch (err) {
+      return { ok: false, error: `Rule ${i + 1}: ${err.message}` };
+    }
+    normalized.push(candidate);
+  }
+  return { ok: true, rules: normalized };
+}
+
+/**
+ * Returns the first enabled rule matching the trailing lines of an
+ * ANSI-stripped output window, or null.
+ */
+function matchRules(compiled, window, tailLines = config.PTY_ATTENTION_TAIL_LINES) {
+  const tail = window
+    .split('\n')
+    .map(l => l.trim())
+    .filter(Boolean)
+    .slice(-tailLines)
+    .join('\n');
+
+  for (const { rule: r, regex } of compiled) {
+    if (regex.test(tail)) return r;
+  }
+  return null;
+}
+
+/**
+ * Per-agent-type attention rules for PTY output, persisted to
+ * attention-rules.json. Types without a saved override use DEFAULT_RULES.
+ */
+class AttentionRules {
+  constructor() {
+    this._filePath = null;
+    this._overrides = {}; // type -> rules[]
+    this._compiled = {};  // type -> [{ rule, regex }]
+  }
+
+  init() {
+    const { app } = require('electron');
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, RULES_FILE);
+    this._load();
+  }
+
+  /**
+   * All rule sets plus metadata for the settings screen.
+   */
+  getAll() {
+    const types = {};
+    for (const type of AGENT_TYPES) {
+      types[type] = {
+        rules: this.getRules(type),
+        customized: Boolean(this._overrides[type]),
+      };
+    }
+    return { types, statuses: BUILTIN_STATUSES };
+  }
+
+  getRules(agentType) {
+    const type = ruleSetFor(agentType);
+    return (this._overrides[type] || DEFAULT_RULES[type]).map(r => ({ ...r }));
+  }
+
+  setRules(agentType, rules) {
+    if (!AGENT_TYPES.includes(agentType)) return { ok: false, error: `Unknown agent type: ${agentType}` };
+    const result = validateRules(rules);
+    if (!result.ok) return result;
+
+    this._overrides[agentType] = result.rules;
+    delete this._compiled[agentType];
+    this._persist();
+    logger.info('Attention rules updated', { agentType, count: result.rules.length });
+    return { ok: true, rules: this.getRules(agentType) };
+  }
+
+  resetRules(agentType) {
+    if (!AGENT_TYPES.includes(agentType)) return { ok: false, error: `Unknown agent type: ${agentType}` };
+    delete this._overrides[agentType];
+    delete this._compiled[agentType];
+    this._persist();
+    return { ok: true, rules: this.getRules(agentType) };
+  }
+
+  /**
+   * Match an ANSI-stripped output window for an agent type.
+   * @returns {object|null} the matching rule
+   */
+  match(agentType, window) {
+    const type = ruleSetFor(agentType);
+    if (!this._compiled[type]) {
+      this._compiled[type] = this._compile(this.getRules(type));
+    }
+    return matchRules(this._compiled[type], window);
+  }
+
+  /**
+   * Replay a ring buffer snapshot line by line through a rule list the
+   * same way live output is evaluated, and report every status transition.
+   * @param {Array} rules - Rules to test (may be unsaved edits)
+   * @param {string[]} lines - Ring buffer lines (ptyService.getBuffer), oldest first
+   * @returns {{ ok: boolean, transitions?: Array, lineCount?: number, error?: string }}
+   */
+  test(rules, lines) {
+    const result = validateRules(rules);
+    if (!result.ok) return result;
+    if (!Array.isArray(lines)) return { ok: false, error: 'Buffer must be an array of lines' };
+
+    const compiled = this._compile(result.rules);
+    const transitions = [];
+    let window = '';
+    let status = 'running';
+
+    lines.forEach((line, index) => {
+      window = (window + stripAnsi(String(line)) + '\n').slice(-config.PTY_ATTENTION_WINDOW_CHARS);
+      const matched = matchRules(compiled, window);
+      const next = matched ? matched.status : 'running';
+      if (next === status) return;
+
+      status = next;
+      transitions.push({
+        index,
+        status,
+        ruleId: matched ? matched.id : null,
+        reason: matched ? matched.reason : '',
+        excerpt: window.split('\n').map(l => l.trim()).filter(Boolean).slice(-config.PTY_ATTENTION_TAIL_LINES).join('\n'),
+      });
+    });
+
+    return { ok: true, transitions, lineCount: lines.length };
+  }
+
+  // --- Internal ---
+
+  _compile(rules) {
+    const compiled = [];
+    for (const r of rules) {
+      if (!r.enabled) continue;
+      try {
+        compiled.push({ rule: r, regex: compileRule(r) });
+      } catch (err) {
+        logger.warn('Skipping invalid attention rule', { id: r.id, error: err.message });
+      }
+    }
+    return compiled;
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const raw = fs.readFileSync(this._filePath, 'utf-8');
+        const data = JSON.parse(raw);
+        for (const type of AGENT_TYPES) {
+          if (!data.types || !data.types[type]) continue;
+          const result = validateRules(data.types[type]);
+          if (result.ok) {
+            this._overrides[type] = result.rules;
+          } else {
+            logger.warn('Ignoring invalid attention rules', { type, error: result.error });
+          }
+        }
+        logger.info('Loaded attention rules', { customized: Object.keys(this._overrides) });
+      }
+    } catch (err) {
+      logger.warn('Failed to load attention rules', { error: err.message });
+    }
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, types: this._overrides }, null, 2), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist attention rules', { error: err.message });
+    }
+  }
+}
+
+module.exports = new AttentionRules();
@@ -0,0 +1,241 @@
+/**
+ * Attention state detection shared by ProcessMonitor (external agents)
+ * and AgentManager (PTY-launched agents).
+ *
+ * The primary source is the session JSONL: the last line's tool_use blocks
+ * tell us whether Claude is asking a question or waiting for a permission.
+ * Raw PTY pattern matching (see attentionRules) is only a fallback for agents
+ * without a session file.
+ */
+
+const config = require('./config');
+
+/**
+ * Extracts tool_use blocks from a JSONL line's message.content array.
+ */
+function getToolUseBlocks(line) {
+  const content = line?.message?.content;
+  if (!Array.isArray(content)) return [];
+  return content.filter(block => block.type === 'tool_use');
+}
+
+/**
+ * What a pending tool call wants to do, for approve/deny prompts:
+ * { id, name, command?, filePath?, description?, diff? }
+ */
+function describeToolRequest(block) {
+  const input = block.input || {};
+  const request = { id: block.id || null, name: block.name || 'unknown' };
+  if (typeof input.command === 'string') request.command = preview(input.command);
+  const filePath = input.file_path || input.notebook_path || input.path;
+  if (typeof filePath === 'string') request.filePath = filePath;
+  if (typeof input.description === 'string') request.description = preview(input.description);
+
+  let diff = null;
+  if (typeof input.old_string === 'string' || typeof input.new_string === 'string') {
+    diff = diffLines(input.old_string, input.new_string);
+  } else if (Array.isArray(input.edits)) {
+    diff = input.edits.map(e => diffLines(e.old_string, e.new_string)).join('\n…\n');
+  } else if (typeof input.content === 'string') {
+    diff = diffLines('', input.content);
+  } else if (typeof input.new_source === 'string') {
+    diff = diffLines('', input.new_source);
+  }
+  if (diff) request.diff = preview(diff);
+  return request;
+}
+
+function diffLines(before, after) {
+  const removed = before ? String(before).split('\n').map(l => '- ' + l) : [];
+  const added = after ? String(after).split('\n').map(l => '+ ' + l) : [];
+  return removed.concat(added).join('\n');
+}
+
+function preview(text) {
+  const max = config.PERMISSION_PREVIEW_CHARS;
+  return text.length > max ? text.slice(0, max) + '…' : text;
+}
+
+/**
+ * Derives the attention state of an agent based on log activity.
+ *
+ * States:
+ *   ended            — process terminated
+ *   running          — agent is actively processing
+ *   waiting_input    — assistant used AskUserQuestion, waiting for user
+ *   waiting_permission — assistant used a tool, waiting for approval
+ *   inactive         — assistant finished its turn (no tool_use), idle
+ *   stalled          — non-standard message type with 5+ min silence
+ *   unknown          — no session data
+ */
+function deriveAttentionState(agent) {
+  if (agent.status === 'terminated') return 'ended';
+
+  const lastLine = agent.logLines?.length > 0
+    ? agent.logLines[agent.logLines.length - 1]
+    : null;
+
+  if (!lastLine) {
+    // No session data — can't confirm it's actually working
+    return agent.sessionId ? 'running' : 'unknown';
+  }
+
+  const lastLineTime = lastLine.timestamp
+    ? new Date(lastLine.timestamp).getTime()
+    : agent.lastSeen;
+  const silenceMs = Date.now() - lastLineTime;
+
+  // Assistant message — inspect content for tool_use blocks
+  if (lastLine.type === 'assistant') {
+    const toolUses = getToolUseBlocks(lastLine);
+    const hasAskUser = toolUses.some(t => t.name === 'AskUserQuestion');
+
+    if (hasAskUser) return 'waiting_input';
+    if (toolUses.length > 0) return silenceMs > 5000 ? 'waiting_permission' : 'running';
+    // End-of-turn (no tool_use) — agent finished, idle after 5s
+    return silenceMs > 5000 ? 'inactive' : 'running';
+  }
+
+  // User message — agent is processing the request (can take minutes)
+  if (lastLine.type === 'user') return 'running';
+
+  // Other types (system, file-history-snapshot, etc.) — only stall after 5 min
+  if (silenceMs > 300000) return 'stalled';
+
+  return 'running';
+}
+
+/**
+ * Extracts prompt information from the last assistant message.
+ * Returns null if the agent isn't in a waiting state, or an object describing
+ * what the agent is waiting for:
+ *   { type: 'ask_user', question, options, multiSelect }
+ *   { type: 'tool_permission', tools, requests }
+ *   { type: 'end_of_turn' }
+ */
+function extractPromptInfo(agent) {
+  const lastLine = agent.logLines?.length > 0
+    ? agent.logLines[agent.logLines.length - 1]
+    : null;
+
+  if (!lastLine || lastLine.type !== 'assistant') return null;
+
+  const toolUses = getToolUseBlocks(lastLine);
+
+  // AskUserQuestion — extract question text + option labels
+  const askUser = toolUses.find(t => t.name === 'AskUserQuestion');
+  if (askUser) {
+    const q = (askUser.input?.questions || [])[0];
+    if (q) {
+      return {
+        type: 'ask_user',
+        question: (q.question || '').substring(0, 120),
+        options: (q.options || []).map(o => (o.label || '').substring(0, 60)),
+        multiSelect: Boolean(q.multiSelect),
+      };
+    }
+    return { type: 'ask_user', question: 'Waiting for your response', options: [], multiSelect: false };
+  }
+
+  // Other tool_use — show tool names needing permission
+  if (toolUses.length > 0) {
+    return {
+      type: 'tool_permission',
+      tools: toolUses.map(t => t.name || 'unknown'),
+      requests: toolUses.map(describeToolRequest),
+    };
+  }
+
+  // End of turn — assistant finished, no tool_use
+  return { type: 'end_of_turn' };
+}
+
+// --- Answering ---
+
+const KEY_DOWN = '\x1b[B';
+const KEY_TOGGLE = ' ';
+const KEY_ENTER = '\r';
+
+/**
+ * Builds the keystrokes that answer an AskUserQuestion prompt. The option
+ * list opens with the cursor on the first option: a single choice moves down
+ * to it and presses Enter; a multi-select moves to each choice in turn,
+ * toggles it with Space and submits with Enter.
+ * @param {object|null} promptInfo - From extractPromptInfo
+ * @param {{ option?: number, options?: number[] }} answer - Zero-based option index, or indices for multi-select
+ * @returns {{ ok: boolean, keys?: string, error?: string }}
+ */
+function buildAnswerKeys(promptInfo, answer) {
+  if (promptInfo?.type !== 'ask_user') return { ok: false, error: 'Agent is not asking a question' };
+  const count = promptInfo.options?.length || 0;
+  if (count === 0) return { ok: false, error: 'Question has no options' };
+
+  const chosen = Array.isArray(answer?.options) ? answer.options : [answer?.option];
+  if (chosen.length === 0) return { ok: false, error: 'No option selected' };
+  if (!chosen.every(i => Number.isInteger(i) && i >= 0 && i < count)) {
+    return { ok: false, error: `Option must be between 0 and ${count - 1}` };
+  }
+
+  if (!promptInfo.multiSelect) {
+    if (chosen.length > 1) return { ok: false, error: 'Question accepts a single option' };
+    return { ok: true, keys: KEY_DOWN.repeat(chosen[0]) + KEY_ENTER };
+  }
+
+  let keys = '';
+  let cursor = 0;
+  for (const index of Array.from(new Set(chosen)).sort((a, b) => a - b)) {
+    keys += KEY_DOWN.repeat(index - cursor) + KEY_TOGGLE;
+    cursor = index;
+  }
+  return { ok: true, keys: keys + KEY_ENTER };
+}
+
+/**
+ * Keys choosing each permission decision, per agent type. Claude numbers
+ * its options (Esc declines and asks for new instructions); Codex uses
+ * letter shortcuts.
+ */
+const PERMISSION_KEYS = {
+  claude: { approve: '1', approve_session: '2', deny: '\x1b' },
+  codex: { approve: 'y', approve_session: 'a', deny: 'n' },
+};
+const PERMISSION_DECISIONS = ['approve', 'approve_session', 'deny'];
+
+/**
+ * Builds the keystrokes that answer a tool permission prompt.
+ * @param {string} agentType - 'claude' | 'codex'
+ * @param {string} decision - 'approve' | 'approve_session' | 'deny'
+ * @returns {{ ok: boolean, keys?: string, error?: string }}
+ */
+function buildPermissionKeys(agentType, decision) {
+  if (!PERMISSION_DECISIONS.includes(decision)) {
+    return { ok: false, error: `Decision must be one of ${PERMISSION_DECISIONS.join(', ')}` };
+  }
+  const keys = PERMISSION_KEYS[agentType];
+  if (!keys) return { ok: false, error: `Permission prompts of ${agentType} agents cannot be answered` };
+  return { ok: true, keys: keys[decision] };
+}
+
+// --- PTY fallback ---
+
+/**
+ * Removes ANSI escape sequences (CSI, OSC, single-char escapes) and bare
+ * carriage returns so patterns match what the user actually sees.
+ */
+function stripAnsi(str) {
+  return str
+    .replace(/\x1b\[[0-9;?]*[ -\/]*[@-~]/g, '')
+    .replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)/g, '')
+    .replace(/\x1b[@-_]/g, '')
+    .replace(/\r(?!\n)/g, '');
+}
+
+module.exports = {
+  getToolUseBlocks,
+  deriveAttentionState,
+  extractPromptInfo,
+  buildAnswerKeys,
+  buildPermissionKeys,
+  PERMISSION_DECISIONS,
+  stripAnsi,
+};
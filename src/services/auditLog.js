@@ -0,0 +1,100 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('./config');
+const loggerFactory = require('./logger');
+
+/**
+ * Append-only JSONL log in userData, one JSON object per line.
+ * Entries are never rewritten; readers take the tail of the file.
+ */
+class AuditLog {
+  /**
+   * @param {string} fileName - File under userData
+   * @param {string} tag - Logger tag
+   */
+  constructor(fileName, tag) {
+    this._fileName = fileName;
+    this._filePath = null;
+    this._logger = loggerFactory.create(tag);
+  }
+
+  init() {
+    const { app } = require('electron');
+    this._filePath = path.join(app.getPath('userData'), this._fileName);
+  }
+
+  get filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Append one entry, stamped with the current time.
+   */
+  record(entry) {
+    const record = { timestamp: Date.now(), ...entry };
+    if (!this._filePath) {
+      this._logger.warn('Audit entry not persisted: log not initialized', record);
+      return;
+    }
+    try {
+      fs.appendFileSync(this._filePath, JSON.stringify(record) + '\n', 'utf-8');
+    } catch (err) {
+      this._logger.error('Failed to append audit entry', { error: err.message });
+    }
+  }
+
+  /**
+   * Most recent entries, newest first. Only the last AUDIT_LIST_MAX_BYTES of
+   * the file are read.
+   * @param {number} [limit]
+   */
+  list(limit = config.AUDIT_LIST_LIMIT) {
+    if (!this._filePath || !fs.existsSync(this._filePath)) return [];
+
+    const size = fs.statSync(this._filePath).size;
+    const length = Math.min(size, config.AUDIT_LIST_MAX_BYTES);
+    const buf = Buffer.alloc(length);
+    const fd = fs.openSync(this._filePath, 'r');
+    try {
+      fs.readSync(fd, buf, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = buf.toString('utf-8').split('\n');
+    // The first line is cut off unless the whole file was read
+    if (length < size) lines.shift();
+
+    const entries = [];
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      if (!lines[i]) continue;
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch {
+        // Torn write from a crash mid-append
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Copy the whole log to another file.
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async exportTo(destPath) {
+    try {
+      if (this._filePath && fs.existsSync(this._filePath)) {
+        await fs.promises.copyFile(this._filePath, destPath);
+      } else {
+        await fs.promises.writeFile(destPath, '', 'utf-8');
+      }
+      this._logger.info('Audit log exported', { destPath });
+      return { ok: true };
+    } catch (err) {
+      this._logger.error('Failed to export audit log', { error: err.message });
+      return { ok: false, error: err.message };
+    }
+  }
+}
+
+module.exports = AuditLog;
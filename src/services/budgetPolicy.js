@@ -0,0 +1,152 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('./config');
+const logger = require('./logger').create('budgetPolicy');
+
+const BUDGETS_FILE = 'budgets.json';
+const LIMITS = ['maxTokens', 'maxCost', 'maxRuntimeMinutes'];
+const ACTIONS = ['interrupt', 'terminate'];
+// Limit field -> measurement key
+const METRICS = { maxTokens: 'tokens', maxCost: 'cost', maxRuntimeMinutes: 'runtimeMinutes' };
+const LEVELS = { ok: 0, warning: 1, exceeded: 2 };
+
+/**
+ * Validates and normalizes a budget. An empty budget (no limits) becomes null.
+ * Shape: { maxTokens?, maxCost?, maxRuntimeMinutes?, warnAt, action }
+ * @returns {{ ok: boolean, budget?: object|null, error?: string }}
+ */
+function validateBudget(budget) {
+  if (budget === null || budget === undefined) return { ok: true, budget: null };
+  if (typeof budget !== 'object' || Array.isArray(budget)) return { ok: false, error: 'Budget must be an object' };
+
+  const normalized = {};
+  for (const key of LIMITS) {
+    const raw = budget[key];
+    if (raw === null || raw === undefined || raw === '') continue;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) return { ok: false, error: `${key} must be a positive number` };
+    normalized[key] = value;
+  }
+  if (Object.keys(normalized).length === 0) return { ok: true, budget: null };
+
+  const warnAt = budget.warnAt === undefined || budget.warnAt === null || budget.warnAt === ''
+    ? config.BUDGET_DEFAULT_WARN_AT
+    : Number(budget.warnAt);
+  if (!Number.isFinite(warnAt) || warnAt <= 0 || warnAt > 1) {
+    return { ok: false, error: 'warnAt must be a fraction between 0 and 1' };
+  }
+  const action = budget.action || config.BUDGET_DEFAULT_ACTION;
+  if (!ACTIONS.includes(action)) return { ok: false, error: `action must be one of: ${ACTIONS.join(', ')}` };
+
+  return { ok: true, budget: { ...normalized, warnAt, action } };
+}
+
+/**
+ * Compares a measurement against a budget and returns the most severe result:
+ * { level: 'ok' | 'warning' | 'exceeded', metric, value, limit }
+ */
+function evaluateBudget(budget, measured) {
+  let worst = { level: 'ok', metric: null, value: 0, limit: 0 };
+  for (const key of LIMITS) {
+    const limit = budget[key];
+    if (!limit) continue;
+    const value = measured[METRICS[key]] || 0;
+    let level = 'ok';
+    if (value >= limit) level = 'exceeded';
+    else if (value >= limit * budget.warnAt) level = 'warning';
+    if (LEVELS[level] > LEVELS[worst.level]) worst = { level, metric: METRICS[key], value, limit };
+  }
+  return worst;
+}
+
+/**
+ * Budget configuration. Agent budgets come from launch options, project
+ * budgets from the ProjectRegistry entry, and the global budget is
+ * persisted to budgets.json.
+ */
+class BudgetPolicy {
+  constructor() {
+    this._filePath = null;
+    this._global = null;
+    this._projectLookup = () => null;
+  }
+
+  init() {
+    const { app } = require('electron');
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, BUDGETS_FILE);
+    this._load();
+  }
+
+  /**
+   * Provide project lookup (projectId -> registry entry) for project budgets.
+   */
+  setProjectLookup(fn) {
+    this._projectLookup = fn;
+  }
+
+  validate(budget) {
+    return validateBudget(budget);
+  }
+
+  evaluate(budget, measured) {
+    return evaluateBudget(budget, measured);
+  }
+
+  getGlobal() {
+    return this._global ? { ...this._global } : null;
+  }
+
+  setGlobal(budget) {
+    const result = validateBudget(budget);
+    if (!result.ok) return result;
+    this._global = result.budget;
+    this._persist();
+    logger.info('Global budget updated', { budget: this._global });
+    return { ok: true, budget: this.getGlobal() };
+  }
+
+  /**
+   * Budgets that apply to an agent, narrowest scope first.
+   * @returns {Array<{ scope: 'agent'|'project'|'global', budget: object }>}
+   */
+  resolve(agent) {
+    const budgets = [];
+    if (agent.launchOptions?.budget) budgets.push({ scope: 'agent', budget: agent.launchOptions.budget });
+    const project = agent.projectId ? this._projectLookup(agent.projectId) : null;
+    if (project?.budget) budgets.push({ scope: 'project', budget: project.budget });
+    if (this._global) budgets.push({ scope: 'global', budget: this._global });
+    return budgets;
+  }
+
+  // --- Internal ---
+
+  _load() {
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+        const result = validateBudget(data.global);
+        if (result.ok) {
+          this._global = result.budget;
+        } else {
+          logger.warn('Ignoring invalid global budget', { error: result.error });
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to load budgets', { error: err.message });
+    }
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, global: this._global }, null, 2), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist budgets', { error: err.message });
+    }
+  }
+}
+
+module.exports = new BudgetPolicy();
@@ -0,0 +1,117 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { app } = require('electron');
+const config = require('./config');
+const logger = require('./logger');
+
+const log = logger.create ? logger.create('certificateStore') : logger;
+
+const CERT_FILE = 'mobile-tls.json';
+
+/**
+ * Self-signed TLS certificate for the mobile server, generated on first use
+ * and persisted in userData so its fingerprint stays stable across restarts
+ * (paired phones compare it against the one in the pairing QR code).
+ * Renewed when it is about to expire.
+ */
+class CertificateStore {
+  constructor() {
+    this._filePath = null;
+    this._data = null; // { version, key, cert, createdAt }
+  }
+
+  /**
+   * Load the certificate or generate a new one.
+   * Must be called after app.whenReady().
+   */
+  async init() {
+    this._filePath = path.join(app.getPath('userData'), CERT_FILE);
+
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+        const remainingMs = Date.parse(new crypto.X509Certificate(data.cert).validTo) - Date.now();
+        if (remainingMs > config.MOBILE_TLS_RENEW_BEFORE_MS) {
+          this._data = data;
+          log.info('Loaded TLS certificate', { fingerprint: this.getFingerprint() });
+          return;
+        }
+        log.info('TLS certificate expires soon, renewing');
+      }
+    } catch (err) {
+      log.warn('Failed to read TLS certificate, generating a new one', { message: err.message });
+    }
+
+    await this.regenerate();
+  }
+
+  /** Key and certificate (PEM) for https.createServer. */
+  getCredentials() {
+    return this._data ? { key: this._data.key, cert: this._data.cert } : null;
+  }
+
+  /** SHA-256 fingerprint, colon-separated hex as browsers display it. */
+  getFingerprint() {
+    return this._data ? new crypto.X509Certificate(this._data.cert).fingerprint256 : null;
+  }
+
+  /**
+   * Generate and persist a new certificate. Phones paired against the old
+   * fingerprint will see a mismatch until they pair again.
+   */
+  async regenerate() {
+    const selfsigned = require('selfsigned');
+    const notBeforeDate = new Date();
+    const notAfterDate = new Date(notBeforeDate.getTime() + config.MOBILE_TLS_VALIDITY_DAYS * 24 * 60 * 60_000);
+
+    const pems = await selfsigned.generate([{ name: 'commonName', value: `${config.APP_NAME} (${os.hostname()})` }], {
+      keyType: 'ec',
+      curve: 'P-256',
+      algorithm: 'sha256',
+      notBeforeDate,
+      notAfterDate,
+      extensions: [
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        { name: 'subjectAltName', altNames: subjectAltNames() },
+      ],
+    });
+
+    this._data = { version: 1, key: pems.private, cert: pems.cert, createdAt: notBeforeDate.toISOString() };
+    this._persist();
+    log.info('Generated TLS certificate', { fingerprint: this.getFingerprint() });
+  }
+
+  _persist() {
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this._filePath, JSON.stringify(this._data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    } catch (err) {
+      log.error('Failed to persist TLS certificate', { message: err.message });
+    }
+  }
+}
+
+/**
+ * Names the phone may use to reach this machine: localhost, the host name
+ * and the current LAN addresses.
+ */
+function subjectAltNames() {
+  const names = [
+    { type: 2, value: 'localhost' },
+    { type: 2, value: os.hostname() },
+    { type: 7, ip: '127.0.0.1' },
+  ];
+  for (const addr of Object.values(os.networkInterfaces()).flat()) {
+    if (addr && addr.family === 'IPv4' && !addr.internal) names.push({ type: 7, ip: addr.address });
+  }
+  return names;
+}
+
+module.exports = CertificateStore;
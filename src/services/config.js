@@ -6,6 +6,8 @@ module.exports = {
   POLL_INTERVAL_MS: 2000,
   CLAUDE_PROCESS_SIGNATURES: ['claude'],
   SELF_PROCESS_NAME: 'claudecount',
+  PROC_ROOT: '/proc',        // Linux procfs mount (overridable for fixture trees)
+  PROC_CLOCK_TICKS: 100,     // USER_HZ used by /proc/<pid>/stat start times
 
   // Session paths
   CLAUDE_HOME: path.join(os.homedir(), '.claude'),
@@ -15,20 +17,112 @@ module.exports = {
   TERMINATED_KEEP_DURATION_MS: 60_000,
   MAX_LOG_LINES_PER_SESSION: 1000,
 
+  // Transcript paging (full session files, see readTranscriptPage)
+  TRANSCRIPT_PAGE_DEFAULT_LIMIT: 200,
+  TRANSCRIPT_PAGE_MAX_LIMIT: 1000,
+  TRANSCRIPT_READ_CHUNK_BYTES: 64 * 1024,
+
+  // Session catalog (historical sessions under CLAUDE_PROJECTS_DIR)
+  SESSION_CATALOG_PROMPT_CHARS: 300,   // first-prompt preview length
+
+  // Transcript search index
+  SEARCH_INDEX_START_DELAY_MS: 10_000,
+  SEARCH_INDEX_RESCAN_INTERVAL_MS: 5 * 60_000,
+  SEARCH_INDEX_PERSIST_DEBOUNCE_MS: 5000,
+  SEARCH_MAX_TERM_LENGTH: 64,
+  SEARCH_MAX_RESULTS: 200,            // matching lines per query
+  SEARCH_MAX_HITS_PER_SESSION: 20,
+  SEARCH_SNIPPET_CHARS: 160,
+
   // Prompt injection
   MAX_PROMPT_LENGTH: 10000,
+  INJECTION_PROBE_TTL_MS: 30_000,        // re-check how an agent can be reached after this long
+  INJECTION_COMMAND_TIMEOUT_MS: 5000,    // tmux / screen / ps invocations
+
+  // Tool permission prompts
+  PERMISSION_PREVIEW_CHARS: 4000,        // command / diff preview shown with approve and deny
+
+  // Audit logs (permission decisions, input sent to agents)
+  AUDIT_LIST_LIMIT: 500,
+  AUDIT_LIST_MAX_BYTES: 2 * 1024 * 1024, // tail of the file read for the viewer
+  INPUT_AUDIT_TYPED_FLUSH_MS: 5000,      // typing pause after which a partial terminal line is recorded
+
+  // Mobile server
+  MOBILE_SERVER_PORT: 7700,
+  MOBILE_SERVER_HOST: '127.0.0.1',      // loopback only: this machine and tunnels pointed at it ...
+  MOBILE_SERVER_LAN_HOST: '0.0.0.0',    // ... or every interface once LAN access is enabled
+  MOBILE_SERVER_TLS: process.env.CLAUDECOUNT_MOBILE_TLS !== '0', // HTTPS with a self-signed certificate
+  MOBILE_TLS_VALIDITY_DAYS: 825,          // the longest validity iOS accepts
+  MOBILE_TLS_RENEW_BEFORE_MS: 30 * 24 * 60 * 60_000,
+  MOBILE_TOKEN_PERSIST_DEBOUNCE_MS: 5000, // batching of token last-used writes
+  MOBILE_PAIRING_TTL_MS: 5 * 60_000,      // lifetime of a pairing code / QR nonce
+  MOBILE_PAIRING_MAX_FAILURES: 5,         // wrong codes before all pending pairings are cancelled
+  MOBILE_SESSION_TTL_MS: 30 * 24 * 60 * 60_000,
+  MOBILE_SESSION_COOKIE: 'cc_session',
+  MOBILE_AUTH_MAX_FAILURES: 10,           // rejected credentials per IP ...
+  MOBILE_AUTH_FAILURE_WINDOW_MS: 10 * 60_000, // ... within this window ...
+  MOBILE_AUTH_LOCKOUT_MS: 15 * 60_000,    // ... lock it out for this long
+  MOBILE_AUTH_FAILURE_LOG_SIZE: 100,      // recent failures kept for the desktop
+  MOBILE_PROMPT_RATE_LIMIT: 20,           // prompts per IP and per token ...
+  MOBILE_PROMPT_RATE_WINDOW_MS: 60_000,   // ... per minute
+  MOBILE_PUSH_TTL_MS: 60 * 60_000,        // how long the push service holds an undelivered alert
+  MOBILE_PUSH_SUBJECT: 'mailto:notifications@claudecount.invalid', // VAPID contact (required, never used)
+  MOBILE_PUSH_DEDUPE_MS: 30_000,          // the same alert for the same agent is sent once per window
+  // Push service hosts a subscription endpoint may point at (a leading dot matches subdomains)
+  MOBILE_PUSH_HOSTS: ['fcm.googleapis.com', 'android.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com', '.notify.windows.com'],
+  MOBILE_EVENT_JOURNAL_SIZE: 2000,        // broadcast events kept for clients resuming with since / Last-Event-ID
+  MOBILE_SSE_RETRY_MS: 3000,              // EventSource reconnect delay
+  MOBILE_WS_MAX_SUBSCRIPTIONS: 20,        // subscription rules per WebSocket client
+  MOBILE_WS_MAX_UNACKED_SNAPSHOTS: 20,    // agent patches in flight before falling back to a whole snapshot
+  MOBILE_TERMINAL_FLUSH_MS: 25,           // terminal output is batched per stream for this long
+  MOBILE_TERMINAL_MAX_BUFFERED: 512 * 1024, // WS send backlog after which a slow client is resynced from a snapshot
+  MOBILE_TERMINAL_MAX_STREAMS: 4,         // terminals one WebSocket client may watch at once
+  MOBILE_TERMINAL_MAX_INPUT: 4096,        // characters per terminal input message
+
+  // AMARIS integration (see docs/AMARIS_INTEGRATION.md)
+  AMARIS_ENABLED: false,
+  AMARIS_API_URL: '',
 
   // PTY session management
   PTY_CLAUDE_COMMAND: 'claude',
   PTY_DEFAULT_COLS: 120,
   PTY_DEFAULT_ROWS: 40,
   PTY_RING_BUFFER_MAX_LINES: 2000,
+  PTY_RAW_TAIL_MAX_CHARS: 256 * 1024,    // raw output kept per terminal for late-attaching viewers
   PTY_AUTO_PRIME_ENABLED: true,
   PTY_AUTO_PRIME_DELAY_MS: 3000,
   PTY_AUTO_PRIME_COMMAND: 'read claude.md and wait my command',
   PTY_KILL_TIMEOUT_MS: 5000,
   PTY_SESSION_CORRELATE_DELAY_MS: 8000,
 
+  // Attention detection for managed agents
+  AGENT_ATTENTION_EVAL_INTERVAL_MS: 1000, // re-derive session state (silence thresholds)
+  AGENT_SESSION_TAIL_LINES: 50,           // JSONL lines kept per managed agent
+  AGENT_SESSION_QUIET_MS: 30_000,         // session silence, while the PTY is busy, before the PTY fallback takes over
+  PTY_ATTENTION_WINDOW_CHARS: 4000,       // rolling ANSI-stripped output window
+  PTY_ATTENTION_TAIL_LINES: 3,            // trailing lines matched against prompt patterns
+
+  // Agent history
+  AGENT_HISTORY_MAX_ENTRIES: 200,
+  AGENT_HISTORY_BUFFER_LINES: 300,
+  AGENT_HISTORY_PERSIST_DEBOUNCE_MS: 1000,
+
+  // Token usage accounting
+  USAGE_PERSIST_DEBOUNCE_MS: 2000,
+  // USD per million tokens; keys are matched as substrings of the model name, first match wins
+  USAGE_DEFAULT_PRICES: {
+    'opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheCreation: 6.25 },
+    opus: { input: 15, output: 75, cacheRead: 1.5, cacheCreation: 18.75 },
+    sonnet: { input: 3, output: 15, cacheRead: 0.3, cacheCreation: 3.75 },
+    'haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheCreation: 1.25 },
+    haiku: { input: 0.8, output: 4, cacheRead: 0.08, cacheCreation: 1 },
+  },
+
+  // Budgets
+  BUDGET_CHECK_INTERVAL_MS: 5000,
+  BUDGET_DEFAULT_WARN_AT: 0.8,          // fraction of a limit that triggers a warning
+  BUDGET_DEFAULT_ACTION: 'interrupt',   // 'interrupt' (Ctrl-C) | 'terminate'
+
   // Watchdog
   WATCHDOG_MAX_FAILURES: 5,
   WATCHDOG_RESTART_DELAY_MS: 5000,
@@ -0,0 +1,74 @@
+const AuditLog = require('./auditLog');
+const config = require('./config');
+
+const ESCAPE_SEQUENCE_RE = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b[\s\S]?/g;
+
+/**
+ * Everything sent to an agent as input (input-audit.jsonl), so what humans
+ * and automation told each agent can be reconstructed.
+ * Entry: { timestamp, source: 'desktop' | 'mobile' | 'automation',
+ *   clientId?, tokenId?, agentId | pid | terminalId, text, method?, reason?, ok, error? }
+ *
+ * Terminal keystrokes arrive one key at a time; recordTyped() assembles
+ * them into lines (applying backspace, dropping cursor keys) and writes a
+ * line when Enter is pressed or typing pauses.
+ */
+class InputAudit extends AuditLog {
+  constructor() {
+    super('input-audit.jsonl', 'inputAudit');
+    this._typed = new Map(); // agentId | terminalId -> { entry, text, timer }
+  }
+
+  /**
+   * Buffer raw terminal input for an agent (or a plain terminal).
+   * @param {object} entry - Fields of the eventual record ({ source, agentId } or { source, terminalId })
+   * @param {string} data - Raw keystrokes
+   */
+  recordTyped(entry, data) {
+    const key = entry.agentId || entry.terminalId;
+    const pending = this._typed.get(key) || { entry, text: '', timer: null };
+    clearTimeout(pending.timer);
+    this._typed.delete(key);
+
+    for (const ch of data.replace(ESCAPE_SEQUENCE_RE, '')) {
+      if (ch === '\r' || ch === '\n') {
+        // A bare Enter is still input: it submits or confirms a prompt
+        this._writeTyped(pending.entry, pending.text, true);
+        pending.text = '';
+      } else if (ch === '\x7f' || ch === '\b') {
+        pending.text = Array.from(pending.text).slice(0, -1).join('');
+      } else if (ch === '\x03') {
+        this._writeTyped(pending.entry, pending.text + '^C', false);
+        pending.text = '';
+      } else if (ch >= ' ' || ch === '\t') {
+        pending.text += ch;
+      }
+    }
+
+    if (pending.text) {
+      pending.timer = setTimeout(() => this._flushTyped(key), config.INPUT_AUDIT_TYPED_FLUSH_MS);
+      this._typed.set(key, pending);
+    }
+  }
+
+  /**
+   * Write out any partially typed lines (call on quit).
+   */
+  flush() {
+    for (const key of Array.from(this._typed.keys())) this._flushTyped(key);
+  }
+
+  _flushTyped(key) {
+    const pending = this._typed.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._typed.delete(key);
+    this._writeTyped(pending.entry, pending.text, false);
+  }
+
+  _writeTyped(entry, text, submitted) {
+    this.record({ ...entry, text, submitted, ok: true });
+  }
+}
+
+module.exports = new InputAudit();
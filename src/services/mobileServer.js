@@ -1,53 +1,277 @@
 const http = require('node:http');
+const https = require('node:https');
+const crypto = require('node:crypto');
+const os = require('node:os');
 const path = require('node:path');
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const config = require('./config');
 const logger = require('./logger').create('mobileServer');
 const { getEnvironmentInfo, getVersionInfo, buildExportPayload } = require('./exportService');
+const { buildAnswerKeys, buildPermissionKeys } = require('./attentionState');
+const RateLimiter = require('./rateLimiter');
+const inputAudit = require('./inputAudit');
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * Client address of a request. Connections from loopback with
+ * X-Forwarded-For come through a local proxy (the cloudflared tunnel), which
+ * appends the real client as the last entry.
+ */
+function clientIp(request) {
+  const remote = request.socket?.remoteAddress || '';
+  const forwarded = request.headers['x-forwarded-for'];
+  if (LOOPBACK.has(remote) && forwarded) {
+    const hops = String(forwarded).split(',').map((s) => s.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[hops.length - 1];
+  }
+  return remote;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // Malformed encoding: ignore that cookie
+    }
+  }
+  return cookies;
+}
+
+/**
+ * A subscription rule: which event types, agents (PIDs) and projects a
+ * client wants. Omitted or '*' fields match everything. Lists may be arrays
+ * or comma-separated strings (query parameters).
+ */
+function parseRule({ events, agents, projects } = {}) {
+  const list = (value) => {
+    if (value === undefined || value === null || value === '*') return null;
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return new Set(items.slice(0, 200).map((v) => String(v).trim()).filter(Boolean));
+  };
+  return { events: list(events), agents: list(agents), projects: list(projects) };
+}
+
+function ruleMatchesAgent(rule, agent) {
+  return (!rule.agents || rule.agents.has(String(agent.pid)))
+    && (!rule.projects || rule.projects.has(agent.project));
+}
+
+/**
+ * JSON Patch (RFC 6902) ops turning one agent set into another. Documents
+ * are objects keyed by PID; agents are compared field by field.
+ * @param {Map<string, object>} prev
+ * @param {Map<string, object>} next
+ */
+function diffAgents(prev, next) {
+  const ops = [];
+  const escape = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+  for (const pid of prev.keys()) {
+    if (!next.has(pid)) ops.push({ op: 'remove', path: `/${escape(pid)}` });
+  }
+  for (const [pid, agent] of next) {
+    const before = prev.get(pid);
+    if (!before) {
+      ops.push({ op: 'add', path: `/${escape(pid)}`, value: agent });
+      continue;
+    }
+    for (const key of new Set([...Object.keys(before), ...Object.keys(agent)])) {
+      const path = `/${escape(pid)}/${escape(key)}`;
+      if (agent[key] === undefined) {
+        if (before[key] !== undefined) ops.push({ op: 'remove', path });
+      } else if (before[key] === undefined) {
+        ops.push({ op: 'add', path, value: agent[key] });
+      } else if (JSON.stringify(before[key]) !== JSON.stringify(agent[key])) {
+        ops.push({ op: 'replace', path, value: agent[key] });
+      }
+    }
+  }
+  return ops;
+}
+
+function formatSse(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// Monitor attention states and managed agent statuses -> alert states (see PushService.STATES)
+const ALERT_STATES = {
+  waiting_input: 'waiting_input',
+  waiting_permission: 'waiting_permission',
+  inactive: 'idle',
+  stalled: 'stalled',
+  error: 'error',
+  failed: 'error',
+  ended: 'ended',
+  done: 'ended',
+};
+
+// Agent types the mobile API may launch (AgentManager also accepts arbitrary commands)
+const LAUNCH_TYPES = ['claude', 'codex', 'shell'];
+
+const ALERT_TITLES = {
+  waiting_input: 'Waiting for input',
+  waiting_permission: 'Needs permission',
+  idle: 'Finished its turn',
+  stalled: 'Stalled',
+  error: 'Failed',
+  ended: 'Ended',
+};
 
 class MobileServer {
   /**
-   * @param {object}   monitor   - ProcessMonitor instance
-   * @param {object}   bridge    - AgentBridge instance
-   * @param {object}   injector  - PromptInjector instance
+   * @param {object}   agents    - Agent provider covering external and managed agents (see agentProvider)
+   * @param {object}   monitor   - ProcessMonitor instance (monitor controls, degraded events)
    * @param {object}   tokenStore - TokenStore instance
+   * @param {object}   [agentHistory] - AgentHistory instance (managed agents; enables resume)
+   * @param {object}   [pushService] - PushService instance (enables Web Push alerts)
    */
-  constructor(monitor, bridge, injector, tokenStore) {
+  constructor(agents, monitor, tokenStore, agentHistory, pushService) {
+    this._agents = agents;
     this._monitor = monitor;
-    this._bridge = bridge;
-    this._injector = injector;
     this._tokenStore = tokenStore;
+    this._agentHistory = agentHistory || null;
+    this._pushService = pushService || null;
+    this._agentManager = null;
+    this._projectLookup = null;
+    this._ptyService = null;
+    this._projectRegistry = null;
+    this._worktreeManager = null;
 
     this._app = null;
     this._server = null;
+    this._port = null;
+    this._host = null;
+    this._tlsFingerprint = null;
     this._wss = null;
     this._clients = new Set();
+    this._sseClients = new Set(); // express responses of GET /api/events
+    this._terminalStreams = new Map(); // terminalId -> { clients: Set<ws>, pending, timer }
+
+    // Event journal: every broadcast gets an ID so reconnecting clients can
+    // replay what they missed. IDs start at the server's start time (ms) so
+    // they keep increasing across restarts.
+    this._journal = [];      // { id, type, data }, oldest first
+    this._lastEventId = 0;
     this._pingTimer = null;
     this._pushThrottleTimer = null;
     this._lastPushTime = 0;
     this._eventCleanups = [];
+
+    // Brute-force protection: invalid credentials lock out the client IP;
+    // prompts are rate limited per IP and per token
+    this._authLimiter = new RateLimiter({
+      limit: config.MOBILE_AUTH_MAX_FAILURES,
+      windowMs: config.MOBILE_AUTH_FAILURE_WINDOW_MS,
+      lockoutMs: config.MOBILE_AUTH_LOCKOUT_MS,
+    });
+    this._promptLimiter = new RateLimiter({
+      limit: config.MOBILE_PROMPT_RATE_LIMIT,
+      windowMs: config.MOBILE_PROMPT_RATE_WINDOW_MS,
+    });
+    this._authFailures = []; // newest last, at most MOBILE_AUTH_FAILURE_LOG_SIZE
+
+    // Attention transitions: last seen state per agent, last alert per agent + state
+    this._attention = new Map(); // 'pid:<pid>' | 'agent:<id>' -> state
+    this._lastAlerts = new Map(); // '<pid>:<alert state>' -> time
+  }
+
+  /**
+   * Also watch managed agents (AgentManager) for alerts; their statuses cover
+   * failures the process monitor cannot see.
+   * @param {object} agentManager
+   * @param {(projectId: string) => object|null} [projectLookup]
+   */
+  attachAgentManager(agentManager, projectLookup) {
+    this._agentManager = agentManager;
+    this._projectLookup = projectLookup || null;
+  }
+
+  /**
+   * Also stream PTY terminals (managed agents, desktop shells) to WS clients
+   * that open them.
+   * @param {object} ptyService
+   */
+  attachTerminals(ptyService) {
+    this._ptyService = ptyService;
   }
 
   /**
-   * Start the HTTP + WebSocket server.
+   * Also list projects and their worktrees, and launch agents into them.
+   * Needs attachAgentManager() too.
+   * @param {object} projectRegistry
+   * @param {object} worktreeManager
    */
-  start(port = config.MOBILE_SERVER_PORT, host = config.MOBILE_SERVER_HOST) {
+  attachProjects(projectRegistry, worktreeManager) {
+    this._projectRegistry = projectRegistry;
+    this._worktreeManager = worktreeManager;
+  }
+
+  /**
+   * Start the HTTP(S) + WebSocket server.
+   * @param {number} [port]
+   * @param {string} [host]
+   * @param {{ key: string, cert: string }|null} [tls] - PEM credentials; serves HTTPS/WSS when given
+   */
+  start(port = config.MOBILE_SERVER_PORT, host = config.MOBILE_SERVER_HOST, tls = null) {
     if (this._server) {
       logger.warn('Mobile server already running');
       return;
     }
 
+    this._port = port;
+    this._host = host;
+    this._journal = [];
+    this._lastEventId = Math.max(this._lastEventId, Date.now());
+    this._tlsFingerprint = tls ? new crypto.X509Certificate(tls.cert).fingerprint256 : null;
     this._app = express();
     this._app.use(express.json({ limit: '64kb' }));
 
-    // --- Auth middleware ---
+    // --- Locked-out clients are refused before any credential is checked ---
+    this._app.use(['/pair', '/api'], (req, res, next) => {
+      const retryMs = this._authLimiter.retryAfter(`ip:${clientIp(req)}`);
+      if (retryMs) return this._tooManyRequests(res, retryMs, 'Too many failed attempts');
+      next();
+    });
+
+    // --- Pairing: one-time code or QR nonce -> session cookie ---
+    // Body: { code } or { nonce }
+    this._app.post('/pair', (req, res) => {
+      const result = this._tokenStore.exchangePairing(
+        { code: req.body?.code, nonce: req.body?.nonce },
+        { clientId: clientIp(req), userAgent: req.get('user-agent') || null },
+      );
+      if (!result.ok) {
+        this._recordAuthFailure(req, 'bad_pairing_code');
+        return res.status(401).json(result);
+      }
+
+      res.cookie(config.MOBILE_SESSION_COOKIE, result.session, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/',
+        expires: new Date(result.expiresAt),
+      });
+      res.json({ ok: true, token: result.token, expiresAt: result.expiresAt });
+    });
+
+    // --- Auth middleware: session cookie, or bearer token for scripts and bots ---
     this._app.use('/api', (req, res, next) => {
-      const authHeader = req.headers.authorization || '';
-      const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
-      if (!this._tokenStore.validate(token)) {
+      const auth = this._authenticate(req.headers);
+      if (!auth) {
+        // Not paired yet is not an attack; only a rejected credential counts
+        const credential = this._presentedCredential(req.headers);
+        if (credential) this._recordAuthFailure(req, credential === 'bearer' ? 'bad_token' : 'bad_session');
         return res.status(401).json({ error: 'Unauthorized' });
       }
+      req.token = auth.token;
+      req.sessionId = auth.sessionId;
       next();
     });
 
@@ -58,51 +282,83 @@ class MobileServer {
     // --- REST API routes ---
     this._registerRoutes();
 
-    // --- Create HTTP server ---
-    this._server = http.createServer(this._app);
+    // --- Create HTTP(S) server; WebSocket upgrades share it, so WSS follows ---
+    this._server = tls
+      ? https.createServer({ key: tls.key, cert: tls.cert }, this._app)
+      : http.createServer(this._app);
 
     // --- WebSocket server ---
     this._wss = new WebSocketServer({ noServer: true });
 
     this._server.on('upgrade', (request, socket, head) => {
-      // Authenticate WS via query param
-      try {
-        const url = new URL(request.url, `http://${request.headers.host}`);
-        const token = url.searchParams.get('token') || '';
-        if (!this._tokenStore.validate(token)) {
-          socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-          socket.destroy();
-          return;
-        }
-      } catch {
-        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+      // Authenticate WS like /api (cookie or bearer header); any scope may watch
+      const retryMs = this._authLimiter.retryAfter(`ip:${clientIp(request)}`);
+      if (retryMs) {
+        socket.write(`HTTP/1.1 429 Too Many Requests\r\nRetry-After: ${Math.ceil(retryMs / 1000)}\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+      const auth = this._authenticate(request.headers);
+      if (!auth) {
+        if (this._presentedCredential(request.headers)) this._recordAuthFailure(request, 'bad_websocket_auth');
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      // Browsers attach the cookie to cross-site WebSocket handshakes too
+      if (auth.sessionId && !this._isSameOrigin(request.headers)) {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
         socket.destroy();
         return;
       }
 
       this._wss.handleUpgrade(request, socket, head, (ws) => {
-        this._wss.emit('connection', ws, request);
+        this._wss.emit('connection', ws, request, auth.token);
       });
     });
 
-    this._wss.on('connection', (ws) => {
+    this._wss.on('connection', (ws, request, token) => {
+      ws._tokenId = token.id;
+      ws._request = request;
+      ws._terminals = new Map(); // terminalId -> { stale } (see terminal:open)
       this._clients.add(ws);
       logger.info(`Mobile client connected (${this._clients.size} total)`);
 
-      // Send current agent snapshot on connect
-      ws.send(JSON.stringify({
-        type: 'agents:updated',
-        data: { agents: this._monitor.getAgents(), added: [], removed: [] },
-      }));
+      // The query string is the 'default' subscription (?events=&agents=&projects=)
+      const query = new URL(request.url, 'http://localhost').searchParams;
+      ws._rules = new Map([['default', parseRule({
+        events: query.get('events') ?? undefined,
+        agents: query.get('agents') ?? undefined,
+        projects: query.get('projects') ?? undefined,
+      })]]);
+      // Agent snapshots this client was sent, and the newest one it acknowledged
+      ws._view = { nextVersion: 1, acked: null, pending: new Map() };
+
+      // ?since=<event ID>: replay what was missed, else start from a snapshot
+      for (const event of this._catchUp(query.get('since'))) {
+        this._sendEvent(ws, event, this._eventAgent(event));
+      }
+
+      ws.on('message', (raw) => {
+        let msg;
+        try {
+          msg = JSON.parse(raw);
+        } catch {
+          return;
+        }
+        this._onClientMessage(ws, msg);
+      });
 
       ws.on('close', () => {
         this._clients.delete(ws);
+        for (const id of Array.from(ws._terminals.keys())) this._closeTerminal(ws, id);
         logger.info(`Mobile client disconnected (${this._clients.size} remaining)`);
       });
 
       ws.on('error', (err) => {
         logger.warn('WebSocket client error', { message: err.message });
         this._clients.delete(ws);
+        for (const id of Array.from(ws._terminals.keys())) this._closeTerminal(ws, id);
       });
 
       // Respond to client pings
@@ -113,7 +369,21 @@ class MobileServer {
     // --- Subscribe to ProcessMonitor events ---
     this._subscribeEvents();
 
-    // --- Ping timer to detect stale clients ---
+    // --- Drop sockets of revoked tokens ---
+    const onRevoked = ({ id }) => {
+      for (const ws of this._clients) {
+        if (ws._tokenId !== id) continue;
+        ws.close(4001, 'Token revoked');
+        this._clients.delete(ws);
+      }
+      for (const res of this._sseClients) {
+        if (res.locals.tokenId === id) res.end();
+      }
+    };
+    this._tokenStore.on('revoked', onRevoked);
+    this._eventCleanups.push(() => this._tokenStore.removeListener('revoked', onRevoked));
+
+    // --- Ping timer to detect stale clients; SSE gets a comment so proxies keep it open ---
     this._pingTimer = setInterval(() => {
       for (const ws of this._clients) {
         if (ws._alive === false) {
@@ -124,11 +394,14 @@ class MobileServer {
         ws._alive = false;
         ws.ping();
       }
+      for (const res of this._sseClients) {
+        res.write(': ping\n\n');
+      }
     }, 30_000);
 
     // --- Start listening ---
     this._server.listen(port, host, () => {
-      logger.info(`Mobile server listening on ${host}:${port}`);
+      logger.info(`Mobile server listening on ${tls ? 'https' : 'http'}://${host}:${port}`);
     });
 
     this._server.on('error', (err) => {
@@ -149,6 +422,11 @@ class MobileServer {
       this._pushThrottleTimer = null;
     }
 
+    for (const stream of this._terminalStreams.values()) {
+      clearTimeout(stream.timer);
+    }
+    this._terminalStreams.clear();
+
     // Unsubscribe events
     for (const cleanup of this._eventCleanups) {
       cleanup();
@@ -160,6 +438,10 @@ class MobileServer {
       try { ws.terminate(); } catch { /* ignore */ }
     }
     this._clients.clear();
+    for (const res of this._sseClients) {
+      try { res.end(); } catch { /* ignore */ }
+    }
+    this._sseClients.clear();
 
     if (this._wss) {
       this._wss.close();
@@ -172,9 +454,39 @@ class MobileServer {
     }
 
     this._app = null;
+    this._tlsFingerprint = null;
+    this._attention.clear();
+    this._lastAlerts.clear();
     logger.info('Mobile server stopped');
   }
 
+  isRunning() {
+    return this._server !== null;
+  }
+
+  /** SHA-256 fingerprint of the served certificate, or null over plain HTTP. */
+  getTlsFingerprint() {
+    return this._tlsFingerprint;
+  }
+
+  /**
+   * URL that pairs a phone: the mobile UI exchanges the nonce in the fragment
+   * for a session. Fragments are never sent to the server, so the nonce stays
+   * out of proxy and tunnel logs. Over HTTPS the fragment also carries the
+   * certificate fingerprint for the phone to pin. A wildcard bind address is
+   * replaced by this machine's first LAN IPv4 address.
+   */
+  getPairingUrl(nonce) {
+    let host = this._host || config.MOBILE_SERVER_HOST;
+    if (host === '0.0.0.0' || host === '::') {
+      const addresses = Object.values(os.networkInterfaces()).flat();
+      host = addresses.find((a) => a && a.family === 'IPv4' && !a.internal)?.address || 'localhost';
+    }
+    const port = this._port || config.MOBILE_SERVER_PORT;
+    const fingerprint = this._tlsFingerprint ? `&fp=${this._tlsFingerprint.replace(/:/g, '')}` : '';
+    return `${this._tlsFingerprint ? 'https' : 'http'}://${host}:${port}/#pair=${encodeURIComponent(nonce)}${fingerprint}`;
+  }
+
   /**
    * Resolve path to the mobile UI static files.
    * In dev (webpack-dev-server), use src/mobile.
@@ -192,35 +504,194 @@ class MobileServer {
     return path.join(__dirname, '..', 'mobile');
   }
 
+  /**
+   * Resolve the caller from request headers: a bearer token, else the session cookie.
+   * @returns {{ token: object, sessionId: string|null }|null}
+   */
+  _authenticate(headers) {
+    const authHeader = headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+      const token = this._tokenStore.authenticate(authHeader.slice(7));
+      return token ? { token, sessionId: null } : null;
+    }
+    const session = parseCookies(headers.cookie)[config.MOBILE_SESSION_COOKIE];
+    return this._tokenStore.authenticateSession(session);
+  }
+
+  /** Which credential a request carried: 'bearer', 'cookie' or null. */
+  _presentedCredential(headers) {
+    if ((headers.authorization || '').startsWith('Bearer ')) return 'bearer';
+    return parseCookies(headers.cookie)[config.MOBILE_SESSION_COOKIE] ? 'cookie' : null;
+  }
+
+  _isSameOrigin(headers) {
+    if (!headers.origin) return true; // not a browser
+    try {
+      return new URL(headers.origin).host === headers.host;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Note a failed authentication. A rejected credential counts against the
+   * client IP; a valid token overstepping its scope (`token` given) is only
+   * logged, since the token holder is already known.
+   */
+  _recordAuthFailure(req, reason, token = null) {
+    const ip = clientIp(req);
+    const key = `ip:${ip}`;
+    const lockedMs = token ? 0 : this._authLimiter.hit(key);
+
+    this._authFailures.push({
+      time: Date.now(),
+      ip,
+      reason,
+      path: req.originalUrl || req.url,
+      userAgent: req.headers['user-agent'] || null,
+      tokenId: token?.id || null,
+      tokenName: token?.name || null,
+      lockedUntil: lockedMs ? Date.now() + lockedMs : null,
+    });
+    if (this._authFailures.length > config.MOBILE_AUTH_FAILURE_LOG_SIZE) this._authFailures.shift();
+
+    if (lockedMs) logger.warn('Mobile client locked out after repeated auth failures', { key, reason });
+  }
+
+  _tooManyRequests(res, retryMs, error) {
+    res.set('Retry-After', String(Math.ceil(retryMs / 1000)));
+    return res.status(429).json({ ok: false, error, retryAfterMs: retryMs });
+  }
+
+  /**
+   * Recent authentication failures (newest first) and active lockouts, for the desktop.
+   */
+  getAuthFailures() {
+    return {
+      failures: this._authFailures.slice().reverse(),
+      lockouts: this._authLimiter.lockouts(),
+    };
+  }
+
+  /**
+   * Lift a lockout, e.g. after locking out your own phone.
+   * @param {string} key - 'ip:<address>'
+   */
+  unlock(key) {
+    this._authLimiter.reset(key);
+    logger.info('Mobile lockout lifted', { key });
+    return { ok: true };
+  }
+
+  /**
+   * Who sent a request, for the audit logs.
+   */
+  _auditIdentity(req) {
+    return {
+      source: 'mobile',
+      clientId: clientIp(req),
+      userAgent: req.get('user-agent') || null,
+      tokenId: req.token.id,
+      tokenName: req.token.name,
+      sessionId: req.sessionId || undefined,
+    };
+  }
+
   /**
    * Register all REST API routes.
    */
   _registerRoutes() {
     const router = express.Router();
 
+    // Route guard: the request's token must include `scope`
+    const requireScope = (scope) => (req, res, next) => {
+      if (!this._tokenStore.hasScope(req.token, scope)) {
+        this._recordAuthFailure(req, 'forbidden', req.token);
+        return res.status(403).json({ ok: false, error: `Token scope '${req.token.scope}' does not allow this (needs '${scope}')` });
+      }
+      next();
+    };
+
+    // --- Session ---
+    // The calling token, so clients can hide controls their scope does not allow
+    router.get('/session', (req, res) => {
+      res.json({ token: req.token, tlsFingerprint: this._tlsFingerprint });
+    });
+
+    // Sign out: ends the cookie session (bearer tokens are revoked from the desktop)
+    router.delete('/session', (req, res) => {
+      if (req.sessionId) this._tokenStore.endSession(req.sessionId);
+      res.clearCookie(config.MOBILE_SESSION_COOKIE, { path: '/' });
+      res.json({ ok: true });
+    });
+
+    // --- Event stream ---
+    // Server-Sent Events alternative to the WebSocket. Resumes after the
+    // Last-Event-ID header (sent by EventSource on reconnect) or ?since=.
+    // Filtered like a WS subscription by ?events=&agents=&projects=; agent
+    // snapshots are always sent whole (there is no channel for acks).
+    router.get('/events', (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.locals.tokenId = req.token.id;
+      res.locals.rules = [parseRule(req.query)];
+      res.write(`retry: ${config.MOBILE_SSE_RETRY_MS}\n\n`);
+
+      for (const event of this._catchUp(req.get('last-event-id') ?? req.query.since)) {
+        this._writeSse(res, event, this._eventAgent(event));
+      }
+      this._sseClients.add(res);
+      req.on('close', () => this._sseClients.delete(res));
+    });
+
     // --- Agents ---
     router.get('/agents', (_req, res) => {
-      res.json(this._monitor.getAgents());
+      res.json(this._agents.list());
     });
 
     router.get('/agents/:pid', (req, res) => {
       const pid = parseInt(req.params.pid, 10);
-      const meta = this._bridge.getAgentMeta(pid);
+      const meta = this._agents.getMeta(pid);
       if (!meta) return res.status(404).json({ error: 'Agent not found' });
       res.json(meta);
     });
 
-    router.get('/agents/:pid/logs', (req, res) => {
+    // Without paging params: the in-memory tail. With before/after/limit: a page of the full file.
+    router.get('/agents/:pid/logs', async (req, res) => {
       const pid = parseInt(req.params.pid, 10);
-      res.json(this._bridge.getLogsForAgent(pid));
+      const { before, after, limit } = req.query;
+      if (before === undefined && after === undefined && limit === undefined) {
+        return res.json(this._agents.getLogs(pid));
+      }
+      try {
+        res.json(await this._agents.getTranscriptPage(pid, { before, after, limit }));
+      } catch (err) {
+        logger.warn('Transcript page read failed', { pid, message: err.message });
+        res.status(500).json({ error: 'Failed to read transcript: ' + err.message });
+      }
     });
 
-    router.post('/agents/:pid/prompt', async (req, res) => {
+    // Per-IP and per-token prompt limits
+    const limitPrompts = (req, res, next) => {
+      const retryMs = Math.max(
+        this._promptLimiter.hit(`ip:${clientIp(req)}`),
+        this._promptLimiter.hit(`token:${req.token.id}`),
+      );
+      if (retryMs) return this._tooManyRequests(res, retryMs, 'Too many prompts, slow down');
+      next();
+    };
+
+    router.post('/agents/:pid/prompt', requireScope('prompt'), limitPrompts, async (req, res) => {
       const pid = parseInt(req.params.pid, 10);
       const text = req.body?.text;
 
       // Same validation as IPC handler
-      const agent = this._monitor.getAgentByPid(pid);
+      const agent = this._agents.get(pid);
       if (!agent) return res.status(404).json({ ok: false, error: 'Agent not found' });
       if (agent.status === 'terminated') return res.status(400).json({ ok: false, error: 'Agent is terminated' });
 
@@ -237,7 +708,7 @@ class MobileServer {
       }
 
       try {
-        const result = await this._injector.sendPrompt(pid, trimmed);
+        const result = await this._agents.sendPrompt(pid, trimmed, this._auditIdentity(req));
         res.json(result);
       } catch (err) {
         logger.error('Mobile prompt injection failed', { pid, message: err.message });
@@ -245,48 +716,212 @@ class MobileServer {
       }
     });
 
+    // Body: { option } (zero-based) or { options: [...] } for multi-select questions
+    router.post('/agents/:pid/answer', requireScope('prompt'), limitPrompts, async (req, res) => {
+      const pid = parseInt(req.params.pid, 10);
+      const agent = this._agents.get(pid);
+      if (!agent) return res.status(404).json({ ok: false, error: 'Agent not found' });
+      if (agent.status === 'terminated') return res.status(400).json({ ok: false, error: 'Agent is terminated' });
+
+      const built = buildAnswerKeys(agent.promptInfo, { option: req.body?.option, options: req.body?.options });
+      if (!built.ok) return res.status(409).json(built);
+
+      try {
+        res.json(await this._agents.sendKeys(pid, built.keys, this._auditIdentity(req)));
+      } catch (err) {
+        logger.error('Mobile answer injection failed', { pid, message: err.message });
+        res.status(500).json({ ok: false, error: 'Injection failed: ' + err.message });
+      }
+    });
+
+    // Body: { decision: 'approve' | 'approve_session' | 'deny' }
+    router.post('/agents/:pid/permission', requireScope('control'), async (req, res) => {
+      const pid = parseInt(req.params.pid, 10);
+      const decision = req.body?.decision;
+      const agent = this._agents.get(pid);
+      if (!agent) return res.status(404).json({ ok: false, error: 'Agent not found' });
+      // promptInfo can outlive the prompt; only the live attention state counts
+      if (agent.attentionState !== 'waiting_permission') {
+        return res.status(409).json({ ok: false, error: 'Agent is not waiting for permission' });
+      }
+      // Validate here for a 400; the provider builds the keys again when sending
+      const built = buildPermissionKeys(agent.agentType, decision);
+      if (!built.ok) return res.status(400).json(built);
+
+      // The provider sends the keys and records the decision in the permission audit
+      try {
+        const result = await this._agents.decidePermission(pid, decision, this._auditIdentity(req));
+        res.status(result.ok ? 200 : 409).json(result);
+      } catch (err) {
+        logger.error('Mobile permission injection failed', { pid, message: err.message });
+        res.status(500).json({ ok: false, error: 'Injection failed: ' + err.message });
+      }
+    });
+
+    // Managed agents are keyed by agent ID rather than PID
+    router.post('/agents/:id/resume', requireScope('control'), (req, res) => {
+      if (!this._agentHistory) {
+        return res.status(501).json({ ok: false, error: 'Managed agents are not available' });
+      }
+      const result = this._agentHistory.resume(req.params.id);
+      if (!result.ok) {
+        const status = result.error === 'Agent not found' ? 404 : 400;
+        return res.status(status).json(result);
+      }
+      logger.info('Agent resumed from mobile', { agentId: req.params.id, newAgentId: result.agentId });
+      res.json(result);
+    });
+
+    // --- Terminals ---
+    // PTYs that can be opened over the WebSocket (terminal:open)
+    router.get('/terminals', requireScope('control'), (_req, res) => {
+      if (!this._ptyService) return res.json([]);
+      res.json(this._ptyService.getAll().map((t) => ({
+        id: t.id,
+        pid: t.pid,
+        type: t.type,
+        command: t.command,
+        cwd: t.cwd,
+        agentId: t.meta?.agentId || null,
+        cols: t.cols,
+        rows: t.rows,
+        startTime: t.startTime,
+        status: t.status,
+        exitCode: t.exitCode,
+      })));
+    });
+
+    // --- Launching and stopping managed agents ---
+    const requireProjects = (_req, res, next) => {
+      if (!this._projectRegistry || !this._worktreeManager || !this._agentManager) {
+        return res.status(501).json({ ok: false, error: 'Managed agents are not available' });
+      }
+      next();
+    };
+
+    // Enabled projects, as offered by the desktop project picker
+    router.get('/projects', requireScope('control'), requireProjects, (_req, res) => {
+      res.json(this._projectRegistry.getEnabled().map((p) => ({ id: p.id, name: p.name, path: p.path })));
+    });
+
+    router.get('/projects/:id/worktrees', requireScope('control'), requireProjects, async (req, res) => {
+      const project = this._projectRegistry.getById(req.params.id);
+      if (!project) return res.status(404).json({ ok: false, error: 'Project not found' });
+      try {
+        const worktrees = await this._worktreeManager.refreshWorktrees(project);
+        res.json(worktrees.map((wt) => ({
+          id: wt.id,
+          path: wt.path,
+          branch: wt.branch,
+          isMain: wt.isMain,
+          commitsAhead: wt.commitsAhead,
+          commitsBehind: wt.commitsBehind,
+        })));
+      } catch (err) {
+        logger.warn('Worktree listing failed', { projectId: project.id, message: err.message });
+        res.status(500).json({ ok: false, error: 'Failed to list worktrees: ' + err.message });
+      }
+    });
+
+    // Body: { projectId, worktreeId?, agentType, prompt?, autoPrime?, skipPermissions? }
+    // (AgentManager.launch options; the worktree defaults to the project's main one)
+    router.post('/agents', requireScope('control'), requireProjects, limitPrompts, async (req, res) => {
+      const { projectId, worktreeId, agentType, prompt, autoPrime, skipPermissions } = req.body || {};
+      const project = typeof projectId === 'string' ? this._projectRegistry.getById(projectId) : null;
+      if (!project) return res.status(404).json({ ok: false, error: 'Project not found' });
+      if (!project.enabled) return res.status(400).json({ ok: false, error: 'Project is disabled' });
+      if (!LAUNCH_TYPES.includes(agentType)) {
+        return res.status(400).json({ ok: false, error: `agentType must be one of: ${LAUNCH_TYPES.join(', ')}` });
+      }
+      if (prompt !== undefined && typeof prompt !== 'string') {
+        return res.status(400).json({ ok: false, error: 'prompt must be a string' });
+      }
+      if (prompt && prompt.length > config.MAX_PROMPT_LENGTH) {
+        return res.status(400).json({ ok: false, error: `Prompt exceeds maximum length (${config.MAX_PROMPT_LENGTH})` });
+      }
+
+      let worktree;
+      try {
+        const worktrees = await this._worktreeManager.refreshWorktrees(project);
+        worktree = worktreeId ? worktrees.find((wt) => wt.id === worktreeId) : worktrees.find((wt) => wt.isMain);
+      } catch (err) {
+        logger.warn('Worktree listing failed', { projectId: project.id, message: err.message });
+        return res.status(500).json({ ok: false, error: 'Failed to list worktrees: ' + err.message });
+      }
+      if (!worktree) return res.status(404).json({ ok: false, error: 'Worktree not found' });
+
+      const result = this._agentManager.launch({
+        projectId: project.id,
+        worktreeId: worktree.id,
+        worktreePath: worktree.path,
+        agentType,
+        prompt: prompt || '',
+        autoPrime: autoPrime !== false,
+        skipPermissions: skipPermissions === true,
+      });
+      if (!result.ok) return res.status(500).json(result);
+
+      const agent = this._agentManager.getById(result.agentId);
+      logger.info('Agent launched from mobile', { agentId: result.agentId, type: agentType, by: req.token.id });
+      res.json({ ...result, pid: agent?.pid ?? null });
+    });
+
+    // Managed agents are keyed by agent ID rather than PID
+    router.delete('/agents/:id', requireScope('control'), (req, res) => {
+      if (!this._agentManager) {
+        return res.status(501).json({ ok: false, error: 'Managed agents are not available' });
+      }
+      const result = this._agentManager.terminate(req.params.id);
+      if (!result.ok) {
+        const status = result.error === 'Agent not found' ? 404 : 409;
+        return res.status(status).json(result);
+      }
+      logger.info('Agent terminated from mobile', { agentId: req.params.id, by: req.token.id });
+      res.json(result);
+    });
+
     // --- Tags ---
     router.get('/agents/:pid/tags', (req, res) => {
       const pid = parseInt(req.params.pid, 10);
-      res.json(this._bridge.getAgentTags(pid));
+      res.json(this._agents.getTags(pid));
     });
 
-    router.put('/agents/:pid/tags', (req, res) => {
+    router.put('/agents/:pid/tags', requireScope('control'), (req, res) => {
       const pid = parseInt(req.params.pid, 10);
       const tags = req.body?.tags;
       if (!Array.isArray(tags)) return res.status(400).json({ error: 'tags must be an array' });
-      this._bridge.setAgentTags(pid, tags);
+      this._agents.setTags(pid, tags);
       res.json({ ok: true });
     });
 
-    router.post('/agents/:pid/tags', (req, res) => {
+    router.post('/agents/:pid/tags', requireScope('control'), (req, res) => {
       const pid = parseInt(req.params.pid, 10);
       const tag = req.body?.tag;
       if (!tag || typeof tag !== 'string') return res.status(400).json({ error: 'tag is required' });
-      this._bridge.addAgentTag(pid, tag);
+      this._agents.addTag(pid, tag);
       res.json({ ok: true });
     });
 
-    router.delete('/agents/:pid/tags/:tag', (req, res) => {
+    router.delete('/agents/:pid/tags/:tag', requireScope('control'), (req, res) => {
       const pid = parseInt(req.params.pid, 10);
-      this._bridge.removeAgentTag(pid, req.params.tag);
+      this._agents.removeTag(pid, req.params.tag);
       res.json({ ok: true });
     });
 
     // --- Monitor controls ---
-    router.post('/monitor/start', (_req, res) => {
+    router.post('/monitor/start', requireScope('control'), (_req, res) => {
       this._monitor.start();
       res.json({ ok: true });
     });
 
-    router.post('/monitor/stop', (_req, res) => {
+    router.post('/monitor/stop', requireScope('control'), (_req, res) => {
       this._monitor.stop();
       res.json({ ok: true });
     });
 
     // --- Export ---
     router.get('/export', (_req, res) => {
-      const agents = this._monitor.getAgents();
+      const agents = this._agents.list();
       const payload = buildExportPayload(agents);
       res.setHeader('Content-Disposition', `attachment; filename="claude-agents-${Date.now()}.json"`);
       res.json(payload);
@@ -301,6 +936,60 @@ class MobileServer {
       res.json(getVersionInfo());
     });
 
+    // --- Push notifications ---
+    // VAPID key, plus the stored preferences when ?endpoint= names this device's subscription
+    router.get('/push', (req, res) => {
+      if (!this._pushService) return res.status(501).json({ ok: false, error: 'Push notifications are not available' });
+      res.json({
+        publicKey: this._pushService.getPublicKey(),
+        prefs: req.query.endpoint ? this._pushService.getPrefs(String(req.query.endpoint)) : null,
+      });
+    });
+
+    // Body: { subscription: PushSubscription JSON, prefs: { states, projects } }
+    // Alerts carry prompts and project names, so read-only tokens cannot subscribe
+    router.post('/push/subscribe', requireScope('prompt'), (req, res) => {
+      if (!this._pushService) return res.status(501).json({ ok: false, error: 'Push notifications are not available' });
+      const result = this._pushService.subscribe(req.body?.subscription, {
+        tokenId: req.token.id,
+        prefs: req.body?.prefs,
+        userAgent: req.get('user-agent') || null,
+      });
+      res.status(result.ok ? 200 : 400).json(result);
+    });
+
+    // Body: { endpoint }
+    router.post('/push/unsubscribe', requireScope('prompt'), (req, res) => {
+      if (!this._pushService) return res.status(501).json({ ok: false, error: 'Push notifications are not available' });
+      res.json(this._pushService.unsubscribe(req.body?.endpoint));
+    });
+
+    // --- Tokens ---
+    router.get('/tokens', requireScope('admin'), (_req, res) => {
+      res.json(this._tokenStore.list());
+    });
+
+    // Body: { name, scope, expiresAt? } — the secret is only in this response
+    router.post('/tokens', requireScope('admin'), (req, res) => {
+      const result = this._tokenStore.create(req.body || {});
+      if (!result.ok) return res.status(400).json(result);
+      logger.info('Token created from mobile', { id: result.token.id, by: req.token.id });
+      res.json(result);
+    });
+
+    // A pairing code for another device, e.g. pairing a second phone from the first
+    router.post('/tokens/:id/pairing', requireScope('admin'), (req, res) => {
+      const result = this._tokenStore.createPairing(req.params.id);
+      if (!result.ok) return res.status(404).json(result);
+      res.json({ ...result, url: this.getPairingUrl(result.nonce) });
+    });
+
+    router.post('/tokens/:id/revoke', requireScope('admin'), (req, res) => {
+      const result = this._tokenStore.revoke(req.params.id);
+      if (!result.ok) return res.status(404).json(result);
+      res.json(result);
+    });
+
     this._app.use('/api', router);
   }
 
@@ -311,6 +1000,7 @@ class MobileServer {
     const THROTTLE_MS = 300;
 
     const onAgentsUpdated = (data) => {
+      this._trackAttention(data.agents);
       const now = Date.now();
       const elapsed = now - this._lastPushTime;
 
@@ -323,7 +1013,7 @@ class MobileServer {
           this._pushThrottleTimer = null;
           this._lastPushTime = Date.now();
           this._broadcast('agents:updated', {
-            agents: this._monitor.getAgents(),
+            agents: this._agents.list(),
             added: [],
             removed: [],
           });
@@ -339,29 +1029,464 @@ class MobileServer {
       this._broadcast('monitor:degraded', data);
     };
 
-    this._monitor.on('agents-updated', onAgentsUpdated);
-    this._monitor.on('agent-log-line', onLogLine);
+    this._agents.on('agents-updated', onAgentsUpdated);
+    this._agents.on('agent-log-line', onLogLine);
     this._monitor.on('monitor-degraded', onDegraded);
 
     this._eventCleanups.push(
-      () => this._monitor.removeListener('agents-updated', onAgentsUpdated),
-      () => this._monitor.removeListener('agent-log-line', onLogLine),
+      () => this._agents.removeListener('agents-updated', onAgentsUpdated),
+      () => this._agents.removeListener('agent-log-line', onLogLine),
       () => this._monitor.removeListener('monitor-degraded', onDegraded),
     );
+
+    if (this._agentManager) {
+      const onManagedUpdated = ({ agent }) => this._trackManagedAttention(agent);
+      this._agentManager.on('agent-updated', onManagedUpdated);
+      this._eventCleanups.push(() => this._agentManager.removeListener('agent-updated', onManagedUpdated));
+    }
+
+    if (this._ptyService) {
+      const onOutput = ({ id, data }) => this._onTerminalOutput(id, data);
+      const onExited = ({ id, exitCode }) => this._onTerminalExited(id, exitCode);
+      this._ptyService.on('terminal-output', onOutput);
+      this._ptyService.on('terminal-exited', onExited);
+      this._eventCleanups.push(
+        () => this._ptyService.removeListener('terminal-output', onOutput),
+        () => this._ptyService.removeListener('terminal-exited', onExited),
+      );
+    }
+  }
+
+  _trackAttention(agents) {
+    const seen = new Set();
+    for (const agent of agents) {
+      const key = `pid:${agent.pid}`;
+      seen.add(key);
+      this._onAttention(key, agent.attentionState, {
+        pid: agent.pid,
+        name: agent.windowTitle || agent.projectGroup || `PID ${agent.pid}`,
+        project: agent.projectGroup || null,
+        detail: agent.promptInfo?.question || null,
+      });
+    }
+    for (const key of this._attention.keys()) {
+      if (key.startsWith('pid:') && !seen.has(key)) this._attention.delete(key);
+    }
+  }
+
+  _trackManagedAttention(agent) {
+    const project = agent.projectId && this._projectLookup ? this._projectLookup(agent.projectId) : null;
+    // Clients filter by the listed project group; use it when the agent is listed
+    const listed = agent.pid ? this._agents.get(agent.pid) : null;
+    this._onAttention(`agent:${agent.id}`, agent.status, {
+      pid: agent.pid,
+      agentId: agent.id,
+      name: project ? `${project.name} (${agent.type})` : agent.type,
+      project: listed?.projectGroup || project?.name || null,
+      detail: agent.attentionReason || null,
+    });
   }
 
   /**
-   * Broadcast a message to all connected WS clients.
+   * Alert on a change into an attention state. The first state seen for an
+   * agent only sets the baseline, so a restart does not replay old alerts.
+   * Managed agents are seen by both sources; alerts share the PID to dedupe.
+   */
+  _onAttention(key, state, info) {
+    const prev = this._attention.get(key);
+    this._attention.set(key, state);
+    if (prev === undefined || prev === state) return;
+
+    const alertState = ALERT_STATES[state];
+    if (!alertState) return;
+
+    const dedupeKey = `${info.pid ?? key}:${alertState}`;
+    const now = Date.now();
+    if (now - (this._lastAlerts.get(dedupeKey) || 0) < config.MOBILE_PUSH_DEDUPE_MS) return;
+    this._lastAlerts.set(dedupeKey, now);
+    if (this._lastAlerts.size > 500) {
+      for (const [k, t] of this._lastAlerts) {
+        if (now - t >= config.MOBILE_PUSH_DEDUPE_MS) this._lastAlerts.delete(k);
+      }
+    }
+
+    const event = {
+      state: alertState,
+      project: info.project,
+      pid: info.pid ?? null,
+      agentId: info.agentId || null,
+      title: `${info.name}: ${ALERT_TITLES[alertState]}`,
+      body: info.detail || ALERT_TITLES[alertState],
+      tag: info.pid ? `agent-${info.pid}` : key,
+      url: info.pid ? `/#agent=${info.pid}` : '/',
+      time: now,
+    };
+
+    // Open pages show their own notification; push reaches the rest
+    this._broadcast('agent:attention', event);
+    if (this._pushService) {
+      this._pushService.notify(event).catch((err) => {
+        logger.warn('Push notify failed', { message: err.message });
+      });
+    }
+  }
+
+  /**
+   * Journal an event and send it to all connected WS and SSE clients.
    */
   _broadcast(type, data) {
-    if (this._clients.size === 0) return;
-    const msg = JSON.stringify({ type, data });
+    const event = { id: ++this._lastEventId, type, data };
+
+    // Agent snapshots supersede each other; only the newest is worth replaying
+    if (type === 'agents:updated') {
+      const prev = this._journal.findIndex((e) => e.type === 'agents:updated');
+      if (prev !== -1) this._journal.splice(prev, 1);
+    }
+    this._journal.push(event);
+    if (this._journal.length > config.MOBILE_EVENT_JOURNAL_SIZE) this._journal.shift();
+
+    const agent = this._eventAgent(event);
     for (const ws of this._clients) {
       if (ws.readyState === 1) { // OPEN
-        ws.send(msg);
+        this._sendEvent(ws, event, agent);
+      }
+    }
+    for (const res of this._sseClients) {
+      this._writeSse(res, event, agent);
+    }
+  }
+
+  /**
+   * The agent an event is about, for subscription filters; null for events
+   * that concern everyone. The project is looked up only if a filter asks.
+   */
+  _eventAgent(event) {
+    const pid = event.type === 'agent:log-line' || event.type === 'agent:attention' ? event.data.pid : null;
+    if (pid === null || pid === undefined) return null;
+    const agents = this._agents;
+    let project = event.data.project;
+    return {
+      pid,
+      get project() {
+        if (project === undefined) project = agents.get(pid)?.projectGroup || null;
+        return project;
+      },
+    };
+  }
+
+  _wants(rules, type, agent) {
+    if (type === 'sync') return true;
+    for (const rule of rules) {
+      if (rule.events && !rule.events.has(type)) continue;
+      if (!agent || ruleMatchesAgent(rule, agent)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Agents of a snapshot the rules let through, or null if the client does
+   * not want snapshots at all.
+   */
+  _visibleAgents(rules, agents) {
+    const relevant = Array.from(rules).filter((r) => !r.events || r.events.has('agents:updated'));
+    if (relevant.length === 0) return null;
+    if (relevant.some((r) => !r.agents && !r.projects)) return agents;
+    return agents.filter((a) => relevant.some((r) => ruleMatchesAgent(r, { pid: a.pid, project: a.projectGroup })));
+  }
+
+  _sendEvent(ws, event, agent) {
+    if (event.type === 'agents:updated') {
+      this._sendAgents(ws, event);
+    } else if (this._wants(ws._rules.values(), event.type, agent)) {
+      ws.send(JSON.stringify(event));
+    }
+  }
+
+  /**
+   * Send an agent snapshot as a patch against the last snapshot the client
+   * acknowledged, or whole when there is none. Clients that never ack (older
+   * ones) therefore keep receiving whole snapshots.
+   */
+  _sendAgents(ws, event) {
+    const agents = this._visibleAgents(ws._rules.values(), event.data.agents);
+    if (!agents) return;
+
+    const view = ws._view;
+    const docs = new Map(agents.map((a) => [String(a.pid), a]));
+    if (!view.acked) {
+      const version = view.nextVersion++;
+      view.pending.set(version, docs);
+      ws.send(JSON.stringify({ id: event.id, type: 'agents:updated', data: { ...event.data, agents, version } }));
+    } else {
+      const ops = diffAgents(view.acked.docs, docs);
+      // Nothing changed since the ack, and no newer state is in flight
+      if (ops.length === 0 && view.pending.size === 0) return;
+      const version = view.nextVersion++;
+      view.pending.set(version, docs);
+      ws.send(JSON.stringify({ id: event.id, type: 'agents:patch', data: { base: view.acked.version, version, ops } }));
+    }
+
+    // A client that stopped acking gets a whole snapshot next time
+    if (view.pending.size > config.MOBILE_WS_MAX_UNACKED_SNAPSHOTS) {
+      view.acked = null;
+      view.pending.clear();
+    }
+  }
+
+  _writeSse(res, event, agent) {
+    if (event.type === 'agents:updated') {
+      const agents = this._visibleAgents(res.locals.rules, event.data.agents);
+      if (agents) res.write(formatSse({ ...event, data: { ...event.data, agents } }));
+    } else if (this._wants(res.locals.rules, event.type, agent)) {
+      res.write(formatSse(event));
+    }
+  }
+
+  /**
+   * Messages from a WS client:
+   *   { type: 'subscribe', id?, events?, agents?, projects? } - add or replace rule `id` ('default')
+   *   { type: 'unsubscribe', id? }                           - drop a rule
+   *   { type: 'ack', version }                                - agent snapshot applied
+   *   { type: 'resync' }                                      - send the next snapshot whole
+   *   { type: 'terminal:open', terminalId }                   - stream a PTY (snapshot, then output; needs 'control')
+   *   { type: 'terminal:close', terminalId }
+   *   { type: 'terminal:input', terminalId, data }            - raw keystrokes (needs 'control')
+   * An event is delivered when any rule matches it.
+   */
+  _onClientMessage(ws, msg) {
+    const view = ws._view;
+    switch (msg?.type) {
+      case 'subscribe': {
+        const id = String(msg.id || 'default');
+        if (!ws._rules.has(id) && ws._rules.size >= config.MOBILE_WS_MAX_SUBSCRIPTIONS) return;
+        ws._rules.set(id, parseRule(msg));
+        this._sendCurrentAgents(ws);
+        break;
+      }
+      case 'unsubscribe':
+        ws._rules.delete(String(msg.id || 'default'));
+        this._sendCurrentAgents(ws);
+        break;
+      case 'ack': {
+        const docs = view.pending.get(msg.version);
+        if (!docs) return;
+        view.acked = { version: msg.version, docs };
+        for (const version of view.pending.keys()) {
+          if (version <= msg.version) view.pending.delete(version);
+        }
+        break;
+      }
+      case 'resync':
+        view.acked = null;
+        view.pending.clear();
+        this._sendCurrentAgents(ws);
+        break;
+      case 'terminal:open':
+        this._openTerminal(ws, String(msg.terminalId || ''));
+        break;
+      case 'terminal:close':
+        this._closeTerminal(ws, String(msg.terminalId || ''));
+        break;
+      case 'terminal:input':
+        this._terminalInput(ws, String(msg.terminalId || ''), msg.data);
+        break;
+    }
+  }
+
+  /**
+   * Terminal streams are outside the event journal: output is sent only to
+   * clients that opened the terminal, batched per MOBILE_TERMINAL_FLUSH_MS.
+   * Opening sends the PTY's raw output tail as a snapshot; a client that
+   * reconnects (or falls too far behind) gets a fresh snapshot instead of a
+   * replay.
+   */
+  _openTerminal(ws, id) {
+    const token = this._tokenStore.get(ws._tokenId);
+    if (!token) return this._sendTerminalError(ws, id, 'Token is no longer valid');
+    if (!this._tokenStore.hasScope(token, 'control')) {
+      this._recordAuthFailure(ws._request, 'forbidden', token);
+      return this._sendTerminalError(ws, id, `Token scope '${token.scope}' does not allow terminal access (needs 'control')`);
+    }
+    const info = this._ptyService ? this._ptyService.get(id) : null;
+    if (!info) return this._sendTerminalError(ws, id, 'Terminal not found');
+    if (!ws._terminals.has(id) && ws._terminals.size >= config.MOBILE_TERMINAL_MAX_STREAMS) {
+      return this._sendTerminalError(ws, id, `At most ${config.MOBILE_TERMINAL_MAX_STREAMS} terminals can be open`);
+    }
+
+    // Output already in the tail must not reach this client twice
+    this._flushTerminal(id);
+    let stream = this._terminalStreams.get(id);
+    if (!stream) {
+      stream = { clients: new Set(), pending: '', timer: null };
+      this._terminalStreams.set(id, stream);
+    }
+    stream.clients.add(ws);
+    ws._terminals.set(id, { stale: false });
+    this._sendTerminalSnapshot(ws, id);
+  }
+
+  _closeTerminal(ws, id) {
+    ws._terminals.delete(id);
+    const stream = this._terminalStreams.get(id);
+    if (!stream) return;
+    stream.clients.delete(ws);
+    if (stream.clients.size === 0) {
+      clearTimeout(stream.timer);
+      this._terminalStreams.delete(id);
+    }
+  }
+
+  _terminalInput(ws, id, data) {
+    const ip = clientIp(ws._request);
+    if (this._authLimiter.retryAfter(`ip:${ip}`)) {
+      return this._sendTerminalError(ws, id, 'Too many failed attempts');
+    }
+    const token = this._tokenStore.get(ws._tokenId);
+    if (!token) return this._sendTerminalError(ws, id, 'Token is no longer valid');
+    if (!this._tokenStore.hasScope(token, 'control')) {
+      this._recordAuthFailure(ws._request, 'forbidden', token);
+      return this._sendTerminalError(ws, id, `Token scope '${token.scope}' does not allow terminal input (needs 'control')`);
+    }
+    if (!ws._terminals.has(id)) return this._sendTerminalError(ws, id, 'Terminal is not open');
+    if (typeof data !== 'string' || data.length === 0) return;
+    if (data.length > config.MOBILE_TERMINAL_MAX_INPUT) {
+      return this._sendTerminalError(ws, id, `Input exceeds maximum length (${config.MOBILE_TERMINAL_MAX_INPUT})`);
+    }
+    // Keystrokes stream freely; each submitted line counts as a prompt
+    if (/[\r\n]/.test(data)) {
+      const retryMs = Math.max(
+        this._promptLimiter.hit(`ip:${ip}`),
+        this._promptLimiter.hit(`token:${token.id}`),
+      );
+      if (retryMs) return this._sendTerminalError(ws, id, 'Too many prompts, slow down');
+    }
+
+    const identity = {
+      source: 'mobile',
+      clientId: ip,
+      userAgent: ws._request.headers['user-agent'] || null,
+      tokenId: token.id,
+      tokenName: token.name,
+    };
+    // Agent terminals go through AgentManager, which audits and clears attention
+    const agent = this._agentManager ? this._agentManager.getByTerminal(id) : null;
+    let result;
+    if (agent) {
+      result = this._agentManager.sendInput(agent.id, data, { ...identity, typed: true });
+    } else {
+      result = this._ptyService.write(id, data);
+      if (result.ok) inputAudit.recordTyped({ ...identity, terminalId: id }, data);
+    }
+    if (!result.ok) this._sendTerminalError(ws, id, result.error);
+  }
+
+  _sendTerminalSnapshot(ws, id) {
+    const info = this._ptyService.get(id);
+    if (!info) return;
+    ws.send(JSON.stringify({
+      type: 'terminal:snapshot',
+      data: {
+        terminalId: id,
+        agentId: info.meta?.agentId || null,
+        data: this._ptyService.getTail(id),
+        cols: info.cols,
+        rows: info.rows,
+        status: info.status,
+        exitCode: info.exitCode,
+      },
+    }));
+  }
+
+  _sendTerminalError(ws, terminalId, error) {
+    if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'terminal:error', data: { terminalId, error } }));
+  }
+
+  _onTerminalOutput(id, data) {
+    const stream = this._terminalStreams.get(id);
+    if (!stream) return;
+    stream.pending += data;
+    if (!stream.timer) {
+      stream.timer = setTimeout(() => this._flushTerminal(id), config.MOBILE_TERMINAL_FLUSH_MS);
+    }
+  }
+
+  _flushTerminal(id) {
+    const stream = this._terminalStreams.get(id);
+    if (!stream) return;
+    clearTimeout(stream.timer);
+    stream.timer = null;
+    if (!stream.pending) return;
+
+    const message = JSON.stringify({ type: 'terminal:output', data: { terminalId: id, data: stream.pending } });
+    stream.pending = '';
+    for (const ws of stream.clients) {
+      if (ws.readyState !== 1) continue;
+      const watch = ws._terminals.get(id);
+      // A client that cannot keep up skips output and catches up from a snapshot
+      if (ws.bufferedAmount > config.MOBILE_TERMINAL_MAX_BUFFERED) {
+        watch.stale = true;
+      } else if (watch.stale) {
+        watch.stale = false;
+        this._sendTerminalSnapshot(ws, id);
+      } else {
+        ws.send(message);
+      }
+    }
+  }
+
+  _onTerminalExited(id, exitCode) {
+    this._flushTerminal(id);
+    const stream = this._terminalStreams.get(id);
+    if (!stream) return;
+    const message = JSON.stringify({ type: 'terminal:exit', data: { terminalId: id, exitCode } });
+    for (const ws of stream.clients) {
+      if (ws.readyState !== 1) continue;
+      const watch = ws._terminals.get(id);
+      if (watch.stale) {
+        watch.stale = false;
+        this._sendTerminalSnapshot(ws, id);
       }
+      ws.send(message);
+    }
+  }
+
+  // After a subscription change: bring the client's agent list in line right away
+  _sendCurrentAgents(ws) {
+    this._sendAgents(ws, {
+      id: this._lastEventId,
+      type: 'agents:updated',
+      data: { agents: this._agents.list(), added: [], removed: [] },
+    });
+  }
+
+  /**
+   * Events a client connecting with a last-seen event ID should receive
+   * first: the journal after that ID, or, when the ID is missing or has
+   * already been dropped from the journal, a fresh agent snapshot. Either
+   * way a 'sync' event tells the client which happened, so after a snapshot
+   * it knows to refetch anything else it shows (e.g. an open transcript).
+   */
+  _catchUp(since) {
+    const sinceId = since === undefined || since === null || since === '' ? NaN : Number(since);
+    const oldest = this._journal.length > 0 ? this._journal[0].id : this._lastEventId + 1;
+
+    // Replayable: nothing missing between the client's ID and the journal
+    if (Number.isSafeInteger(sinceId) && sinceId >= oldest - 1 && sinceId <= this._lastEventId) {
+      const missed = this._journal.filter((e) => e.id > sinceId);
+      return [...missed, { id: this._lastEventId, type: 'sync', data: { replayed: missed.length } }];
     }
+
+    return [
+      {
+        id: this._lastEventId,
+        type: 'agents:updated',
+        data: { agents: this._agents.list(), added: [], removed: [] },
+      },
+      { id: this._lastEventId, type: 'sync', data: { replayed: null } },
+    ];
   }
 }
 
+MobileServer.diffAgents = diffAgents;
+
 module.exports = MobileServer;
@@ -0,0 +1,73 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { app } = require('electron');
+const logger = require('./logger').create('mobileSettings');
+
+const SETTINGS_FILE = 'mobile-settings.json';
+// Off until the user opts in; when on, only this machine (and tunnels
+// pointed at it) can connect until LAN access is enabled as well
+const DEFAULTS = { enabled: false, lanAccess: false };
+
+/**
+ * Mobile server settings, persisted to mobile-settings.json.
+ */
+class MobileSettings {
+  constructor() {
+    this._filePath = null;
+    this._settings = { ...DEFAULTS };
+  }
+
+  init() {
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, SETTINGS_FILE);
+    this._load();
+  }
+
+  get() {
+    return { ...this._settings };
+  }
+
+  /**
+   * Apply a partial update: { enabled?, lanAccess? }.
+   * @returns {{ ok: boolean, settings?: object, error?: string }}
+   */
+  update(changes) {
+    if (!changes || typeof changes !== 'object') return { ok: false, error: 'Settings must be an object' };
+    for (const key of Object.keys(changes)) {
+      if (!(key in DEFAULTS)) return { ok: false, error: `Unknown setting: ${key}` };
+      if (typeof changes[key] !== 'boolean') return { ok: false, error: `${key} must be true or false` };
+    }
+    this._settings = { ...this._settings, ...changes };
+    this._persist();
+    logger.info('Mobile settings updated', this._settings);
+    return { ok: true, settings: this.get() };
+  }
+
+  // --- Internal ---
+
+  _load() {
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+        for (const key of Object.keys(DEFAULTS)) {
+          if (typeof data[key] === 'boolean') this._settings[key] = data[key];
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to load mobile settings', { error: err.message });
+    }
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, ...this._settings }, null, 2), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist mobile settings', { error: err.message });
+    }
+  }
+}
+
+module.exports = new MobileSettings();
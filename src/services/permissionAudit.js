@@ -0,0 +1,9 @@
+const AuditLog = require('./auditLog');
+
+/**
+ * Tool permission decisions (permission-audit.jsonl): who approved or
+ * denied which tool call, how, and whether the keystrokes reached the agent.
+ * Entry: { timestamp, source: 'desktop' | 'mobile' | 'policy', decision,
+ *   agentId | pid, agentType, requests, ruleId?, dryRun?, ok, error? }
+ */
+module.exports = new AuditLog('permission-audit.jsonl', 'permissionAudit');
@@ -0,0 +1,177 @@
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const ACTIONS = ['approve', 'deny', 'notify'];
+// Chaining, pipes, background jobs and command/process substitution: a
+// command containing these runs more than what an approve rule matched
+const COMPOUND_COMMAND = /[;&|`\n\r]|\$\(|[<>]\(/;
+// Redirection outside quotes reads or writes files the rule never named
+const REDIRECTION = /[<>]/;
+
+/**
+ * Compiles a path glob to a RegExp over '/'-separated relative paths.
+ * `**` spans directories, `*` and `?` stay within one segment.
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" also matches zero directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validates and normalizes a permission policy. A policy without rules becomes null.
+ * Rules have no project field: each project stores its own policy, which
+ * only ever applies to that project's agents.
+ * Shape: { dryRun, rules: [{ id, enabled, tools: [], command, paths: [], action }] }
+ *   tools   — tool names; empty matches any tool
+ *   command — regex the tool's whole command must match (Bash and friends)
+ *   paths   — globs, relative to the agent's worktree, the tool's file path must match
+ *   action  — 'approve' | 'deny' | 'notify'
+ * @returns {{ ok: boolean, policy?: object|null, error?: string }}
+ */
+function validatePolicy(policy) {
+  if (policy === null || policy === undefined) return { ok: true, policy: null };
+  if (typeof policy !== 'object' || Array.isArray(policy)) return { ok: false, error: 'Policy must be an object' };
+  if (!Array.isArray(policy.rules)) return { ok: false, error: 'Policy rules must be an array' };
+
+  const rules = [];
+  for (let i = 0; i < policy.rules.length; i++) {
+    const r = policy.rules[i] || {};
+    if (!ACTIONS.includes(r.action)) {
+      return { ok: false, error: `Rule ${i + 1}: action must be one of: ${ACTIONS.join(', ')}` };
+    }
+    const tools = toList(r.tools);
+    const paths = toList(r.paths).map(p => p.replace(/\\/g, '/'));
+    const command = typeof r.command === 'string' ? r.command.trim() : '';
+    if (command) {
+      try {
+        commandRegExp(command);
+      } catch (err) {
+        return { ok: false, error: `Rule ${i + 1}: ${err.message}` };
+      }
+    }
+    if (tools.length === 0 && !command && paths.length === 0) {
+      return { ok: false, error: `Rule ${i + 1}: match at least a tool, command or path` };
+    }
+    rules.push({ id: r.id || crypto.randomUUID(), enabled: r.enabled !== false, tools, command, paths, action: r.action });
+  }
+  if (rules.length === 0) return { ok: true, policy: null };
+
+  return { ok: true, policy: { dryRun: Boolean(policy.dryRun), rules } };
+}
+
+/**
+ * Accepts an array or a comma-separated string.
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map(s => String(s).trim()).filter(Boolean);
+}
+
+function isCompoundCommand(command) {
+  return COMPOUND_COMMAND.test(command) || REDIRECTION.test(unquoted(command));
+}
+
+/**
+ * Drops quoted strings and backslash-escaped characters. An unterminated
+ * quote is left in place, so what follows it still counts.
+ */
+function unquoted(command) {
+  return command.replace(/\\[\s\S]|'[^']*'|"(?:\\[\s\S]|[^"\\])*"/g, '');
+}
+
+function commandRegExp(command) {
+  return new RegExp(`^(?:${command})$`);
+}
+
+function ruleMatches(rule, request, worktreePath) {
+  if (rule.tools.length > 0 && !rule.tools.includes(request.name)) return false;
+  // Compound commands are never approved automatically, only denied or escalated
+  if (rule.action === 'approve' && request.command && isCompoundCommand(request.command)) return false;
+  if (rule.command && !(request.command && commandRegExp(rule.command).test(request.command))) return false;
+  if (rule.paths.length > 0) {
+    if (!request.filePath || !worktreePath) return false;
+    const relative = path.relative(worktreePath, path.resolve(worktreePath, request.filePath));
+    // Paths outside the worktree never match a glob
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return false;
+    const normalized = relative.split(path.sep).join('/');
+    if (!rule.paths.some(glob => globToRegExp(glob).test(normalized))) return false;
+  }
+  return true;
+}
+
+/**
+ * Decides a permission prompt from the pending tool calls (promptInfo.requests).
+ * Each call takes the first enabled rule it matches. Any deny wins, then
+ * notify; the prompt is approved only if every call is approved. Approve
+ * rules skip compound shell commands (`a && b`, pipes, `$(...)`, redirection).
+ * @returns {{ action: string, rule: object }|null} null when a call matches no rule
+ */
+function evaluatePolicy(policy, requests, worktreePath) {
+  if (!policy || requests.length === 0) return null;
+  const matches = [];
+  for (const request of requests) {
+    const rule = policy.rules.find(r => r.enabled && ruleMatches(r, request, worktreePath));
+    if (!rule) return null;
+    matches.push({ action: rule.action, rule });
+  }
+  return matches.find(m => m.action === 'deny')
+    || matches.find(m => m.action === 'notify')
+    || matches[0];
+}
+
+/**
+ * Auto-approval policies for tool permission prompts of managed agents.
+ * Policies are stored per project on the ProjectRegistry entry
+ * (`permissionPolicy`); AgentManager evaluates them whenever an agent
+ * enters waiting_permission.
+ */
+class PermissionPolicy {
+  constructor() {
+    this._projectLookup = () => null;
+  }
+
+  /**
+   * Provide project lookup (projectId -> registry entry).
+   */
+  setProjectLookup(fn) {
+    this._projectLookup = fn;
+  }
+
+  validate(policy) {
+    return validatePolicy(policy);
+  }
+
+  evaluate(policy, requests, worktreePath) {
+    return evaluatePolicy(policy, requests, worktreePath);
+  }
+
+  /**
+   * The policy of the agent's project, or null.
+   */
+  resolve(agent) {
+    const project = agent.projectId ? this._projectLookup(agent.projectId) : null;
+    return project?.permissionPolicy || null;
+  }
+}
+
+module.exports = new PermissionPolicy();
+module.exports.globToRegExp = globToRegExp;
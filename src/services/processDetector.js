@@ -1,12 +1,76 @@
+const fs = require('node:fs');
+const path = require('node:path');
 const { execFile } = require('node:child_process');
 const config = require('./config');
 const logger = require('./logger').create('processDetector');
 
 /**
- * Scans for running Claude CLI processes using PowerShell.
+ * Scans for running Claude CLI processes using the backend for the current
+ * platform (PowerShell on Windows, procfs on Linux, ps/lsof on macOS).
  * Returns an array of normalized agent objects.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.platform] - Backend to use instead of process.platform
+ * @param {string} [opts.procRoot] - procfs mount for the Linux backend (fixture trees in tests)
  */
-function scanForClaudeProcesses() {
+async function scanForClaudeProcesses(opts = {}) {
+  const platform = opts.platform || process.platform;
+  const scanner = SCANNERS[platform];
+  if (!scanner) {
+    logger.warn(`No process scanner for platform "${platform}"`);
+    return [];
+  }
+
+  const procs = await scanner(opts);
+  const agents = procs
+    .filter((proc) => isClaudeProcess(proc))
+    .map((proc) => normalizeAgent(proc));
+
+  logger.debug(`Found ${agents.length} Claude process(es)`);
+  return agents;
+}
+
+/**
+ * Decides whether a raw process record is a genuine Claude CLI process.
+ */
+function isClaudeProcess(proc) {
+  // Skip our own Electron process and its parent
+  if (proc.ProcessId === process.pid || proc.ProcessId === process.ppid) {
+    return false;
+  }
+
+  // Must have a command line that genuinely references claude CLI
+  const cmdLine = (proc.CommandLine || '').toLowerCase();
+  if (!cmdLine) return false;
+
+  // Skip if the command line references our own application
+  if (cmdLine.includes(config.SELF_PROCESS_NAME)) {
+    return false;
+  }
+
+  // Skip PowerShell processes spawned by our scanner
+  if (
+    proc.Name &&
+    proc.Name.toLowerCase().includes('powershell') &&
+    cmdLine.includes('get-ciminstance')
+  ) {
+    return false;
+  }
+
+  // Filter out things that just happen to have "claude" in a path,
+  // e.g. shells sourcing ~/.claude/shell-snapshots/*
+  const withoutClaudeDirs = cmdLine.replace(/\.claude[\\/]/g, '');
+
+  // Look for patterns that indicate actual Claude CLI usage
+  return withoutClaudeDirs.includes('claude') && !cmdLine.includes('claudecount');
+}
+
+// ==================== Windows ====================
+
+/**
+ * Lists candidate processes via PowerShell + Win32_Process.
+ */
+function scanWindows() {
   return new Promise((resolve) => {
     const psCommand = `
       $allProcs = @{}
@@ -57,59 +121,14 @@ function scanForClaudeProcesses() {
 
         const raw = stdout.trim();
         if (!raw) {
-          logger.debug('No Claude processes found');
           resolve([]);
           return;
         }
 
         try {
-          let parsed = JSON.parse(raw);
-
+          const parsed = JSON.parse(raw);
           // PowerShell returns a single object (not array) when there's only one match
-          if (!Array.isArray(parsed)) {
-            parsed = [parsed];
-          }
-
-          const selfPid = process.pid;
-          const selfPpid = process.ppid;
-
-          const agents = parsed
-            .filter((proc) => {
-              // Skip our own Electron process and its parent
-              if (proc.ProcessId === selfPid || proc.ProcessId === selfPpid) {
-                return false;
-              }
-
-              // Skip if the command line references our own application
-              const cmdLine = (proc.CommandLine || '').toLowerCase();
-              if (cmdLine.includes(config.SELF_PROCESS_NAME)) {
-                return false;
-              }
-
-              // Must have a command line that genuinely references claude CLI
-              // Filter out things that just happen to have "claude" in the path
-              if (!cmdLine) return false;
-
-              // Skip PowerShell processes spawned by our scanner
-              if (
-                proc.Name &&
-                proc.Name.toLowerCase().includes('powershell') &&
-                cmdLine.includes('get-ciminstance')
-              ) {
-                return false;
-              }
-
-              // Look for patterns that indicate actual Claude CLI usage
-              const isClaudeCli =
-                cmdLine.includes('claude') &&
-                !cmdLine.includes('claudecount');
-
-              return isClaudeCli;
-            })
-            .map((proc) => normalizeAgent(proc));
-
-          logger.debug(`Found ${agents.length} Claude process(es)`);
-          resolve(agents);
+          resolve(Array.isArray(parsed) ? parsed : [parsed]);
         } catch (parseError) {
           logger.error('Failed to parse PowerShell output', {
             message: parseError.message,
@@ -122,8 +141,224 @@ function scanForClaudeProcesses() {
   });
 }
 
+// ==================== Linux ====================
+
+/**
+ * Lists candidate processes by walking procfs.
+ * Reads /proc/<pid>/cmdline, /proc/<pid>/stat and the /proc/<pid>/cwd link.
+ */
+async function scanLinux(opts = {}) {
+  const procRoot = opts.procRoot || config.PROC_ROOT;
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(procRoot);
+  } catch (err) {
+    logger.error('Failed to read procfs', { procRoot, message: err.message });
+    return [];
+  }
+
+  const bootTimeMs = await readBootTime(procRoot);
+  const results = [];
+
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    const pidDir = path.join(procRoot, entry);
+
+    // Cheap pre-filter on cmdline before touching stat/cwd
+    let cmdline;
+    try {
+      const raw = await fs.promises.readFile(path.join(pidDir, 'cmdline'), 'utf8');
+      cmdline = raw.split('\0').filter(Boolean).join(' ');
+    } catch {
+      continue; // Process exited mid-scan or is inaccessible
+    }
+    if (!cmdline.toLowerCase().includes('claude')) continue;
+
+    let stat = null;
+    try {
+      stat = parseProcStat(await fs.promises.readFile(path.join(pidDir, 'stat'), 'utf8'));
+    } catch {
+      continue;
+    }
+    if (!stat) continue;
+
+    let cwd = null;
+    try {
+      cwd = await fs.promises.readlink(path.join(pidDir, 'cwd'));
+    } catch {
+      // Not permitted for other users' processes
+    }
+
+    const startMs = bootTimeMs !== null
+      ? bootTimeMs + (stat.startTicks / config.PROC_CLOCK_TICKS) * 1000
+      : null;
+
+    results.push({
+      ProcessId: parseInt(entry, 10),
+      Name: stat.comm,
+      CommandLine: cmdline,
+      ParentProcessId: stat.ppid,
+      CreationDate: startMs !== null ? new Date(startMs).toISOString() : null,
+      WindowTitle: '',
+      Cwd: cwd,
+      Tty: decodeTtyNr(stat.ttyNr),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Reads the boot time (epoch ms) from the btime line of /proc/stat.
+ */
+async function readBootTime(procRoot) {
+  try {
+    const raw = await fs.promises.readFile(path.join(procRoot, 'stat'), 'utf8');
+    const match = raw.match(/^btime\s+(\d+)/m);
+    return match ? parseInt(match[1], 10) * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses /proc/<pid>/stat. The comm field may itself contain spaces and
+ * parentheses, so split around the last ')' rather than on whitespace.
+ */
+function parseProcStat(raw) {
+  const open = raw.indexOf('(');
+  const close = raw.lastIndexOf(')');
+  if (open === -1 || close === -1) return null;
+
+  // Fields after comm start at field 3 (state)
+  const fields = raw.slice(close + 2).trim().split(/\s+/);
+  return {
+    comm: raw.slice(open + 1, close),
+    ppid: parseInt(fields[1], 10) || null,
+    ttyNr: parseInt(fields[4], 10) || 0,
+    startTicks: parseInt(fields[19], 10) || 0,
+  };
+}
+
+/**
+ * Decodes the tty_nr device number from /proc/<pid>/stat into a device path.
+ */
+function decodeTtyNr(ttyNr) {
+  if (!ttyNr) return null;
+  const major = (ttyNr >> 8) & 0xfff;
+  const minor = (ttyNr & 0xff) | ((ttyNr >> 12) & 0xfff00);
+
+  // Unix98 pseudo-terminals use majors 136-143
+  if (major >= 136 && major <= 143) return `/dev/pts/${(major - 136) * 256 + minor}`;
+  if (major === 4) return minor < 64 ? `/dev/tty${minor}` : `/dev/ttyS${minor - 64}`;
+  return null;
+}
+
+// ==================== macOS ====================
+
+/**
+ * Lists candidate processes via `ps -axo`, then resolves cwd with lsof.
+ */
+async function scanDarwin() {
+  let stdout;
+  try {
+    stdout = await execFileText('ps', ['-axww', '-o', 'pid=,ppid=,tty=,lstart=,args=']);
+  } catch (err) {
+    logger.error('ps scan failed', { message: err.message });
+    return [];
+  }
+
+  const results = [];
+  for (const line of stdout.split('\n')) {
+    // e.g. "  123     1 ttys001 Mon Oct 19 17:44:00 2026 node /usr/local/bin/claude"
+    const match = line.match(/^\s*(\d+)\s+(\d+)\s+(\S+)\s+(\w{3}\s+\w{3}\s+\d+\s+[\d:]+\s+\d{4})\s+(.*)$/);
+    if (!match) continue;
+
+    const args = match[5].trim();
+    if (!args.toLowerCase().includes('claude')) continue;
+
+    const startTime = new Date(match[4]);
+    results.push({
+      ProcessId: parseInt(match[1], 10),
+      Name: path.basename(args.split(/\s+/)[0]),
+      CommandLine: args,
+      ParentProcessId: parseInt(match[2], 10) || null,
+      CreationDate: isNaN(startTime.getTime()) ? null : startTime.toISOString(),
+      WindowTitle: '',
+      Cwd: null,
+      Tty: match[3] === '??' ? null : `/dev/${match[3]}`,
+    });
+  }
+
+  if (results.length > 0) {
+    const cwds = await readDarwinCwds(results.map((p) => p.ProcessId));
+    for (const proc of results) {
+      proc.Cwd = cwds.get(proc.ProcessId) || null;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Resolves working directories for a set of PIDs with a single lsof call.
+ * Returns Map<pid, cwd>.
+ */
+async function readDarwinCwds(pids) {
+  try {
+    const stdout = await execFileText('lsof', ['-a', '-d', 'cwd', '-Fn', '-p', pids.join(',')]);
+    return parseLsofCwds(stdout);
+  } catch (err) {
+    // lsof exits non-zero when any PID has vanished; output is still usable
+    if (err.stdout) return parseLsofCwds(err.stdout);
+    logger.warn('lsof cwd lookup failed', { message: err.message });
+    return new Map();
+  }
+}
+
+/**
+ * Parses `lsof -Fn` field output ("p<pid>" then "n<path>" lines).
+ */
+function parseLsofCwds(stdout) {
+  const cwds = new Map();
+  let currentPid = null;
+  for (const line of stdout.split('\n')) {
+    if (line.startsWith('p')) currentPid = parseInt(line.slice(1), 10);
+    else if (line.startsWith('n') && currentPid !== null) cwds.set(currentPid, line.slice(1));
+  }
+  return cwds;
+}
+
+function execFileText(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      { timeout: 10_000, maxBuffer: 8 * 1024 * 1024, env: { ...process.env, LC_ALL: 'C' } },
+      (error, stdout) => {
+        if (error) {
+          error.stdout = stdout;
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+const SCANNERS = {
+  win32: scanWindows,
+  linux: scanLinux,
+  darwin: scanDarwin,
+};
+
+// ==================== Normalization ====================
+
 /**
- * Normalizes a raw Win32_Process object into an Agent descriptor.
+ * Normalizes a raw process record into an Agent descriptor.
+ * Records use Win32_Process field names; the Linux/macOS backends add Cwd and Tty.
  */
 function normalizeAgent(proc) {
   let startTime = null;
@@ -147,7 +382,8 @@ function normalizeAgent(proc) {
     startTime,
     sessionId: null,
     sessionFile: null,
-    cwd: null,
+    cwd: proc.Cwd || null,
+    tty: proc.Tty || null,
     status: 'active',
     lastSeen: Date.now(),
     logLines: [],
@@ -173,4 +409,11 @@ function detectLauncher(commandLine) {
   return 'unknown';
 }
 
-module.exports = { scanForClaudeProcesses, detectLauncher };
+module.exports = {
+  scanForClaudeProcesses,
+  detectLauncher,
+  normalizeAgent,
+  parseProcStat,
+  decodeTtyNr,
+  SCANNERS,
+};
@@ -1,107 +1,11 @@
 const { EventEmitter } = require('node:events');
 const { scanForClaudeProcesses } = require('./processDetector');
 const { discoverSessions, correlateAgentSession, watchSession } = require('./sessionWatcher');
+const { deriveAttentionState, extractPromptInfo } = require('./attentionState');
+const usageTracker = require('./usageTracker');
 const config = require('./config');
 const logger = require('./logger').create('processMonitor');
 
-/**
- * Extracts tool_use blocks from a JSONL line's message.content array.
- */
-function getToolUseBlocks(line) {
-  const content = line?.message?.content;
-  if (!Array.isArray(content)) return [];
-  return content.filter(block => block.type === 'tool_use');
-}
-
-/**
- * Derives the attention state of an agent based on log activity.
- *
- * States:
- *   ended            — process terminated
- *   running          — agent is actively processing
- *   waiting_input    — assistant used AskUserQuestion, waiting for user
- *   waiting_permission — assistant used a tool, waiting for approval
- *   inactive         — assistant finished its turn (no tool_use), idle
- *   stalled          — non-standard message type with 5+ min silence
- *   unknown          — no session data
- */
-function deriveAttentionState(agent) {
-  if (agent.status === 'terminated') return 'ended';
-
-  const lastLine = agent.logLines?.length > 0
-    ? agent.logLines[agent.logLines.length - 1]
-    : null;
-
-  if (!lastLine) {
-    // No session data — can't confirm it's actually working
-    return agent.sessionId ? 'running' : 'unknown';
-  }
-
-  const lastLineTime = lastLine.timestamp
-    ? new Date(lastLine.timestamp).getTime()
-    : agent.lastSeen;
-  const silenceMs = Date.now() - lastLineTime;
-
-  // Assistant message — inspect content for tool_use blocks
-  if (lastLine.type === 'assistant') {
-    const toolUses = getToolUseBlocks(lastLine);
-    const hasAskUser = toolUses.some(t => t.name === 'AskUserQuestion');
-
-    if (hasAskUser) return 'waiting_input';
-    if (toolUses.length > 0) return silenceMs > 5000 ? 'waiting_permission' : 'running';
-    // End-of-turn (no tool_use) — agent finished, idle after 5s
-    return silenceMs > 5000 ? 'inactive' : 'running';
-  }
-
-  // User message — agent is processing the request (can take minutes)
-  if (lastLine.type === 'user') return 'running';
-
-  // Other types (system, file-history-snapshot, etc.) — only stall after 5 min
-  if (silenceMs > 300000) return 'stalled';
-
-  return 'running';
-}
-
-/**
- * Extracts prompt information from the last assistant message.
- * Returns null if the agent isn't in a waiting state, or an object describing
- * what the agent is waiting for:
- *   { type: 'ask_user', question, options }
- *   { type: 'tool_permission', tools }
- *   { type: 'end_of_turn' }
- */
-function extractPromptInfo(agent) {
-  const lastLine = agent.logLines?.length > 0
-    ? agent.logLines[agent.logLines.length - 1]
-    : null;
-
-  if (!lastLine || lastLine.type !== 'assistant') return null;
-
-  const toolUses = getToolUseBlocks(lastLine);
-
-  // AskUserQuestion — extract question text + option labels
-  const askUser = toolUses.find(t => t.name === 'AskUserQuestion');
-  if (askUser) {
-    const q = (askUser.input?.questions || [])[0];
-    if (q) {
-      return {
-        type: 'ask_user',
-        question: (q.question || '').substring(0, 120),
-        options: (q.options || []).map(o => (o.label || '').substring(0, 60)),
-      };
-    }
-    return { type: 'ask_user', question: 'Waiting for your response', options: [] };
-  }
-
-  // Other tool_use — show tool names needing permission
-  if (toolUses.length > 0) {
-    return { type: 'tool_permission', tools: toolUses.map(t => t.name || 'unknown') };
-  }
-
-  // End of turn — assistant finished, no tool_use
-  return { type: 'end_of_turn' };
-}
-
 /**
  * Derives a project group name from an encoded project path.
  * E.g. "Z--Development-ClaudeCount" → "ClaudeCount"
@@ -194,6 +98,7 @@ class ProcessMonitor extends EventEmitter {
       promptInfo: (attentionState === 'waiting_input' || attentionState === 'waiting_permission' || attentionState === 'inactive')
         ? extractPromptInfo(agent) : null,
       tags: this.getAgentTags(pid),
+      usage: usageTracker.getSummary(agent.sessionId),
       projectGroup: agent.projectGroup || null,
       windowTitle: agent.windowTitle || null,
       launcher: agent.launcher || 'unknown',
@@ -216,6 +121,7 @@ class ProcessMonitor extends EventEmitter {
         promptInfo: (attentionState === 'waiting_input' || attentionState === 'waiting_permission' || attentionState === 'inactive')
           ? extractPromptInfo(agent) : null,
         tags: this.getAgentTags(agent.pid),
+        usage: usageTracker.getSummary(agent.sessionId),
         projectGroup: agent.projectGroup || null,
         windowTitle: agent.windowTitle || null,
         launcher: agent.launcher || 'unknown',
@@ -271,6 +177,14 @@ class ProcessMonitor extends EventEmitter {
     });
   }
 
+  /**
+   * Record how prompts can be injected into an agent (see PromptInjector).
+   */
+  setAgentInjection(pid, injection) {
+    const agent = this._agents.get(pid);
+    if (agent) agent.injection = injection;
+  }
+
   /**
    * Update fields on an existing agent (e.g. status changes from PtySessionManager).
    */
@@ -288,6 +202,18 @@ class ProcessMonitor extends EventEmitter {
     });
   }
 
+  /**
+   * Session files correlated with live processes other than `exceptPid`.
+   * @returns {Set<string>}
+   */
+  getClaimedSessionFiles(exceptPid) {
+    const files = new Set();
+    for (const agent of this._agents.values()) {
+      if (agent.pid !== exceptPid && agent.status !== 'terminated' && agent.sessionFile) files.add(agent.sessionFile);
+    }
+    return files;
+  }
+
   /**
    * Public wrapper to trigger JSONL session correlation for a given PID.
    * Used by PtySessionManager after a delay so Claude has time to create its session file.
@@ -328,6 +254,8 @@ class ProcessMonitor extends EventEmitter {
           existing.lastSeen = Date.now();
           existing.status = 'active';
           if (agent.windowTitle) existing.windowTitle = agent.windowTitle;
+          if (agent.cwd) existing.cwd = agent.cwd;
+          if (agent.tty) existing.tty = agent.tty;
         }
       }
 
@@ -417,6 +345,43 @@ class ProcessMonitor extends EventEmitter {
     }, config.WATCHDOG_RESTART_DELAY_MS);
   }
 
+  /**
+   * Claim a correlated session file for an agent and start watching it.
+   * Claims immediately so concurrent correlations see it.
+   */
+  _attachSession(agent, match) {
+    this._claimedFiles.add(match.sessionFile);
+
+    agent.sessionId = match.sessionId;
+    agent.sessionFile = match.sessionFile;
+    // cwd stays the scanned working directory; projectPath is Claude's encoded project folder
+    agent.projectPath = match.projectPath;
+    agent.projectGroup = deriveProjectGroup(match.projectPath);
+    usageTracker.trackSession(match.sessionId, match.sessionFile, { projectPath: match.projectPath });
+
+    const cleanup = watchSession(match.sessionFile, (line) => {
+      usageTracker.recordLine(agent.sessionId, line);
+
+      // Buffer lines on the agent
+      if (!agent.logLines) agent.logLines = [];
+      agent.logLines.push(line);
+
+      // Enforce max buffer
+      if (agent.logLines.length > config.MAX_LOG_LINES_PER_SESSION) {
+        agent.logLines = agent.logLines.slice(-config.MAX_LOG_LINES_PER_SESSION);
+      }
+
+      // Emit to renderer
+      this.emit('agent-log-line', {
+        pid: agent.pid,
+        sessionId: agent.sessionId,
+        line,
+      });
+    });
+
+    this._watchers.set(agent.pid, cleanup);
+  }
+
   /**
    * Attempt to find the session file for an agent and start watching it.
    */
@@ -426,36 +391,8 @@ class ProcessMonitor extends EventEmitter {
       const match = await correlateAgentSession(agent, sessions, this._claimedFiles);
 
       if (match && !this._claimedFiles.has(match.sessionFile)) {
-        // Immediately claim so concurrent correlations see it
-        this._claimedFiles.add(match.sessionFile);
-
-        agent.sessionId = match.sessionId;
-        agent.sessionFile = match.sessionFile;
-        agent.cwd = match.projectPath;
-        agent.projectGroup = deriveProjectGroup(match.projectPath);
-
+        this._attachSession(agent, match);
         logger.info(`Correlated PID ${agent.pid} with session ${match.sessionId}`);
-
-        // Start watching the session JSONL file
-        const cleanup = watchSession(match.sessionFile, (line) => {
-          // Buffer lines on the agent
-          if (!agent.logLines) agent.logLines = [];
-          agent.logLines.push(line);
-
-          // Enforce max buffer
-          if (agent.logLines.length > config.MAX_LOG_LINES_PER_SESSION) {
-            agent.logLines = agent.logLines.slice(-config.MAX_LOG_LINES_PER_SESSION);
-          }
-
-          // Emit to renderer
-          this.emit('agent-log-line', {
-            pid: agent.pid,
-            sessionId: agent.sessionId,
-            line,
-          });
-        });
-
-        this._watchers.set(agent.pid, cleanup);
       } else {
         logger.debug(`No session correlation for PID ${agent.pid}`);
       }
@@ -477,21 +414,7 @@ class ProcessMonitor extends EventEmitter {
       for (const agent of agents) {
         const match = await correlateAgentSession(agent, sessions, this._claimedFiles);
         if (match && !this._claimedFiles.has(match.sessionFile)) {
-          this._claimedFiles.add(match.sessionFile);
-          agent.sessionId = match.sessionId;
-          agent.sessionFile = match.sessionFile;
-          agent.cwd = match.projectPath;
-          agent.projectGroup = deriveProjectGroup(match.projectPath);
-
-          const cleanup = watchSession(match.sessionFile, (line) => {
-            if (!agent.logLines) agent.logLines = [];
-            agent.logLines.push(line);
-            if (agent.logLines.length > config.MAX_LOG_LINES_PER_SESSION) {
-              agent.logLines = agent.logLines.slice(-config.MAX_LOG_LINES_PER_SESSION);
-            }
-            this.emit('agent-log-line', { pid: agent.pid, sessionId: agent.sessionId, line });
-          });
-          this._watchers.set(agent.pid, cleanup);
+          this._attachSession(agent, match);
           logger.info(`Correlated PID ${agent.pid} with session ${match.sessionId}`);
         } else if (!match) {
           logger.debug(`No session correlation for PID ${agent.pid}`);
@@ -521,26 +444,7 @@ class ProcessMonitor extends EventEmitter {
       for (const agent of unmatched) {
         const match = await correlateAgentSession(agent, sessions, this._claimedFiles);
         if (match) {
-          this._claimedFiles.add(match.sessionFile);
-          agent.sessionId = match.sessionId;
-          agent.sessionFile = match.sessionFile;
-          agent.cwd = match.projectPath;
-          agent.projectGroup = deriveProjectGroup(match.projectPath);
-
-          // Start watching the session JSONL file
-          const cleanup = watchSession(match.sessionFile, (line) => {
-            if (!agent.logLines) agent.logLines = [];
-            agent.logLines.push(line);
-            if (agent.logLines.length > config.MAX_LOG_LINES_PER_SESSION) {
-              agent.logLines = agent.logLines.slice(-config.MAX_LOG_LINES_PER_SESSION);
-            }
-            this.emit('agent-log-line', {
-              pid: agent.pid,
-              sessionId: agent.sessionId,
-              line,
-            });
-          });
-          this._watchers.set(agent.pid, cleanup);
+          this._attachSession(agent, match);
           logger.info(`Re-correlated PID ${agent.pid} with session ${match.sessionId}`);
         }
       }
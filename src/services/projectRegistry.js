@@ -3,6 +3,8 @@ const path = require('node:path');
 const crypto = require('node:crypto');
 const { app, dialog } = require('electron');
 const logger = require('./logger');
+const budgetPolicy = require('./budgetPolicy');
+const permissionPolicy = require('./permissionPolicy');
 
 const log = logger.create ? logger.create('projectRegistry') : logger;
 
@@ -114,7 +116,7 @@ class ProjectRegistry {
 
   /**
    * Update a project by id with partial changes.
-   * Allowed fields: name, path, enabled.
+   * Allowed fields: name, path, enabled, budget and permissionPolicy (null clears either).
    * @returns {{ ok: boolean, project?: object, error?: string }}
    */
   update(id, changes) {
@@ -123,14 +125,16 @@ class ProjectRegistry {
       return { ok: false, error: 'Project not found' };
     }
 
+    // Validate every change before applying any, so a rejected update leaves the project untouched
+    let name;
     if (changes.name !== undefined) {
-      const n = String(changes.name).trim();
-      if (!n) return { ok: false, error: 'Name cannot be empty' };
-      project.name = n;
+      name = String(changes.name).trim();
+      if (!name) return { ok: false, error: 'Name cannot be empty' };
     }
 
+    let resolved;
     if (changes.path !== undefined) {
-      const resolved = path.resolve(String(changes.path).trim());
+      resolved = path.resolve(String(changes.path).trim());
       if (!fs.existsSync(resolved)) {
         return { ok: false, error: 'Path does not exist' };
       }
@@ -142,12 +146,41 @@ class ProjectRegistry {
       if (duplicate) {
         return { ok: false, error: `Path already registered as "${duplicate.name}"` };
       }
-      project.path = resolved;
     }
 
+    let budget;
+    if (changes.budget !== undefined) {
+      const result = budgetPolicy.validate(changes.budget);
+      if (!result.ok) return result;
+      budget = result.budget;
+    }
+
+    let policy;
+    if (changes.permissionPolicy !== undefined) {
+      const result = permissionPolicy.validate(changes.permissionPolicy);
+      if (!result.ok) return result;
+      policy = result.policy;
+    }
+
+    if (name !== undefined) project.name = name;
+    if (resolved !== undefined) project.path = resolved;
     if (changes.enabled !== undefined) {
       project.enabled = Boolean(changes.enabled);
     }
+    if (budget !== undefined) {
+      if (budget) {
+        project.budget = budget;
+      } else {
+        delete project.budget;
+      }
+    }
+    if (policy !== undefined) {
+      if (policy) {
+        project.permissionPolicy = policy;
+      } else {
+        delete project.permissionPolicy;
+      }
+    }
 
     this._persist();
     log.info('Project updated', { id: project.id });
@@ -1,43 +1,61 @@
-const koffi = require('koffi');
+const fs = require('node:fs');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const config = require('./config');
+const inputAudit = require('./inputAudit');
 const logger = require('./logger').create('promptInjector');
 
+// ==================== Windows console ====================
+
 // --- Win32 constants ---
 const STD_INPUT_HANDLE = -10;
 const KEY_EVENT = 0x0001;
 const VK_RETURN = 0x0D;
 const SCAN_RETURN = 0x1C;
 
-// --- koffi struct definitions ---
-// CHAR union inside KEY_EVENT_RECORD — we use the Unicode member (UnicodeChar).
-// koffi doesn't support unions directly, so we model it as a struct overlapping
-// at the same offset.  Because we only write UnicodeChar we define the union as
-// a single uint16 (2 bytes, matching the C union size).
-const KEY_EVENT_RECORD = koffi.struct('KEY_EVENT_RECORD', {
-  bKeyDown: 'int32',        // BOOL
-  wRepeatCount: 'uint16',
-  wVirtualKeyCode: 'uint16',
-  wVirtualScanCode: 'uint16',
-  UnicodeChar: 'uint16',    // union { WCHAR UnicodeChar; CHAR AsciiChar; }
-  dwControlKeyState: 'uint32',
-});
-
-// INPUT_RECORD: EventType (uint16) + 2 bytes padding + union (max 16 bytes)
-// For KEY_EVENT the union is KEY_EVENT_RECORD.
-const INPUT_RECORD = koffi.struct('INPUT_RECORD', {
-  EventType: 'uint16',
-  _padding: 'uint16',
-  Event: KEY_EVENT_RECORD,
-});
-
-// --- Load kernel32 functions ---
-const kernel32 = koffi.load('kernel32.dll');
-
-const FreeConsole = kernel32.func('int FreeConsole()');
-const AttachConsole = kernel32.func('int AttachConsole(uint32 dwProcessId)');
-const GetStdHandle = kernel32.func('intptr GetStdHandle(int nStdHandle)');
-const WriteConsoleInputW = kernel32.func(
-  'int WriteConsoleInputW(intptr hConsoleInput, _In_ INPUT_RECORD *lpBuffer, uint32 nLength, _Out_ uint32 *lpNumberOfEventsWritten)'
-);
+let _win32 = null;
+
+/**
+ * Loads the kernel32 bindings on first use, so requiring this module on
+ * Linux/macOS never touches kernel32.dll.
+ */
+function loadWin32() {
+  if (_win32) return _win32;
+  const koffi = require('koffi');
+
+  // --- koffi struct definitions ---
+  // CHAR union inside KEY_EVENT_RECORD — we use the Unicode member (UnicodeChar).
+  // koffi doesn't support unions directly, so we model it as a struct overlapping
+  // at the same offset.  Because we only write UnicodeChar we define the union as
+  // a single uint16 (2 bytes, matching the C union size).
+  const KEY_EVENT_RECORD = koffi.struct('KEY_EVENT_RECORD', {
+    bKeyDown: 'int32',        // BOOL
+    wRepeatCount: 'uint16',
+    wVirtualKeyCode: 'uint16',
+    wVirtualScanCode: 'uint16',
+    UnicodeChar: 'uint16',    // union { WCHAR UnicodeChar; CHAR AsciiChar; }
+    dwControlKeyState: 'uint32',
+  });
+
+  // INPUT_RECORD: EventType (uint16) + 2 bytes padding + union (max 16 bytes)
+  // For KEY_EVENT the union is KEY_EVENT_RECORD.
+  koffi.struct('INPUT_RECORD', {
+    EventType: 'uint16',
+    _padding: 'uint16',
+    Event: KEY_EVENT_RECORD,
+  });
+
+  const kernel32 = koffi.load('kernel32.dll');
+  _win32 = {
+    FreeConsole: kernel32.func('int FreeConsole()'),
+    AttachConsole: kernel32.func('int AttachConsole(uint32 dwProcessId)'),
+    GetStdHandle: kernel32.func('intptr GetStdHandle(int nStdHandle)'),
+    WriteConsoleInputW: kernel32.func(
+      'int WriteConsoleInputW(intptr hConsoleInput, _In_ INPUT_RECORD *lpBuffer, uint32 nLength, _Out_ uint32 *lpNumberOfEventsWritten)'
+    ),
+  };
+  return _win32;
+}
 
 /**
  * Build a pair of INPUT_RECORD structs (key-down + key-up) for a single character.
@@ -71,78 +89,420 @@ function charRecords(charCode, vk, scan) {
   ];
 }
 
+/**
+ * Types text (plus Enter, if asked) into another process's console via
+ * AttachConsole + WriteConsoleInputW.
+ */
+function writeConsoleInput(pid, text, enter) {
+  const { FreeConsole, AttachConsole, GetStdHandle, WriteConsoleInputW } = loadWin32();
+
+  // Build INPUT_RECORD array for each character + trailing Enter
+  const records = [];
+  for (const ch of text) {
+    if (ch === '\r') {
+      records.push(...charRecords(0x0D, VK_RETURN, SCAN_RETURN));
+      continue;
+    }
+    // Use vk=0, scan=0 for regular characters — Windows console handles UnicodeChar
+    records.push(...charRecords(ch.charCodeAt(0), 0, 0));
+  }
+  if (enter) records.push(...charRecords(0x0D, VK_RETURN, SCAN_RETURN));
+
+  // FreeConsole first to detach from any current console (e.g. Electron's own)
+  FreeConsole();
+  try {
+    if (!AttachConsole(pid)) return { ok: false, error: `AttachConsole failed for PID ${pid}` };
+
+    const handle = GetStdHandle(STD_INPUT_HANDLE);
+    if (!handle || handle === -1) return { ok: false, error: `GetStdHandle failed for PID ${pid}` };
+
+    const written = [0];
+    if (!WriteConsoleInputW(handle, records, records.length, written)) {
+      return { ok: false, error: `WriteConsoleInputW failed for PID ${pid}` };
+    }
+    logger.info(`Injected ${written[0]} events to PID ${pid}`);
+    return { ok: true };
+  } finally {
+    FreeConsole();
+  }
+}
+
+// ==================== TIOCSTI ====================
+
+// ioctl request numbers
+const TIOCSTI = { linux: 0x5412, darwin: 0x80017472 };
+
+let _libc = null;
+
+function loadLibc(platform) {
+  if (_libc) return _libc;
+  const koffi = require('koffi');
+  const lib = koffi.load(platform === 'darwin' ? 'libc.dylib' : 'libc.so.6');
+  _libc = {
+    koffi,
+    ioctl: lib.func('int ioctl(int fd, unsigned long request, ...)'),
+  };
+  return _libc;
+}
+
+/**
+ * Whether the kernel permits TIOCSTI at all. Linux 6.2+ can disable it
+ * with the dev.tty.legacy_tiocsti sysctl; it also requires CAP_SYS_ADMIN
+ * for terminals other than the caller's own, which only shows at write time.
+ * @returns {string|null} reason it is unavailable, or null
+ */
+function tiocstiBlocked(platform) {
+  if (!TIOCSTI[platform]) return 'TIOCSTI is not supported on this platform';
+  if (platform === 'linux') {
+    try {
+      const value = fs.readFileSync(path.join(config.PROC_ROOT, 'sys/dev/tty/legacy_tiocsti'), 'utf8').trim();
+      if (value === '0') return 'TIOCSTI is disabled (dev.tty.legacy_tiocsti = 0)';
+    } catch {
+      // Older kernels have no switch: TIOCSTI is always compiled in
+    }
+  }
+  return null;
+}
+
+/**
+ * Pushes text (plus Enter, if asked) into a terminal's input queue, one byte per ioctl.
+ */
+function writeTiocsti(platform, tty, text, enter) {
+  const { koffi, ioctl } = loadLibc(platform);
+  const fd = fs.openSync(tty, fs.constants.O_RDWR | fs.constants.O_NOCTTY);
+  try {
+    for (const byte of Buffer.from(enter ? text + '\r' : text, 'utf8')) {
+      if (ioctl(fd, TIOCSTI[platform], 'uint8_t *', Buffer.from([byte])) !== 0) {
+        return { ok: false, error: `TIOCSTI on ${tty} failed (errno ${koffi.errno()})` };
+      }
+    }
+    return { ok: true };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ==================== Multiplexers ====================
+
+const MUX_ENV_KEYS = ['TMUX', 'TMUX_PANE', 'STY', 'WINDOW'];
+
+/**
+ * Reads the multiplexer variables from a process environment:
+ * /proc/<pid>/environ on Linux, `ps eww` on macOS.
+ * @returns {Promise<object>} subset of { TMUX, TMUX_PANE, STY, WINDOW }
+ */
+async function readMuxEnv(pid, platform) {
+  const env = {};
+  try {
+    if (platform === 'linux') {
+      const raw = await fs.promises.readFile(path.join(config.PROC_ROOT, String(pid), 'environ'), 'utf8');
+      for (const pair of raw.split('\0')) {
+        const eq = pair.indexOf('=');
+        const key = pair.slice(0, eq);
+        if (eq > 0 && MUX_ENV_KEYS.includes(key)) env[key] = pair.slice(eq + 1);
+      }
+    } else if (platform === 'darwin') {
+      const stdout = await run('ps', ['eww', '-o', 'command=', '-p', String(pid)]);
+      for (const match of stdout.matchAll(/(?:^|\s)(TMUX|TMUX_PANE|STY|WINDOW)=(\S+)/g)) env[match[1]] = match[2];
+    }
+  } catch {
+    // Other users' processes are not readable
+  }
+  return env;
+}
+
+/**
+ * Finds the tmux pane an agent runs in, from TMUX_PANE or by matching its tty.
+ * @returns {Promise<{ socket: string|null, pane: string }|null>}
+ */
+async function findTmuxPane(env, tty) {
+  const socket = env.TMUX ? env.TMUX.split(',')[0] : null;
+  if (env.TMUX_PANE) return { socket, pane: env.TMUX_PANE };
+  if (!tty) return null;
+  try {
+    const stdout = await run('tmux', [...socketArgs(socket), 'list-panes', '-a', '-F', '#{pane_tty} #{pane_id}']);
+    for (const line of stdout.split('\n')) {
+      const [paneTty, pane] = line.trim().split(' ');
+      if (paneTty === tty && pane) return { socket, pane };
+    }
+  } catch {
+    // No tmux server (or no tmux installed)
+  }
+  return null;
+}
+
+function socketArgs(socket) {
+  return socket ? ['-S', socket] : [];
+}
+
+/**
+ * tmux argument lists that type `text` into a pane. Each line is sent
+ * literally (-l, with -- so a leading dash is not read as an option) and
+ * line breaks become Enter key presses.
+ */
+function tmuxSendKeys({ socket, pane }, text, enter) {
+  const base = [...socketArgs(socket), 'send-keys', '-t', pane];
+  const commands = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (i > 0) commands.push([...base, 'Enter']);
+    if (line) commands.push([...base, '-l', '--', line]);
+  });
+  if (enter) commands.push([...base, 'Enter']);
+  return commands;
+}
+
+async function tmuxSend(target, text, enter) {
+  for (const args of tmuxSendKeys(target, text, enter)) await run('tmux', args);
+  return { ok: true };
+}
+
+/**
+ * screen parses backslash and caret escapes in the stuff argument.
+ */
+function escapeScreenStuff(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\^/g, '\\^');
+}
+
+/**
+ * screen arguments that type `text` into a window. Everything after -X is the
+ * command and its arguments, so the text is never read as an option; line
+ * breaks are sent as carriage returns, which is what Enter types.
+ */
+function screenStuffArgs({ session, window }, text, enter) {
+  const escaped = escapeScreenStuff(text).replace(/\r?\n/g, '\r');
+  return ['-S', session, '-p', window || '0', '-X', 'stuff', enter ? escaped + '\r' : escaped];
+}
+
+async function screenSend(target, text, enter) {
+  await run('screen', screenStuffArgs(target, text, enter));
+  return { ok: true };
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: config.INJECTION_COMMAND_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = (stderr || '').trim() || error.message;
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// ==================== PromptInjector ====================
+
+/**
+ * Sends prompts to external Claude processes as if typed at their terminal.
+ *
+ * The method is chosen per agent, most reliable first:
+ *   pty      — the PID belongs to one of our ptyService terminals
+ *   tmux     — the agent runs in a tmux pane (send-keys)
+ *   screen   — the agent runs in a GNU screen window (-X stuff)
+ *   tiocsti  — push bytes into the agent's controlling TTY (Linux/macOS, where permitted)
+ *   console  — AttachConsole + WriteConsoleInputW (Windows)
+ *
+ * Probe results are cached per PID and exposed on the agent payload as
+ * `injection: { method, available, reason }`.
+ */
 class PromptInjector {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.ptyService] - For direct writes to terminals we own
+   * @param {string} [opts.platform] - Defaults to process.platform
+   */
+  constructor(opts = {}) {
+    this._ptyService = opts.ptyService || null;
+    this._platform = opts.platform || process.platform;
+    this._agentLookup = () => null;
+    this._capabilities = new Map(); // pid -> { method, available, reason, target, probedAt }
     // Serialization queue — only one AttachConsole can be active at a time.
     this._queue = Promise.resolve();
   }
 
   /**
-   * Send text to a Claude agent's console as keyboard input.
+   * Provide agent lookup (pid -> agent with tty, parentPid, status).
+   */
+  setAgentLookup(fn) {
+    this._agentLookup = fn;
+  }
+
+  /**
+   * Probe agents as a ProcessMonitor detects them and record the result on
+   * the monitor's agent so it appears in agent payloads.
+   */
+  attach(monitor) {
+    this.setAgentLookup((pid) => monitor.getAgentByPid(pid));
+    monitor.on('agents-updated', ({ added, removed }) => {
+      for (const { pid } of removed) this._capabilities.delete(pid);
+      for (const { pid } of added) {
+        const agent = monitor.getAgentByPid(pid);
+        if (!agent) continue;
+        this.probe(agent).then((capability) => monitor.setAgentInjection(pid, capability));
+      }
+    });
+  }
+
+  /**
+   * Work out how prompts can reach an agent.
+   * @returns {Promise<{ method: string|null, available: boolean, reason: string|null }>}
+   */
+  async probe(agent) {
+    const cached = this._capabilities.get(agent.pid);
+    if (cached && Date.now() - cached.probedAt < config.INJECTION_PROBE_TTL_MS) return publicCapability(cached);
+
+    let capability;
+    try {
+      capability = await this._detect(agent);
+    } catch (err) {
+      capability = { method: null, available: false, reason: err.message };
+    }
+    capability.probedAt = Date.now();
+    this._capabilities.set(agent.pid, capability);
+    logger.debug(`Injection for PID ${agent.pid}: ${capability.method || 'none'}`, { reason: capability.reason });
+    return publicCapability(capability);
+  }
+
+  /**
+   * Last probe result for a PID, or null if it was never probed.
+   */
+  getCapability(pid) {
+    const cached = this._capabilities.get(pid);
+    return cached ? publicCapability(cached) : null;
+  }
+
+  /**
+   * Send text to a Claude agent's terminal as keyboard input.
    * @param {number} pid   - Target process PID
    * @param {string} text  - Text to inject (Enter is appended automatically)
-   * @returns {Promise<{ok: boolean, error?: string}>}
+   * @param {object} [audit] - Input audit fields: { source, clientId, tokenId }
+   * @returns {Promise<{ok: boolean, method?: string, error?: string}>}
+   */
+  sendPrompt(pid, text, audit) {
+    return this._enqueue(pid, text, true, audit);
+  }
+
+  /**
+   * Send raw keystrokes (arrow keys, Space, Enter) to an agent's terminal,
+   * without appending Enter.
+   * @param {number} pid
+   * @param {string} keys
+   * @param {object} [audit] - Input audit fields: { source, clientId, tokenId }
+   * @returns {Promise<{ok: boolean, method?: string, error?: string}>}
    */
-  sendPrompt(pid, text) {
+  sendKeys(pid, keys, audit) {
+    return this._enqueue(pid, keys, false, audit);
+  }
+
+  // --- Internal ---
+
+  _enqueue(pid, text, enter, audit = {}) {
     // Chain onto the serialization queue
     this._queue = this._queue
-      .then(() => this._doSend(pid, text))
+      .then(() => this._doSend(pid, text, enter))
       .catch((err) => {
-        logger.error(`sendPrompt failed for PID ${pid}`, { message: err.message });
+        logger.error(`Injection failed for PID ${pid}`, { message: err.message });
         return { ok: false, error: err.message };
+      })
+      .then((result) => {
+        inputAudit.record({
+          source: 'automation',
+          ...audit,
+          pid,
+          text: enter ? text + '\r' : text,
+          method: result.method,
+          ok: result.ok,
+          error: result.error,
+        });
+        return result;
       });
     return this._queue;
   }
 
-  /**
-   * @private
-   */
-  _doSend(pid, text) {
-    logger.info(`Injecting prompt to PID ${pid} (${text.length} chars)`);
-
-    // Build INPUT_RECORD array for each character + trailing Enter
-    const records = [];
-    for (const ch of text) {
-      const code = ch.charCodeAt(0);
-      // Use vk=0, scan=0 for regular characters — Windows console handles UnicodeChar
-      records.push(...charRecords(code, 0, 0));
+  async _doSend(pid, text, enter) {
+    const agent = this._agentLookup(pid) || { pid };
+    await this.probe(agent);
+    const capability = this._capabilities.get(pid);
+    if (!capability.available) {
+      return { ok: false, error: `Prompt injection unavailable: ${capability.reason}` };
     }
-    // Append Enter
-    records.push(...charRecords(0x0D, VK_RETURN, SCAN_RETURN));
 
-    // --- Attach / Write / Detach ---
-    // FreeConsole first to detach from any current console (e.g. Electron's own)
-    FreeConsole();
+    logger.info(`Injecting ${enter ? 'prompt' : 'keys'} to PID ${pid} via ${capability.method} (${text.length} chars)`);
+    let result;
+    switch (capability.method) {
+      case 'pty':
+        result = this._ptyService.write(capability.target.terminalId, enter ? text + '\r' : text);
+        break;
+      case 'tmux':
+        result = await tmuxSend(capability.target, text, enter);
+        break;
+      case 'screen':
+        result = await screenSend(capability.target, text, enter);
+        break;
+      case 'tiocsti':
+        result = writeTiocsti(this._platform, capability.target.tty, text, enter);
+        break;
+      case 'console':
+        result = writeConsoleInput(pid, text, enter);
+        break;
+      default:
+        result = { ok: false, error: `Unknown injection method ${capability.method}` };
+    }
 
-    try {
-      const attached = AttachConsole(pid);
-      if (!attached) {
-        const msg = `AttachConsole failed for PID ${pid}`;
-        logger.error(msg);
-        return { ok: false, error: msg };
-      }
+    if (!result.ok) {
+      logger.error(`Injection via ${capability.method} failed for PID ${pid}`, { error: result.error });
+      // Re-probe next time: the pane, window or terminal may be gone
+      this._capabilities.delete(pid);
+    }
+    return { ...result, method: capability.method };
+  }
 
-      const handle = GetStdHandle(STD_INPUT_HANDLE);
-      if (!handle || handle === -1) {
-        const msg = `GetStdHandle failed for PID ${pid}`;
-        logger.error(msg);
-        return { ok: false, error: msg };
-      }
+  async _detect(agent) {
+    const terminal = this._findTerminal(agent);
+    if (terminal) return { method: 'pty', available: true, reason: null, target: { terminalId: terminal.id } };
 
-      const written = [0];
-      const ok = WriteConsoleInputW(handle, records, records.length, written);
-      if (!ok) {
-        const msg = `WriteConsoleInputW failed for PID ${pid}`;
-        logger.error(msg);
-        return { ok: false, error: msg };
-      }
+    if (this._platform === 'win32') return { method: 'console', available: true, reason: null };
+    if (this._platform !== 'linux' && this._platform !== 'darwin') {
+      return { method: null, available: false, reason: `Not supported on ${this._platform}` };
+    }
+
+    const env = await readMuxEnv(agent.pid, this._platform);
+    const pane = await findTmuxPane(env, agent.tty);
+    if (pane) return { method: 'tmux', available: true, reason: null, target: pane };
+    if (env.STY) return { method: 'screen', available: true, reason: null, target: { session: env.STY, window: env.WINDOW } };
 
-      logger.info(`Injected ${written[0]} events to PID ${pid}`);
-      return { ok: true };
-    } finally {
-      FreeConsole();
+    if (!agent.tty) return { method: null, available: false, reason: 'Agent has no controlling terminal' };
+    const blocked = tiocstiBlocked(this._platform);
+    if (blocked) return { method: 'tiocsti', available: false, reason: blocked };
+    try {
+      await fs.promises.access(agent.tty, fs.constants.W_OK);
+    } catch {
+      return { method: 'tiocsti', available: false, reason: `No write access to ${agent.tty}` };
     }
+    return { method: 'tiocsti', available: true, reason: null, target: { tty: agent.tty } };
+  }
+
+  /**
+   * Our own terminal running the agent, either directly or as its parent shell.
+   */
+  _findTerminal(agent) {
+    if (!this._ptyService) return null;
+    return this._ptyService.getAll().find(t =>
+      t.status === 'active' && (t.pid === agent.pid || (agent.parentPid && t.pid === agent.parentPid))
+    ) || null;
   }
 }
 
+function publicCapability({ method, available, reason }) {
+  return { method, available, reason };
+}
+
+PromptInjector.readMuxEnv = readMuxEnv;
+PromptInjector.findTmuxPane = findTmuxPane;
+PromptInjector.escapeScreenStuff = escapeScreenStuff;
+PromptInjector.tmuxSendKeys = tmuxSendKeys;
+PromptInjector.screenStuffArgs = screenStuffArgs;
+PromptInjector.tiocstiBlocked = tiocstiBlocked;
+
 module.exports = PromptInjector;
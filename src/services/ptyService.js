@@ -81,6 +81,8 @@ class PtyService extends EventEmitter {
         status: 'active',
         exitCode: null,
         ringBuffer: [],
+        rawTail: [],        // output chunks as received, escape sequences intact
+        rawTailLength: 0,
       };
 
       this._terminals.set(id, session);
@@ -173,6 +175,8 @@ class PtyService extends EventEmitter {
       command: s.command,
       type: s.type,
       meta: s.meta,
+      cols: s.ptyProcess.cols,
+      rows: s.ptyProcess.rows,
       startTime: s.startTime,
       status: s.status,
       exitCode: s.exitCode,
@@ -190,6 +194,8 @@ class PtyService extends EventEmitter {
       command: s.command,
       type: s.type,
       meta: s.meta,
+      cols: s.ptyProcess.cols,
+      rows: s.ptyProcess.rows,
       startTime: s.startTime,
       status: s.status,
       exitCode: s.exitCode,
@@ -205,6 +211,23 @@ class PtyService extends EventEmitter {
     return [...s.ringBuffer];
   }
 
+  /**
+   * Recent raw output (at most PTY_RAW_TAIL_MAX_CHARS), for replaying into a
+   * terminal emulator that attaches late. Starts at a line or escape
+   * sequence boundary where one is near the cut.
+   */
+  getTail(id) {
+    const s = this._terminals.get(id);
+    if (!s) return '';
+    let tail = s.rawTail.join('');
+    if (tail.length > config.PTY_RAW_TAIL_MAX_CHARS) {
+      tail = tail.slice(-config.PTY_RAW_TAIL_MAX_CHARS);
+      const boundary = tail.slice(0, 256).search(/[\n\x1b]/);
+      if (boundary > 0) tail = tail.slice(boundary);
+    }
+    return tail;
+  }
+
   /**
    * Kill all terminals (for shutdown).
    */
@@ -238,6 +261,12 @@ class PtyService extends EventEmitter {
       session.ringBuffer = session.ringBuffer.slice(-config.PTY_RING_BUFFER_MAX_LINES);
     }
 
+    session.rawTail.push(data);
+    session.rawTailLength += data.length;
+    while (session.rawTailLength - session.rawTail[0].length >= config.PTY_RAW_TAIL_MAX_CHARS) {
+      session.rawTailLength -= session.rawTail.shift().length;
+    }
+
     this.emit('terminal-output', { id, pid: session.pid, data });
   }
 
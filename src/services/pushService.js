@@ -0,0 +1,202 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { app } = require('electron');
+const config = require('./config');
+const logger = require('./logger');
+
+const log = logger.create ? logger.create('pushService') : logger;
+
+const PUSH_FILE = 'mobile-push.json';
+
+// Attention states a client can be alerted about
+const PUSH_STATES = ['waiting_input', 'waiting_permission', 'idle', 'stalled', 'error', 'ended'];
+const DEFAULT_STATES = ['waiting_input', 'waiting_permission'];
+
+/**
+ * Normalizes client notification preferences.
+ * Shape: { states: [], projects: [] } — no projects means every project.
+ */
+function normalizePrefs(prefs) {
+  const states = Array.isArray(prefs?.states) ? prefs.states.filter((s) => PUSH_STATES.includes(s)) : DEFAULT_STATES;
+  const projects = Array.isArray(prefs?.projects)
+    ? prefs.projects.map((p) => String(p).trim()).filter(Boolean).slice(0, 100)
+    : [];
+  return { states: Array.from(new Set(states)), projects: Array.from(new Set(projects)) };
+}
+
+/**
+ * Whether a subscription endpoint is an https URL on a known push service,
+ * so the server never posts alerts to an arbitrary host.
+ */
+function isPushEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:') return false;
+  return config.MOBILE_PUSH_HOSTS.some((host) => (host.startsWith('.')
+    ? url.hostname.endsWith(host)
+    : url.hostname === host));
+}
+
+/**
+ * Web Push for the mobile client. VAPID keys are generated once and kept in
+ * userData; each subscription belongs to the token it was created with and
+ * carries its own preferences. Subscriptions die with their token, and when
+ * the push service reports them gone.
+ */
+class PushService {
+  /**
+   * @param {object} tokenStore - TokenStore instance (subscriptions end with their token)
+   */
+  constructor(tokenStore) {
+    this._tokenStore = tokenStore;
+    this._filePath = null;
+    this._data = { version: 1, vapid: null, subscriptions: [] };
+    this._webPush = null;
+  }
+
+  /**
+   * Load keys and subscriptions, generating VAPID keys on first run.
+   * Must be called after app.whenReady().
+   */
+  init() {
+    this._webPush = require('web-push');
+    this._filePath = path.join(app.getPath('userData'), PUSH_FILE);
+
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+        if (data && data.vapid && Array.isArray(data.subscriptions)) {
+          data.subscriptions = data.subscriptions.filter((s) => isPushEndpoint(s.endpoint));
+          this._data = data;
+          log.info('Loaded push subscriptions', { count: data.subscriptions.length });
+        }
+      }
+    } catch (err) {
+      log.warn('Failed to read push file, starting fresh', { message: err.message });
+    }
+
+    if (!this._data.vapid) {
+      this._data = { version: 1, vapid: this._webPush.generateVAPIDKeys(), subscriptions: [] };
+      this._persist();
+      log.info('Generated VAPID keys');
+    }
+
+    this._tokenStore.on('revoked', ({ id }) => {
+      const before = this._data.subscriptions.length;
+      this._data.subscriptions = this._data.subscriptions.filter((s) => s.tokenId !== id);
+      if (this._data.subscriptions.length !== before) this._persist();
+    });
+  }
+
+  /** VAPID public key (base64url), the client's applicationServerKey. */
+  getPublicKey() {
+    return this._data.vapid ? this._data.vapid.publicKey : null;
+  }
+
+  /**
+   * Add a subscription, or update the preferences of a known endpoint.
+   * @param {{ endpoint: string, keys: { p256dh: string, auth: string } }} subscription - PushSubscription JSON
+   * @param {{ tokenId: string, prefs?: object, userAgent?: string }} owner
+   * @returns {{ ok: boolean, prefs?: object, error?: string }}
+   */
+  subscribe(subscription, { tokenId, prefs, userAgent }) {
+    const endpoint = subscription?.endpoint;
+    if (typeof endpoint !== 'string' || !isPushEndpoint(endpoint)) {
+      return { ok: false, error: 'Invalid push subscription: unknown push service' };
+    }
+    if (typeof subscription.keys?.p256dh !== 'string' || typeof subscription.keys?.auth !== 'string') {
+      return { ok: false, error: 'Push subscription keys are missing' };
+    }
+
+    const normalized = normalizePrefs(prefs);
+    const existing = this._data.subscriptions.find((s) => s.endpoint === endpoint);
+    if (existing) {
+      Object.assign(existing, { keys: subscription.keys, tokenId, prefs: normalized });
+    } else {
+      this._data.subscriptions.push({
+        id: crypto.randomUUID(),
+        endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        tokenId,
+        prefs: normalized,
+        userAgent: userAgent || null,
+        createdAt: new Date().toISOString(),
+      });
+      log.info('Push subscription added', { tokenId });
+    }
+    this._persist();
+    return { ok: true, prefs: normalized };
+  }
+
+  /** Preferences of a subscription, or null if the endpoint is unknown. */
+  getPrefs(endpoint) {
+    return this._data.subscriptions.find((s) => s.endpoint === endpoint)?.prefs || null;
+  }
+
+  unsubscribe(endpoint) {
+    const before = this._data.subscriptions.length;
+    this._data.subscriptions = this._data.subscriptions.filter((s) => s.endpoint !== endpoint);
+    if (this._data.subscriptions.length !== before) {
+      this._persist();
+      log.info('Push subscription removed');
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Push an attention transition to every subscription that wants it.
+   * @param {{ state: string, project: string|null, title: string, body: string, tag: string, url?: string }} event
+   */
+  async notify(event) {
+    if (!this._webPush || !this._data.vapid) return;
+    const targets = this._data.subscriptions.filter((s) =>
+      s.prefs.states.includes(event.state)
+      && (s.prefs.projects.length === 0 || s.prefs.projects.includes(event.project))
+      && this._tokenStore.get(s.tokenId));
+    if (targets.length === 0) return;
+
+    const payload = JSON.stringify(event);
+    const options = {
+      TTL: Math.round(config.MOBILE_PUSH_TTL_MS / 1000),
+      vapidDetails: {
+        subject: config.MOBILE_PUSH_SUBJECT,
+        publicKey: this._data.vapid.publicKey,
+        privateKey: this._data.vapid.privateKey,
+      },
+    };
+
+    await Promise.all(targets.map(async (s) => {
+      try {
+        await this._webPush.sendNotification({ endpoint: s.endpoint, keys: s.keys }, payload, options);
+      } catch (err) {
+        // 404 / 410: the browser dropped the subscription
+        if (err.statusCode === 404 || err.statusCode === 410) {
+          this.unsubscribe(s.endpoint);
+        } else {
+          log.warn('Push delivery failed', { statusCode: err.statusCode, message: err.message });
+        }
+      }
+    }));
+  }
+
+  _persist() {
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this._filePath, JSON.stringify(this._data, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    } catch (err) {
+      log.error('Failed to persist push subscriptions', { message: err.message });
+    }
+  }
+}
+
+PushService.STATES = PUSH_STATES;
+
+module.exports = PushService;
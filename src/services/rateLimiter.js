@@ -0,0 +1,92 @@
+/**
+ * Sliding-window counter per key (client IP, token ID, ...).
+ *
+ * Without a lockout, a key over the limit is refused until its oldest event
+ * leaves the window. With `lockoutMs`, going over the limit locks the key for
+ * that long regardless of the window.
+ */
+class RateLimiter {
+  /**
+   * @param {object} opts
+   * @param {number} opts.limit     - Events allowed per window
+   * @param {number} opts.windowMs
+   * @param {number} [opts.lockoutMs]
+   */
+  constructor({ limit, windowMs, lockoutMs = 0 }) {
+    this._limit = limit;
+    this._windowMs = windowMs;
+    this._lockoutMs = lockoutMs;
+    this._events = new Map();   // key -> timestamps, oldest first
+    this._locked = new Map();   // key -> locked until (ms)
+  }
+
+  /**
+   * Milliseconds until the key may act again, or 0 if it is not limited.
+   */
+  retryAfter(key) {
+    const now = Date.now();
+    const until = this._locked.get(key);
+    if (until) {
+      if (until > now) return until - now;
+      this._locked.delete(key);
+      this._events.delete(key);
+    }
+    if (this._lockoutMs) return 0;
+
+    const events = this._recent(key, now);
+    return events.length >= this._limit ? events[0] + this._windowMs - now : 0;
+  }
+
+  /**
+   * Record an event for the key.
+   * @returns {number} Milliseconds until the key may act again (0 = within the limit)
+   */
+  hit(key) {
+    const now = Date.now();
+    const blocked = this.retryAfter(key);
+    if (blocked) return blocked;
+
+    const events = this._recent(key, now);
+    events.push(now);
+    this._events.set(key, events);
+    this._pruneIfLarge(now);
+
+    if (events.length <= this._limit) return 0;
+    if (this._lockoutMs) {
+      this._locked.set(key, now + this._lockoutMs);
+      return this._lockoutMs;
+    }
+    events.pop(); // refused events do not count
+    return events[0] + this._windowMs - now;
+  }
+
+  /** Forget a key: its events and any lockout. */
+  reset(key) {
+    this._events.delete(key);
+    this._locked.delete(key);
+  }
+
+  /** Active lockouts: [{ key, until }] */
+  lockouts() {
+    const now = Date.now();
+    return Array.from(this._locked, ([key, until]) => ({ key, until }))
+      .filter((l) => l.until > now);
+  }
+
+  _recent(key, now) {
+    return (this._events.get(key) || []).filter((t) => t > now - this._windowMs);
+  }
+
+  // Keys seen once (scanners) would otherwise accumulate forever
+  _pruneIfLarge(now) {
+    if (this._events.size < 1000) return;
+    for (const [key, events] of this._events) {
+      if (events[events.length - 1] <= now - this._windowMs) this._events.delete(key);
+    }
+    for (const [key, until] of this._locked) {
+      if (until <= now) this._locked.delete(key);
+    }
+  }
+}
+
+module.exports = RateLimiter;
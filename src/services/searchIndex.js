@@ -0,0 +1,379 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const config = require('./config');
+const { discoverSessions, readTranscriptPage } = require('./sessionWatcher');
+const logger = require('./logger').create('searchIndex');
+
+const INDEX_FILE = 'search-index.json';
+const TERM_RE = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Searchable text of a session line: user and assistant text, tool names
+ * and tool inputs (which carry file paths, commands and patterns).
+ * Tool results and thinking are left out.
+ */
+function searchableText(line) {
+  if (line.type !== 'user' && line.type !== 'assistant') return '';
+  const content = line.message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const parts = [];
+  for (const block of content) {
+    if (block.type === 'text' && block.text) parts.push(block.text);
+    else if (block.type === 'tool_use') {
+      parts.push(block.name || '');
+      for (const value of Object.values(block.input || {})) {
+        parts.push(typeof value === 'string' ? value : JSON.stringify(value));
+      }
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Lower-cased index terms of a text.
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const match of text.toLowerCase().matchAll(TERM_RE)) {
+    const term = match[0];
+    if (term.length >= 2 && term.length <= config.SEARCH_MAX_TERM_LENGTH) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Kind of a matching line, as shown in results: user | assistant | tool.
+ */
+function lineKind(line) {
+  if (line.type === 'user') return 'user';
+  const content = line.message?.content;
+  if (Array.isArray(content) && content.some(b => b.type === 'tool_use')) return 'tool';
+  return 'assistant';
+}
+
+/**
+ * Text around the first match of any word, on one line.
+ */
+function snippet(text, words) {
+  const lower = text.toLowerCase();
+  let at = -1;
+  for (const word of words) {
+    const i = lower.indexOf(word);
+    if (i !== -1 && (at === -1 || i < at)) at = i;
+  }
+  const half = Math.floor(config.SEARCH_SNIPPET_CHARS / 2);
+  const start = Math.max(0, at - half);
+  const end = Math.min(text.length, start + config.SEARCH_SNIPPET_CHARS);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+}
+
+/**
+ * Offline full-text search over every session transcript on disk.
+ *
+ * The index maps terms to the session files containing them; a query
+ * narrows the candidate files through the index and then reads only those
+ * files to find the matching lines and their byte offsets. Session files
+ * are append-only, so each file is indexed incrementally from the last
+ * indexed offset. Live lines from watched sessions are added as they arrive.
+ * Persisted to search-index.json.
+ */
+class SearchIndex {
+  constructor() {
+    this._filePath = null;
+    this._files = new Map();  // sessionFile -> { size, mtime, indexedBytes, cwd, terms: Set }
+    this._postings = new Map(); // term -> Set(sessionFile)
+    this._refreshing = null;
+    this._persistTimer = null;
+    this._startTimer = null;
+    this._rescanTimer = null;
+  }
+
+  init() {
+    const { app } = require('electron');
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, INDEX_FILE);
+    this._load();
+    // Let startup finish before reading every session on disk
+    this._startTimer = setTimeout(() => this.refresh(), config.SEARCH_INDEX_START_DELAY_MS);
+    this._rescanTimer = setInterval(() => this.refresh(), config.SEARCH_INDEX_RESCAN_INTERVAL_MS);
+  }
+
+  /**
+   * Bring the index up to date with the session files on disk.
+   */
+  refresh() {
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * Index a live line from a watched session.
+   */
+  addLine(sessionFile, line) {
+    if (!sessionFile || !line) return;
+    const file = this._files.get(sessionFile) || this._addFile(sessionFile);
+    if (!file.cwd && line.cwd) file.cwd = line.cwd;
+    this._addTerms(sessionFile, file, tokenize(searchableText(line)));
+    this._schedulePersist();
+  }
+
+  /**
+   * Find transcript lines containing every word of the query. The last word
+   * may be a prefix, so results appear while typing.
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {number} [opts.limit] - Max matching lines overall (SEARCH_MAX_RESULTS)
+   * @returns {Promise<{ ok: boolean, query: string, sessions: Array, total: number, truncated: boolean,
+   *   indexedFiles: number, indexing: boolean, error?: string }>}
+   */
+  async search(query, opts = {}) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const terms = tokenize(words.join(' '));
+    const status = { indexedFiles: this._files.size, indexing: Boolean(this._refreshing) };
+    if (terms.length === 0) {
+      return { ok: true, query, sessions: [], total: 0, truncated: false, ...status };
+    }
+
+    const limit = Math.min(Number(opts.limit) || config.SEARCH_MAX_RESULTS, config.SEARCH_MAX_RESULTS);
+    const candidates = this._candidates(terms);
+    const sessions = [];
+    let total = 0;
+    let truncated = false;
+
+    for (const sessionFile of candidates) {
+      if (total >= limit) {
+        truncated = true;
+        break;
+      }
+      let hits;
+      try {
+        hits = await this._matchLines(sessionFile, words, limit - total);
+      } catch (err) {
+        logger.debug('Skipping unreadable session', { sessionFile, error: err.message });
+        continue;
+      }
+      if (hits.length === 0) continue;
+      total += hits.length;
+      const file = this._files.get(sessionFile);
+      sessions.push({
+        sessionFile,
+        sessionId: path.basename(sessionFile, '.jsonl'),
+        projectDir: path.basename(path.dirname(sessionFile)),
+        cwd: file?.cwd || null,
+        lastModified: file?.mtime || null,
+        hits,
+      });
+    }
+
+    return { ok: true, query, sessions, total, truncated, ...status };
+  }
+
+  getStatus() {
+    return { indexedFiles: this._files.size, terms: this._postings.size, indexing: Boolean(this._refreshing) };
+  }
+
+  /**
+   * Write the index to disk synchronously (call on quit).
+   */
+  flush() {
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+      this._persist();
+    }
+  }
+
+  // --- Internal ---
+
+  async _refresh() {
+    const discovered = await discoverSessions();
+    const present = new Set(discovered.map(s => s.sessionFile));
+    let changed = false;
+
+    for (const sessionFile of Array.from(this._files.keys())) {
+      if (!present.has(sessionFile)) {
+        this._removeFile(sessionFile);
+        changed = true;
+      }
+    }
+
+    // One file at a time: thousands of sessions must not compete with the UI
+    for (const session of discovered) {
+      try {
+        if (await this._indexFile(session.sessionFile)) changed = true;
+      } catch (err) {
+        logger.warn('Failed to index session', { sessionFile: session.sessionFile, error: err.message });
+      }
+    }
+
+    if (changed) {
+      this._schedulePersist();
+      logger.info('Search index updated', this.getStatus());
+    }
+  }
+
+  /**
+   * Index whatever was appended to a file since it was last indexed.
+   * A file that shrank was rewritten and is indexed from scratch.
+   * @returns {Promise<boolean>} true if the index changed
+   */
+  async _indexFile(sessionFile) {
+    const stat = await fs.promises.stat(sessionFile);
+    let file = this._files.get(sessionFile);
+    if (file && file.size === stat.size && file.mtime === stat.mtimeMs) return false;
+    if (file && stat.size < file.indexedBytes) {
+      this._removeFile(sessionFile);
+      file = null;
+    }
+    if (!file) file = this._addFile(sessionFile);
+
+    let offset = file.indexedBytes;
+    for (;;) {
+      const page = await readTranscriptPage(sessionFile, { after: offset, limit: config.TRANSCRIPT_PAGE_MAX_LIMIT });
+      for (const { line } of page.entries) {
+        if (!file.cwd && line.cwd) file.cwd = line.cwd;
+        this._addTerms(sessionFile, file, tokenize(searchableText(line)));
+      }
+      offset = page.end;
+      if (!page.hasAfter || page.end === page.start) break;
+    }
+
+    file.indexedBytes = offset;
+    file.size = stat.size;
+    file.mtime = stat.mtimeMs;
+    return true;
+  }
+
+  /**
+   * Files containing every term (the last one by prefix), most recent first.
+   */
+  _candidates(terms) {
+    const exact = terms.slice(0, -1);
+    const last = terms[terms.length - 1];
+
+    const lastFiles = new Set(this._postings.get(last) || []);
+    for (const [term, files] of this._postings) {
+      if (term.length > last.length && term.startsWith(last)) files.forEach(f => lastFiles.add(f));
+    }
+
+    let result = Array.from(lastFiles);
+    for (const term of exact) {
+      const files = this._postings.get(term);
+      if (!files) return [];
+      result = result.filter(f => files.has(f));
+    }
+    return result.sort((a, b) => (this._files.get(b)?.mtime || 0) - (this._files.get(a)?.mtime || 0));
+  }
+
+  /**
+   * Lines of one file whose searchable text contains every word.
+   */
+  async _matchLines(sessionFile, words, max) {
+    const hits = [];
+    const perFile = Math.min(max, config.SEARCH_MAX_HITS_PER_SESSION);
+    let offset = 0;
+
+    for (;;) {
+      const page = await readTranscriptPage(sessionFile, { after: offset, limit: config.TRANSCRIPT_PAGE_MAX_LIMIT });
+      for (const entry of page.entries) {
+        const text = searchableText(entry.line);
+        if (!text) continue;
+        const lower = text.toLowerCase();
+        if (!words.every(w => lower.includes(w))) continue;
+        hits.push({
+          offset: entry.offset,
+          timestamp: entry.line.timestamp || null,
+          kind: lineKind(entry.line),
+          snippet: snippet(text, words),
+        });
+        if (hits.length >= perFile) return hits;
+      }
+      offset = page.end;
+      if (!page.hasAfter || page.end === page.start) break;
+    }
+    return hits;
+  }
+
+  _addFile(sessionFile) {
+    const file = { size: 0, mtime: 0, indexedBytes: 0, cwd: null, terms: new Set() };
+    this._files.set(sessionFile, file);
+    return file;
+  }
+
+  _addTerms(sessionFile, file, terms) {
+    for (const term of terms) {
+      if (file.terms.has(term)) continue;
+      file.terms.add(term);
+      let files = this._postings.get(term);
+      if (!files) this._postings.set(term, files = new Set());
+      files.add(sessionFile);
+    }
+  }
+
+  _removeFile(sessionFile) {
+    const file = this._files.get(sessionFile);
+    if (!file) return;
+    for (const term of file.terms) {
+      const files = this._postings.get(term);
+      if (!files) continue;
+      files.delete(sessionFile);
+      if (files.size === 0) this._postings.delete(term);
+    }
+    this._files.delete(sessionFile);
+  }
+
+  _load() {
+    try {
+      if (!fs.existsSync(this._filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+      for (const [sessionFile, entry] of Object.entries(data.files || {})) {
+        const file = this._addFile(sessionFile);
+        file.size = entry.size;
+        file.mtime = entry.mtime;
+        file.indexedBytes = entry.indexedBytes;
+        file.cwd = entry.cwd || null;
+        this._addTerms(sessionFile, file, entry.terms || []);
+      }
+      logger.info('Loaded search index', this.getStatus());
+    } catch (err) {
+      logger.warn('Failed to load search index, rebuilding', { error: err.message });
+      this._files.clear();
+      this._postings.clear();
+    }
+  }
+
+  _schedulePersist() {
+    if (this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._persist();
+    }, config.SEARCH_INDEX_PERSIST_DEBOUNCE_MS);
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    const files = {};
+    for (const [sessionFile, file] of this._files) {
+      files[sessionFile] = {
+        size: file.size,
+        mtime: file.mtime,
+        indexedBytes: file.indexedBytes,
+        cwd: file.cwd,
+        terms: Array.from(file.terms),
+      };
+    }
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, files }), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist search index', { error: err.message });
+    }
+  }
+}
+
+module.exports = new SearchIndex();
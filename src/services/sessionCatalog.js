@@ -0,0 +1,215 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+const { app } = require('electron');
+const config = require('./config');
+const usageTracker = require('./usageTracker');
+const { discoverSessions } = require('./sessionWatcher');
+const logger = require('./logger').create('sessionCatalog');
+
+const CATALOG_FILE = 'session-catalog.json';
+
+/**
+ * Text of a user message, or null for tool results and injected meta lines.
+ */
+function userPromptText(line) {
+  if (line.isMeta) return null;
+  const content = line.message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content) || content.some(b => b.type === 'tool_result')) return null;
+  const text = content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+  return text || null;
+}
+
+/**
+ * Reads a session JSONL once and summarizes it. Token counts are
+ * deduplicated by message id the same way as UsageTracker.
+ */
+function summarizeSessionFile(filePath) {
+  const summary = {
+    cwd: null,
+    firstPrompt: null,
+    userMessages: 0,
+    assistantMessages: 0,
+    startTime: null,
+    endTime: null,
+    tools: {},
+    byModel: {},
+  };
+  const messages = new Map(); // message id -> { model, tokens }
+
+  const onLine = (line) => {
+    if (!summary.cwd && line.cwd) summary.cwd = line.cwd;
+    const at = line.timestamp ? new Date(line.timestamp).getTime() : NaN;
+    if (!isNaN(at)) {
+      if (!summary.startTime || at < summary.startTime) summary.startTime = at;
+      if (!summary.endTime || at > summary.endTime) summary.endTime = at;
+    }
+
+    if (line.type === 'user') {
+      const text = userPromptText(line);
+      if (text === null) return;
+      summary.userMessages++;
+      if (!summary.firstPrompt) summary.firstPrompt = text.trim().slice(0, config.SESSION_CATALOG_PROMPT_CHARS);
+      return;
+    }
+    if (line.type !== 'assistant' || !line.message) return;
+
+    const message = line.message;
+    const id = message.id || line.requestId || line.uuid;
+    if (!messages.has(id)) {
+      summary.assistantMessages++;
+      messages.set(id, { model: message.model || 'unknown', tokens: {} });
+    }
+    for (const block of Array.isArray(message.content) ? message.content : []) {
+      if (block.type === 'tool_use' && block.name) summary.tools[block.name] = (summary.tools[block.name] || 0) + 1;
+    }
+    const usage = message.usage;
+    if (usage) {
+      const entry = messages.get(id);
+      const counts = {
+        input: usage.input_tokens || 0,
+        output: usage.output_tokens || 0,
+        cacheRead: usage.cache_read_input_tokens || 0,
+        cacheCreation: usage.cache_creation_input_tokens || 0,
+      };
+      for (const [k, v] of Object.entries(counts)) entry.tokens[k] = Math.max(entry.tokens[k] || 0, v);
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    rl.on('line', (raw) => {
+      const trimmed = raw.trim();
+      if (!trimmed) return;
+      try {
+        onLine(JSON.parse(trimmed));
+      } catch {
+        // Partial or corrupt line
+      }
+    });
+    rl.on('close', () => {
+      for (const { model, tokens } of messages.values()) {
+        const bucket = summary.byModel[model] || (summary.byModel[model] = { input: 0, output: 0, cacheRead: 0, cacheCreation: 0 });
+        for (const [k, v] of Object.entries(tokens)) bucket[k] += v;
+      }
+      resolve(summary);
+    });
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Catalog of every Claude session on disk, live or not. Per-file summaries
+ * are cached in session-catalog.json and only recomputed when a file's
+ * size or mtime changes.
+ */
+class SessionCatalog {
+  constructor() {
+    this._filePath = null;
+    this._cache = {};        // sessionFile -> { size, mtime, summary }
+    this._scanning = null;   // in-flight list() promise
+  }
+
+  init() {
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, CATALOG_FILE);
+    this._load();
+  }
+
+  /**
+   * All sessions, most recently active first, with cost priced at the current rates.
+   */
+  list() {
+    if (!this._scanning) {
+      this._scanning = this._scan().finally(() => { this._scanning = null; });
+    }
+    return this._scanning;
+  }
+
+  // --- Internal ---
+
+  async _scan() {
+    const discovered = await discoverSessions();
+    const next = {};
+    let changed = false;
+
+    // Sequential on purpose: session files can be large
+    for (const session of discovered) {
+      let stat;
+      try {
+        stat = await fs.promises.stat(session.sessionFile);
+      } catch {
+        continue;
+      }
+      const cached = this._cache[session.sessionFile];
+      if (cached && cached.size === stat.size && cached.mtime === stat.mtimeMs) {
+        next[session.sessionFile] = cached;
+        continue;
+      }
+      try {
+        const summary = await summarizeSessionFile(session.sessionFile);
+        next[session.sessionFile] = { size: stat.size, mtime: stat.mtimeMs, summary };
+        changed = true;
+      } catch (err) {
+        logger.warn('Failed to summarize session', { sessionFile: session.sessionFile, error: err.message });
+      }
+    }
+
+    if (changed || Object.keys(next).length !== Object.keys(this._cache).length) {
+      this._cache = next;
+      this._persist();
+    }
+
+    return discovered
+      .filter(s => next[s.sessionFile])
+      .map(s => this._serialize(s, next[s.sessionFile]));
+  }
+
+  _serialize(session, entry) {
+    const { summary } = entry;
+    const usage = usageTracker.summarizeTokens(summary.byModel);
+    return {
+      sessionId: session.sessionId,
+      sessionFile: session.sessionFile,
+      projectDir: session.projectPath,
+      cwd: summary.cwd,
+      firstPrompt: summary.firstPrompt,
+      messageCount: summary.userMessages + summary.assistantMessages,
+      userMessages: summary.userMessages,
+      assistantMessages: summary.assistantMessages,
+      startTime: summary.startTime,
+      endTime: summary.endTime || session.lastModified,
+      durationMs: summary.startTime && summary.endTime ? summary.endTime - summary.startTime : 0,
+      tools: summary.tools,
+      usage,
+      size: entry.size,
+      lastModified: session.lastModified,
+    };
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+        if (data.sessions && typeof data.sessions === 'object') this._cache = data.sessions;
+      }
+    } catch (err) {
+      logger.warn('Failed to load session catalog', { error: err.message });
+    }
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, sessions: this._cache }), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist session catalog', { error: err.message });
+    }
+  }
+}
+
+module.exports = new SessionCatalog();
@@ -57,9 +57,18 @@ async function discoverSessions() {
   return sessions;
 }
 
+/**
+ * Encodes an absolute working directory the way Claude names its
+ * project folders (every non-alphanumeric character becomes '-').
+ */
+function encodeProjectPath(cwd) {
+  return cwd.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
 /**
  * Attempts to correlate an agent (by startTime) with a session file.
  * @param {object} agent - The agent to correlate
+ * @param {string} [agent.cwd] - Absolute working directory; restricts candidates to its project folder
  * @param {Array} sessions - Discovered session files
  * @param {Set} [claimedFiles] - Session file paths already assigned to other agents
  * Returns the best matching session or null.
@@ -68,12 +77,16 @@ async function correlateAgentSession(agent, sessions, claimedFiles) {
   if (!agent.startTime) return null;
 
   const agentStartMs = agent.startTime.getTime();
+  const projectDir = agent.cwd && path.isAbsolute(agent.cwd)
+    ? encodeProjectPath(agent.cwd)
+    : null;
 
   // Filter out already-claimed sessions and find candidates:
   // Accept any session modified after the agent started (with 60s grace)
   // OR modified in the last 30 minutes
   const candidates = sessions.filter((s) => {
     if (claimedFiles && claimedFiles.has(s.sessionFile)) return false;
+    if (projectDir && s.projectPath !== projectDir) return false;
     const modifiedAfterStart = s.lastModified >= (agentStartMs - 60000);
     const isRecentlyActive = Date.now() - s.lastModified < 30 * 60 * 1000;
     return modifiedAfterStart || isRecentlyActive;
@@ -116,6 +129,50 @@ async function correlateAgentSession(agent, sessions, claimedFiles) {
   return candidates[0];
 }
 
+/**
+ * Finds the file a `claude --resume <sessionId>` run writes to: a file
+ * created since the resume that carries the resumed conversation (some CLI
+ * versions continue in a new session), else <sessionId>.jsonl itself.
+ * Never falls back to an unrelated session.
+ * @param {object} agent
+ * @param {string} agent.sessionId - The resumed session
+ * @param {string} agent.cwd - Absolute working directory
+ * @param {Date} agent.startTime - When the resume was launched
+ * @param {Array} sessions - Discovered session files
+ * @param {Set} [claimedFiles] - Session file paths already assigned to other agents
+ */
+async function findResumedSession(agent, sessions, claimedFiles) {
+  const projectDir = encodeProjectPath(agent.cwd);
+  const startMs = agent.startTime.getTime();
+  const candidates = sessions.filter((s) => s.projectPath === projectDir
+    && !(claimedFiles && claimedFiles.has(s.sessionFile)));
+
+  for (const candidate of candidates) {
+    if (candidate.sessionId === agent.sessionId) continue;
+    if ((candidate.birthTime || candidate.lastModified) < startMs) continue;
+    if (await fileHeadIncludes(candidate.sessionFile, agent.sessionId)) {
+      return { ...candidate, lastLine: await readLastJsonlLine(candidate.sessionFile) };
+    }
+  }
+
+  const original = candidates.find((s) => s.sessionId === agent.sessionId);
+  return original ? { ...original, lastLine: await readLastJsonlLine(original.sessionFile) } : null;
+}
+
+async function fileHeadIncludes(filePath, text) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const buf = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+    return buf.toString('utf8', 0, bytesRead).includes(text);
+  } catch {
+    return false;
+  } finally {
+    await handle?.close();
+  }
+}
+
 /**
  * Reads the last non-empty line from a JSONL file and parses it.
  */
@@ -147,6 +204,139 @@ async function readLastJsonlLine(filePath) {
   });
 }
 
+/**
+ * Resolves a path and checks that it is a session JSONL inside
+ * CLAUDE_PROJECTS_DIR. Returns the resolved path or null.
+ */
+function resolveSessionFile(filePath) {
+  if (!filePath || typeof filePath !== 'string') return null;
+  const resolved = path.resolve(filePath);
+  const root = path.resolve(config.CLAUDE_PROJECTS_DIR) + path.sep;
+  if (!resolved.startsWith(root) || !resolved.endsWith('.jsonl')) return null;
+  return resolved;
+}
+
+function parseTranscriptLine(buf, start, end, offset) {
+  const text = buf.toString('utf8', start, end).trim();
+  if (!text) return null;
+  try {
+    return { offset, line: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads complete lines forward from a line-start offset.
+ */
+async function readTranscriptForward(handle, size, after, limit) {
+  const entries = [];
+  let buf = Buffer.alloc(0);
+  let pos = after;
+  let consumed = after;
+  let lineCount = 0;
+
+  while (lineCount < limit && pos < size) {
+    const chunk = Buffer.alloc(Math.min(config.TRANSCRIPT_READ_CHUNK_BYTES, size - pos));
+    const { bytesRead } = await handle.read(chunk, 0, chunk.length, pos);
+    if (bytesRead === 0) break;
+    pos += bytesRead;
+    buf = Buffer.concat([buf, chunk.subarray(0, bytesRead)]);
+
+    let nl;
+    while (lineCount < limit && (nl = buf.indexOf(10)) !== -1) {
+      const entry = parseTranscriptLine(buf, 0, nl, consumed);
+      if (entry) entries.push(entry);
+      lineCount++;
+      consumed += nl + 1;
+      buf = buf.subarray(nl + 1);
+    }
+  }
+
+  return { entries, start: after, end: consumed, size, hasBefore: after > 0, hasAfter: consumed < size };
+}
+
+/**
+ * Reads complete lines backward from a line-end offset. A trailing line
+ * without a newline (still being written) is left for the next forward read.
+ */
+async function readTranscriptBackward(handle, size, before, limit) {
+  let buf = Buffer.alloc(0);
+  let bufStart = before;
+  let newlines = 0;
+
+  // limit lines need limit + 1 newlines: the extra one marks where the first line starts
+  while (bufStart > 0 && newlines <= limit) {
+    const readStart = Math.max(0, bufStart - config.TRANSCRIPT_READ_CHUNK_BYTES);
+    const chunk = Buffer.alloc(bufStart - readStart);
+    await handle.read(chunk, 0, chunk.length, readStart);
+    for (const byte of chunk) if (byte === 10) newlines++;
+    buf = Buffer.concat([chunk, buf]);
+    bufStart = readStart;
+  }
+
+  let endIdx = buf.length;
+  if (endIdx > 0 && buf[endIdx - 1] !== 10) endIdx = buf.lastIndexOf(10) + 1;
+
+  const segments = [];
+  let lineEnd = endIdx - 1; // index of the newline ending the current line
+  while (segments.length < limit && lineEnd >= 0) {
+    const prevNl = lineEnd > 0 ? buf.lastIndexOf(10, lineEnd - 1) : -1;
+    if (prevNl === -1 && bufStart > 0) break;
+    segments.push({ start: prevNl + 1, end: lineEnd });
+    lineEnd = prevNl;
+  }
+  segments.reverse();
+
+  const entries = [];
+  for (const seg of segments) {
+    const entry = parseTranscriptLine(buf, seg.start, seg.end, bufStart + seg.start);
+    if (entry) entries.push(entry);
+  }
+
+  const start = segments.length > 0 ? bufStart + segments[0].start : bufStart + endIdx;
+  const end = bufStart + endIdx;
+  return { entries, start, end, size, hasBefore: start > 0, hasAfter: end < size };
+}
+
+/**
+ * Reads one page of a session transcript by byte offset, so the whole
+ * file can be browsed without loading it into memory.
+ *
+ * Pass `before` (a previous page's `start`) to page backward, or `after`
+ * (a previous page's `end`) to page forward / tail new lines. With neither,
+ * the last page of the file is returned.
+ *
+ * @param {string} filePath - Session JSONL
+ * @param {object} [opts]
+ * @param {number} [opts.before] - Return lines ending at or before this offset
+ * @param {number} [opts.after] - Return lines starting at or after this offset
+ * @param {number} [opts.limit] - Max lines (TRANSCRIPT_PAGE_DEFAULT_LIMIT)
+ * @returns {Promise<{ entries: Array<{ offset: number, line: object }>, start: number, end: number,
+ *   size: number, hasBefore: boolean, hasAfter: boolean }>}
+ */
+async function readTranscriptPage(filePath, opts = {}) {
+  const limit = Math.max(1, Math.min(
+    parseInt(opts.limit, 10) || config.TRANSCRIPT_PAGE_DEFAULT_LIMIT,
+    config.TRANSCRIPT_PAGE_MAX_LIMIT,
+  ));
+  const clamp = (n, size) => Math.max(0, Math.min(parseInt(n, 10) || 0, size));
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (opts.after !== undefined && opts.after !== null && opts.after !== '') {
+      return await readTranscriptForward(handle, size, clamp(opts.after, size), limit);
+    }
+    const before = opts.before === undefined || opts.before === null || opts.before === ''
+      ? size
+      : clamp(opts.before, size);
+    return await readTranscriptBackward(handle, size, before, limit);
+  } finally {
+    await handle.close();
+  }
+}
+
 /**
  * Watches a JSONL file for new lines appended at the end.
  * Returns a cleanup function to stop watching.
@@ -217,4 +407,12 @@ function watchSession(sessionFilePath, onNewLine) {
   };
 }
 
-module.exports = { discoverSessions, correlateAgentSession, watchSession };
+module.exports = {
+  discoverSessions,
+  correlateAgentSession,
+  findResumedSession,
+  watchSession,
+  encodeProjectPath,
+  resolveSessionFile,
+  readTranscriptPage,
+};
@@ -1,83 +1,351 @@
 const crypto = require('node:crypto');
 const fs = require('node:fs');
 const path = require('node:path');
+const { EventEmitter } = require('node:events');
 const { app } = require('electron');
+const config = require('./config');
 const logger = require('./logger');
 
 const log = logger.create ? logger.create('tokenStore') : logger;
 
-const TOKEN_FILE = 'mobile-token.json';
+const TOKENS_FILE = 'mobile-tokens.json';
+const LEGACY_TOKEN_FILE = 'mobile-token.json';
 
-class TokenStore {
+// Ordered: each scope includes everything the scopes before it allow
+const SCOPES = ['read', 'prompt', 'control', 'admin'];
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret), 'utf-8').digest();
+}
+
+// Constant-time lookup so response timing reveals nothing about stored secrets
+function findByHash(items, candidateHash, hashOf) {
+  let match = null;
+  for (const item of items) {
+    if (crypto.timingSafeEqual(candidateHash, hashOf(item)) && !match) match = item;
+  }
+  return match;
+}
+
+/** Token record without its secret hash, as handed to the UI and API clients. */
+function publicToken(t) {
+  const { secretHash, ...rest } = t;
+  return { ...rest, expired: isExpired(t), active: isActive(t) };
+}
+
+function isExpired(t) {
+  return Boolean(t.expiresAt) && Date.parse(t.expiresAt) <= Date.now();
+}
+
+function isActive(t) {
+  return !t.revokedAt && !isExpired(t);
+}
+
+/**
+ * Named bearer tokens for the mobile server, each with a scope
+ * (read < prompt < control < admin), an optional expiry and a last-used time.
+ * Revoked tokens are kept, inactive, until deleted.
+ *
+ * Phones do not hold the token itself: the desktop issues a short-lived,
+ * one-time pairing (6-digit code, or a nonce in a QR link) for a token, and
+ * the phone exchanges it for a cookie session acting with that token's scope.
+ * Sessions are stored hashed and end with their token.
+ *
+ * Events: 'revoked' ({ id }) — the server drops that token's sockets.
+ */
+class TokenStore extends EventEmitter {
   constructor() {
-    this._token = null;
+    super();
     this._filePath = null;
+    this._data = { version: 1, tokens: [], sessions: [] };
+    this._pairings = [];        // { code, nonce, tokenId, expiresAt } — in memory only
+    this._failedPairings = 0;
+    this._persistTimer = null;
   }
 
   /**
-   * Initialise the store: load existing token or generate a new one.
+   * Load tokens from disk, importing the single legacy token as an admin
+   * token so already paired devices keep working.
    * Must be called after app.whenReady().
    */
   init() {
     const dir = app.getPath('userData');
-    this._filePath = path.join(dir, TOKEN_FILE);
+    this._filePath = path.join(dir, TOKENS_FILE);
 
     try {
       if (fs.existsSync(this._filePath)) {
         const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
-        if (data.token && typeof data.token === 'string' && data.token.length === 64) {
-          this._token = data.token;
-          log.info('Loaded existing mobile token');
+        if (data && Array.isArray(data.tokens)) {
+          this._data = { ...data, sessions: Array.isArray(data.sessions) ? data.sessions : [] };
+          // Older files kept raw secrets
+          for (const t of this._data.tokens) {
+            if (t.secret) {
+              t.secretHash = hashSecret(t.secret).toString('hex');
+              delete t.secret;
+            }
+          }
+          this._pruneSessions();
+          this._persist();
+          log.info('Loaded mobile tokens', { count: data.tokens.length, sessions: this._data.sessions.length });
           return;
         }
       }
     } catch (err) {
-      log.warn('Failed to read token file, generating new token', { message: err.message });
+      log.warn('Failed to read tokens file, starting empty', { message: err.message });
     }
 
-    this._token = crypto.randomBytes(32).toString('hex');
+    this._data = { version: 1, tokens: [], sessions: [] };
+    const legacyPath = path.join(dir, LEGACY_TOKEN_FILE);
+    try {
+      if (fs.existsSync(legacyPath)) {
+        const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf-8'));
+        if (legacy.token && typeof legacy.token === 'string' && legacy.token.length === 64) {
+          this._data.tokens.push(this._newRecord('Default', 'admin', null, legacy.token));
+          log.info('Imported legacy mobile token as admin token');
+        }
+      }
+    } catch (err) {
+      log.warn('Failed to import legacy token', { message: err.message });
+    }
     this._persist();
-    log.info('Generated new mobile token');
   }
 
-  /** Returns the current bearer token. */
-  getToken() {
-    return this._token;
+  /** All tokens (secrets omitted), newest first. */
+  list() {
+    return this._data.tokens.map(publicToken).reverse();
   }
 
-  /** Validates a candidate token against the stored one. */
-  validate(candidate) {
-    if (!this._token || !candidate) return false;
-    // Constant-time comparison to prevent timing attacks
-    try {
-      return crypto.timingSafeEqual(
-        Buffer.from(this._token, 'utf-8'),
-        Buffer.from(candidate, 'utf-8'),
-      );
-    } catch {
-      return false;
+  /**
+   * Create a token. Only a hash is stored: the secret is returned once, here.
+   * @param {{ name: string, scope: string, expiresAt?: string|null }} opts
+   * @returns {{ ok: boolean, token?: object, secret?: string, error?: string }}
+   */
+  create({ name, scope, expiresAt } = {}) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) return { ok: false, error: 'Name is required' };
+    if (!SCOPES.includes(scope)) return { ok: false, error: `Scope must be one of: ${SCOPES.join(', ')}` };
+
+    let expiry = null;
+    if (expiresAt) {
+      const ms = Date.parse(expiresAt);
+      if (Number.isNaN(ms)) return { ok: false, error: 'Invalid expiry date' };
+      if (ms <= Date.now()) return { ok: false, error: 'Expiry must be in the future' };
+      expiry = new Date(ms).toISOString();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const record = this._newRecord(trimmed, scope, expiry, secret);
+    this._data.tokens.push(record);
+    this._persist();
+    log.info('Mobile token created', { id: record.id, name: record.name, scope });
+    return { ok: true, token: publicToken(record), secret };
+  }
+
+  /**
+   * Revoke a token; clients using it are rejected from now on.
+   * @returns {{ ok: boolean, error?: string }}
+   */
+  revoke(id) {
+    const record = this._data.tokens.find((t) => t.id === id);
+    if (!record) return { ok: false, error: 'Token not found' };
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this._data.sessions = this._data.sessions.filter((s) => s.tokenId !== id);
+      this._pairings = this._pairings.filter((p) => p.tokenId !== id);
+      this._persist();
+      log.info('Mobile token revoked', { id, name: record.name });
+      this.emit('revoked', { id });
     }
+    return { ok: true };
+  }
+
+  /**
+   * Delete a token record entirely (revoking it first).
+   * @returns {{ ok: boolean, error?: string }}
+   */
+  remove(id) {
+    const result = this.revoke(id);
+    if (!result.ok) return result;
+    this._data.tokens = this._data.tokens.filter((t) => t.id !== id);
+    this._persist();
+    return { ok: true };
+  }
+
+  /** The token (secret omitted) if it exists and is still active, else null. */
+  get(id) {
+    const record = this._data.tokens.find((t) => t.id === id);
+    return record && isActive(record) ? publicToken(record) : null;
+  }
+
+  /**
+   * Look up an active token by its secret and mark it used.
+   * @returns {object|null} The token (secret omitted)
+   */
+  authenticate(candidate) {
+    if (!candidate || typeof candidate !== 'string') return null;
+    const match = findByHash(this._data.tokens, hashSecret(candidate), (t) => Buffer.from(t.secretHash, 'hex'));
+    if (!match || !isActive(match)) return null;
+
+    match.lastUsedAt = new Date().toISOString();
+    this._schedulePersist();
+    return publicToken(match);
+  }
+
+  /**
+   * Issue a one-time pairing for a token, replacing any pending one.
+   * @returns {{ ok: boolean, code?: string, nonce?: string, expiresAt?: string, error?: string }}
+   */
+  createPairing(tokenId) {
+    if (!this.get(tokenId)) return { ok: false, error: 'Token is revoked, expired or missing' };
+    this._prunePairings();
+
+    let code;
+    do {
+      code = String(crypto.randomInt(0, 1_000_000)).padStart(6, '0');
+    } while (this._pairings.some((p) => p.code === code));
+
+    const pairing = {
+      code,
+      nonce: crypto.randomBytes(24).toString('hex'),
+      tokenId,
+      expiresAt: Date.now() + config.MOBILE_PAIRING_TTL_MS,
+    };
+    this._pairings = this._pairings.filter((p) => p.tokenId !== tokenId);
+    this._pairings.push(pairing);
+    log.info('Pairing issued', { tokenId });
+    return { ok: true, code, nonce: pairing.nonce, expiresAt: new Date(pairing.expiresAt).toISOString() };
   }
 
-  /** Regenerates the token and persists to disk. */
-  regenerate() {
-    this._token = crypto.randomBytes(32).toString('hex');
+  /**
+   * Exchange a pairing code or nonce for a session. The pairing is consumed.
+   * Too many wrong codes cancel every pending pairing, so codes cannot be
+   * guessed within their lifetime.
+   * @param {{ code?: string, nonce?: string }} pairing
+   * @param {{ userAgent?: string, clientId?: string }} [client]
+   * @returns {{ ok: boolean, session?: string, expiresAt?: string, token?: object, error?: string }}
+   */
+  exchangePairing({ code, nonce } = {}, client = {}) {
+    this._prunePairings();
+    const field = code ? 'code' : 'nonce';
+    const candidate = code || nonce;
+    const pairing = typeof candidate === 'string'
+      ? findByHash(this._pairings, hashSecret(candidate), (p) => hashSecret(p[field]))
+      : null;
+
+    if (!pairing) {
+      this._failedPairings++;
+      if (this._failedPairings >= config.MOBILE_PAIRING_MAX_FAILURES) {
+        this._pairings = [];
+        this._failedPairings = 0;
+        log.warn('Too many failed pairing attempts; pending pairings cancelled');
+      }
+      return { ok: false, error: 'Invalid or expired pairing code' };
+    }
+
+    this._pairings = this._pairings.filter((p) => p !== pairing);
+    this._failedPairings = 0;
+    const token = this._data.tokens.find((t) => t.id === pairing.tokenId);
+    if (!token || !isActive(token)) return { ok: false, error: 'Invalid or expired pairing code' };
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = {
+      id: crypto.randomUUID(),
+      tokenId: token.id,
+      secretHash: hashSecret(secret).toString('hex'),
+      userAgent: client.userAgent || null,
+      clientId: client.clientId || null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + config.MOBILE_SESSION_TTL_MS).toISOString(),
+      lastUsedAt: null,
+    };
+    this._pruneSessions();
+    this._data.sessions.push(session);
     this._persist();
-    log.info('Regenerated mobile token');
-    return this._token;
+    log.info('Device paired', { tokenId: token.id, sessionId: session.id });
+    return { ok: true, session: secret, expiresAt: session.expiresAt, token: publicToken(token) };
+  }
+
+  /**
+   * Look up a live session by its cookie secret and mark it (and its token) used.
+   * @returns {{ token: object, sessionId: string }|null}
+   */
+  authenticateSession(candidate) {
+    if (!candidate || typeof candidate !== 'string') return null;
+    const session = findByHash(this._data.sessions, hashSecret(candidate), (s) => Buffer.from(s.secretHash, 'hex'));
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+    const token = this._data.tokens.find((t) => t.id === session.tokenId);
+    if (!token || !isActive(token)) return null;
+
+    const now = new Date().toISOString();
+    session.lastUsedAt = now;
+    token.lastUsedAt = now;
+    this._schedulePersist();
+    return { token: publicToken(token), sessionId: session.id };
+  }
+
+  /** End a session (sign out). */
+  endSession(sessionId) {
+    const before = this._data.sessions.length;
+    this._data.sessions = this._data.sessions.filter((s) => s.id !== sessionId);
+    if (this._data.sessions.length !== before) this._persist();
+  }
+
+  /** Whether a token's scope includes the required scope. */
+  hasScope(token, required) {
+    return Boolean(token) && SCOPES.indexOf(token.scope) >= SCOPES.indexOf(required);
+  }
+
+  /** Write pending last-used times (call on quit). */
+  flush() {
+    if (this._persistTimer) this._persist();
+  }
+
+  _prunePairings() {
+    const now = Date.now();
+    this._pairings = this._pairings.filter((p) => p.expiresAt > now);
+  }
+
+  _pruneSessions() {
+    const now = Date.now();
+    this._data.sessions = this._data.sessions.filter((s) => Date.parse(s.expiresAt) > now);
+  }
+
+  _newRecord(name, scope, expiresAt, secret) {
+    return {
+      id: crypto.randomUUID(),
+      name,
+      scope,
+      secretHash: hashSecret(secret).toString('hex'),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+  }
+
+  // Last-used times change on every request; batch those writes
+  _schedulePersist() {
+    if (this._persistTimer) return;
+    this._persistTimer = setTimeout(() => this._persist(), config.MOBILE_TOKEN_PERSIST_DEBOUNCE_MS);
   }
 
   _persist() {
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
     try {
       const dir = path.dirname(this._filePath);
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
-      fs.writeFileSync(this._filePath, JSON.stringify({ token: this._token }), 'utf-8');
+      fs.writeFileSync(this._filePath, JSON.stringify(this._data, null, 2), { encoding: 'utf-8', mode: 0o600 });
     } catch (err) {
-      log.error('Failed to persist token', { message: err.message });
+      log.error('Failed to persist tokens', { message: err.message });
     }
   }
 }
 
+TokenStore.SCOPES = SCOPES;
+
 module.exports = TokenStore;
@@ -34,8 +34,10 @@ class TunnelManager extends EventEmitter {
    * Requires `cloudflared` to be installed and on PATH.
    *
    * @param {number} localPort - The local port to expose (e.g. 7700)
+   * @param {object} [opts]
+   * @param {boolean} [opts.https] - The local server uses a self-signed certificate
    */
-  start(localPort) {
+  start(localPort, opts = {}) {
     if (this._running) {
       logger.warn('Tunnel already running');
       return;
@@ -44,11 +46,15 @@ class TunnelManager extends EventEmitter {
     this._url = null;
     this._running = true;
 
-    const localUrl = `http://localhost:${localPort}`;
+    const localUrl = `${opts.https ? 'https' : 'http'}://localhost:${localPort}`;
     logger.info(`Starting cloudflared tunnel for ${localUrl}`);
 
+    // The origin certificate is self-signed; cloudflared cannot verify it
+    const args = ['tunnel', '--url', localUrl];
+    if (opts.https) args.push('--no-tls-verify');
+
     try {
-      this._proc = spawn('cloudflared', ['tunnel', '--url', localUrl], {
+      this._proc = spawn('cloudflared', args, {
         stdio: ['ignore', 'pipe', 'pipe'],
         windowsHide: true,
       });
@@ -0,0 +1,421 @@
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+const config = require('./config');
+const logger = require('./logger').create('usageTracker');
+
+const USAGE_FILE = 'usage.json';
+const PRICES_FILE = 'usage-prices.json';
+const TOKEN_KEYS = ['input', 'output', 'cacheRead', 'cacheCreation'];
+
+function emptyTokens() {
+  return { input: 0, output: 0, cacheRead: 0, cacheCreation: 0 };
+}
+
+/**
+ * Reads the token counts from a message.usage block.
+ */
+function readTokens(usage) {
+  return {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheCreation: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+/**
+ * Local calendar day (YYYY-MM-DD) of a JSONL timestamp.
+ */
+function dayKey(timestamp) {
+  const d = timestamp ? new Date(timestamp) : new Date();
+  const valid = isNaN(d.getTime()) ? new Date() : d;
+  const pad = n => String(n).padStart(2, '0');
+  return `${valid.getFullYear()}-${pad(valid.getMonth() + 1)}-${pad(valid.getDate())}`;
+}
+
+/**
+ * Validates a price table: { modelSubstring: { input, output, cacheRead, cacheCreation } }
+ * in USD per million tokens.
+ */
+function validatePrices(prices) {
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    return { ok: false, error: 'Prices must be an object keyed by model' };
+  }
+  const normalized = {};
+  for (const [model, entry] of Object.entries(prices)) {
+    const key = model.trim();
+    if (!key) return { ok: false, error: 'Model key must not be empty' };
+    if (!entry || typeof entry !== 'object') return { ok: false, error: `${key}: price entry must be an object` };
+    normalized[key] = {};
+    for (const k of TOKEN_KEYS) {
+      const value = Number(entry[k] ?? 0);
+      if (!Number.isFinite(value) || value < 0) {
+        return { ok: false, error: `${key}: ${k} must be a non-negative number` };
+      }
+      normalized[key][k] = value;
+    }
+  }
+  return { ok: true, prices: normalized };
+}
+
+/**
+ * Token and cost accounting for Claude sessions, fed by session JSONL lines.
+ *
+ * Usage is stored per session, per day, per model (usage.json); agent,
+ * project and daily totals are aggregated from those records on demand.
+ * Claude writes one JSONL line per content block, all carrying the same
+ * message.id and usage, so lines are deduplicated by message id.
+ *
+ * Emits:
+ *   usage-updated  { sessionId, usage }
+ */
+class UsageTracker extends EventEmitter {
+  constructor() {
+    super();
+    this._filePath = null;
+    this._pricesPath = null;
+    this._sessions = {};          // sessionId -> { sessionId, projectPath, projectId, firstSeen, lastSeen, byDay }
+    this._seen = new Map();       // sessionId -> Map(messageId -> { day, model, tokens })
+    this._backfilling = new Map(); // sessionId -> lines received while the file is being read
+    this._customPrices = null;
+    this._persistTimer = null;
+  }
+
+  init() {
+    const { app } = require('electron');
+    const dir = app.getPath('userData');
+    this._filePath = path.join(dir, USAGE_FILE);
+    this._pricesPath = path.join(dir, PRICES_FILE);
+    this._load();
+  }
+
+  /**
+   * Start accounting for a session. Re-reads the whole session file so
+   * totals are exact even if lines were written while nobody was watching.
+   * @param {string} sessionId
+   * @param {string} sessionFile - Path to the session JSONL
+   * @param {object} [meta]
+   * @param {string} [meta.projectPath] - Encoded ~/.claude/projects folder name
+   * @param {string} [meta.projectId] - Registry project of a managed agent
+   */
+  async trackSession(sessionId, sessionFile, meta = {}) {
+    if (!sessionId || !sessionFile) return;
+
+    const existing = this._sessions[sessionId];
+    if (this._seen.has(sessionId) || this._backfilling.has(sessionId)) {
+      if (existing && meta.projectId && !existing.projectId) existing.projectId = meta.projectId;
+      return;
+    }
+
+    this._backfilling.set(sessionId, []);
+    const record = {
+      sessionId,
+      projectPath: meta.projectPath || existing?.projectPath || null,
+      projectId: meta.projectId || existing?.projectId || null,
+      firstSeen: null,
+      lastSeen: null,
+      byDay: {},
+    };
+    const seen = new Map();
+
+    try {
+      await this._readLines(sessionFile, line => this._apply(record, seen, line));
+    } catch (err) {
+      logger.warn('Failed to backfill session usage', { sessionId, error: err.message });
+    }
+
+    for (const line of this._backfilling.get(sessionId)) this._apply(record, seen, line);
+    this._backfilling.delete(sessionId);
+
+    this._sessions[sessionId] = record;
+    this._seen.set(sessionId, seen);
+    this._schedulePersist();
+    this.emit('usage-updated', { sessionId, usage: this.getSummary(sessionId) });
+  }
+
+  /**
+   * Account a live JSONL line for a tracked session.
+   * @returns {boolean} true if totals changed
+   */
+  recordLine(sessionId, line) {
+    const pending = this._backfilling.get(sessionId);
+    if (pending) {
+      pending.push(line);
+      return false;
+    }
+
+    const record = this._sessions[sessionId];
+    const seen = this._seen.get(sessionId);
+    if (!record || !seen) return false;
+    if (!this._apply(record, seen, line)) return false;
+
+    this._schedulePersist();
+    this.emit('usage-updated', { sessionId, usage: this.getSummary(sessionId) });
+    return true;
+  }
+
+  /**
+   * Totals and estimated cost for one session, or null if nothing was recorded.
+   */
+  getSummary(sessionId) {
+    const record = sessionId && this._sessions[sessionId];
+    if (!record) return null;
+    return this._summarize([record]);
+  }
+
+  /**
+   * Totals and estimated cost for per-model token counts that are not
+   * tracked here (e.g. summaries of sessions read from disk).
+   * @param {object} byModel - { model: { input, output, cacheRead, cacheCreation } }
+   */
+  summarizeTokens(byModel) {
+    return this._summarize([{ byDay: { all: byModel || {} } }]);
+  }
+
+  /**
+   * Aggregated usage for the dashboard: overall, per project, per day and per session.
+   */
+  getReport() {
+    const records = Object.values(this._sessions);
+
+    const projects = new Map();
+    for (const record of records) {
+      const key = record.projectId || record.projectPath || 'unknown';
+      if (!projects.has(key)) {
+        projects.set(key, { key, projectId: record.projectId, projectPath: record.projectPath, records: [] });
+      }
+      projects.get(key).records.push(record);
+    }
+
+    const days = new Set();
+    for (const record of records) Object.keys(record.byDay).forEach(d => days.add(d));
+
+    return {
+      totals: this._summarize(records),
+      projects: Array.from(projects.values())
+        .map(({ records: group, ...rest }) => ({ ...rest, sessionCount: group.length, ...this._summarize(group) }))
+        .sort((a, b) => b.cost - a.cost),
+      days: Array.from(days)
+        .sort()
+        .reverse()
+        .map(day => ({ day, ...this._summarize(records, day) })),
+      sessions: records
+        .map(r => ({
+          sessionId: r.sessionId,
+          projectId: r.projectId,
+          projectPath: r.projectPath,
+          firstSeen: r.firstSeen,
+          lastSeen: r.lastSeen,
+          ...this._summarize([r]),
+        }))
+        .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0)),
+    };
+  }
+
+  /**
+   * The active price table and whether it differs from the defaults.
+   */
+  getPrices() {
+    return {
+      prices: { ...(this._customPrices || config.USAGE_DEFAULT_PRICES) },
+      customized: Boolean(this._customPrices),
+    };
+  }
+
+  setPrices(prices) {
+    const result = validatePrices(prices);
+    if (!result.ok) return result;
+    this._customPrices = result.prices;
+    this._persistPrices();
+    logger.info('Usage prices updated', { models: Object.keys(result.prices) });
+    this.emit('usage-updated', { sessionId: null, usage: null });
+    return { ok: true, ...this.getPrices() };
+  }
+
+  resetPrices() {
+    this._customPrices = null;
+    this._persistPrices();
+    this.emit('usage-updated', { sessionId: null, usage: null });
+    return { ok: true, ...this.getPrices() };
+  }
+
+  /**
+   * Write pending usage to disk synchronously (call on quit).
+   */
+  flush() {
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    this._persist();
+  }
+
+  // --- Internal ---
+
+  /**
+   * Add a line's usage to a session record. A repeated message id only
+   * contributes the amount by which its counts grew.
+   */
+  _apply(record, seen, line) {
+    const message = line?.message;
+    const usage = message?.usage;
+    if (!usage) return false;
+    const messageId = message.id || line.requestId || line.uuid;
+    if (!messageId) return false;
+
+    const tokens = readTokens(usage);
+    const prev = seen.get(messageId);
+    const day = prev ? prev.day : dayKey(line.timestamp);
+    const model = prev ? prev.model : (message.model || 'unknown');
+
+    const delta = emptyTokens();
+    let changed = false;
+    for (const k of TOKEN_KEYS) {
+      const before = prev ? prev.tokens[k] : 0;
+      if (tokens[k] > before) {
+        delta[k] = tokens[k] - before;
+        changed = true;
+      }
+    }
+    if (!changed) return false;
+
+    seen.set(messageId, {
+      day,
+      model,
+      tokens: prev ? Object.fromEntries(TOKEN_KEYS.map(k => [k, Math.max(prev.tokens[k], tokens[k])])) : tokens,
+    });
+
+    if (!record.byDay[day]) record.byDay[day] = {};
+    const bucket = record.byDay[day][model] || (record.byDay[day][model] = emptyTokens());
+    for (const k of TOKEN_KEYS) bucket[k] += delta[k];
+
+    const at = line.timestamp ? new Date(line.timestamp).getTime() : Date.now();
+    if (!isNaN(at)) {
+      if (!record.firstSeen || at < record.firstSeen) record.firstSeen = at;
+      if (!record.lastSeen || at > record.lastSeen) record.lastSeen = at;
+    }
+    return true;
+  }
+
+  /**
+   * Sum tokens and cost across session records, optionally for a single day.
+   */
+  _summarize(records, onlyDay) {
+    const tokens = emptyTokens();
+    const models = new Set();
+    const unpriced = new Set();
+    let cost = 0;
+
+    for (const record of records) {
+      for (const [day, byModel] of Object.entries(record.byDay)) {
+        if (onlyDay && day !== onlyDay) continue;
+        for (const [model, counts] of Object.entries(byModel)) {
+          models.add(model);
+          for (const k of TOKEN_KEYS) tokens[k] += counts[k];
+          const price = this._priceFor(model);
+          if (!price) {
+            unpriced.add(model);
+            continue;
+          }
+          for (const k of TOKEN_KEYS) cost += counts[k] * price[k] / 1e6;
+        }
+      }
+    }
+
+    return {
+      ...tokens,
+      total: TOKEN_KEYS.reduce((sum, k) => sum + tokens[k], 0),
+      cost,
+      models: Array.from(models),
+      unpricedModels: Array.from(unpriced),
+    };
+  }
+
+  _priceFor(model) {
+    const prices = this._customPrices || config.USAGE_DEFAULT_PRICES;
+    const key = Object.keys(prices).find(k => model.includes(k));
+    return key ? prices[key] : null;
+  }
+
+  _readLines(filePath, onLine) {
+    return new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+      const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      rl.on('line', (raw) => {
+        const trimmed = raw.trim();
+        if (!trimmed) return;
+        try {
+          onLine(JSON.parse(trimmed));
+        } catch {
+          // Partial or corrupt line
+        }
+      });
+      rl.on('close', resolve);
+      stream.on('error', reject);
+    });
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this._filePath)) {
+        const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+        if (data.sessions && typeof data.sessions === 'object') {
+          this._sessions = data.sessions;
+          logger.info('Loaded usage records', { sessions: Object.keys(this._sessions).length });
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to load usage records', { error: err.message });
+    }
+
+    try {
+      if (fs.existsSync(this._pricesPath)) {
+        const data = JSON.parse(fs.readFileSync(this._pricesPath, 'utf-8'));
+        const result = validatePrices(data.prices);
+        if (result.ok) {
+          this._customPrices = result.prices;
+        } else {
+          logger.warn('Ignoring invalid usage prices', { error: result.error });
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to load usage prices', { error: err.message });
+    }
+  }
+
+  _schedulePersist() {
+    if (this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._persist();
+    }, config.USAGE_PERSIST_DEBOUNCE_MS);
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(this._filePath, JSON.stringify({ version: 1, sessions: this._sessions }), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist usage records', { error: err.message });
+    }
+  }
+
+  _persistPrices() {
+    if (!this._pricesPath) return;
+    try {
+      if (!this._customPrices) {
+        if (fs.existsSync(this._pricesPath)) fs.unlinkSync(this._pricesPath);
+        return;
+      }
+      fs.writeFileSync(this._pricesPath, JSON.stringify({ version: 1, prices: this._customPrices }, null, 2), 'utf-8');
+    } catch (err) {
+      logger.error('Failed to persist usage prices', { error: err.message });
+    }
+  }
+}
+
+module.exports = new UsageTracker();
@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ptyService = require('../src/services/ptyService');
+const permissionPolicy = require('../src/services/permissionPolicy');
+const agentManager = require('../src/services/agentManager');
+
+const PROMPT_SCREEN = [
+  '● Bash(npm test)',
+  ' Do you want to proceed?',
+  ' ❯ 1. Yes',
+  '   2. No, and tell Claude what to do differently (esc)',
+].join('\r\n') + '\r\n';
+
+/**
+ * A session line for a Bash tool call made `ageMs` ago.
+ */
+function toolUseLine(command, ageMs) {
+  return {
+    type: 'assistant',
+    timestamp: new Date(Date.now() - ageMs).toISOString(),
+    message: { content: [{ type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command } }] },
+  };
+}
+
+describe('agentManager', () => {
+  let writes;
+  let terminalId;
+
+  beforeEach(() => {
+    // Launch schedules priming, correlation and budget checks; none of them run here
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    writes = [];
+    terminalId = `term-${Math.random()}`;
+    mock.method(ptyService, 'create', () => ({ ok: true, id: terminalId, pid: 4242 }));
+    mock.method(ptyService, 'write', (id, data) => {
+      writes.push(data);
+      return { ok: true };
+    });
+    mock.method(ptyService, 'close', () => ({ ok: true }));
+  });
+
+  afterEach(() => {
+    permissionPolicy.setProjectLookup(() => null);
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  function launchClaude() {
+    const result = agentManager.launch({
+      agentType: 'claude',
+      worktreePath: '/work/repo',
+      projectId: 'p1',
+      autoPrime: false,
+    });
+    assert.equal(result.ok, true);
+    const agent = agentManager._agents.get(result.agentId);
+    // Session file attached and still being written: the PTY fallback stays out of the way
+    agent.sessionFile = '/sessions/s1.jsonl';
+    agent.sessionActivityAt = Date.now();
+    return agent;
+  }
+
+  describe('permission policy', () => {
+    beforeEach(() => {
+      const { policy } = permissionPolicy.validate({
+        rules: [{ id: 'tests', tools: ['Bash'], command: 'npm test', action: 'approve' }],
+      });
+      permissionPolicy.setProjectLookup(() => ({ permissionPolicy: policy }));
+    });
+
+    it('approves a matching prompt shown on screen', () => {
+      const agent = launchClaude();
+      ptyService.emit('terminal-output', { id: terminalId, data: PROMPT_SCREEN });
+      agent.sessionLines.push(toolUseLine('npm test', 6000));
+
+      agentManager._evaluateSessionState(agent);
+
+      assert.deepEqual(writes, ['1']);
+      assert.equal(agent.status, 'running');
+    });
+
+    it('sends nothing for a tool call that is still running', () => {
+      const agent = launchClaude();
+      const notifications = [];
+      const onNotification = (n) => notifications.push(n);
+      agentManager.on('agent-notification', onNotification);
+
+      // An allowed tool printing nothing for a while looks like a pending prompt in the session log
+      ptyService.emit('terminal-output', { id: terminalId, data: '● Bash(npm test)\r\n  ⎿  Running…\r\n' });
+      agent.sessionLines.push(toolUseLine('npm test', 6000));
+      agentManager._evaluateSessionState(agent);
+      agentManager.off('agent-notification', onNotification);
+
+      assert.deepEqual(writes, []);
+      assert.equal(agent.status, 'waiting_permission');
+      assert.deepEqual(notifications.map((n) => n.type), ['attention']);
+    });
+  });
+
+  describe('exit', () => {
+    function exitNotifications(exitCode) {
+      const notifications = [];
+      const onNotification = (n) => notifications.push(n.type);
+      agentManager.on('agent-notification', onNotification);
+      ptyService.emit('terminal-exited', { id: terminalId, exitCode });
+      agentManager.off('agent-notification', onNotification);
+      return notifications;
+    }
+
+    it('marks the agent done or failed by exit code', () => {
+      const agent = launchClaude();
+      assert.deepEqual(exitNotifications(1), ['error']);
+      assert.equal(agent.status, 'failed');
+      assert.equal(agent.exitCode, 1);
+    });
+
+    it('keeps the status of an agent that was stopped', () => {
+      for (const status of ['terminated', 'interrupted']) {
+        const agent = launchClaude();
+        if (status === 'terminated') assert.equal(agentManager.terminate(agent.id).ok, true);
+        else agent.status = status;
+        const endTime = agent.endTime;
+
+        assert.deepEqual(exitNotifications(143), [], status);
+        assert.equal(agent.status, status);
+        assert.equal(agent.exitCode, 143);
+        assert.equal(agent.endTime, endTime);
+      }
+    });
+  });
+});
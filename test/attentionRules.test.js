@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const attentionRules = require('../src/services/attentionRules');
+
+const rule = (fields) => ({ pattern: 'do you want to proceed', status: 'waiting_permission', ...fields });
+
+describe('attentionRules: validation', () => {
+  it('normalizes saved rules', () => {
+    const result = attentionRules.setRules('shell', [rule({ id: 'r1', matchType: 'glob', flags: undefined })]);
+    attentionRules.resetRules('shell');
+
+    assert.deepEqual(result, {
+      ok: true,
+      rules: [{
+        id: 'r1',
+        pattern: 'do you want to proceed',
+        matchType: 'literal',
+        flags: 'i',
+        status: 'waiting_permission',
+        reason: '',
+        enabled: true,
+      }],
+    });
+  });
+
+  it('rejects unknown agent types', () => {
+    assert.match(attentionRules.setRules('nope', []).error, /Unknown agent type/);
+  });
+
+  it('rejects a missing pattern, a bad status and lifecycle statuses', () => {
+    assert.match(attentionRules.test([rule({ pattern: '' })], []).error, /pattern is required/);
+    assert.match(attentionRules.test([rule({ status: 'Waiting' })], []).error, /lowercase identifier/);
+    assert.match(attentionRules.test([rule({ status: 'done' })], []).error, /lifecycle status/);
+    assert.match(attentionRules.test({}, []).error, /must be an array/);
+  });
+
+  it('rejects invalid regexes and flags', () => {
+    assert.match(attentionRules.test([rule({ pattern: '(', matchType: 'regex' })], []).error, /^Rule 1: /);
+    assert.match(attentionRules.test([rule({ flags: 'q' })], []).error, /^Rule 1: /);
+  });
+
+  it('requires the buffer to be an array of lines', () => {
+    assert.match(attentionRules.test([rule()], 'text').error, /array of lines/);
+  });
+});
+
+describe('attentionRules: test', () => {
+  it('reports each status transition of the replayed buffer', () => {
+    const rules = [
+      rule({ id: 'ask' }),
+      { id: 'pw', pattern: 'password:\\s*$', matchType: 'regex', flags: 'im', status: 'waiting_input', reason: 'sudo' },
+    ];
+    const lines = [
+      'Reading files',
+      '\x1b[1mDo you want to proceed?\x1b[0m',
+      '1. Yes',
+      'Running tool',
+      'more output',
+      'and more',
+      '[sudo] password:',
+    ];
+
+    const result = attentionRules.test(rules, lines);
+
+    assert.equal(result.ok, true);
+    assert.equal(result.lineCount, lines.length);
+    assert.deepEqual(result.transitions.map((t) => [t.index, t.status, t.ruleId]), [
+      [1, 'waiting_permission', 'ask'],
+      [4, 'running', null], // the prompt left the last three lines
+      [6, 'waiting_input', 'pw'],
+    ]);
+    assert.equal(result.transitions[0].excerpt, 'Reading files\nDo you want to proceed?');
+    assert.equal(result.transitions[2].reason, 'sudo');
+  });
+
+  it('skips disabled rules', () => {
+    const result = attentionRules.test([rule({ enabled: false })], ['Do you want to proceed?']);
+    assert.deepEqual(result.transitions, []);
+  });
+
+  it('treats literal patterns literally', () => {
+    const result = attentionRules.test([rule({ pattern: 'y/n?' })], ['continue y/n?']);
+    assert.equal(result.transitions.length, 1);
+    assert.deepEqual(attentionRules.test([rule({ pattern: 'y/n?' })], ['continue y/']).transitions, []);
+  });
+});
+
+describe('attentionRules: default Claude rules', () => {
+  it('flag the CLI limit banners but not output that mentions them', () => {
+    assert.equal(attentionRules.match('claude', '  Claude usage limit reached. Your limit will reset at 5pm').status, 'rate_limited');
+    assert.equal(attentionRules.match('claude', '⎿ API Error: 429 rate_limit_error').status, 'rate_limited');
+    assert.equal(attentionRules.match('claude', 'I fixed the "usage limit reached" banner test'), null);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/services/config');
+const budgetPolicy = require('../src/services/budgetPolicy');
+
+describe('budgetPolicy: validate', () => {
+  it('normalizes limits and fills in defaults', () => {
+    assert.deepEqual(budgetPolicy.validate({ maxTokens: '5000', maxCost: '', maxRuntimeMinutes: null }), {
+      ok: true,
+      budget: { maxTokens: 5000, warnAt: config.BUDGET_DEFAULT_WARN_AT, action: config.BUDGET_DEFAULT_ACTION },
+    });
+  });
+
+  it('turns a budget without limits into null', () => {
+    assert.deepEqual(budgetPolicy.validate(null), { ok: true, budget: null });
+    assert.deepEqual(budgetPolicy.validate({ warnAt: 0.5 }), { ok: true, budget: null });
+  });
+
+  it('rejects bad limits, thresholds and actions', () => {
+    assert.match(budgetPolicy.validate([]).error, /must be an object/);
+    assert.match(budgetPolicy.validate({ maxCost: -1 }).error, /maxCost must be a positive number/);
+    assert.match(budgetPolicy.validate({ maxCost: 'abc' }).error, /maxCost must be a positive number/);
+    assert.match(budgetPolicy.validate({ maxCost: 1, warnAt: 1.5 }).error, /warnAt/);
+    assert.match(budgetPolicy.validate({ maxCost: 1, action: 'pause' }).error, /action must be one of/);
+  });
+});
+
+describe('budgetPolicy: evaluate', () => {
+  const budget = { maxTokens: 1000, maxCost: 2, warnAt: 0.8, action: 'interrupt' };
+
+  it('is ok below the warning threshold', () => {
+    assert.deepEqual(budgetPolicy.evaluate(budget, { tokens: 100, cost: 0.1 }), {
+      level: 'ok', metric: null, value: 0, limit: 0,
+    });
+  });
+
+  it('warns at the threshold and is exceeded at the limit', () => {
+    assert.deepEqual(budgetPolicy.evaluate(budget, { tokens: 800 }), {
+      level: 'warning', metric: 'tokens', value: 800, limit: 1000,
+    });
+    assert.deepEqual(budgetPolicy.evaluate(budget, { tokens: 1000 }), {
+      level: 'exceeded', metric: 'tokens', value: 1000, limit: 1000,
+    });
+  });
+
+  it('reports the most severe limit', () => {
+    assert.deepEqual(budgetPolicy.evaluate(budget, { tokens: 900, cost: 2.5 }), {
+      level: 'exceeded', metric: 'cost', value: 2.5, limit: 2,
+    });
+  });
+
+  it('ignores measurements without a limit', () => {
+    assert.equal(budgetPolicy.evaluate(budget, { runtimeMinutes: 10_000 }).level, 'ok');
+  });
+});
+
+describe('budgetPolicy: resolve', () => {
+  it('lists budgets narrowest scope first', () => {
+    const projectBudget = { maxCost: 10, warnAt: 0.8, action: 'terminate' };
+    budgetPolicy.setProjectLookup((id) => (id === 'p1' ? { budget: projectBudget } : null));
+
+    const agentBudget = { maxTokens: 1000, warnAt: 0.8, action: 'interrupt' };
+    assert.deepEqual(budgetPolicy.resolve({ projectId: 'p1', launchOptions: { budget: agentBudget } }), [
+      { scope: 'agent', budget: agentBudget },
+      { scope: 'project', budget: projectBudget },
+    ]);
+    assert.deepEqual(budgetPolicy.resolve({ projectId: 'p2' }), []);
+
+    budgetPolicy.setProjectLookup(() => null);
+  });
+});
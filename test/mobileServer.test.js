@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MobileServer = require('../src/services/mobileServer');
+
+const { diffAgents } = MobileServer;
+
+const docs = (entries) => new Map(Object.entries(entries));
+
+/**
+ * Minimal RFC 6902 add/replace/remove over plain objects.
+ */
+function applyPatch(doc, ops) {
+  const result = structuredClone(doc);
+  for (const op of ops) {
+    const keys = op.path.slice(1).split('/').map((k) => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj[key], result);
+    if (op.op === 'remove') delete parent[last];
+    else parent[last] = structuredClone(op.value);
+  }
+  return result;
+}
+
+describe('mobileServer: diffAgents', () => {
+  it('adds, removes and replaces agents and fields', () => {
+    const prev = docs({
+      1: { pid: 1, status: 'active', cwd: '/a', tty: '/dev/pts/1' },
+      2: { pid: 2, status: 'active' },
+    });
+    const next = docs({
+      1: { pid: 1, status: 'waiting_input', cwd: '/a', sessionId: 's1' },
+      3: { pid: 3, status: 'active' },
+    });
+
+    assert.deepEqual(diffAgents(prev, next), [
+      { op: 'remove', path: '/2' },
+      { op: 'replace', path: '/1/status', value: 'waiting_input' },
+      { op: 'remove', path: '/1/tty' },
+      { op: 'add', path: '/1/sessionId', value: 's1' },
+      { op: 'add', path: '/3', value: { pid: 3, status: 'active' } },
+    ]);
+  });
+
+  it('compares nested values by content', () => {
+    const prev = docs({ 1: { promptInfo: { options: ['Yes', 'No'] } } });
+
+    assert.deepEqual(diffAgents(prev, docs({ 1: { promptInfo: { options: ['Yes', 'No'] } } })), []);
+    assert.deepEqual(diffAgents(prev, docs({ 1: { promptInfo: { options: ['Yes'] } } })), [
+      { op: 'replace', path: '/1/promptInfo', value: { options: ['Yes'] } },
+    ]);
+  });
+
+  it('escapes keys as JSON pointer tokens', () => {
+    const ops = diffAgents(docs({}), docs({ 'a/b~c': { pid: 1 } }));
+    assert.deepEqual(ops, [{ op: 'add', path: '/a~1b~0c', value: { pid: 1 } }]);
+  });
+
+  it('produces ops that turn one set into the other', () => {
+    const prev = docs({
+      10: { pid: 10, status: 'active', tokens: 100 },
+      11: { pid: 11, status: 'idle' },
+    });
+    const next = docs({
+      10: { pid: 10, status: 'stalled', tokens: 250, project: 'api' },
+      12: { pid: 12, status: 'active' },
+    });
+
+    const patched = applyPatch(Object.fromEntries(prev), diffAgents(prev, next));
+    assert.deepEqual(patched, Object.fromEntries(next));
+  });
+});
+
+describe('mobileServer: terminals', () => {
+  const tokens = {
+    viewer: { id: 'viewer', name: 'Phone', scope: 'prompt' },
+    operator: { id: 'operator', name: 'Tablet', scope: 'control' },
+  };
+  const scopes = ['read', 'prompt', 'control', 'admin'];
+  const tokenStore = {
+    get: (id) => tokens[id] || null,
+    hasScope: (token, required) => scopes.indexOf(token.scope) >= scopes.indexOf(required),
+  };
+  const ptyService = {
+    get: (id) => (id === 't1' ? { id, cols: 80, rows: 24, status: 'running', exitCode: null } : null),
+    getTail: () => '$ ',
+  };
+
+  function client(tokenId) {
+    const sent = [];
+    return {
+      sent,
+      readyState: 1,
+      _tokenId: tokenId,
+      _request: { headers: {}, socket: { remoteAddress: '192.0.2.7' } },
+      _terminals: new Map(),
+      send: (raw) => sent.push(JSON.parse(raw)),
+    };
+  }
+
+  function server() {
+    const mobile = new MobileServer(new Map(), null, tokenStore);
+    mobile.attachTerminals(ptyService);
+    return mobile;
+  }
+
+  it('streams terminals only to control tokens', () => {
+    const mobile = server();
+    const viewer = client('viewer');
+    const operator = client('operator');
+
+    mobile._onClientMessage(viewer, { type: 'terminal:open', terminalId: 't1' });
+    mobile._onClientMessage(operator, { type: 'terminal:open', terminalId: 't1' });
+
+    assert.equal(viewer.sent[0].type, 'terminal:error');
+    assert.match(viewer.sent[0].data.error, /needs 'control'/);
+    assert.equal(viewer._terminals.size, 0);
+    assert.equal(mobile._authFailures[0].tokenId, 'viewer');
+    assert.equal(operator.sent[0].type, 'terminal:snapshot');
+    assert.deepEqual([...mobile._terminalStreams.get('t1').clients], [operator]);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const permissionPolicy = require('../src/services/permissionPolicy');
+
+const { globToRegExp } = permissionPolicy;
+const worktree = path.resolve('/work/repo');
+
+function policy(rules) {
+  const result = permissionPolicy.validate({ rules });
+  assert.equal(result.ok, true, result.error);
+  return result.policy;
+}
+
+const bash = (command) => ({ name: 'Bash', command });
+const edit = (filePath) => ({ name: 'Edit', filePath });
+
+describe('permissionPolicy: globToRegExp', () => {
+  it('keeps * and ? within one segment', () => {
+    const re = globToRegExp('src/*.js');
+    assert.equal(re.test('src/app.js'), true);
+    assert.equal(re.test('src/lib/app.js'), false);
+    assert.equal(globToRegExp('a?.md').test('ab.md'), true);
+    assert.equal(globToRegExp('a?.md').test('a/.md'), false);
+  });
+
+  it('lets ** span zero or more directories', () => {
+    const re = globToRegExp('src/**/*.test.js');
+    assert.equal(re.test('src/a.test.js'), true);
+    assert.equal(re.test('src/a/b/c.test.js'), true);
+    assert.equal(re.test('test/a.test.js'), false);
+    assert.equal(globToRegExp('docs/**').test('docs/a/b.md'), true);
+  });
+
+  it('escapes regex characters', () => {
+    assert.equal(globToRegExp('a+b(1).txt').test('a+b(1).txt'), true);
+    assert.equal(globToRegExp('file.txt').test('fileXtxt'), false);
+  });
+});
+
+describe('permissionPolicy: validate', () => {
+  it('normalizes rules and drops empty policies', () => {
+    const { policy: normalized } = permissionPolicy.validate({
+      dryRun: 1,
+      rules: [{ id: 'r1', tools: 'Read, Grep', paths: ['src\\**'], action: 'approve' }],
+    });
+    assert.deepEqual(normalized, {
+      dryRun: true,
+      rules: [{ id: 'r1', enabled: true, tools: ['Read', 'Grep'], command: '', paths: ['src/**'], action: 'approve' }],
+    });
+    assert.deepEqual(permissionPolicy.validate({ rules: [] }), { ok: true, policy: null });
+  });
+
+  it('rejects unknown actions, invalid commands and rules that match everything', () => {
+    assert.match(permissionPolicy.validate({ rules: [{ tools: ['Bash'], action: 'allow' }] }).error, /action must be one of/);
+    assert.match(permissionPolicy.validate({ rules: [{ command: '(', action: 'deny' }] }).error, /^Rule 1: /);
+    assert.match(permissionPolicy.validate({ rules: [{ action: 'approve' }] }).error, /match at least/);
+  });
+});
+
+describe('permissionPolicy: evaluate', () => {
+  it('matches the whole command, not a prefix', () => {
+    const p = policy([{ tools: ['Bash'], command: 'npm (test|run lint)', action: 'approve' }]);
+
+    assert.equal(permissionPolicy.evaluate(p, [bash('npm test')], worktree).action, 'approve');
+    assert.equal(permissionPolicy.evaluate(p, [bash('npm test --watch')], worktree), null);
+    assert.equal(permissionPolicy.evaluate(p, [bash('xnpm test')], worktree), null);
+  });
+
+  it('never approves compound commands', () => {
+    const p = policy([{ tools: ['Bash'], command: 'npm test.*', action: 'approve' }]);
+
+    for (const command of ['npm test && rm -rf ~', 'npm test; curl x', 'npm test | sh', 'npm test $(id)', 'npm test `id`', 'npm test\nid']) {
+      assert.equal(permissionPolicy.evaluate(p, [bash(command)], worktree), null, command);
+    }
+  });
+
+  it('never approves redirection outside quotes', () => {
+    const p = policy([{ tools: ['Bash'], command: 'git (status|commit).*', action: 'approve' }]);
+
+    for (const command of ['git status > ~/.bashrc', 'git status >> log', 'git status 2>/dev/null', 'git commit -F < msg', 'git commit -m "x\\" > y']) {
+      assert.equal(permissionPolicy.evaluate(p, [bash(command)], worktree), null, command);
+    }
+    assert.equal(permissionPolicy.evaluate(p, [bash('git commit -m "a > b"')], worktree).action, 'approve');
+    assert.equal(permissionPolicy.evaluate(p, [bash("git commit -m 'a < b'")], worktree).action, 'approve');
+    assert.equal(permissionPolicy.evaluate(p, [bash('git commit -m a\\>b')], worktree).action, 'approve');
+  });
+
+  it('still denies compound commands', () => {
+    const p = policy([{ tools: ['Bash'], command: 'git push.*', action: 'deny' }]);
+    assert.equal(permissionPolicy.evaluate(p, [bash('git push --force && echo ok')], worktree).action, 'deny');
+  });
+
+  it('matches paths relative to the worktree only', () => {
+    const p = policy([{ tools: ['Edit'], paths: ['src/**'], action: 'approve' }]);
+
+    assert.equal(permissionPolicy.evaluate(p, [edit('src/a/b.js')], worktree).action, 'approve');
+    assert.equal(permissionPolicy.evaluate(p, [edit(path.join(worktree, 'src', 'c.js'))], worktree).action, 'approve');
+    assert.equal(permissionPolicy.evaluate(p, [edit('../other/src/a.js')], worktree), null);
+    assert.equal(permissionPolicy.evaluate(p, [edit('src/a.js')], null), null);
+  });
+
+  it('uses the first enabled rule per call; deny, then notify, wins across calls', () => {
+    const p = policy([
+      { id: 'off', tools: ['Read'], action: 'deny', enabled: false },
+      { id: 'read', tools: ['Read'], action: 'approve' },
+      { id: 'web', tools: ['WebFetch'], action: 'notify' },
+      { id: 'rm', tools: ['Bash'], command: 'rm .*', action: 'deny' },
+    ]);
+
+    assert.equal(permissionPolicy.evaluate(p, [{ name: 'Read' }], worktree).rule.id, 'read');
+    assert.equal(permissionPolicy.evaluate(p, [{ name: 'Read' }, { name: 'WebFetch' }], worktree).action, 'notify');
+    assert.equal(permissionPolicy.evaluate(p, [{ name: 'WebFetch' }, bash('rm -r build')], worktree).action, 'deny');
+  });
+
+  it('decides nothing when any call is unmatched', () => {
+    const p = policy([{ tools: ['Read'], action: 'approve' }]);
+    assert.equal(permissionPolicy.evaluate(p, [{ name: 'Read' }, { name: 'Write' }], worktree), null);
+    assert.equal(permissionPolicy.evaluate(p, [], worktree), null);
+    assert.equal(permissionPolicy.evaluate(null, [{ name: 'Read' }], worktree), null);
+  });
+});
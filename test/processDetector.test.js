@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { scanForClaudeProcesses, parseProcStat, decodeTtyNr, SCANNERS } = require('../src/services/processDetector');
+
+// 1234: claude CLI on /dev/pts/3, 2345: shell sourcing ~/.claude/shell-snapshots, 3456: vim
+const procRoot = path.join(__dirname, 'fixtures', 'proc');
+
+describe('processDetector: Linux scanner', () => {
+  it('reads cmdline, stat and cwd of processes mentioning claude', async () => {
+    const procs = await SCANNERS.linux({ procRoot });
+    procs.sort((a, b) => a.ProcessId - b.ProcessId);
+
+    assert.deepEqual(procs, [
+      {
+        ProcessId: 1234,
+        Name: 'claude (main)',
+        CommandLine: 'node /usr/local/bin/claude --resume',
+        ParentProcessId: 1200,
+        CreationDate: '2025-10-09T08:55:23.450Z', // btime + 12345 ticks
+        WindowTitle: '',
+        Cwd: '/home/dev/project',
+        Tty: '/dev/pts/3',
+      },
+      {
+        ProcessId: 2345,
+        Name: 'bash',
+        CommandLine: "/bin/bash -c source /home/dev/.claude/shell-snapshots/snapshot-bash.sh && eval 'npm test'",
+        ParentProcessId: 1,
+        CreationDate: '2025-10-09T08:56:40.000Z',
+        WindowTitle: '',
+        Cwd: '/home/dev/project',
+        Tty: null,
+      },
+    ]);
+  });
+
+  it('returns nothing when the proc root is missing', async () => {
+    assert.deepEqual(await SCANNERS.linux({ procRoot: path.join(procRoot, 'missing') }), []);
+  });
+
+  it('keeps only genuine Claude CLI processes', async () => {
+    const agents = await scanForClaudeProcesses({ platform: 'linux', procRoot });
+
+    assert.equal(agents.length, 1);
+    assert.equal(agents[0].pid, 1234);
+    assert.equal(agents[0].cwd, '/home/dev/project');
+    assert.equal(agents[0].tty, '/dev/pts/3');
+    assert.equal(agents[0].startTime.toISOString(), '2025-10-09T08:55:23.450Z');
+  });
+});
+
+describe('processDetector: parseProcStat', () => {
+  it('splits around the last parenthesis of comm', () => {
+    const stat = parseProcStat('42 (a) b) S 7 42 42 34816 42 0 0 0 0 0 0 0 0 0 20 0 1 0 500 0 0');
+    assert.deepEqual(stat, { comm: 'a) b', ppid: 7, ttyNr: 34816, startTicks: 500 });
+  });
+
+  it('rejects a line without comm', () => {
+    assert.equal(parseProcStat('42 S 7'), null);
+  });
+});
+
+describe('processDetector: decodeTtyNr', () => {
+  it('decodes pseudo-terminals and consoles', () => {
+    assert.equal(decodeTtyNr((136 << 8) | 3), '/dev/pts/3');
+    assert.equal(decodeTtyNr((137 << 8) | 1), '/dev/pts/257');
+    assert.equal(decodeTtyNr((4 << 8) | 2), '/dev/tty2');
+    assert.equal(decodeTtyNr((4 << 8) | 65), '/dev/ttyS1');
+  });
+
+  it('returns null without a controlling terminal', () => {
+    assert.equal(decodeTtyNr(0), null);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const processDetector = require('../src/services/processDetector');
+const sessionWatcher = require('../src/services/sessionWatcher');
+const usageTracker = require('../src/services/usageTracker');
+
+// ProcessMonitor destructures these at load time, so they are swapped before it is required
+let scanned = [];
+const correlated = [];
+processDetector.scanForClaudeProcesses = async () => scanned.map((agent) => ({ ...agent }));
+sessionWatcher.discoverSessions = async () => [];
+sessionWatcher.correlateAgentSession = async (agent) => {
+  correlated.push(agent.cwd);
+  return { sessionId: 's1', sessionFile: '/sessions/s1.jsonl', projectPath: '-home-dev-my-app' };
+};
+sessionWatcher.watchSession = () => () => {};
+
+const ProcessMonitor = require('../src/services/processMonitor');
+
+function scannedAgent(overrides) {
+  return {
+    pid: 101,
+    name: 'claude',
+    commandLine: 'node /usr/local/bin/claude',
+    status: 'active',
+    cwd: '/home/dev/my-app',
+    tty: '/dev/pts/3',
+    ...overrides,
+  };
+}
+
+describe('ProcessMonitor', () => {
+  let monitor;
+
+  beforeEach(() => {
+    correlated.length = 0;
+    mock.method(usageTracker, 'trackSession', async () => {});
+    monitor = new ProcessMonitor();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the scanned working directory when a session is attached', async () => {
+    scanned = [scannedAgent()];
+    await monitor._tick();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const [agent] = monitor.getAgents();
+    assert.deepEqual(correlated, ['/home/dev/my-app']);
+    assert.equal(agent.sessionId, 's1');
+    assert.equal(agent.cwd, '/home/dev/my-app');
+    assert.equal(agent.projectPath, '-home-dev-my-app');
+  });
+
+  it('refreshes cwd and tty of agents it already knows', async () => {
+    scanned = [scannedAgent()];
+    await monitor._tick();
+    scanned = [scannedAgent({ cwd: '/home/dev/other', tty: '/dev/pts/7' })];
+    await monitor._tick();
+
+    const [agent] = monitor.getAgents();
+    assert.equal(agent.cwd, '/home/dev/other');
+    assert.equal(agent.tty, '/dev/pts/7');
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const config = require('../src/services/config');
+const PromptInjector = require('../src/services/promptInjector');
+
+const { readMuxEnv, findTmuxPane, escapeScreenStuff, tmuxSendKeys, screenStuffArgs, tiocstiBlocked } = PromptInjector;
+
+// 1234 runs in tmux, 3456 in GNU screen, 2345 in neither; legacy_tiocsti is 0
+const procRoot = path.join(__dirname, 'fixtures', 'proc');
+
+describe('promptInjector', () => {
+  let savedProcRoot;
+
+  before(() => {
+    savedProcRoot = config.PROC_ROOT;
+    config.PROC_ROOT = procRoot;
+  });
+
+  after(() => {
+    config.PROC_ROOT = savedProcRoot;
+  });
+
+  describe('readMuxEnv', () => {
+    it('picks the multiplexer variables out of /proc/<pid>/environ', async () => {
+      assert.deepEqual(await readMuxEnv(1234, 'linux'), {
+        TMUX: '/tmp/tmux-1000/default,1111,0',
+        TMUX_PANE: '%3',
+      });
+      assert.deepEqual(await readMuxEnv(3456, 'linux'), { STY: '4321.pts-1.dev', WINDOW: '2' });
+      assert.deepEqual(await readMuxEnv(2345, 'linux'), {});
+    });
+
+    it('returns nothing for unreadable processes', async () => {
+      assert.deepEqual(await readMuxEnv(9999, 'linux'), {});
+    });
+  });
+
+  describe('findTmuxPane', () => {
+    it('uses TMUX_PANE and the socket from TMUX', async () => {
+      assert.deepEqual(await findTmuxPane({ TMUX: '/tmp/tmux-1000/work,77,1', TMUX_PANE: '%12' }, null), {
+        socket: '/tmp/tmux-1000/work',
+        pane: '%12',
+      });
+    });
+
+    it('needs a pane or a tty to look one up', async () => {
+      assert.equal(await findTmuxPane({}, null), null);
+    });
+  });
+
+  describe('escapeScreenStuff', () => {
+    it('escapes backslashes and carets', () => {
+      assert.equal(escapeScreenStuff('a\\nb ^C'), 'a\\\\nb \\^C');
+      assert.equal(escapeScreenStuff('plain text'), 'plain text');
+    });
+  });
+
+  describe('tmuxSendKeys', () => {
+    it('ends options before the text and presses Enter between lines', () => {
+      const keys = ['send-keys', '-t', '%3'];
+      assert.deepEqual(tmuxSendKeys({ socket: '/tmp/tmux-1000/default', pane: '%3' }, '-h', false), [
+        ['-S', '/tmp/tmux-1000/default', ...keys, '-l', '--', '-h'],
+      ]);
+      assert.deepEqual(tmuxSendKeys({ pane: '%3' }, 'one\r\n\nthree', true), [
+        [...keys, '-l', '--', 'one'],
+        [...keys, 'Enter'],
+        [...keys, 'Enter'],
+        [...keys, '-l', '--', 'three'],
+        [...keys, 'Enter'],
+      ]);
+    });
+  });
+
+  describe('screenStuffArgs', () => {
+    it('stuffs line breaks as carriage returns', () => {
+      assert.deepEqual(screenStuffArgs({ session: '4321.dev' }, '-x\nb^', true), [
+        '-S', '4321.dev', '-p', '0', '-X', 'stuff', '-x\rb\\^\r',
+      ]);
+    });
+  });
+
+  describe('tiocstiBlocked', () => {
+    it('honours the legacy_tiocsti switch', () => {
+      assert.match(tiocstiBlocked('linux'), /legacy_tiocsti = 0/);
+    });
+
+    it('allows TIOCSTI on kernels without the switch', () => {
+      config.PROC_ROOT = path.join(procRoot, 'missing');
+      try {
+        assert.equal(tiocstiBlocked('linux'), null);
+      } finally {
+        config.PROC_ROOT = procRoot;
+      }
+    });
+
+    it('is unsupported elsewhere', () => {
+      assert.match(tiocstiBlocked('win32'), /not supported/);
+    });
+  });
+
+  describe('probe', () => {
+    it('prefers the multiplexer an agent runs in', async () => {
+      const injector = new PromptInjector({ platform: 'linux' });
+
+      assert.deepEqual(await injector.probe({ pid: 1234, tty: '/dev/pts/3' }), {
+        method: 'tmux', available: true, reason: null,
+      });
+      assert.deepEqual(await injector.probe({ pid: 3456, tty: '/dev/pts/4' }), {
+        method: 'screen', available: true, reason: null,
+      });
+    });
+
+    it('reports why TIOCSTI is unavailable', async () => {
+      const injector = new PromptInjector({ platform: 'linux' });
+
+      assert.deepEqual(await injector.probe({ pid: 2345, tty: null }), {
+        method: null, available: false, reason: 'Agent has no controlling terminal',
+      });
+      assert.deepEqual(await injector.probe({ pid: 9999, tty: '/dev/pts/fixture' }), {
+        method: 'tiocsti', available: false, reason: 'TIOCSTI is disabled (dev.tty.legacy_tiocsti = 0)',
+      });
+    });
+
+    it('writes to terminals it owns directly', async () => {
+      const ptyService = { getAll: () => [{ id: 't1', pid: 500, status: 'active' }] };
+      const injector = new PromptInjector({ platform: 'linux', ptyService });
+
+      assert.equal((await injector.probe({ pid: 501, parentPid: 500 })).method, 'pty');
+      assert.deepEqual(injector.getCapability(501), { method: 'pty', available: true, reason: null });
+    });
+  });
+});
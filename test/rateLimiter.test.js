@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../src/services/rateLimiter');
+
+describe('RateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('sliding window', () => {
+    it('refuses events over the limit until the oldest leaves the window', () => {
+      const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+
+      assert.equal(limiter.hit('a'), 0);
+      now += 400;
+      assert.equal(limiter.hit('a'), 0);
+      assert.equal(limiter.hit('a'), 600);
+      assert.equal(limiter.retryAfter('a'), 600);
+
+      now += 600;
+      assert.equal(limiter.retryAfter('a'), 0);
+      assert.equal(limiter.hit('a'), 0);
+    });
+
+    it('does not count refused events', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+
+      limiter.hit('a');
+      for (let i = 0; i < 5; i++) limiter.hit('a');
+      now += 1000;
+      assert.equal(limiter.hit('a'), 0);
+    });
+
+    it('keeps keys apart', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+
+      limiter.hit('a');
+      assert.equal(limiter.hit('b'), 0);
+      assert.ok(limiter.hit('a') > 0);
+    });
+  });
+
+  describe('lockout', () => {
+    it('locks a key that goes over the limit for the lockout period', () => {
+      const limiter = new RateLimiter({ limit: 2, windowMs: 1000, lockoutMs: 60_000 });
+
+      limiter.hit('ip:1');
+      limiter.hit('ip:1');
+      assert.equal(limiter.retryAfter('ip:1'), 0);
+      assert.equal(limiter.hit('ip:1'), 60_000);
+
+      // Outlasts the window
+      now += 5000;
+      assert.equal(limiter.retryAfter('ip:1'), 55_000);
+      assert.equal(limiter.hit('ip:1'), 55_000);
+      assert.deepEqual(limiter.lockouts(), [{ key: 'ip:1', until: 1_060_000 }]);
+
+      now += 55_000;
+      assert.equal(limiter.retryAfter('ip:1'), 0);
+      assert.deepEqual(limiter.lockouts(), []);
+      assert.equal(limiter.hit('ip:1'), 0);
+    });
+
+    it('starts over after the lockout expires', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 120_000, lockoutMs: 1000 });
+
+      limiter.hit('a');
+      limiter.hit('a');
+      now += 1000;
+      assert.equal(limiter.hit('a'), 0);
+    });
+
+    it('forgets a key on reset', () => {
+      const limiter = new RateLimiter({ limit: 1, windowMs: 1000, lockoutMs: 60_000 });
+
+      limiter.hit('a');
+      limiter.hit('a');
+      limiter.reset('a');
+      assert.equal(limiter.retryAfter('a'), 0);
+      assert.equal(limiter.hit('a'), 0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { readTranscriptPage } = require('../src/services/sessionWatcher');
+
+describe('sessionWatcher: readTranscriptPage', () => {
+  let dir;
+  let file;
+  let offsets; // byte offset of each line
+  let completeEnd; // end of the last newline-terminated line
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-'));
+    file = path.join(dir, 'session.jsonl');
+
+    const lines = [
+      JSON.stringify({ n: 0 }),
+      JSON.stringify({ n: 1, text: 'é'.repeat(40_000) }), // spans read chunks
+      'not json',
+      JSON.stringify({ n: 3 }),
+      JSON.stringify({ n: 4 }),
+    ];
+    offsets = [];
+    let size = 0;
+    for (const line of lines) {
+      offsets.push(size);
+      size += Buffer.byteLength(line) + 1;
+    }
+    completeEnd = size;
+    // The CLI is still writing the last line
+    fs.writeFileSync(file, lines.join('\n') + '\n{"n": 5');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const ns = (page) => page.entries.map((e) => e.line.n);
+
+  it('returns the last complete lines by default', async () => {
+    const page = await readTranscriptPage(file, { limit: 2 });
+
+    assert.deepEqual(ns(page), [3, 4]);
+    assert.deepEqual(page.entries.map((e) => e.offset), [offsets[3], offsets[4]]);
+    assert.equal(page.start, offsets[3]);
+    assert.equal(page.end, completeEnd);
+    assert.equal(page.hasBefore, true);
+    assert.equal(page.hasAfter, true);
+  });
+
+  it('pages backward, counting lines that are not JSON', async () => {
+    const page = await readTranscriptPage(file, { before: offsets[3], limit: 2 });
+
+    assert.deepEqual(ns(page), [1]);
+    assert.equal(page.start, offsets[1]);
+    assert.equal(page.end, offsets[3]);
+
+    const first = await readTranscriptPage(file, { before: page.start, limit: 2 });
+    assert.deepEqual(ns(first), [0]);
+    assert.equal(first.start, 0);
+    assert.equal(first.hasBefore, false);
+  });
+
+  it('pages forward and stops before an unterminated line', async () => {
+    const page = await readTranscriptPage(file, { after: 0, limit: 2 });
+    assert.deepEqual(ns(page), [0, 1]);
+    assert.equal(page.end, offsets[2]);
+
+    const rest = await readTranscriptPage(file, { after: page.end });
+    assert.deepEqual(ns(rest), [3, 4]);
+    assert.equal(rest.end, completeEnd);
+    assert.equal(rest.hasAfter, true);
+  });
+
+  it('picks up the last line once it is terminated', async () => {
+    fs.appendFileSync(file, '}\n');
+    const page = await readTranscriptPage(file, { after: completeEnd });
+
+    assert.deepEqual(ns(page), [5]);
+    assert.equal(page.hasAfter, false);
+  });
+
+  it('clamps out-of-range offsets', async () => {
+    const page = await readTranscriptPage(file, { after: 1e12 });
+    assert.deepEqual(page.entries, []);
+    assert.equal(page.start, page.size);
+  });
+});
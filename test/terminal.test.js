@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'mobile', 'terminal.js'), 'utf8');
+
+/**
+ * Loads the mobile emulator into a context with just the DOM it touches.
+ * Renders run when flush() is called instead of on animation frames.
+ */
+function createTerminal(cols, rows) {
+  let frame = null;
+  const container = {
+    children: [],
+    style: { setProperty() {} },
+    scrollTop: 0,
+    clientHeight: 0,
+    scrollHeight: 0,
+    get lastChild() { return this.children[this.children.length - 1]; },
+    insertBefore(el, ref) {
+      const from = this.children.indexOf(el);
+      if (from !== -1) this.children.splice(from, 1);
+      const at = ref ? this.children.indexOf(ref) : -1;
+      this.children.splice(at === -1 ? this.children.length : at, 0, el);
+    },
+    removeChild(el) {
+      this.children.splice(this.children.indexOf(el), 1);
+    },
+  };
+  const context = {
+    window: {},
+    document: { createElement: () => ({ className: '', innerHTML: '' }) },
+    requestAnimationFrame: (fn) => { frame = fn; },
+  };
+  vm.runInNewContext(source, context);
+
+  const term = context.window.createTerminal(container);
+  term.reset(cols, rows);
+  // Cursor off, so rendered lines hold only their text
+  term.write('\x1b[?25l');
+
+  return {
+    term,
+    write(data) {
+      term.write(data);
+      if (frame) frame();
+      frame = null;
+      return container.children.map((el) => el.innerHTML);
+    },
+  };
+}
+
+// Visible text of rendered lines
+const text = (html) => html.map((l) => l.replace(/<[^>]*>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').trimEnd());
+
+describe('mobile terminal emulator', () => {
+  it('writes lines and wraps at the last column', () => {
+    const { write } = createTerminal(5, 3);
+    assert.deepEqual(text(write('ab\r\nhello world')), ['ab', 'hello', ' worl', 'd']);
+  });
+
+  it('escapes markup in output', () => {
+    const { write } = createTerminal(20, 2);
+    assert.equal(write('<img src=x>&')[0], '&lt;img src=x&gt;&amp;');
+  });
+
+  it('renders SGR colors as inline styles', () => {
+    const { write } = createTerminal(20, 2);
+    const [line] = write('\x1b[1;31merr\x1b[0m ok \x1b[38;5;21mx\x1b[38;2;1;2;3my');
+    assert.equal(line, '<span style="color:#cd3131;font-weight:bold;">err</span> ok '
+      + '<span style="color:rgb(0,0,255);">x</span><span style="color:rgb(1,2,3);">y</span>');
+  });
+
+  it('moves the cursor and erases', () => {
+    const { write } = createTerminal(10, 3);
+    assert.deepEqual(text(write('aaaaa\r\nbbbbb\x1b[1;3HX\x1b[2;2H\x1b[K')), ['aaXaa', 'b', '']);
+    assert.deepEqual(text(write('\x1b[2J\x1b[Hnew')), ['new', '', '']);
+  });
+
+  it('overwrites from the start of the line on carriage return', () => {
+    const { write } = createTerminal(20, 1);
+    assert.deepEqual(text(write('50%\r100%')), ['100%']);
+  });
+
+  it('restores the main screen after the alternate screen', () => {
+    const { write } = createTerminal(10, 2);
+    write('shell$ ');
+    assert.deepEqual(text(write('\x1b[?1049h\x1b[Hfullscreen')), ['fullscreen', '']);
+    assert.deepEqual(text(write('\x1b[?1049l')), ['shell$', '']);
+  });
+
+  it('scrolls only inside the scroll region', () => {
+    const { write } = createTerminal(10, 4);
+    write('head\r\n1\r\n2\r\nfoot');
+    assert.deepEqual(text(write('\x1b[2;3r\x1b[3;1H\n')), ['head', '2', '', 'foot']);
+  });
+
+  it('skips OSC titles and unknown sequences', () => {
+    const { write } = createTerminal(20, 1);
+    assert.deepEqual(text(write('\x1b]0;title\x07a\x1b(Bb\x1b[?2004hc')), ['abc']);
+  });
+
+  it('keeps scrollback when the screen scrolls', () => {
+    const { write } = createTerminal(10, 2);
+    assert.deepEqual(text(write('1\r\n2\r\n3\r\n4')), ['1', '2', '3', '4']);
+  });
+});